@@ -14,6 +14,16 @@
  * 2. Set default storage values on first install
  * 3. Update the extension badge/icon to reflect the current state
  * 4. Handle any cross-tab communication if needed
+ * 5. Run the activation schedule — flip dim mode or the active palette at
+ *    user-configured times via chrome.alarms
+ * 6. Handle the keyboard commands and the x.com context menu
+ * 7. Own the per-tab overrides of the global toggle, and show each tab's
+ *    own state on the badge
+ * 8. Mirror settings to chrome.storage.sync when the user opts in
+ * 9. Register the packaged dim theme stylesheet, so X's first frame is
+ *    already dim (see PACKAGED DIM THEME STYLESHEET)
+ * 10. Register the embedded post content script while the user allows the
+ *     embed origins (see EMBEDDED POSTS)
  *
  * WHY WE NEED THIS:
  * Even though the content script handles most of the logic, we need the
@@ -27,9 +37,57 @@
  * chrome.storage.local:
  *   - xDimmerEnabled: boolean (default: true) — master on/off toggle
  *   - xDimmerInstalledVersion: string — tracks installed version for migrations
+ *   - xDimmerSchemaVersion: number — storage schema the stored values are at
+ *       (see shared/dim-storage-migrations.js); missing = the baseline, 1
+ *   - xDimmerMigrationBackup: object — { schemaVersion, extensionVersion,
+ *       createdAt, storedValues }, everything as it was before the last migration
+ *   - xDimmerActivePaletteId: string (default: "dim-classic") — palette to paint with
+ *   - xDimmerCustomPalettes: array — user-defined palettes
+ *       { id, name, remapsTextColors, colors }
+ *   - xDimmerThemeDetectionMode: string (default: "lights-out-only") — apply
+ *       only while X renders Lights Out, or "always"
+ *   - xDimmerComputedStyleScanEnabled: boolean (default: false) — also fix
+ *       class-based Lights Out surfaces found through getComputedStyle
+ *   - xDimmerStylesheetRewriteEnabled: boolean (default: false) — remap X's
+ *       own CSS rules with a generated counter-stylesheet
+ *   - xDimmerPageRules: array — { pathPattern, surfaceId } rules keeping X's
+ *       native look on matching pages (see shared/dim-page-rules.js)
+ *   - xDimmerSchedule: object — scheduled activation settings
+ *       (see DEFAULT_DIM_SCHEDULE in shared/dim-schedule-calculator.js)
+ *   - xDimmerCustomOverrideRules: array — { selector, paletteSlot, surfaceId }
+ *       rules created with the in-page element picker
+ *   - xDimmerUnthemedElementReports: array — "Report unthemed element" results
+ *   - xDimmerSelectorHealth: object — bundled selectors that matched the live
+ *       page this session; reset on startup and update (see below)
+ *   - xDimmerLastDetectedXTheme: string — the theme X was last seen rendering
+ *       ('light'|'dim'|'lights-out'), written by the content script; decides
+ *       whether the packaged stylesheet is registered
+ *   - xDimmerSyncEnabled: boolean (default: false) — mirror settings to
+ *       chrome.storage.sync (per device, never synced itself)
+ *   - xDimmerSyncTimestamps: object — { [settingName]: ms } time of each
+ *       setting's last change, for last-writer-wins
+ *   - xDimmerSyncStatus: object — { state: 'ok'|'error', message?, at }
+ * chrome.storage.sync (only while xDimmerSyncEnabled):
+ *   - "xDimmerSync.<name>.meta" / "xDimmerSync.<name>.<n>" — chunked copies
+ *       of the exported settings (see SETTINGS SYNC below)
+ * chrome.storage.session:
+ *   - xDimmerTabOverrides: object — { [tabId]: 'on'|'off' }, per-tab
+ *       overrides of xDimmerEnabled (see shared/dim-tab-messages.js)
  * =============================================================================
  */
 
+/*
+ * Shared plain-script helpers. importScripts is synchronous, so everything
+ * they define is available before any event listener below is registered.
+ */
+importScripts(
+  '../shared/dim-palette-definitions.js',
+  '../shared/dim-schedule-calculator.js',
+  '../shared/dim-tab-messages.js',
+  '../shared/dim-settings-transfer.js',
+  '../shared/dim-storage-migrations.js'
+);
+
 
 /* -----------------------------------------------------------------------
  * EXTENSION LIFECYCLE EVENTS
@@ -45,7 +103,7 @@
  *   specifically to get dim mode back — having it off would be confusing
  *
  * ON UPDATE:
- * - Could be used for storage schema migrations in future versions
+ * - Runs the storage schema migrations (shared/dim-storage-migrations.js)
  * - Logs the update for debugging purposes
  * 
  * REASON FOR chrome.runtime.onInstalled:
@@ -55,37 +113,192 @@
  * event lets us set values proactively.
  */
 chrome.runtime.onInstalled.addListener(async (details) => {
+  /* Context menu items persist across restarts but must be (re)created here */
+  createXDimmerContextMenus();
+
+  /* New selectors ship with every update — start counting matches afresh */
+  startNewSelectorHealthSession();
+
+  /* The packaged stylesheets may have changed with the update */
+  updateDimThemeStylesheetRegistration();
+  updateEmbedDimThemeRegistration();
+
   if (details.reason === 'install') {
     /* 
      * First-time installation — set defaults.
      * We enable the dim theme by default because that's why
      * the user installed the extension in the first place.
+     * Not a user edit, so it never beats a synced value (see SETTINGS SYNC).
      */
+    untimestampedSettingWrites.set('xDimmerEnabled', 'true');
     await chrome.storage.local.set({
       xDimmerEnabled: true,
       xDimmerInstalledVersion: chrome.runtime.getManifest().version,
+      xDimmerSchemaVersion: X_DIMMER_STORAGE_SCHEMA_VERSION,
     });
 
     /* Update the badge to show the extension is active */
     updateExtensionBadgeToReflectState(true);
 
+    /* Alarms don't survive an update, so (re)arm the schedule either way */
+    await rescheduleDimScheduleAlarm({ applyCurrentPhase: false });
+
     console.log('[X Dimmer] Extension installed — dim mode enabled by default');
   } else if (details.reason === 'update') {
     /*
-     * Extension updated — preserve existing preferences.
-     * In the future, we might need migration logic here if
-     * the storage schema changes between versions.
+     * Extension updated — preserve existing preferences, bringing them up
+     * to this version's storage schema first (see STORAGE MIGRATIONS).
      */
+    await runStorageMigrations(details.previousVersion);
+
     const currentVersion = chrome.runtime.getManifest().version;
     await chrome.storage.local.set({
       xDimmerInstalledVersion: currentVersion,
     });
 
+    await rescheduleDimScheduleAlarm({ applyCurrentPhase: false });
+
     console.log(`[X Dimmer] Extension updated to v${currentVersion}`);
   }
 });
 
 
+/**
+ * Re-arms the schedule when the browser starts.
+ * Chrome may drop alarms across restarts, and transitions may have been
+ * missed while the browser was closed, so we also apply the current phase.
+ */
+chrome.runtime.onStartup.addListener(() => {
+  rescheduleDimScheduleAlarm({ applyCurrentPhase: true });
+  startNewSelectorHealthSession();
+  reconcileSettingsWithSync();
+  updateDimThemeStylesheetRegistration();
+  updateEmbedDimThemeRegistration();
+});
+
+
+/**
+ * Starts a new selector health check session: the content scripts forget
+ * what they have seen and record matches afresh
+ * (see content/content-script-selector-health-check.js).
+ */
+async function startNewSelectorHealthSession() {
+  try {
+    await chrome.storage.local.set({
+      xDimmerSelectorHealth: { sessionStartedAt: new Date().toISOString(), checkedPageTypes: [], matchedSelectors: [] },
+    });
+  } catch (error) {
+    console.error('[X Dimmer] Failed to reset selector health results:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * STORAGE MIGRATIONS
+ * -----------------------------------------------------------------------
+ * On update, stored values are brought up to X_DIMMER_STORAGE_SCHEMA_VERSION
+ * by the steps in shared/dim-storage-migrations.js:
+ * 1. Everything in chrome.storage.local is copied to
+ *    "xDimmerMigrationBackup" — kept until the next migration, so the
+ *    pre-update state can still be inspected or restored by hand
+ * 2. The steps run in memory, on a copy. If one throws, nothing is written:
+ *    storage stays exactly as backed up and the next update tries again
+ * 3. The changed values and the new schema version are written in one
+ *    set() call; if that write fails, the keys it was writing are put back
+ *    as backed up. Nothing else is touched: other listeners may be writing
+ *    their own keys meanwhile (the selector health reset on update, sync)
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Migrates stored values to this version's schema, if they are behind.
+ *
+ * @param {string} [previousExtensionVersion] - The version being updated from
+ * @param {Object[]} [migrations] - The steps (default: X_DIMMER_STORAGE_MIGRATIONS)
+ */
+async function runStorageMigrations(previousExtensionVersion, migrations = X_DIMMER_STORAGE_MIGRATIONS) {
+  const { xDimmerMigrationBackup: previousBackup, ...storedValues } = await chrome.storage.local.get(null);
+  const fromSchemaVersion = storedValues.xDimmerSchemaVersion || X_DIMMER_BASELINE_STORAGE_SCHEMA_VERSION;
+  const toSchemaVersion = getLatestStorageSchemaVersion(migrations);
+  if (fromSchemaVersion >= toSchemaVersion) return;
+
+  try {
+    await chrome.storage.local.set({
+      xDimmerMigrationBackup: {
+        schemaVersion: fromSchemaVersion,
+        extensionVersion: previousExtensionVersion || storedValues.xDimmerInstalledVersion || null,
+        createdAt: new Date().toISOString(),
+        storedValues,
+      },
+    });
+  } catch (error) {
+    /* No backup, no migration — the old values keep working as they are */
+    console.error('[X Dimmer] Failed to back up settings — skipping storage migrations:', error);
+    return;
+  }
+
+  let migrationResult;
+  try {
+    migrationResult = migrateStoredValues(storedValues, fromSchemaVersion, migrations);
+  } catch (error) {
+    console.error('[X Dimmer] Storage migration failed — settings left as they were:', error);
+    return;
+  }
+
+  /* Reshaping a setting is not a user edit: it must not win over synced values */
+  for (const setting of EXPORTED_SETTINGS) {
+    if (setting.storageKey in migrationResult.changedValues) {
+      untimestampedSettingWrites.set(setting.storageKey, JSON.stringify(migrationResult.changedValues[setting.storageKey]));
+    }
+  }
+
+  const migratedValues = { ...migrationResult.changedValues, xDimmerSchemaVersion: toSchemaVersion };
+  try {
+    await chrome.storage.local.set(migratedValues);
+    console.log(`[X Dimmer] Storage migrated from schema ${fromSchemaVersion} to ${toSchemaVersion}`
+      + ` (steps: ${migrationResult.appliedSchemaVersions.join(', ')})`);
+  } catch (error) {
+    console.error('[X Dimmer] Failed to write migrated settings — restoring the backup:', error);
+    await restoreStorageFromMigrationBackup(Object.keys(migratedValues));
+  }
+}
+
+
+/**
+ * Puts the given keys of chrome.storage.local back to their values in
+ * "xDimmerMigrationBackup", removing those the backup doesn't have. Every
+ * other key, and the backup itself, is left alone.
+ *
+ * @param {string[]} migratedKeys - The keys the failed migration write was setting
+ */
+async function restoreStorageFromMigrationBackup(migratedKeys) {
+  try {
+    const { xDimmerMigrationBackup: migrationBackup } = await chrome.storage.local.get('xDimmerMigrationBackup');
+    if (!migrationBackup) return;
+
+    const backedUpValues = Object.fromEntries(
+      migratedKeys.filter((key) => key in migrationBackup.storedValues)
+        .map((key) => [key, migrationBackup.storedValues[key]])
+    );
+    const addedKeys = migratedKeys.filter((key) => !(key in migrationBackup.storedValues));
+
+    /* Putting a setting back is no more a user edit than reshaping it was */
+    for (const setting of EXPORTED_SETTINGS) {
+      if (setting.storageKey in backedUpValues) {
+        untimestampedSettingWrites.set(setting.storageKey, JSON.stringify(backedUpValues[setting.storageKey]));
+      } else if (addedKeys.includes(setting.storageKey)) {
+        untimestampedSettingWrites.delete(setting.storageKey);
+      }
+    }
+
+    if (addedKeys.length > 0) await chrome.storage.local.remove(addedKeys);
+    if (Object.keys(backedUpValues).length > 0) await chrome.storage.local.set(backedUpValues);
+  } catch (error) {
+    console.error('[X Dimmer] Failed to restore settings from the migration backup:', error);
+  }
+}
+
+
 /* -----------------------------------------------------------------------
  * BADGE MANAGEMENT
  * -----------------------------------------------------------------------
@@ -124,6 +337,26 @@ function updateExtensionBadgeToReflectState(isEnabled) {
 }
 
 
+/**
+ * Shows one tab's own state on the badge while that tab is selected.
+ * Tab-specific badge values take precedence over the global one; passing
+ * null for the text hands the tab back to the global badge.
+ *
+ * @param {number} tabId - The tab
+ * @param {'on'|'off'|null} override - The tab's override
+ */
+function updateTabBadgeToReflectOverride(tabId, override) {
+  if (override === 'on') {
+    chrome.action.setBadgeText({ tabId, text: ' ' });
+    chrome.action.setBadgeBackgroundColor({ tabId, color: '#1D9BF0' });
+  } else if (override === 'off') {
+    chrome.action.setBadgeText({ tabId, text: '' });
+  } else {
+    chrome.action.setBadgeText({ tabId, text: null });
+  }
+}
+
+
 /* -----------------------------------------------------------------------
  * STORAGE CHANGE LISTENER
  * -----------------------------------------------------------------------
@@ -150,6 +383,854 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     const isNowEnabled = changes.xDimmerEnabled.newValue;
     updateExtensionBadgeToReflectState(isNowEnabled);
   }
+
+  /* The user edited the schedule — apply it right away, then re-arm */
+  if (changes.xDimmerSchedule) {
+    rescheduleDimScheduleAlarm({ applyCurrentPhase: true });
+  }
+});
+
+
+/* -----------------------------------------------------------------------
+ * SCHEDULED ACTIVATION
+ * -----------------------------------------------------------------------
+ * Users can have Dim (or a particular palette) only in the evening.
+ * The schedule math lives in shared/dim-schedule-calculator.js; here we
+ * turn it into a single chrome.alarms alarm for the next transition.
+ *
+ * WHY ONE ALARM AT A TIME:
+ * Every time an alarm fires we recompute from the stored schedule, so
+ * sunrise/sunset drift day to day and DST changes are picked up for free.
+ * Manual toggles in between are respected until the next transition.
+ * -----------------------------------------------------------------------
+ */
+
+/** Name of the chrome.alarms alarm for the next schedule transition. */
+const DIM_SCHEDULE_ALARM_NAME = 'x-dimmer-schedule-transition';
+
+/**
+ * How long to wait before re-checking when a schedule has no transition
+ * within the next day (polar night / midnight sun at the chosen location).
+ */
+const DIM_SCHEDULE_RECHECK_DELAY_MS = 6 * 60 * 60 * 1000;
+
+
+/**
+ * Writes the preferences for a schedule phase to storage.
+ * The content scripts and the badge react through chrome.storage.onChanged,
+ * exactly as if the user had flipped the popup toggle or picked a palette.
+ *
+ * @param {Object} schedule - The stored schedule
+ * @param {'night'|'day'} phase - The phase to apply
+ */
+async function applyDimSchedulePhase(schedule, phase) {
+  if (schedule.action === 'palette') {
+    await chrome.storage.local.set({
+      xDimmerActivePaletteId: phase === 'night' ? schedule.nightPaletteId : schedule.dayPaletteId,
+    });
+  } else {
+    await chrome.storage.local.set({ xDimmerEnabled: phase === 'night' });
+  }
+
+  console.log(`[X Dimmer] Schedule applied ${phase} phase`);
+}
+
+
+/**
+ * Clears any pending schedule alarm and arms the next one.
+ *
+ * @param {{ applyCurrentPhase: boolean }} options
+ *   applyCurrentPhase — also write the phase we're in right now. True when
+ *   the schedule changed or a transition fired; false on install/update so
+ *   an update never overrides what the user currently has.
+ */
+async function rescheduleDimScheduleAlarm({ applyCurrentPhase }) {
+  try {
+    await chrome.alarms.clear(DIM_SCHEDULE_ALARM_NAME);
+
+    const { xDimmerSchedule: storedSchedule } = await chrome.storage.local.get('xDimmerSchedule');
+    const schedule = completeStoredDimSchedule(storedSchedule);
+    const schedulePhase = computeDimSchedulePhaseAt(schedule, Date.now());
+    if (!schedulePhase) return;
+
+    if (applyCurrentPhase) {
+      await applyDimSchedulePhase(schedule, schedulePhase.currentPhase);
+    }
+
+    const nextAlarmAt = schedulePhase.nextTransition
+      ? schedulePhase.nextTransition.at
+      : Date.now() + DIM_SCHEDULE_RECHECK_DELAY_MS;
+    await chrome.alarms.create(DIM_SCHEDULE_ALARM_NAME, { when: nextAlarmAt });
+  } catch (error) {
+    console.error('[X Dimmer] Failed to schedule the next transition:', error);
+  }
+}
+
+
+/**
+ * Handles the schedule alarm firing: apply the phase we've just entered
+ * and arm the alarm for the transition after it.
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== DIM_SCHEDULE_ALARM_NAME) return;
+  rescheduleDimScheduleAlarm({ applyCurrentPhase: true });
+});
+
+
+/* -----------------------------------------------------------------------
+ * PER-TAB OVERRIDES
+ * -----------------------------------------------------------------------
+ * "xDimmerEnabled" is global: flipping it changes every X tab through
+ * chrome.storage.onChanged. A tab can override it — e.g. one tab in the
+ * original Lights Out for a screenshot while the rest stay Dim.
+ *
+ * WHY THE SERVICE WORKER OWNS THEM:
+ * A content script's memory is lost on reload, and X tabs reload often.
+ * The overrides live in chrome.storage.session keyed by tab ID: they
+ * outlive reloads and service worker restarts, and the onRemoved listener
+ * drops them with the tab. Content scripts ask for theirs when they load.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Reads every tab override.
+ *
+ * @returns {Promise<Object<string, 'on'|'off'>>} Tab ID → override
+ */
+async function readTabDimOverrides() {
+  const { xDimmerTabOverrides } = await chrome.storage.session.get({ xDimmerTabOverrides: {} });
+  return xDimmerTabOverrides;
+}
+
+
+/**
+ * Sets (or, with null, clears) one tab's override, updates its badge and
+ * tells its content script.
+ *
+ * @param {number} tabId - The tab
+ * @param {'on'|'off'|null} override - The new override
+ * @returns {Promise<boolean>} False if the override couldn't be stored
+ */
+async function setTabDimOverride(tabId, override) {
+  try {
+    const tabOverrides = await readTabDimOverrides();
+    if (override) {
+      tabOverrides[tabId] = override;
+    } else {
+      delete tabOverrides[tabId];
+    }
+    await chrome.storage.session.set({ xDimmerTabOverrides: tabOverrides });
+
+    updateTabBadgeToReflectOverride(tabId, override);
+    sendMessageToXTab(tabId, { type: X_DIMMER_TAB_MESSAGE_TYPES.TAB_OVERRIDE_CHANGED, override });
+    return true;
+  } catch (error) {
+    console.error(`[X Dimmer] Failed to set the override for tab ${tabId}:`, error);
+    return false;
+  }
+}
+
+
+/** Forget a tab's override when the tab closes. */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  try {
+    const tabOverrides = await readTabDimOverrides();
+    if (!(tabId in tabOverrides)) return;
+
+    delete tabOverrides[tabId];
+    await chrome.storage.session.set({ xDimmerTabOverrides: tabOverrides });
+  } catch (error) {
+    console.error(`[X Dimmer] Failed to forget the override of closed tab ${tabId}:`, error);
+  }
+});
+
+
+/**
+ * Answers the content scripts and the popup.
+ * Returns true for the asynchronous replies, as chrome.runtime requires.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === X_DIMMER_RUNTIME_MESSAGE_TYPES.GET_TAB_OVERRIDE) {
+    const tabId = message.tabId ?? sender.tab?.id;
+    readTabDimOverrides().then((tabOverrides) => {
+      const override = tabOverrides[tabId] || null;
+      /* A reloading tab may have lost its tab-specific badge */
+      if (sender.tab) updateTabBadgeToReflectOverride(tabId, override);
+      sendResponse({ override });
+    }).catch((error) => {
+      /* Answer anyway — the caller is waiting; no override means "follow the toggle" */
+      console.error(`[X Dimmer] Failed to read the override for tab ${tabId}:`, error);
+      sendResponse({ override: null });
+    });
+    return true;
+  }
+
+  if (message?.type === X_DIMMER_RUNTIME_MESSAGE_TYPES.SET_TAB_OVERRIDE) {
+    setTabDimOverride(message.tabId, message.override)
+      .then((isStored) => sendResponse({ ok: isStored }))
+      .catch((error) => {
+        console.error(`[X Dimmer] Failed to set the override for tab ${message.tabId}:`, error);
+        sendResponse({ ok: false });
+      });
+    return true;
+  }
+
+  if (message?.type === X_DIMMER_RUNTIME_MESSAGE_TYPES.END_LIGHTS_OUT_COMPARISON_IN_TAB && sender.tab) {
+    sendMessageToXTab(sender.tab.id, { type: X_DIMMER_TAB_MESSAGE_TYPES.END_LIGHTS_OUT_COMPARISON });
+    return false;
+  }
+
+  return false;
+});
+
+
+/* -----------------------------------------------------------------------
+ * KEYBOARD COMMANDS AND CONTEXT MENU
+ * -----------------------------------------------------------------------
+ * Shortcuts (declared under "commands" in manifest.json, rebindable at
+ * chrome://extensions/shortcuts) and right-click items on X pages.
+ * The global toggle goes through storage like the popup's; everything
+ * that targets one tab is a message to that tab's content script
+ * (see shared/dim-tab-messages.js).
+ * -----------------------------------------------------------------------
+ */
+
+/** Context menu item IDs. */
+const CONTEXT_MENU_DISABLE_ON_TAB_ID = 'x-dimmer-disable-on-tab';
+const CONTEXT_MENU_FOLLOW_GLOBAL_ON_TAB_ID = 'x-dimmer-follow-global-on-tab';
+const CONTEXT_MENU_REPORT_ELEMENT_ID = 'x-dimmer-report-unthemed-element';
+
+/** Pages the context menu items appear on (the content script's matches). */
+const X_PAGE_URL_PATTERNS = chrome.runtime.getManifest().content_scripts[0].matches;
+
+
+/**
+ * Creates the right-click menu items. Chrome groups them under an
+ * "X Dimmer" submenu because there is more than one.
+ */
+function createXDimmerContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_DISABLE_ON_TAB_ID,
+      title: 'Disable X Dimmer on this tab',
+      contexts: ['all'],
+      documentUrlPatterns: X_PAGE_URL_PATTERNS,
+    });
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_FOLLOW_GLOBAL_ON_TAB_ID,
+      title: 'Use the all-tabs setting on this tab',
+      contexts: ['all'],
+      documentUrlPatterns: X_PAGE_URL_PATTERNS,
+    });
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_REPORT_ELEMENT_ID,
+      title: 'Report unthemed element here',
+      contexts: ['all'],
+      documentUrlPatterns: X_PAGE_URL_PATTERNS,
+    });
+  });
+}
+
+
+/**
+ * Sends a message to one tab's content script.
+ * Tabs opened before the extension was installed/updated have no content
+ * script yet, so a failure is logged rather than thrown.
+ *
+ * @param {number} tabId - The target tab
+ * @param {Object} message - { type, ...fields } (see X_DIMMER_TAB_MESSAGE_TYPES)
+ */
+async function sendMessageToXTab(tabId, message) {
+  try {
+    await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    console.warn(`[X Dimmer] Tab ${tabId} didn't receive ${message.type} — reload it to enable X Dimmer:`, error);
+  }
+}
+
+
+/**
+ * Handles the keyboard shortcuts.
+ *
+ * toggle-dim          — flips the global toggle, exactly like the popup
+ * rescan-page         — full rescan of the active tab
+ * compare-lights-out  — original Lights Out look while the keys are held;
+ *                       Chrome only reports the key press, so the content
+ *                       script itself watches for the release. The start
+ *                       goes to every frame; only the focused one sees the
+ *                       release, and it has the end relayed to the others
+ *                       (END_LIGHTS_OUT_COMPARISON_IN_TAB above)
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'toggle-dim') {
+    const { xDimmerEnabled } = await chrome.storage.local.get({ xDimmerEnabled: true });
+    await chrome.storage.local.set({ xDimmerEnabled: !xDimmerEnabled });
+    return;
+  }
+
+  if (!tab?.id) return;
+
+  if (command === 'rescan-page') {
+    sendMessageToXTab(tab.id, { type: X_DIMMER_TAB_MESSAGE_TYPES.RESCAN_PAGE });
+  } else if (command === 'compare-lights-out') {
+    sendMessageToXTab(tab.id, { type: X_DIMMER_TAB_MESSAGE_TYPES.START_LIGHTS_OUT_COMPARISON });
+  }
+});
+
+
+/**
+ * Handles the context menu items.
+ * frameId is passed along so the report reaches the frame that was
+ * right-clicked, which is the one holding the element.
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id) return;
+
+  if (info.menuItemId === CONTEXT_MENU_DISABLE_ON_TAB_ID) {
+    setTabDimOverride(tab.id, 'off');
+  } else if (info.menuItemId === CONTEXT_MENU_FOLLOW_GLOBAL_ON_TAB_ID) {
+    setTabDimOverride(tab.id, null);
+  } else if (info.menuItemId === CONTEXT_MENU_REPORT_ELEMENT_ID) {
+    chrome.tabs.sendMessage(
+      tab.id,
+      { type: X_DIMMER_TAB_MESSAGE_TYPES.REPORT_UNTHEMED_ELEMENT },
+      { frameId: info.frameId }
+    ).catch((error) => console.warn('[X Dimmer] Failed to report the element:', error));
+  }
+});
+
+
+/* -----------------------------------------------------------------------
+ * PACKAGED DIM THEME STYLESHEET
+ * -----------------------------------------------------------------------
+ * The content script can only paint after its chrome.storage read comes
+ * back, which on a cold tab is after X's first frame — a flash of Lights
+ * Out black. A stylesheet registered with chrome.scripting is inserted by
+ * Chrome itself before the page exists, so X's first frame is already dim.
+ *
+ * WHAT IS REGISTERED:
+ * Registered CSS must be a file in the package, so it is generated ahead
+ * of time (scripts/generate-dim-theme-stylesheets.js → content/generated/):
+ * - dim-palette-<id>.css — the active built-in palette's colors as custom
+ *   properties. Custom palettes can't be packaged: they start from classic
+ *   Dim's file, and the content script sets their colors as soon as it runs
+ * - dim-theme-base.css — every bundled layer, the same for every palette
+ * Everything that depends on the page (page rules, custom overrides, X's
+ * theme, this tab's override…) stays with the content script, which
+ * switches parts of the registered sheet off through <html> attributes.
+ *
+ * WHEN:
+ * Only while the theme is on and X was last seen in Lights Out (or the
+ * detection mode is "always"), so a light-theme X isn't painted navy for a
+ * frame. The registration follows the settings that decide it; palette
+ * changes swap the palette file (updateContentScripts).
+ * -----------------------------------------------------------------------
+ */
+
+/** ID of the registered content script that carries the stylesheets. */
+const DIM_THEME_STYLESHEET_CONTENT_SCRIPT_ID = 'x-dimmer-dim-theme-stylesheet';
+
+/** Where scripts/generate-dim-theme-stylesheets.js writes its files. */
+const GENERATED_STYLESHEETS_DIRECTORY = 'content/generated';
+
+/** Stored settings the registration depends on, with their defaults. */
+const DIM_THEME_STYLESHEET_SETTING_DEFAULTS = {
+  xDimmerEnabled: true,
+  xDimmerActivePaletteId: DEFAULT_ACTIVE_PALETTE_ID,
+  xDimmerThemeDetectionMode: 'lights-out-only',
+  xDimmerLastDetectedXTheme: null,
+};
+
+/** Registration updates run one at a time, in the order they were asked for. */
+let dimThemeStylesheetRegistrationQueue = Promise.resolve();
+
+
+/**
+ * Lists the files to register for a palette, palette colors first.
+ *
+ * @param {string} activePaletteId - The stored "xDimmerActivePaletteId"
+ * @returns {string[]} Extension-relative CSS paths
+ */
+function buildDimThemeStylesheetFiles(activePaletteId) {
+  const isBuiltInPalette = BUILT_IN_PALETTES.some((palette) => palette.id === activePaletteId);
+  const packagedPaletteId = isBuiltInPalette ? activePaletteId : DEFAULT_ACTIVE_PALETTE_ID;
+  return [
+    `${GENERATED_STYLESHEETS_DIRECTORY}/dim-palette-${packagedPaletteId}.css`,
+    `${GENERATED_STYLESHEETS_DIRECTORY}/dim-theme-base.css`,
+  ];
+}
+
+
+/**
+ * Registers, updates or unregisters the packaged stylesheet to match the
+ * stored settings. Queued, so quick successive changes can't interleave
+ * their register / unregister calls.
+ *
+ * @returns {Promise<void>} Settles once this update has been applied
+ */
+function updateDimThemeStylesheetRegistration() {
+  dimThemeStylesheetRegistrationQueue = dimThemeStylesheetRegistrationQueue
+    .then(applyDimThemeStylesheetRegistration)
+    .catch((error) => console.error('[X Dimmer] Failed to update the registered stylesheet:', error));
+  return dimThemeStylesheetRegistrationQueue;
+}
+
+
+/**
+ * Does the work of updateDimThemeStylesheetRegistration.
+ */
+async function applyDimThemeStylesheetRegistration() {
+  const storedPreferences = await chrome.storage.local.get(DIM_THEME_STYLESHEET_SETTING_DEFAULTS);
+  const [registeredContentScript] = await chrome.scripting.getRegisteredContentScripts({
+    ids: [DIM_THEME_STYLESHEET_CONTENT_SCRIPT_ID],
+  });
+
+  /* X's theme is unknown until a tab has reported it — assume Lights Out,
+   * the theme people install this extension for */
+  const isLightsOutExpected = !storedPreferences.xDimmerLastDetectedXTheme
+    || storedPreferences.xDimmerLastDetectedXTheme === 'lights-out';
+  const shouldBeRegistered = storedPreferences.xDimmerEnabled
+    && (storedPreferences.xDimmerThemeDetectionMode === 'always' || isLightsOutExpected);
+
+  if (!shouldBeRegistered) {
+    if (registeredContentScript) {
+      await chrome.scripting.unregisterContentScripts({ ids: [DIM_THEME_STYLESHEET_CONTENT_SCRIPT_ID] });
+      console.log('[X Dimmer] Packaged stylesheet unregistered');
+    }
+    return;
+  }
+
+  const stylesheetFiles = buildDimThemeStylesheetFiles(storedPreferences.xDimmerActivePaletteId);
+  if (registeredContentScript?.css?.join('\n') === stylesheetFiles.join('\n')
+    && registeredContentScript.allFrames) return;
+
+  /* Every frame, like the manifest's content scripts */
+  const contentScript = {
+    id: DIM_THEME_STYLESHEET_CONTENT_SCRIPT_ID,
+    css: stylesheetFiles,
+    matches: X_PAGE_URL_PATTERNS,
+    runAt: 'document_start',
+    allFrames: true,
+    matchOriginAsFallback: true,
+  };
+  if (registeredContentScript) {
+    await chrome.scripting.updateContentScripts([contentScript]);
+  } else {
+    await chrome.scripting.registerContentScripts([contentScript]);
+  }
+  console.log(`[X Dimmer] Packaged stylesheet registered: ${stylesheetFiles.join(', ')}`);
+}
+
+
+/**
+ * Follows the settings the registration depends on — whoever changed them
+ * (popup, options page, schedule, sync, or a tab reporting X's theme).
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (Object.keys(DIM_THEME_STYLESHEET_SETTING_DEFAULTS).some((storageKey) => changes[storageKey])) {
+    updateDimThemeStylesheetRegistration();
+  }
+});
+
+
+/* -----------------------------------------------------------------------
+ * EMBEDDED POSTS (OPT-IN)
+ * -----------------------------------------------------------------------
+ * Posts embedded on other sites are shown by X's embed widget, in an
+ * iframe from platform.twitter.com or platform.x.com. Those origins are
+ * "optional_host_permissions" in manifest.json: nothing runs there until
+ * the user allows them on the options page, which asks Chrome for them.
+ *
+ * The granted permission is the setting — there is no stored flag to
+ * drift from it. While it is granted, content-script-embed-dim-theme.js is
+ * registered for the widget's pages; when it is revoked (on the options
+ * page or at chrome://extensions), the registration goes too.
+ * -----------------------------------------------------------------------
+ */
+
+/** ID of the registered embedded post content script. */
+const EMBED_DIM_THEME_CONTENT_SCRIPT_ID = 'x-dimmer-embed-dim-theme';
+
+/** The embed widget's origins, as the options page asks for them. */
+const EMBED_HOST_PERMISSION_ORIGINS = chrome.runtime.getManifest().optional_host_permissions;
+
+/** The widget's pages on those origins. */
+const EMBED_PAGE_URL_PATTERNS = [
+  'https://platform.twitter.com/embed/*',
+  'https://platform.x.com/embed/*',
+];
+
+/** The embedded post content script and what it needs, in load order. */
+const EMBED_DIM_THEME_CONTENT_SCRIPT_FILES = [
+  'shared/dim-palette-definitions.js',
+  'content/dim-theme-stylesheet-generator.js',
+  'content/content-script-inline-color-fixes.js',
+  'content/content-script-embed-dim-theme.js',
+];
+
+/** Registration updates run one at a time, in the order they were asked for. */
+let embedDimThemeRegistrationQueue = Promise.resolve();
+
+
+/**
+ * Registers or unregisters the embedded post content script to match the
+ * granted permissions. Queued like updateDimThemeStylesheetRegistration.
+ *
+ * @returns {Promise<void>} Settles once this update has been applied
+ */
+function updateEmbedDimThemeRegistration() {
+  embedDimThemeRegistrationQueue = embedDimThemeRegistrationQueue
+    .then(applyEmbedDimThemeRegistration)
+    .catch((error) => console.error('[X Dimmer] Failed to update the embedded post script:', error));
+  return embedDimThemeRegistrationQueue;
+}
+
+
+/**
+ * Does the work of updateEmbedDimThemeRegistration.
+ */
+async function applyEmbedDimThemeRegistration() {
+  const isEmbedAccessGranted = await chrome.permissions.contains({ origins: EMBED_HOST_PERMISSION_ORIGINS });
+  const [registeredContentScript] = await chrome.scripting.getRegisteredContentScripts({
+    ids: [EMBED_DIM_THEME_CONTENT_SCRIPT_ID],
+  });
+
+  if (!isEmbedAccessGranted) {
+    if (registeredContentScript) {
+      await chrome.scripting.unregisterContentScripts({ ids: [EMBED_DIM_THEME_CONTENT_SCRIPT_ID] });
+      console.log('[X Dimmer] Embedded post script unregistered');
+    }
+    return;
+  }
+
+  /* The file list may have changed with an update */
+  if (registeredContentScript?.js?.join('\n') === EMBED_DIM_THEME_CONTENT_SCRIPT_FILES.join('\n')) return;
+
+  /* The widget is always an iframe in someone else's page */
+  const contentScript = {
+    id: EMBED_DIM_THEME_CONTENT_SCRIPT_ID,
+    js: EMBED_DIM_THEME_CONTENT_SCRIPT_FILES,
+    matches: EMBED_PAGE_URL_PATTERNS,
+    runAt: 'document_start',
+    allFrames: true,
+  };
+  if (registeredContentScript) {
+    await chrome.scripting.updateContentScripts([contentScript]);
+  } else {
+    await chrome.scripting.registerContentScripts([contentScript]);
+  }
+  console.log('[X Dimmer] Embedded post script registered');
+}
+
+
+/**
+ * Follows the user granting or revoking the embed origins.
+ */
+chrome.permissions.onAdded.addListener(updateEmbedDimThemeRegistration);
+chrome.permissions.onRemoved.addListener(updateEmbedDimThemeRegistration);
+
+
+/* -----------------------------------------------------------------------
+ * SETTINGS SYNC (OPT-IN)
+ * -----------------------------------------------------------------------
+ * chrome.storage.local stays the one place every script reads settings
+ * from. While "xDimmerSyncEnabled" is on, this section mirrors the
+ * settings listed in EXPORTED_SETTINGS (shared/dim-settings-transfer.js)
+ * to chrome.storage.sync, and copies other devices' changes back into
+ * local. The content scripts and the popup therefore see a remote change
+ * through their usual 'local' listeners, exactly like a popup change.
+ *
+ * SYNC LAYOUT — one group of items per setting, so two devices editing
+ * different settings never overwrite each other:
+ *   "xDimmerSync.<name>.meta" → { updatedAt, chunkCount }
+ *   "xDimmerSync.<name>.0" … "xDimmerSync.<name>.<chunkCount - 1>"
+ *       → consecutive slices of the setting's JSON text
+ * chrome.storage.sync allows 8 KB per item; a large custom rule set or
+ * palette list is spread over as many chunks as it needs. Chunks and
+ * their meta item are written in one set() call, so other devices never
+ * see a half-written setting.
+ *
+ * CONFLICTS — LAST WRITER WINS:
+ * Every change to a synced setting is timestamped in
+ * "xDimmerSyncTimestamps" (local, whether sync is on or not). A remote
+ * value replaces the local one only if its updatedAt is newer; otherwise
+ * the local value is pushed. Timestamps come from each device's clock.
+ *
+ * LOCAL FALLBACK:
+ * Nothing waits on sync. When it is unavailable or over quota, the error
+ * is recorded in "xDimmerSyncStatus" for the options page and everything keeps
+ * working from local; the next change or browser start tries again.
+ * -----------------------------------------------------------------------
+ */
+
+/** Prefix of every sync item this extension writes. */
+const SYNCED_SETTING_ITEM_KEY_PREFIX = 'xDimmerSync.';
+
+/**
+ * Delay (ms) before pushing local changes. A color picker drag writes many
+ * times a second; sync allows 120 writes a minute.
+ */
+const SYNC_PUSH_DEBOUNCE_MS = 2000;
+
+/** Starting length of a chunk; shortened while its item is over quota. */
+const SYNC_CHUNK_MAX_CHARACTERS = 6000;
+
+/** Settings changed locally and not pushed yet, by name. */
+const settingNamesAwaitingSyncPush = new Set();
+
+/** Timer ID of the pending debounced push. */
+let syncPushTimerId = null;
+
+/**
+ * Writes that are not user edits — values copied in from sync and the
+ * install defaults — by storage key, as JSON. Their onChanged echo is
+ * neither timestamped nor pushed back.
+ */
+const untimestampedSettingWrites = new Map();
+
+/** Serializes read-modify-writes of "xDimmerSyncTimestamps". */
+let syncTimestampsWriteQueue = Promise.resolve();
+
+
+/**
+ * Returns the sync item key for one part of a setting.
+ *
+ * @param {string} settingName - EXPORTED_SETTINGS name, e.g. "pageRules"
+ * @param {string|number} part - "meta" or a chunk index
+ * @returns {string} e.g. "xDimmerSync.pageRules.meta"
+ */
+function buildSyncedSettingItemKey(settingName, part) {
+  return `${SYNCED_SETTING_ITEM_KEY_PREFIX}${settingName}.${part}`;
+}
+
+
+/**
+ * Splits a setting's JSON text into chunks whose sync items each fit in
+ * QUOTA_BYTES_PER_ITEM. Quota is counted on the key plus the JSON of the
+ * stored value in UTF-8, so escaping and non-ASCII names are measured,
+ * not guessed.
+ *
+ * @param {string} settingName - EXPORTED_SETTINGS name
+ * @param {string} serializedValue - JSON.stringify of the setting's value
+ * @returns {string[]} The chunks, in order
+ */
+function splitSettingIntoSyncChunks(settingName, serializedValue) {
+  const textEncoder = new TextEncoder();
+  const chunks = [];
+  let remainingText = serializedValue;
+
+  while (remainingText.length > 0) {
+    const chunkKey = buildSyncedSettingItemKey(settingName, chunks.length);
+    let chunkLength = Math.min(remainingText.length, SYNC_CHUNK_MAX_CHARACTERS);
+    while (textEncoder.encode(chunkKey + JSON.stringify(remainingText.slice(0, chunkLength))).length
+      > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+      chunkLength = Math.floor(chunkLength * 0.75);
+    }
+    /* Never cut a surrogate pair in half — a lone half isn't valid text */
+    const lastCharCode = remainingText.charCodeAt(chunkLength - 1);
+    if (chunkLength < remainingText.length && lastCharCode >= 0xD800 && lastCharCode <= 0xDBFF) chunkLength--;
+
+    chunks.push(remainingText.slice(0, chunkLength));
+    remainingText = remainingText.slice(chunkLength);
+  }
+  return chunks;
+}
+
+
+/**
+ * Records the time of a local change to the given settings.
+ *
+ * @param {Object<string, number>} updatedAtBySettingName - name → ms timestamp
+ */
+function recordSyncTimestamps(updatedAtBySettingName) {
+  syncTimestampsWriteQueue = syncTimestampsWriteQueue.then(async () => {
+    const { xDimmerSyncTimestamps } = await chrome.storage.local.get({ xDimmerSyncTimestamps: {} });
+    await chrome.storage.local.set({ xDimmerSyncTimestamps: { ...xDimmerSyncTimestamps, ...updatedAtBySettingName } });
+  }).catch((error) => console.error('[X Dimmer] Failed to record setting change times:', error));
+  return syncTimestampsWriteQueue;
+}
+
+
+/**
+ * Stores the outcome of the last sync attempt for the options page.
+ *
+ * @param {Error|null} error - What went wrong, or null on success
+ */
+async function recordSyncStatus(error) {
+  const xDimmerSyncStatus = error
+    ? { state: 'error', message: error.message || String(error), at: new Date().toISOString() }
+    : { state: 'ok', at: new Date().toISOString() };
+  await chrome.storage.local.set({ xDimmerSyncStatus });
+}
+
+
+/**
+ * Writes the given settings' local values to sync, stamped with their
+ * local change times, and removes chunks a shorter value no longer uses.
+ *
+ * @param {string[]} settingNames - EXPORTED_SETTINGS names
+ */
+async function pushSettingsToSync(settingNames) {
+  const pushedSettings = EXPORTED_SETTINGS.filter((setting) => settingNames.includes(setting.name));
+  if (pushedSettings.length === 0) return;
+
+  try {
+    await syncTimestampsWriteQueue;
+    const localValues = await chrome.storage.local.get({
+      ...buildExportedSettingsStorageDefaults(),
+      xDimmerSyncTimestamps: {},
+    });
+    const previousMetas = await chrome.storage.sync.get(
+      pushedSettings.map((setting) => buildSyncedSettingItemKey(setting.name, 'meta'))
+    );
+
+    const syncItems = {};
+    const staleChunkKeys = [];
+    for (const setting of pushedSettings) {
+      const chunks = splitSettingIntoSyncChunks(setting.name, JSON.stringify(localValues[setting.storageKey]));
+      chunks.forEach((chunk, chunkIndex) => {
+        syncItems[buildSyncedSettingItemKey(setting.name, chunkIndex)] = chunk;
+      });
+      syncItems[buildSyncedSettingItemKey(setting.name, 'meta')] = {
+        updatedAt: localValues.xDimmerSyncTimestamps[setting.name] || Date.now(),
+        chunkCount: chunks.length,
+      };
+
+      const previousChunkCount = previousMetas[buildSyncedSettingItemKey(setting.name, 'meta')]?.chunkCount || 0;
+      for (let chunkIndex = chunks.length; chunkIndex < previousChunkCount; chunkIndex++) {
+        staleChunkKeys.push(buildSyncedSettingItemKey(setting.name, chunkIndex));
+      }
+    }
+
+    await chrome.storage.sync.set(syncItems);
+    if (staleChunkKeys.length > 0) await chrome.storage.sync.remove(staleChunkKeys);
+    await recordSyncStatus(null);
+  } catch (error) {
+    console.error('[X Dimmer] Failed to sync settings — keeping them on this device only:', error);
+    await recordSyncStatus(error);
+  }
+}
+
+
+/**
+ * Queues settings for a debounced push.
+ *
+ * @param {string[]} settingNames - EXPORTED_SETTINGS names
+ */
+function scheduleSettingsSyncPush(settingNames) {
+  settingNames.forEach((settingName) => settingNamesAwaitingSyncPush.add(settingName));
+  clearTimeout(syncPushTimerId);
+  syncPushTimerId = setTimeout(() => {
+    const pushedSettingNames = [...settingNamesAwaitingSyncPush];
+    settingNamesAwaitingSyncPush.clear();
+    pushSettingsToSync(pushedSettingNames);
+  }, SYNC_PUSH_DEBOUNCE_MS);
+}
+
+
+/**
+ * Compares every synced setting with sync: copies newer remote values into
+ * local, and pushes local values that are newer or not in sync yet.
+ * Runs when sync is turned on, on browser startup, and when another
+ * device's change arrives (limited to the settings it touched).
+ *
+ * @param {string[]} [settingNames] - Limit to these names (default: all)
+ */
+async function reconcileSettingsWithSync(settingNames = EXPORTED_SETTINGS.map((setting) => setting.name)) {
+  try {
+    await syncTimestampsWriteQueue;
+    const localValues = await chrome.storage.local.get({
+      ...buildExportedSettingsStorageDefaults(),
+      xDimmerSyncEnabled: false,
+      xDimmerSyncTimestamps: {},
+    });
+    if (!localValues.xDimmerSyncEnabled) return;
+
+    const syncItems = await chrome.storage.sync.get(null);
+    const localValuesFromSync = {};
+    const remoteTimestamps = {};
+    const settingNamesToPush = [];
+
+    for (const setting of EXPORTED_SETTINGS.filter((candidate) => settingNames.includes(candidate.name))) {
+      const remoteMeta = syncItems[buildSyncedSettingItemKey(setting.name, 'meta')];
+      const localUpdatedAt = localValues.xDimmerSyncTimestamps[setting.name] || 0;
+
+      if (!remoteMeta || remoteMeta.updatedAt < localUpdatedAt) {
+        settingNamesToPush.push(setting.name);
+        continue;
+      }
+      if (remoteMeta.updatedAt === localUpdatedAt) continue;
+
+      const chunks = Array.from({ length: remoteMeta.chunkCount },
+        (unused, chunkIndex) => syncItems[buildSyncedSettingItemKey(setting.name, chunkIndex)]);
+      if (chunks.some((chunk) => typeof chunk !== 'string')) {
+        console.warn(`[X Dimmer] Synced setting "${setting.name}" is incomplete — skipping it`);
+        continue;
+      }
+
+      const remoteValueJson = JSON.stringify(JSON.parse(chunks.join('')));
+      remoteTimestamps[setting.name] = remoteMeta.updatedAt;
+      /* Same value with a newer stamp: adopt the stamp, skip the no-op write */
+      if (remoteValueJson === JSON.stringify(localValues[setting.storageKey])) continue;
+
+      localValuesFromSync[setting.storageKey] = JSON.parse(remoteValueJson);
+      untimestampedSettingWrites.set(setting.storageKey, remoteValueJson);
+    }
+
+    if (Object.keys(remoteTimestamps).length > 0) await recordSyncTimestamps(remoteTimestamps);
+
+    if (Object.keys(localValuesFromSync).length > 0) await chrome.storage.local.set(localValuesFromSync);
+    if (settingNamesToPush.length > 0) {
+      await pushSettingsToSync(settingNamesToPush);
+    } else {
+      await recordSyncStatus(null);
+    }
+  } catch (error) {
+    console.error('[X Dimmer] Failed to read synced settings:', error);
+    await recordSyncStatus(error);
+  }
+}
+
+
+/**
+ * Local changes: timestamp user edits to synced settings and push them;
+ * reconcile when sync is switched on.
+ * Sync changes: another device (or this one) wrote a setting — pull it if
+ * it is newer than ours.
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === 'sync') {
+    const changedSettingNames = Object.keys(changes)
+      .filter((key) => key.startsWith(SYNCED_SETTING_ITEM_KEY_PREFIX) && key.endsWith('.meta'))
+      .map((key) => key.slice(SYNCED_SETTING_ITEM_KEY_PREFIX.length, -'.meta'.length));
+    if (changedSettingNames.length > 0) reconcileSettingsWithSync(changedSettingNames);
+    return;
+  }
+  if (areaName !== 'local') return;
+
+  if (changes.xDimmerSyncEnabled?.newValue === true) {
+    reconcileSettingsWithSync();
+    return;
+  }
+
+  const changedAt = Date.now();
+  const editedSettingTimestamps = {};
+  for (const setting of EXPORTED_SETTINGS) {
+    if (!changes[setting.storageKey]) continue;
+
+    const newValueJson = JSON.stringify(changes[setting.storageKey].newValue);
+    if (untimestampedSettingWrites.get(setting.storageKey) === newValueJson) {
+      untimestampedSettingWrites.delete(setting.storageKey);
+      continue;
+    }
+    editedSettingTimestamps[setting.name] = changedAt;
+  }
+  if (Object.keys(editedSettingTimestamps).length === 0) return;
+
+  recordSyncTimestamps(editedSettingTimestamps);
+  const { xDimmerSyncEnabled } = await chrome.storage.local.get({ xDimmerSyncEnabled: false });
+  if (xDimmerSyncEnabled) scheduleSettingsSyncPush(Object.keys(editedSettingTimestamps));
 });
 
 
@@ -0,0 +1,221 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: COMPUTED-STYLE CLASS SCANNER
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Finds the X class names that paint Lights Out backgrounds, so they can be
+ * overridden once at the class level instead of element by element.
+ *
+ * WHY IT IS NEEDED:
+ * X heavily uses inline styles for layout but uses classes for theming.
+ * React Native Web compiles every style into atomic classes ("r-kemksi",
+ * "css-175oi2r"), and their names change whenever X ships a new build.
+ * A surface that turns black through one of those classes has no inline
+ * style, so neither the [style*=...] selectors nor the MutationObserver's
+ * inline fixes ever see it. The static stylesheet can only list the class
+ * names we happened to know about when it was written.
+ *
+ * HOW IT WORKS (optional — "xDimmerComputedStyleScanEnabled"):
+ * 1. For each element, read getComputedStyle().backgroundColor
+ * 2. If it is a Lights Out surface color (and not set inline), probe each of
+ *    the element's classes on a hidden element to find the one responsible
+ * 3. Remember that class and its color; the injector turns the list into
+ *    class-level rules in the "x-dimmer-extension-dynamic-fixes" <style>,
+ *    painted with the palette's custom properties like the generated
+ *    layers — so a palette switch or a hover preview needs no rebuild
+ *
+ * WHY IT IS CHEAP ENOUGH:
+ * getComputedStyle forces a style recalc, so we avoid calling it per element.
+ * React Native Web elements with the same look share the exact same class
+ * attribute, so each distinct class attribute is examined once, and each
+ * distinct class name is probed once, for the lifetime of the page.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Lights Out surface and border "r, g, b" → the palette slot that replaces
+ * it, from LIGHTS_OUT_COLOR_FAMILY. Text colors are left out, as in
+ * buildLightsOutToPaletteColorMap: these are backgrounds.
+ */
+const LIGHTS_OUT_BACKGROUND_PALETTE_SLOTS = Object.fromEntries(LIGHTS_OUT_COLOR_FAMILY
+  .filter((familyEntry) => familyEntry.role !== 'text')
+  .map((familyEntry) => [convertHexColorToRgbTriplet(familyEntry.lightsOutHex), familyEntry.paletteSlot]));
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Class names found to paint a Lights Out background on their own,
+ * mapped to the computed color they produce (e.g. "rgb(0, 0, 0)").
+ * Kept across palette changes — only the replacement colors change.
+ */
+const lightsOutBackgroundColorByClassName = new Map();
+
+/** Every class name already probed, whether or not it was a match. */
+const probedClassNames = new Set();
+
+/** Every full class attribute value already examined. */
+const examinedClassAttributeValues = new Set();
+
+/** Hidden element the class probes are applied to (created on first use). */
+let classProbeElement = null;
+
+
+/* -----------------------------------------------------------------------
+ * PROBING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Checks whether a computed background color is one of the Lights Out
+ * surface colors. Fully transparent values are ignored — "rgba(0, 0, 0, 0)"
+ * is what getComputedStyle reports for "no background at all".
+ *
+ * @param {string} computedColor - e.g. "rgb(0, 0, 0)" or "rgba(22, 24, 28, 0.85)"
+ * @param {Object<string, string>} colorMap - Lights Out "r, g, b" → palette "r, g, b"
+ * @returns {boolean} True if the color should be remapped
+ */
+function isLightsOutSurfaceColor(computedColor, colorMap) {
+  const rgbMatch = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/.exec(computedColor);
+  if (!rgbMatch) return false;
+  if (rgbMatch[4] !== undefined && parseFloat(rgbMatch[4]) === 0) return false;
+
+  return Boolean(colorMap[`${rgbMatch[1]}, ${rgbMatch[2]}, ${rgbMatch[3]}`]);
+}
+
+
+/**
+ * Returns the background color a single class produces on its own.
+ *
+ * The probe lives on <html>, outside <body>, so the injector's body
+ * MutationObserver never sees our own className changes.
+ *
+ * @param {string} className - One class name from an X element
+ * @returns {string} The computed background-color
+ */
+function probeClassNameBackgroundColor(className) {
+  if (!classProbeElement) {
+    classProbeElement = document.createElement('div');
+    classProbeElement.setAttribute('aria-hidden', 'true');
+    classProbeElement.style.cssText =
+      'position:absolute;top:-9999px;width:0;height:0;visibility:hidden;pointer-events:none;';
+  }
+  if (!classProbeElement.isConnected) {
+    document.documentElement.appendChild(classProbeElement);
+  }
+
+  classProbeElement.className = className;
+  return getComputedStyle(classProbeElement).backgroundColor;
+}
+
+
+/**
+ * Examines elements and records any class that paints a Lights Out surface.
+ *
+ * @param {Iterable<Element>} elements - Elements to examine
+ * @param {Object<string, string>} colorMap - Lights Out "r, g, b" → palette "r, g, b"
+ * @returns {boolean} True if at least one new class was recorded
+ */
+function findLightsOutBackgroundClassesInElements(elements, colorMap) {
+  let foundNewClass = false;
+
+  for (const element of elements) {
+    const classAttributeValue = element.getAttribute?.('class');
+    if (!classAttributeValue || examinedClassAttributeValues.has(classAttributeValue)) continue;
+
+    /* Inline backgrounds belong to the inline-style fixes — skip them
+     * without caching, since the same classes may appear elsewhere bare */
+    if (element.style?.backgroundColor) continue;
+    examinedClassAttributeValues.add(classAttributeValue);
+
+    if (!isLightsOutSurfaceColor(getComputedStyle(element).backgroundColor, colorMap)) continue;
+
+    for (const className of element.classList) {
+      if (probedClassNames.has(className)) continue;
+      probedClassNames.add(className);
+
+      const probedColor = probeClassNameBackgroundColor(className);
+      if (isLightsOutSurfaceColor(probedColor, colorMap)) {
+        lightsOutBackgroundColorByClassName.set(className, probedColor);
+        foundNewClass = true;
+      }
+    }
+  }
+
+  if (classProbeElement) classProbeElement.remove();
+  return foundNewClass;
+}
+
+
+/* -----------------------------------------------------------------------
+ * RULE GENERATION
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Turns a recorded computed color into the palette token that replaces it
+ * — '{slot}', or '{slot@alpha}' for a semi-transparent one — for
+ * resolvePaletteTokensToCustomProperties.
+ *
+ * @param {string} lightsOutColor - e.g. "rgb(0, 0, 0)" or "rgba(22, 24, 28, 0.85)"
+ * @returns {string|null} The token, or null if the color isn't a Lights Out surface
+ */
+function convertLightsOutColorToPaletteToken(lightsOutColor) {
+  const rgbMatch = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/.exec(lightsOutColor);
+  const paletteSlot = rgbMatch && LIGHTS_OUT_BACKGROUND_PALETTE_SLOTS[`${rgbMatch[1]}, ${rgbMatch[2]}, ${rgbMatch[3]}`];
+  if (!paletteSlot) return null;
+
+  const isSemiTransparent = rgbMatch[4] !== undefined && parseFloat(rgbMatch[4]) < 1;
+  return isSemiTransparent ? `{${paletteSlot}@${rgbMatch[4]}}` : `{${paletteSlot}}`;
+}
+
+
+/**
+ * Builds the class-level override rules for every recorded class.
+ *
+ * WHY THE CLASS IS REPEATED (".r-kemksi.r-kemksi"):
+ * X's atomic rules are single-class selectors, and X inserts its sheet
+ * after ours. Doubling the class raises our specificity above theirs
+ * without !important, so inline styles X sets deliberately still win.
+ *
+ * @param {string} [surfaceExclusionCondition] - From
+ *   buildDisabledSurfaceExclusionCondition: keeps the overrides out of the
+ *   surfaces the page rules turn off ('' or omitted: none)
+ * @returns {string} CSS text (empty if nothing was found)
+ */
+function buildLightsOutClassOverrideRulesText(surfaceExclusionCondition = '') {
+  const overrideRules = [];
+  for (const [className, lightsOutColor] of lightsOutBackgroundColorByClassName) {
+    const paletteToken = convertLightsOutColorToPaletteToken(lightsOutColor);
+    if (!paletteToken) continue;
+
+    const escapedClassName = CSS.escape(className);
+    overrideRules.push(`.${escapedClassName}.${escapedClassName}${surfaceExclusionCondition} `
+      + `{ background-color: ${resolvePaletteTokensToCustomProperties(paletteToken)}; }`);
+  }
+  return overrideRules.join('\n');
+}
+
+
+/**
+ * Forgets every examined class attribute and probed class, so the next
+ * scan starts from scratch (used by the "rescan page" command).
+ */
+function resetComputedStyleScanCache() {
+  lightsOutBackgroundColorByClassName.clear();
+  probedClassNames.clear();
+  examinedClassAttributeValues.clear();
+}
@@ -4,25 +4,68 @@
  * =============================================================================
  *
  * PURPOSE:
- * This content script runs on x.com and twitter.com pages. It is responsible
+ * This content script runs on x.com and twitter.com pages (and X Pro decks
+ * on pro.x.com). It is responsible
  * for injecting (or removing) the dim theme CSS overrides into the page.
  * It runs at document_start (before the page renders) so users never see
  * the flash of the pure-black "Lights Out" theme before the dim kicks in.
  *
  * HOW IT WORKS:
  * 1. On load, checks chrome.storage.local for the "xDimmerEnabled" flag
- * 2. If enabled, injects the dim-theme-override-styles.css into the page <head>
+ * 2. If enabled, paints the dim theme: the base stylesheet is normally
+ *    already in the page (registered by the service worker, see WHY A
+ *    REGISTERED STYLESHEET), and is injected here only when it isn't;
+ *    this script adds the active palette's colors and the page-specific
+ *    rules, and switches parts off through <html> attributes
  * 3. Sets up a MutationObserver to handle dynamically-added elements that
- *    X styles with inline background-color: rgb(0, 0, 0) after page load
+ *    X styles with inline Lights Out colors after page load (backgrounds,
+ *    gradients, borders, box-shadows, SVG fills and text), fixed in idle
+ *    time (see content-script-inline-style-fix-queue.js and
+ *    content-script-inline-color-fixes.js)
  * 4. Listens for chrome.storage.onChanged events so toggling in the popup
  *    instantly updates all open X/Twitter tabs without requiring a reload
+ * 5. Only paints the override while X is really rendering Lights Out
+ *    (see content-script-x-theme-detector.js), unless the user chose "always"
+ * 6. Optionally finds X classes that paint Lights Out surfaces and overrides
+ *    them at the class level (see content-script-computed-style-scanner.js)
+ * 7. Optionally rewrites X's own stylesheets through the CSSOM instead
+ *    (see content-script-stylesheet-rewriter.js)
+ * 8. Applies the user's page rules — the whole theme, or single surfaces,
+ *    turned off on matching paths (see shared/dim-page-rules.js) — and
+ *    re-applies them as the SPA navigates
+ * 9. Tracks SPA route changes, rescans the new view, and passes route
+ *    changes on to every subsystem that subscribed to them
+ * 10. Handles the per-tab messages from the service worker's keyboard
+ *     commands and context menu (rescan, compare, report)
+ * 11. Honors this tab's override of the global toggle, which the service
+ *     worker keeps for the tab's whole lifetime
+ * 12. Paints the user's custom override rules, created on the page with
+ *     the element picker (see content-script-element-picker.js)
+ * 13. Runs the unthemed-surface diagnostics pass for the options page
+ *     (see content-script-unthemed-surface-diagnostics.js)
+ * 14. Records which bundled selectors match the live page, so stale
+ *     layers can be spotted (see content-script-selector-health-check.js)
+ * 15. Carries the theme into X's open shadow roots and watches them like
+ *     <body> (see content-script-shadow-root-coverage.js)
  *
- * WHY DOCUMENT_START:
- * We inject at document_start (configured in manifest.json) because:
- * - It prevents the "flash of black" that would occur if we waited for
- *   DOMContentLoaded or load events
- * - The <style> element is ready before X's own styles fully paint
- * - This gives the smoothest, most seamless user experience
+ * WHY EVERY FRAME:
+ * manifest.json runs these scripts in every frame of an X page ("all_frames"),
+ * including about:blank and srcdoc frames X creates itself
+ * ("match_origin_as_fallback"), so the x.com/i/… flows X shows in iframes
+ * are dimmed by their own copy of this script. Only the top frame speaks
+ * for the tab where that matters (IS_TOP_FRAME_DOCUMENT); the popup and
+ * the options page send the element picker and diagnostics requests to
+ * frame 0 only.
+ *
+ * WHY A REGISTERED STYLESHEET:
+ * This script runs at document_start, but it can only paint once its
+ * chrome.storage read comes back — on a cold tab that is after X's first
+ * frame, which then flashes Lights Out black. The service worker registers
+ * the base stylesheet with chrome.scripting instead, and Chrome inserts it
+ * before the page exists. That sheet can't be removed from the page, so
+ * every rule in it is gated on <html> attributes (DIM_THEME_ROOT_ATTRIBUTES
+ * in dim-theme-stylesheet-generator.js): with none set, as at first paint,
+ * everything applies; this script pauses it, or parts of it, from there.
  *
  * WHY MUTATIONOBSERVER:
  * X/Twitter is a Single Page Application (SPA) that dynamically renders
@@ -34,6 +77,25 @@
  *
  * STORAGE KEYS:
  * - "xDimmerEnabled" (boolean) — whether dim mode is active (default: true)
+ * - "xDimmerActivePaletteId" (string) — which palette to paint with
+ *   (default: "dim-classic")
+ * - "xDimmerCustomPalettes" (array) — user-defined palettes from the options page editor
+ * - "xDimmerThemeDetectionMode" (string) — "lights-out-only" (default): apply
+ *   only while X renders Lights Out; "always": apply regardless of X's theme
+ * - "xDimmerComputedStyleScanEnabled" (boolean) — scan computed backgrounds
+ *   for class-based Lights Out surfaces (default: false)
+ * - "xDimmerStylesheetRewriteEnabled" (boolean) — remap X's stylesheet rules
+ *   with a generated counter-stylesheet (default: false)
+ * - "xDimmerPageRules" (array) — { pathPattern, surfaceId } rules that keep
+ *   X's native look on matching pages (default: [])
+ * - "xDimmerCustomOverrideRules" (array) — { selector, paletteSlot, surfaceId }
+ *   rules created with the element picker (default: [])
+ * - "xDimmerSelectorHealth" (object) — which bundled selectors have matched
+ *   the live page this session (written by the selector health check)
+ * - "xDimmerLastDetectedXTheme" (string) — the theme X was last seen rendering;
+ *   written here, read by the service worker (see recordLastDetectedXTheme)
+ * - "xDimmerUnthemedElementReports" (array) — elements reported through the
+ *   "Report unthemed element here" context menu item (newest first)
  * - "xDimmerIntensity" (number 0-100) — how much to shift toward dim vs black
  *   (100 = full dim navy, 0 = original lights out black, default: 100)
  * =============================================================================
@@ -42,53 +104,73 @@
 
 /* -----------------------------------------------------------------------
  * CONFIGURATION CONSTANTS
- * These define the color mapping from "Lights Out" to "Dim" palette.
- * Having them here (in addition to CSS) allows the JS MutationObserver
- * to handle inline styles that CSS attribute selectors might miss.
  * -----------------------------------------------------------------------
  */
 
 /**
- * Color mapping from X's "Lights Out" RGB values to "Dim" equivalents.
- * Each entry maps a Lights Out color (as "r,g,b" string) to its Dim replacement.
- * 
- * This is used by the MutationObserver to find and replace inline background colors.
- * The CSS file handles most cases, but dynamically injected inline styles sometimes
- * slip through, especially in modals, popovers, and lazy-loaded content.
+ * A unique identifier for our injected base stylesheet <style> element —
+ * only used in documents that loaded without the registered stylesheet.
+ * The ID is deliberately verbose to avoid conflicts with X's own DOM.
  */
-const LIGHTS_OUT_TO_DIM_COLOR_MAP = {
-  '0, 0, 0':      '21, 32, 43',     // #000000 → #15202B (primary background)
-  '22, 24, 28':    '25, 39, 52',     // #16181C → #192734 (secondary surfaces)
-  '21, 24, 28':    '25, 39, 52',     // slight variant of secondary
-  '32, 35, 39':    '34, 48, 60',     // #202327 → #22303C (elevated surfaces)
-  '29, 31, 35':    '30, 39, 50',     // #1D1F23 → #1E2732 (hover states)
-  '39, 44, 48':    '34, 48, 60',     // another hover variant
-  '47, 51, 54':    '56, 68, 77',     // #2F3336 → #38444D (borders)
-};
+const INJECTED_STYLE_ELEMENT_ID = 'x-dimmer-extension-dim-theme-overrides';
 
 /**
- * A unique identifier for our injected <style> element.
- * We use this to find and remove/replace it when toggling the extension.
- * The ID is deliberately verbose to avoid conflicts with X's own DOM.
+ * A unique identifier for the palette colors <style> element: the active
+ * palette's custom properties, which outrank the registered palette file.
  */
-const INJECTED_STYLE_ELEMENT_ID = 'x-dimmer-extension-dim-theme-overrides';
+const PALETTE_COLORS_STYLE_ELEMENT_ID = 'x-dimmer-extension-palette-colors';
+
+/**
+ * A unique identifier for the page-specific rules <style> element:
+ * custom override rules, and the catch-alls with disabled surfaces excluded.
+ */
+const PAGE_SPECIFIC_RULES_STYLE_ELEMENT_ID = 'x-dimmer-extension-page-specific-rules';
 
 /**
- * A unique identifier for the inline-style-fix <style> element.
- * This contains dynamically generated CSS from the MutationObserver.
+ * A unique identifier for the dynamic fixes <style> element.
+ * This contains class-level rules generated at runtime by the computed-style
+ * scanner, for X classes the static stylesheet doesn't know about.
  */
 const DYNAMIC_FIXES_STYLE_ELEMENT_ID = 'x-dimmer-extension-dynamic-fixes';
 
 /**
- * Debounce interval (ms) for MutationObserver processing.
- * We batch DOM mutations and process them in requestAnimationFrame
- * to avoid performance issues from processing every single mutation.
- * 
- * 100ms is a good balance between responsiveness and performance.
- * Users won't notice a 100ms delay in background color changes,
- * but it prevents excessive DOM scanning during rapid scrolling.
+ * A unique identifier for the counter-stylesheet <style> element.
+ * This contains X's own Lights Out rules remapped by the stylesheet rewriter.
  */
-const MUTATION_OBSERVER_DEBOUNCE_MS = 100;
+const STYLESHEET_REWRITES_STYLE_ELEMENT_ID = 'x-dimmer-extension-stylesheet-rewrites';
+
+/**
+ * Delay (ms) before the second, "settled" rescan after a route change.
+ * X swaps the view in over several frames — the first rescan catches what
+ * is already there, this one catches panels that arrive late.
+ */
+const ROUTE_CHANGE_SETTLE_RESCAN_DELAY_MS = 400;
+
+/** How many "Report unthemed element" reports are kept in storage. */
+const MAX_STORED_UNTHEMED_ELEMENT_REPORTS = 20;
+
+/**
+ * Longest a Lights Out comparison lasts (ms) without the shortcut being
+ * pressed again. A fallback for a release we never see: keys let go before
+ * the start message arrived, or released in a frame whose relayed end got
+ * lost.
+ */
+const LIGHTS_OUT_COMPARISON_MAX_DURATION_MS = 5000;
+
+/** Whether this copy of the script runs in the tab's top frame. */
+const IS_TOP_FRAME_DOCUMENT = window === window.top;
+
+/**
+ * What the MutationObserver watches on <body> and on every covered shadow
+ * root: added elements, and changes of the attributes that can bring an
+ * inline color or a new shadow root.
+ */
+const INLINE_STYLE_MUTATION_OBSERVER_OPTIONS = {
+  childList: true,       /* Watch for new/removed child elements */
+  attributes: true,      /* Watch for attribute changes */
+  subtree: true,         /* Watch the entire subtree, not just direct children */
+  attributeFilter: ['style', 'fill', SHADOW_HOST_MARKER_ATTRIBUTE],
+};
 
 
 /* -----------------------------------------------------------------------
@@ -96,131 +178,306 @@ const MUTATION_OBSERVER_DEBOUNCE_MS = 100;
  * -----------------------------------------------------------------------
  */
 
-/** Whether the dim theme is currently active (injected into the page). */
+/**
+ * Whether this script has activated the dim theme: palette colors and
+ * page-specific rules written, MutationObserver running. The registered
+ * stylesheet may paint before that (see isDimThemeOverridePainted).
+ */
 let isDimThemeCurrentlyActive = false;
 
+/** The stored "xDimmerEnabled" preference (the popup's master toggle). */
+let isDimModeEnabledByUser = false;
+
+/** The stored "xDimmerThemeDetectionMode" preference. */
+let themeDetectionMode = 'lights-out-only';
+
+/** The stored "xDimmerComputedStyleScanEnabled" preference. */
+let isComputedStyleScanEnabled = false;
+
+/** The stored "xDimmerStylesheetRewriteEnabled" preference. */
+let isStylesheetRewriteEnabled = false;
+
+/**
+ * Whether the stylesheet rewriter could read every sheet on the page.
+ * Only then is its counter-stylesheet a full replacement for the
+ * [style*=] catch-alls and the computed-style class scan.
+ */
+let isStylesheetRewriteCoveringAllSheets = false;
+
+/** The stored "xDimmerPageRules" list. */
+let pageRules = [];
+
+/** The stored "xDimmerCustomOverrideRules" list. */
+let customOverrideRules = [];
+
+/**
+ * Surfaces the page rules turn off on the current path.
+ * Contains ALL_SURFACES_ID when the whole theme is off here.
+ */
+let disabledSurfaceIdsForCurrentPath = new Set();
+
+/**
+ * Selector matching the containers of the disabled surfaces (or '' if
+ * none) — inline-style fixes skip everything inside them.
+ */
+let disabledSurfaceContainerSelector = '';
+
+/** The route (path + query) last reported to route change subscribers. */
+let currentTrackedRoute = location.pathname + location.search;
+
+/** Callbacks subscribed through subscribeToRouteChanges. */
+const routeChangeSubscribers = [];
+
+/** Timer ID for the settled rescan after a route change. */
+let routeChangeRescanTimerId = null;
+
+/** True while the "compare with Lights Out" shortcut is held down. */
+let isLightsOutComparisonActive = false;
+
+/** Ends the current comparison in this frame; null when none is running. */
+let endLightsOutComparisonInFrame = null;
+
+/** Timer ID for the LIGHTS_OUT_COMPARISON_MAX_DURATION_MS fallback. */
+let lightsOutComparisonFallbackTimerId = null;
+
+/**
+ * This tab's override of "xDimmerEnabled": 'on', 'off', or null to follow
+ * the global toggle. Owned by the service worker (see dim-tab-messages.js);
+ * fetched on load and pushed to us whenever it changes.
+ */
+let tabDimOverride = null;
+
+/** The element the page's context menu was last opened on. */
+let lastContextMenuTargetElement = null;
+
+/** The theme X is rendering, as last reported by the theme detector. */
+let detectedXTheme = null;
+
+/** The stored "xDimmerLastDetectedXTheme", to only write it when it changes. */
+let storedLastDetectedXTheme = null;
+
 /** Reference to the MutationObserver instance for cleanup. */
 let domMutationObserverInstance = null;
 
-/** Timer ID for debouncing MutationObserver callbacks. */
-let mutationDebounceTimerId = null;
+/**
+ * The palette currently painted onto the page.
+ * Resolved from storage on load and replaced whenever the user picks or
+ * edits a palette (see applyActivePaletteToPage).
+ */
+let activeDimPalette = DIM_CLASSIC_PALETTE;
 
-/** 
- * Cached reference to the CSS text of our dim theme.
- * We fetch this once from the extension's bundled CSS file
- * and reuse it to avoid repeated fetch() calls.
+/**
+ * Color mapping from X's "Lights Out" RGB values to the active palette.
+ * Each entry maps a Lights Out color (as "r, g, b" string) to its replacement.
+ * 
+ * This is used by the MutationObserver to find and replace inline background colors.
+ * The CSS handles most cases, but dynamically injected inline styles sometimes
+ * slip through, especially in modals, popovers, and lazy-loaded content.
+ *
+ * The map is generated from the same palette as the injected stylesheet
+ * (see shared/dim-palette-definitions.js), so the two can never disagree.
  */
-let cachedDimThemeCssText = null;
+let activeLightsOutToDimColorMap = buildLightsOutToPaletteColorMap(DIM_CLASSIC_PALETTE);
+
+/**
+ * Text color mapping from X's Lights Out grays to the active palette's text
+ * colors. Kept separate from the background map so a gray surface is never
+ * repainted with a text color. Empty for palettes that keep X's own text.
+ */
+let activeLightsOutToTextColorMap = buildLightsOutToPaletteTextColorMap(DIM_CLASSIC_PALETTE);
+
+/**
+ * Cached text of the base stylesheet, for documents that loaded without
+ * the registered one. It depends on nothing stored, so it is generated
+ * at most once per page.
+ */
+let cachedDimThemeBaseStylesheetText = null;
 
 
 /* -----------------------------------------------------------------------
  * CSS INJECTION AND REMOVAL
- * These functions handle adding/removing the dim theme <style> element.
+ * These functions handle painting the dim theme and pausing it again.
  * -----------------------------------------------------------------------
  */
 
 /**
- * Fetches the dim theme CSS from the extension's bundled file.
- * Uses chrome.runtime.getURL to get the proper extension:// URL.
- * The result is cached in cachedDimThemeCssText for reuse.
- * 
- * WHY FETCH INSTEAD OF INLINE:
- * We keep the CSS in a separate file (dim-theme-override-styles.css) because:
- * 1. It's easier to maintain and read (400+ lines of CSS)
- * 2. It can be edited independently of the JS logic
- * 3. Chrome DevTools shows it as a proper stylesheet for debugging
- * 
- * @returns {Promise<string>} The CSS text content
+ * Writes CSS text into one of our <style> elements, creating it on first
+ * use. An element that isn't needed yet (empty text) isn't created.
+ *
+ * @param {string} styleElementId - One of the *_STYLE_ELEMENT_ID constants
+ * @param {string} cssText - The CSS to write
  */
-async function fetchDimThemeCssFromExtensionBundle() {
-  if (cachedDimThemeCssText) {
-    return cachedDimThemeCssText;
+function writeInjectedStyleElement(styleElementId, cssText) {
+  let styleElement = document.getElementById(styleElementId);
+  if (!styleElement) {
+    if (!cssText) return;
+    styleElement = document.createElement('style');
+    styleElement.id = styleElementId;
+    styleElement.setAttribute('type', 'text/css');
+    /* Use documentElement if <head> isn't ready yet (document_start) */
+    (document.head || document.documentElement).appendChild(styleElement);
   }
+  if (styleElement.textContent !== cssText) {
+    styleElement.textContent = cssText;
+  }
+}
 
-  try {
-    const cssFileUrl = chrome.runtime.getURL('content/dim-theme-override-styles.css');
-    const response = await fetch(cssFileUrl);
-    cachedDimThemeCssText = await response.text();
-    return cachedDimThemeCssText;
-  } catch (error) {
-    console.error('[X Dimmer] Failed to fetch dim theme CSS:', error);
-    return '';
+
+/**
+ * Whether the base stylesheet — registered or injected — is in this
+ * document. It sets an ungated marker property on :root.
+ *
+ * @returns {boolean} True if the base stylesheet applies to the page
+ */
+function isDimThemeBaseStylesheetInDocument() {
+  return getComputedStyle(document.documentElement)
+    .getPropertyValue(DIM_THEME_BASE_STYLESHEET_MARKER_PROPERTY).trim() !== '';
+}
+
+
+/**
+ * Whether our override is painted on the page right now — including by
+ * the registered stylesheet before this script has decided anything.
+ *
+ * @returns {boolean} True if the base stylesheet is in the page and not paused
+ */
+function isDimThemeOverridePainted() {
+  return !document.documentElement.hasAttribute(DIM_THEME_ROOT_ATTRIBUTES.paused)
+    && isDimThemeBaseStylesheetInDocument();
+}
+
+
+/**
+ * Sets or removes one of the DIM_THEME_ROOT_ATTRIBUTES on <html>.
+ *
+ * @param {string} attributeName - The attribute
+ * @param {string|null} value - Its value, or null to remove it
+ */
+function setDimThemeRootAttribute(attributeName, value) {
+  if (value === null) {
+    document.documentElement.removeAttribute(attributeName);
+  } else if (document.documentElement.getAttribute(attributeName) !== value) {
+    document.documentElement.setAttribute(attributeName, value);
   }
 }
 
 
 /**
- * Injects the dim theme CSS into the page's <head> as a <style> element.
- * If the element already exists, it updates the content (in case of CSS changes).
+ * Whether the base [style*=] catch-alls are replaced by something else:
+ * by the stylesheet rewrites when they cover every sheet, or by the
+ * page-specific copies that exclude the disabled surfaces.
+ *
+ * @returns {{ omitsBaseCatchAlls: boolean, needsExcludedCatchAlls: boolean }}
+ */
+function decideInlineStyleCatchAllSource() {
+  const isCoveredByStylesheetRewrites = isStylesheetRewriteEnabled && isStylesheetRewriteCoveringAllSheets;
+  const hasDisabledSurfaces = [...disabledSurfaceIdsForCurrentPath].some((surfaceId) => surfaceId !== ALL_SURFACES_ID);
+  return {
+    omitsBaseCatchAlls: isCoveredByStylesheetRewrites || hasDisabledSurfaces,
+    needsExcludedCatchAlls: !isCoveredByStylesheetRewrites && hasDisabledSurfaces,
+  };
+}
+
+
+/**
+ * Brings the <html> attributes, and the page-specific rules that go with
+ * them, in line with the palette, the page rules and the rewrite coverage.
+ * Called whenever one of those changes.
+ */
+function updatePageSpecificDimThemeState() {
+  const { omitsBaseCatchAlls, needsExcludedCatchAlls } = decideInlineStyleCatchAllSource();
+  const disabledSurfaceIds = [...disabledSurfaceIdsForCurrentPath].filter((surfaceId) => surfaceId !== ALL_SURFACES_ID);
+
+  setDimThemeRootAttribute(DIM_THEME_ROOT_ATTRIBUTES.disabledSurfaces,
+    disabledSurfaceIds.length > 0 ? disabledSurfaceIds.join(' ') : null);
+  setDimThemeRootAttribute(DIM_THEME_ROOT_ATTRIBUTES.keepsTextColors,
+    activeDimPalette.remapsTextColors ? null : '');
+  setDimThemeRootAttribute(DIM_THEME_ROOT_ATTRIBUTES.omitsInlineStyleCatchAlls,
+    omitsBaseCatchAlls ? '' : null);
+
+  if (!isDimThemeCurrentlyActive) return;
+
+  writeInjectedStyleElement(PAGE_SPECIFIC_RULES_STYLE_ELEMENT_ID, generateDimThemePageSpecificStylesheetText({
+    disabledSurfaceIds: disabledSurfaceIdsForCurrentPath,
+    includesExcludedInlineStyleCatchAlls: needsExcludedCatchAlls,
+    customOverrideRules,
+  }));
+  setShadowRootDimThemeStylesheetText(generateDimThemeShadowRootStylesheetText({
+    disabledSurfaceIds: disabledSurfaceIdsForCurrentPath,
+    remapsTextColors: activeDimPalette.remapsTextColors,
+    customOverrideRules,
+  }));
+}
+
+
+/**
+ * Paints the dim theme on the page.
  * Also starts the MutationObserver to handle dynamic inline styles.
  * 
  * This is the primary function called when the extension is enabled.
  * It's called on page load (if enabled) and when the user toggles on.
  * 
  * SEQUENCE:
- * 1. Fetch the CSS text (from cache or extension bundle)
- * 2. Create or find the <style> element
- * 3. Set its content to the CSS text
- * 4. Append to <head> (or document.documentElement if head isn't ready yet)
- * 5. Start the MutationObserver for inline style fixes
- * 6. Do an initial scan of existing elements for inline style fixes
- */
-async function injectDimThemeIntoPage() {
-  const cssText = await fetchDimThemeCssFromExtensionBundle();
-  if (!cssText) {
-    console.warn('[X Dimmer] No CSS text available to inject');
-    return;
-  }
-
-  /* Find existing style element or create a new one */
-  let styleElement = document.getElementById(INJECTED_STYLE_ELEMENT_ID);
-  if (!styleElement) {
-    styleElement = document.createElement('style');
-    styleElement.id = INJECTED_STYLE_ELEMENT_ID;
-    styleElement.setAttribute('type', 'text/css');
-  }
-
-  /* Set the CSS content */
-  styleElement.textContent = cssText;
-
-  /* Append to the document — use documentElement if <head> isn't ready yet
-   * (which happens when we run at document_start) */
-  const targetParent = document.head || document.documentElement;
-  if (!styleElement.parentNode) {
-    targetParent.appendChild(styleElement);
+ * 1. Inject the base stylesheet if the service worker's registered copy
+ *    isn't in this document (the tab loaded while it was unregistered)
+ * 2. Write the active palette's colors and the page-specific rules
+ * 3. Unpause the base stylesheet
+ * 4. Start the MutationObserver for inline style fixes
+ * 5. Do an initial scan of existing elements for inline style fixes,
+ *    covering the open shadow roots found on the way
+ */
+function injectDimThemeIntoPage() {
+  if (!isDimThemeBaseStylesheetInDocument()) {
+    if (!cachedDimThemeBaseStylesheetText) {
+      cachedDimThemeBaseStylesheetText = generateDimThemeBaseStylesheetText();
+    }
+    writeInjectedStyleElement(INJECTED_STYLE_ELEMENT_ID, cachedDimThemeBaseStylesheetText);
   }
 
   isDimThemeCurrentlyActive = true;
 
+  writeInjectedStyleElement(PALETTE_COLORS_STYLE_ELEMENT_ID,
+    generatePaletteCustomPropertiesText(activeDimPalette, 'html:root'));
+  updatePageSpecificDimThemeState();
+  setDimThemeRootAttribute(DIM_THEME_ROOT_ATTRIBUTES.paused, null);
+
   /* Start watching for dynamically added elements with inline black backgrounds */
   startMutationObserverForInlineStyleFixes();
 
   /* Do an initial scan of the current DOM for any existing inline black backgrounds */
   scanAndFixExistingInlineBlackBackgrounds();
 
+  /* Restore (or start collecting) the class-level fixes */
+  refreshStylesheetRewrites();
+  updateDynamicFixesStyleElement();
+  scanExistingElementsForLightsOutClasses();
+
   console.log('[X Dimmer] Dim theme injected successfully');
 }
 
 
 /**
- * Removes the dim theme CSS from the page, restoring X's original styling.
+ * Removes the dim theme from the page, restoring X's original styling.
  * Also stops the MutationObserver since we no longer need to fix inline styles.
  * 
+ * The base stylesheet is paused rather than removed: the registered copy
+ * can't be removed from a document, so both copies are treated alike.
+ * 
  * This is called when the user toggles the extension off.
  * The removal is instant — no transition because users want immediate feedback
  * when they explicitly disable a feature.
  */
 function removeDimThemeFromPage() {
-  /* Remove the main dim theme <style> element */
-  const styleElement = document.getElementById(INJECTED_STYLE_ELEMENT_ID);
-  if (styleElement) {
-    styleElement.remove();
-  }
-
-  /* Remove the dynamic fixes <style> element */
-  const dynamicFixesElement = document.getElementById(DYNAMIC_FIXES_STYLE_ELEMENT_ID);
-  if (dynamicFixesElement) {
-    dynamicFixesElement.remove();
+  /* Pause the base stylesheet */
+  setDimThemeRootAttribute(DIM_THEME_ROOT_ATTRIBUTES.paused, '');
+
+  /* Remove the page-specific, dynamic fixes and counter-stylesheet <style> elements */
+  for (const styleElementId of [
+    PAGE_SPECIFIC_RULES_STYLE_ELEMENT_ID,
+    DYNAMIC_FIXES_STYLE_ELEMENT_ID,
+    STYLESHEET_REWRITES_STYLE_ELEMENT_ID,
+  ]) {
+    document.getElementById(styleElementId)?.remove();
   }
 
   /* Stop the MutationObserver */
@@ -229,11 +486,51 @@ function removeDimThemeFromPage() {
   /* Revert any inline style changes we made directly via JS */
   revertAllInlineStyleFixesToOriginal();
 
+  /* Take the shadow root stylesheet out of every shadow root */
+  uncoverAllShadowRoots();
+
   isDimThemeCurrentlyActive = false;
   console.log('[X Dimmer] Dim theme removed');
 }
 
 
+/**
+ * Switches the page to a different palette.
+ * Rebuilds the color maps from the new palette, and — if the theme is
+ * currently active — repaints the page with it live. The stylesheets only
+ * refer to custom properties, so repainting them is one :root block.
+ * 
+ * REPAINTING INLINE FIXES:
+ * Elements we already fixed carry the previous palette's colors inline.
+ * Reverting them to their recorded originals and rescanning re-maps them
+ * from the true Lights Out values, rather than from the old palette.
+ * 
+ * @param {{ id: string, colors: Object<string, string> }} palette - The palette to apply
+ */
+function applyActivePaletteToPage(palette) {
+  activeDimPalette = palette;
+  activeLightsOutToDimColorMap = buildLightsOutToPaletteColorMap(palette);
+  activeLightsOutToTextColorMap = buildLightsOutToPaletteTextColorMap(palette);
+  resetStylesheetRewriteCache();
+
+  /* The registered stylesheet may be painting already — give it the right colors */
+  if (isDimThemeCurrentlyActive || isDimThemeOverridePainted()) {
+    writeInjectedStyleElement(PALETTE_COLORS_STYLE_ELEMENT_ID,
+      generatePaletteCustomPropertiesText(palette, 'html:root'));
+  }
+  updatePageSpecificDimThemeState();
+
+  if (!isDimThemeCurrentlyActive) return;
+
+  revertAllInlineStyleFixesToOriginal();
+  scanAndFixExistingInlineBlackBackgrounds();
+  /* The class-level fixes only refer to custom properties — nothing to rebuild */
+  refreshStylesheetRewrites();
+
+  console.log(`[X Dimmer] Palette switched to "${palette.name}"`);
+}
+
+
 /* -----------------------------------------------------------------------
  * MUTATION OBSERVER — HANDLING DYNAMIC INLINE STYLES
  * -----------------------------------------------------------------------
@@ -256,8 +553,12 @@ function removeDimThemeFromPage() {
  *   - attributes: style attribute changes on existing elements
  *   - subtree: observe the entire tree, not just direct children
  *
- * We filter on attributeFilter: ['style'] to only trigger on style changes,
- * which significantly reduces the number of mutations we need to process.
+ * We filter on attributeFilter: ['style', 'fill', …] to only trigger on style
+ * changes (and SVG fill attributes, and the shadow host marker), which
+ * significantly reduces the number of mutations we need to process.
+ *
+ * The mutations go to the inline style fix queue
+ * (content-script-inline-style-fix-queue.js), which fixes them in idle time.
  */
 function startMutationObserverForInlineStyleFixes() {
   /* Don't create duplicate observers */
@@ -265,28 +566,26 @@ function startMutationObserverForInlineStyleFixes() {
     return;
   }
 
-  domMutationObserverInstance = new MutationObserver(handleDomMutationsBatched);
+  startInlineStyleFixQueue({
+    candidateElementsSelector: INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR,
+    fixElement: fixInlineStyleFixQueueElement,
+    /* Fallback route detection for browsers without the Navigation API */
+    onSliceStarted: checkForRouteChange,
+    onSliceFinished: handleInlineStyleFixQueueSliceFinished,
+  });
+
+  domMutationObserverInstance = new MutationObserver(handleDomMutations);
 
   /* Start observing once the document body exists */
   const startObserving = () => {
     if (document.body) {
-      domMutationObserverInstance.observe(document.body, {
-        childList: true,       /* Watch for new/removed child elements */
-        attributes: true,      /* Watch for attribute changes */
-        subtree: true,         /* Watch the entire subtree, not just direct children */
-        attributeFilter: ['style'],  /* Only trigger on style attribute changes */
-      });
+      domMutationObserverInstance.observe(document.body, INLINE_STYLE_MUTATION_OBSERVER_OPTIONS);
     } else {
       /* If body doesn't exist yet (document_start), wait for it */
       const bodyWatcher = new MutationObserver(() => {
         if (document.body) {
           bodyWatcher.disconnect();
-          domMutationObserverInstance.observe(document.body, {
-            childList: true,
-            attributes: true,
-            subtree: true,
-            attributeFilter: ['style'],
-          });
+          domMutationObserverInstance.observe(document.body, INLINE_STYLE_MUTATION_OBSERVER_OPTIONS);
         }
       });
       bodyWatcher.observe(document.documentElement, { childList: true });
@@ -306,155 +605,157 @@ function stopMutationObserver() {
     domMutationObserverInstance.disconnect();
     domMutationObserverInstance = null;
   }
-  if (mutationDebounceTimerId) {
-    clearTimeout(mutationDebounceTimerId);
-    mutationDebounceTimerId = null;
-  }
+  stopInlineStyleFixQueue();
 }
 
 
 /**
- * Handles DOM mutations in a batched/debounced manner.
- * Instead of processing every single mutation immediately, we collect them
- * and process in the next animation frame after a debounce period.
+ * Hands every DOM mutation to the inline style fix queue.
  * 
- * WHY DEBOUNCE:
- * X can trigger hundreds of mutations per second during scrolling.
- * Processing each one individually would cause jank and high CPU usage.
- * By batching with requestAnimationFrame, we align our work with the
- * browser's rendering cycle and process all pending mutations at once.
+ * WHY NOT DEBOUNCE:
+ * X can trigger hundreds of mutations per second during scrolling. A
+ * debounce timer that is reset on every callback keeps only the last
+ * mutation list, and every element in the earlier ones goes unfixed.
+ * The queue keeps them all and spreads the work over idle time instead.
  * 
  * @param {MutationRecord[]} mutationsList - Array of mutation records
  */
-function handleDomMutationsBatched(mutationsList) {
-  if (mutationDebounceTimerId) {
-    clearTimeout(mutationDebounceTimerId);
-  }
+function handleDomMutations(mutationsList) {
+  enqueueInlineStyleMutations(mutationsList);
 
-  mutationDebounceTimerId = setTimeout(() => {
-    requestAnimationFrame(() => {
-      processMutationsForInlineStyleFixes(mutationsList);
-    });
-  }, MUTATION_OBSERVER_DEBOUNCE_MS);
+  /* Throttled on its own — menus and dialogs only exist while open */
+  scheduleSelectorHealthCheck();
 }
 
 
 /**
- * Processes collected mutations and fixes any black inline backgrounds.
- * 
- * For each mutation:
- * - If childList: scan all added nodes for black backgrounds
- * - If attribute (style): check if the element now has a black background
+ * Runs the page-wide follow-ups after the queue fixed a slice of elements.
  * 
- * @param {MutationRecord[]} mutationsList - Array of mutation records to process
+ * @param {Element[]} addedSubtreeRoots - The added elements the slice searched
  */
-function processMutationsForInlineStyleFixes(mutationsList) {
+function handleInlineStyleFixQueueSliceFinished(addedSubtreeRoots) {
   if (!isDimThemeCurrentlyActive) return;
 
-  const elementsToCheck = new Set();
-
-  for (const mutation of mutationsList) {
-    if (mutation.type === 'childList') {
-      /* New nodes were added — collect them for checking */
-      for (const addedNode of mutation.addedNodes) {
-        if (addedNode.nodeType === Node.ELEMENT_NODE) {
-          elementsToCheck.add(addedNode);
-          /* Also check children of the added node */
-          const descendants = addedNode.querySelectorAll('*');
-          for (const desc of descendants) {
-            elementsToCheck.add(desc);
-          }
-        }
-      }
-    } else if (mutation.type === 'attributes') {
-      /* An existing element's style attribute changed */
-      if (mutation.target.nodeType === Node.ELEMENT_NODE) {
-        elementsToCheck.add(mutation.target);
-      }
-    }
+  /* Shadow hosts among the added elements — including ones X moved, which
+   * the queue skips as already fixed — and the ones that left */
+  for (const subtreeRoot of addedSubtreeRoots) {
+    coverShadowRootsUnder(subtreeRoot, handleShadowRootCovered);
+  }
+  if (pruneDetachedShadowRoots()) {
+    restartMutationObserverOnCoveredNodes();
   }
 
-  /* Now check each collected element and fix black backgrounds */
-  for (const element of elementsToCheck) {
-    fixElementInlineBlackBackground(element);
+  /* X may have inserted new rules along with these elements */
+  refreshStylesheetRewrites();
+
+  /* Look for class-based black surfaces among the added elements —
+   * unnecessary while the counter-stylesheet covers every sheet */
+  if (!isComputedStyleScanEnabled || isStylesheetRewriteCoveringAllSheets || addedSubtreeRoots.length === 0) return;
+
+  /* The class probe lives in the document — shadow-scoped classes can't be probed */
+  const addedClassedElements = [];
+  for (const subtreeRoot of addedSubtreeRoots) {
+    if (subtreeRoot.getRootNode() !== document) continue;
+    addedClassedElements.push(subtreeRoot, ...subtreeRoot.querySelectorAll('[class]'));
+  }
+  if (findLightsOutBackgroundClassesInElements(addedClassedElements, activeLightsOutToDimColorMap)) {
+    updateDynamicFixesStyleElement();
   }
 }
 
 
 /**
- * Checks a single element's inline style for black-family backgrounds
- * and replaces them with the dim equivalents.
+ * Handles one element from the inline style fix queue: covers its shadow
+ * root if it has just been marked as a shadow host (an attribute
+ * mutation), then fixes its inline colors.
  * 
- * HOW IT WORKS:
- * 1. Read the element's inline style.backgroundColor (or style.background)
- * 2. If it contains a "Lights Out" color from our map, replace it
- * 3. Store the original color in a data attribute so we can revert later
+ * @param {Element} element - A candidate element, or a restyled or marked one
+ */
+function fixInlineStyleFixQueueElement(element) {
+  if (element.hasAttribute(SHADOW_HOST_MARKER_ATTRIBUTE)) {
+    coverShadowRootsUnder(element, handleShadowRootCovered);
+  }
+  fixElementInlineBlackBackground(element);
+}
+
+
+/**
+ * Starts watching a newly covered shadow root like <body>, and fixes the
+ * inline colors already inside it.
  * 
- * WHY DATA ATTRIBUTES:
- * We store original colors in data-x-dimmer-original-bg so that when the
- * user disables the extension, we can restore the exact original colors.
- * Without this, disabling would require a page reload.
+ * @param {ShadowRoot} shadowRoot - The root coverShadowRootsUnder just covered
+ */
+function handleShadowRootCovered(shadowRoot) {
+  domMutationObserverInstance?.observe(shadowRoot, INLINE_STYLE_MUTATION_OBSERVER_OPTIONS);
+  for (const element of shadowRoot.querySelectorAll(INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR)) {
+    fixElementInlineBlackBackground(element);
+    recordInlineStyleElementFixed(element);
+  }
+}
+
+
+/**
+ * Re-observes <body> and the shadow roots still covered, after some were
+ * dropped — a MutationObserver can't stop observing a single node.
+ * Records already delivered to it are queued first, so none is lost.
+ */
+function restartMutationObserverOnCoveredNodes() {
+  if (!domMutationObserverInstance || !document.body) return;
+
+  enqueueInlineStyleMutations(domMutationObserverInstance.takeRecords());
+  domMutationObserverInstance.disconnect();
+  domMutationObserverInstance.observe(document.body, INLINE_STYLE_MUTATION_OBSERVER_OPTIONS);
+  for (const shadowRoot of coveredShadowRoots) {
+    domMutationObserverInstance.observe(shadowRoot, INLINE_STYLE_MUTATION_OBSERVER_OPTIONS);
+  }
+}
+
+
+/**
+ * Checks a single element's inline styles for Lights Out colors and replaces
+ * them with the active palette's equivalents. Despite the historical name,
+ * this covers every property in INLINE_COLOR_PROPERTY_FIXES (see
+ * content-script-inline-color-fixes.js) — the text colors only for
+ * palettes that remap text, whose text map is otherwise empty.
  * 
- * @param {HTMLElement} element - The DOM element to check and potentially fix
+ * @param {HTMLElement|SVGElement} element - The DOM element to check and potentially fix
  */
 function fixElementInlineBlackBackground(element) {
   if (!element || !element.style) return;
 
-  /* Skip media elements — we never want to dim images/videos */
-  const tagName = element.tagName?.toLowerCase();
-  if (['img', 'video', 'canvas', 'picture', 'source'].includes(tagName)) return;
-
-  const inlineBg = element.style.backgroundColor;
-  if (!inlineBg) return;
-
-  /* Extract RGB values from the inline style.
-   * IMPORTANT: X uses BOTH rgb() and rgba() formats for backgrounds.
-   * For example: rgba(0, 0, 0, 1.00) — this is pure black in rgba form.
-   * The regex below matches both rgb(r, g, b) and rgba(r, g, b, a) formats
-   * by using rgba? (the 'a' is optional). We only need the R, G, B values
-   * to look up the color in our map — the alpha is preserved separately. */
-  const rgbMatch = inlineBg.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
-  if (!rgbMatch) return;
-
-  const rgbKey = `${rgbMatch[1]}, ${rgbMatch[2]}, ${rgbMatch[3]}`;
-  const dimReplacement = LIGHTS_OUT_TO_DIM_COLOR_MAP[rgbKey];
-
-  if (dimReplacement) {
-    /* Store the original value for reverting */
-    if (!element.dataset.xDimmerOriginalBg) {
-      element.dataset.xDimmerOriginalBg = inlineBg;
-    }
-    /* If the original was rgba, preserve the alpha channel so we don't
-     * break any transparency that X intentionally applied (e.g., semi-
-     * transparent headers with backdrop blur). If it's a solid rgba with
-     * alpha 1.0, using rgb() is fine and equivalent. */
-    const alphaMatch = inlineBg.match(/rgba\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*([\d.]+)/);
-    if (alphaMatch && parseFloat(alphaMatch[1]) < 1) {
-      /* Semi-transparent — keep the alpha value */
-      element.style.backgroundColor = `rgba(${dimReplacement}, ${alphaMatch[1]})`;
-    } else {
-      /* Fully opaque — use rgb() */
-      element.style.backgroundColor = `rgb(${dimReplacement})`;
-    }
-  }
+  /* Leave surfaces the page rules turned off in X's native colors */
+  if (disabledSurfaceContainerSelector && element.closest(disabledSurfaceContainerSelector)) return;
+
+  fixInlineLightsOutColors(element, {
+    surfaceColorMap: activeLightsOutToDimColorMap,
+    textColorMap: activeLightsOutToTextColorMap,
+  });
 }
 
 
 /**
- * Scans the entire current DOM for elements with black inline backgrounds.
+ * Scans the entire current DOM for elements with black inline backgrounds
+ * (and every other inline Lights Out color we fix).
  * Called once when the dim theme is first injected to catch any elements
  * that were already rendered before we started observing.
  * 
  * Uses querySelectorAll with [style*=] selectors to efficiently find
- * elements with inline background colors matching our Lights Out palette.
+ * elements with inline colors that may match our Lights Out palette.
+ * Open shadow roots not covered yet are covered first, and every covered
+ * root is scanned the same way.
  */
 function scanAndFixExistingInlineBlackBackgrounds() {
   if (!document.body) return;
 
-  /* Query for elements with inline background-color styles */
-  const allStyledElements = document.body.querySelectorAll('[style*="background"]');
-  for (const element of allStyledElements) {
-    fixElementInlineBlackBackground(element);
+  coverShadowRootsUnder(document.body, handleShadowRootCovered);
+
+  /* Query for elements with any inline color we know how to fix */
+  for (const scannedRoot of [document.body, ...coveredShadowRoots]) {
+    for (const element of scannedRoot.querySelectorAll(INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR)) {
+      fixElementInlineBlackBackground(element);
+      /* So the observer doesn't hand our own writes back to the queue */
+      recordInlineStyleElementFixed(element);
+    }
   }
 }
 
@@ -464,18 +765,521 @@ function scanAndFixExistingInlineBlackBackgrounds() {
  * Called when the dim theme is disabled so the page returns to its
  * original "Lights Out" appearance without requiring a reload.
  * 
- * Uses the data-x-dimmer-original-bg attribute we stored earlier to
+ * Uses the data-x-dimmer-original-* attributes we stored earlier to
  * restore exact original values.
  */
 function revertAllInlineStyleFixesToOriginal() {
-  const fixedElements = document.querySelectorAll('[data-x-dimmer-original-bg]');
-  for (const element of fixedElements) {
-    element.style.backgroundColor = element.dataset.xDimmerOriginalBg;
-    delete element.dataset.xDimmerOriginalBg;
+  revertInlineColorFixesUnder([document, ...coveredShadowRoots]);
+}
+
+
+/* -----------------------------------------------------------------------
+ * CLASS-LEVEL DYNAMIC FIXES
+ * -----------------------------------------------------------------------
+ * Optional: rules for X classes that paint Lights Out surfaces, found by
+ * the computed-style scanner. They live in their own <style> element so
+ * they can be rebuilt without touching the main stylesheet.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Writes the class-level override rules into the dynamic fixes <style>,
+ * creating it on first use and emptying it while the scan mode is off.
+ */
+function updateDynamicFixesStyleElement() {
+  if (!isDimThemeCurrentlyActive) return;
+
+  const rulesText = isComputedStyleScanEnabled
+    ? buildLightsOutClassOverrideRulesText(buildDisabledSurfaceExclusionCondition(disabledSurfaceIdsForCurrentPath))
+    : '';
+
+  let dynamicFixesElement = document.getElementById(DYNAMIC_FIXES_STYLE_ELEMENT_ID);
+  if (!dynamicFixesElement) {
+    if (!rulesText) return;
+    dynamicFixesElement = document.createElement('style');
+    dynamicFixesElement.id = DYNAMIC_FIXES_STYLE_ELEMENT_ID;
+    dynamicFixesElement.setAttribute('type', 'text/css');
+    (document.head || document.documentElement).appendChild(dynamicFixesElement);
+  }
+
+  dynamicFixesElement.textContent = rulesText;
+}
+
+
+/**
+ * Runs the computed-style scanner over everything already in <body>.
+ * Called when the theme is injected and when the scan mode is switched on;
+ * from then on, the MutationObserver feeds it new elements.
+ */
+function scanExistingElementsForLightsOutClasses() {
+  if (!isComputedStyleScanEnabled || !isDimThemeCurrentlyActive || !document.body) return;
+  if (isStylesheetRewriteCoveringAllSheets) return;
+
+  const foundNewClass = findLightsOutBackgroundClassesInElements(
+    document.body.querySelectorAll('[class]'),
+    activeLightsOutToDimColorMap
+  );
+  if (foundNewClass) {
+    updateDynamicFixesStyleElement();
+    console.log(`[X Dimmer] Class-level fixes for ${lightsOutBackgroundColorByClassName.size} X classes`);
   }
 }
 
 
+/* -----------------------------------------------------------------------
+ * STYLESHEET REWRITES
+ * -----------------------------------------------------------------------
+ * Optional: one counter-stylesheet generated from X's own CSS rules.
+ * When every sheet is readable, it replaces the !important [style*=]
+ * catch-alls (inline colors are still fixed by the MutationObserver).
+ * When a sheet is cross-origin, the catch-alls stay — today's behavior.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Re-reads X's stylesheets (only the ones that changed) and updates the
+ * counter-stylesheet. Switches the [style*=] catch-alls off while the
+ * rewrites cover every sheet, and back on when they stop covering them.
+ */
+function refreshStylesheetRewrites() {
+  if (!isDimThemeCurrentlyActive) return;
+
+  let stylesheetRewritesElement = document.getElementById(STYLESHEET_REWRITES_STYLE_ELEMENT_ID);
+  let isCoveringAllSheets = false;
+
+  if (isStylesheetRewriteEnabled) {
+    const { counterStylesheetText, hasUnreadableStyleSheet } = collectStylesheetRewrites(
+      activeLightsOutToDimColorMap,
+      activeLightsOutToTextColorMap,
+      buildDisabledSurfaceExclusionCondition(disabledSurfaceIdsForCurrentPath)
+    );
+    isCoveringAllSheets = !hasUnreadableStyleSheet;
+
+    if (!stylesheetRewritesElement) {
+      stylesheetRewritesElement = document.createElement('style');
+      stylesheetRewritesElement.id = STYLESHEET_REWRITES_STYLE_ELEMENT_ID;
+      stylesheetRewritesElement.setAttribute('type', 'text/css');
+    }
+    if (stylesheetRewritesElement.textContent !== counterStylesheetText) {
+      stylesheetRewritesElement.textContent = counterStylesheetText;
+    }
+
+    /* Counter-rules only win while they come after X's sheets */
+    const targetParent = document.head || document.documentElement;
+    if (stylesheetRewritesElement.parentNode !== targetParent || stylesheetRewritesElement.nextElementSibling) {
+      targetParent.appendChild(stylesheetRewritesElement);
+    }
+  } else if (stylesheetRewritesElement) {
+    stylesheetRewritesElement.remove();
+  }
+
+  if (isCoveringAllSheets !== isStylesheetRewriteCoveringAllSheets) {
+    isStylesheetRewriteCoveringAllSheets = isCoveringAllSheets;
+    updatePageSpecificDimThemeState();
+    console.log(isCoveringAllSheets
+      ? '[X Dimmer] Stylesheet rewrite covers every sheet — [style*=] catch-alls dropped'
+      : '[X Dimmer] Using the full stylesheet with [style*=] catch-alls');
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * DECIDING WHETHER THE THEME SHOULD BE PAINTED
+ * -----------------------------------------------------------------------
+ * Several independent conditions decide whether the override belongs on
+ * the page. Rather than each event handler injecting/removing directly,
+ * they update their piece of state and call one reconcile function.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Decides whether the dim theme should be painted right now.
+ *
+ * @returns {boolean} True if every condition allows the override
+ */
+function shouldDimThemeBeActive() {
+  const isEnabledForThisTab = tabDimOverride ? tabDimOverride === 'on' : isDimModeEnabledByUser;
+  if (!isEnabledForThisTab) return false;
+  if (isLightsOutComparisonActive) return false;
+  if (disabledSurfaceIdsForCurrentPath.has(ALL_SURFACES_ID)) return false;
+  if (themeDetectionMode === 'always') return true;
+  return detectedXTheme === 'lights-out';
+}
+
+
+/**
+ * Brings the page in line with shouldDimThemeBeActive() —
+ * injecting or removing the theme only when the answer changed.
+ * The registered stylesheet paints before this script has decided
+ * anything, so "not active" also means pausing it if it is painted.
+ */
+function reconcileDimThemeWithPageConditions() {
+  const shouldBeActive = shouldDimThemeBeActive();
+
+  if (shouldBeActive && !isDimThemeCurrentlyActive) {
+    injectDimThemeIntoPage();
+  } else if (!shouldBeActive && (isDimThemeCurrentlyActive || isDimThemeOverridePainted())) {
+    removeDimThemeFromPage();
+  }
+}
+
+
+/**
+ * Receives theme changes from the detector (X's display setting, the
+ * theme-color meta, or the OS color scheme) and re-evaluates.
+ *
+ * @param {'light'|'dim'|'lights-out'} xTheme - The theme X is now rendering
+ */
+function handleXThemeChanged(xTheme) {
+  detectedXTheme = xTheme;
+  console.log(`[X Dimmer] X is rendering the "${xTheme}" theme`);
+  reconcileDimThemeWithPageConditions();
+
+  /* A frame's document may not show what the page does */
+  if (IS_TOP_FRAME_DOCUMENT) {
+    recordLastDetectedXTheme(xTheme);
+  }
+}
+
+
+/**
+ * Stores the theme X was last seen rendering. The service worker only
+ * registers the packaged stylesheet while it is Lights Out, so a user on
+ * X's light theme doesn't get a navy first frame on every page load.
+ *
+ * @param {'light'|'dim'|'lights-out'} xTheme - The theme X is now rendering
+ */
+async function recordLastDetectedXTheme(xTheme) {
+  if (xTheme === storedLastDetectedXTheme) return;
+  storedLastDetectedXTheme = xTheme;
+
+  try {
+    await chrome.storage.local.set({ xDimmerLastDetectedXTheme: xTheme });
+  } catch (error) {
+    console.warn('[X Dimmer] Failed to store the detected X theme:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * PAGE RULES
+ * -----------------------------------------------------------------------
+ * Per-route and per-surface rules. They are resolved against the current
+ * path, and again whenever X navigates to another view without reloading.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Resolves the page rules for the current path and repaints if the set of
+ * disabled surfaces changed. A rule turning off the whole theme is left to
+ * reconcileDimThemeWithPageConditions.
+ */
+function applyPageRulesForCurrentPath() {
+  const resolvedSurfaceIds = resolveDisabledSurfacesForPath(pageRules, location.pathname);
+
+  const isUnchanged = resolvedSurfaceIds.size === disabledSurfaceIdsForCurrentPath.size
+    && [...resolvedSurfaceIds].every((surfaceId) => disabledSurfaceIdsForCurrentPath.has(surfaceId));
+  if (isUnchanged) return;
+
+  disabledSurfaceIdsForCurrentPath = resolvedSurfaceIds;
+  disabledSurfaceContainerSelector = DIM_THEME_SURFACES
+    .filter((surface) => resolvedSurfaceIds.has(surface.id))
+    .map((surface) => surface.containerSelector)
+    .join(', ');
+  updatePageSpecificDimThemeState();
+
+  if (isDimThemeCurrentlyActive) {
+    revertAllInlineStyleFixesToOriginal();
+    scanAndFixExistingInlineBlackBackgrounds();
+    /* Both are generated from X's selectors and carry the surface exclusion too */
+    refreshStylesheetRewrites();
+    updateDynamicFixesStyleElement();
+  }
+
+  reconcileDimThemeWithPageConditions();
+}
+
+
+/* -----------------------------------------------------------------------
+ * NAVIGATION TRACKING
+ * -----------------------------------------------------------------------
+ * X is a SPA: moving from the timeline to a profile or to DMs changes the
+ * URL through history.pushState without a page load, and the new view is
+ * rendered into the existing DOM. Without this, the injector only saw the
+ * resulting DOM mutations — and black panels could survive a route change
+ * until the user scrolled.
+ *
+ * ROUTE CHANGE SOURCES:
+ * - The Navigation API's "navigatesuccess", which also reports
+ *   pushState/replaceState (content scripts can't patch the page's own
+ *   history functions — they live in another JavaScript world)
+ * - "popstate" for back/forward, where the Navigation API is missing
+ * - A URL check before every slice of the inline style fix queue, as a
+ *   last resort
+ * Every source funnels into checkForRouteChange, which compares against
+ * the last route so one navigation is only reported once.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Registers a callback for route changes. Subsystems that depend on the
+ * current page (page rules, diagnostics…) subscribe instead of listening
+ * to history events themselves.
+ *
+ * @param {function({ previousRoute: string, currentRoute: string }): void} onRouteChanged
+ */
+function subscribeToRouteChanges(onRouteChanged) {
+  routeChangeSubscribers.push(onRouteChanged);
+}
+
+
+/**
+ * Reports a route change to subscribers if the URL moved since last time.
+ * Only the path and query count — hash changes don't swap the view.
+ */
+function checkForRouteChange() {
+  const route = location.pathname + location.search;
+  if (route === currentTrackedRoute) return;
+
+  const routeChange = { previousRoute: currentTrackedRoute, currentRoute: route };
+  currentTrackedRoute = route;
+
+  for (const onRouteChanged of routeChangeSubscribers) {
+    try {
+      onRouteChanged(routeChange);
+    } catch (error) {
+      console.error('[X Dimmer] Route change subscriber failed:', error);
+    }
+  }
+}
+
+
+/**
+ * Rescans the page for the new view: right away (next frame), and once
+ * more when the view has settled. Subscribed to route changes.
+ */
+function rescanPageAfterRouteChange() {
+  if (routeChangeRescanTimerId) {
+    clearTimeout(routeChangeRescanTimerId);
+  }
+
+  const rescanCurrentView = () => {
+    if (!isDimThemeCurrentlyActive) return;
+    scanAndFixExistingInlineBlackBackgrounds();
+    refreshStylesheetRewrites();
+    scanExistingElementsForLightsOutClasses();
+  };
+
+  requestAnimationFrame(rescanCurrentView);
+  routeChangeRescanTimerId = setTimeout(() => {
+    routeChangeRescanTimerId = null;
+    rescanCurrentView();
+  }, ROUTE_CHANGE_SETTLE_RESCAN_DELAY_MS);
+}
+
+
+/**
+ * Starts listening to every route change source.
+ */
+function startTrackingRouteChanges() {
+  if (window.navigation) {
+    window.navigation.addEventListener('navigatesuccess', checkForRouteChange);
+  }
+  window.addEventListener('popstate', checkForRouteChange);
+
+  subscribeToRouteChanges(applyPageRulesForCurrentPath);
+  subscribeToRouteChanges(rescanPageAfterRouteChange);
+  subscribeToRouteChanges(scheduleSelectorHealthCheck);
+}
+
+
+/* -----------------------------------------------------------------------
+ * COMMANDS FROM THE SERVICE WORKER
+ * -----------------------------------------------------------------------
+ * Keyboard shortcuts and context menu items act on a single tab, so the
+ * service worker messages this tab directly instead of going through
+ * storage (see shared/dim-tab-messages.js).
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Throws away every cached fix and scans the page from scratch:
+ * inline fixes, the stylesheet rewrites and the class scan.
+ */
+function forceFullRescanOfPage() {
+  if (!isDimThemeCurrentlyActive) return;
+
+  revertAllInlineStyleFixesToOriginal();
+  scanAndFixExistingInlineBlackBackgrounds();
+
+  resetStylesheetRewriteCache();
+  refreshStylesheetRewrites();
+
+  resetComputedStyleScanCache();
+  updateDynamicFixesStyleElement();
+  scanExistingElementsForLightsOutClasses();
+
+  console.log('[X Dimmer] Full rescan complete');
+}
+
+
+/**
+ * Shows X's original Lights Out look until the shortcut is released.
+ * Chrome commands report only the key press, so we end the comparison on
+ * the first keyup — releasing any key of the chord — or when the window
+ * loses focus (the keyup would then never reach us).
+ *
+ * WHY THE END IS RELAYED:
+ * The start reaches every frame of the tab, but only the focused frame
+ * sees the keyup. That frame asks the service worker to send
+ * END_LIGHTS_OUT_COMPARISON to all of them, so frames without focus don't
+ * stay in Lights Out. LIGHTS_OUT_COMPARISON_MAX_DURATION_MS ends it anyway
+ * if no release is ever seen; pressing the shortcut again restarts that
+ * timer.
+ */
+function startLightsOutComparison() {
+  clearTimeout(lightsOutComparisonFallbackTimerId);
+  lightsOutComparisonFallbackTimerId = setTimeout(() => endLightsOutComparisonInFrame?.(), LIGHTS_OUT_COMPARISON_MAX_DURATION_MS);
+  if (isLightsOutComparisonActive) return;
+
+  isLightsOutComparisonActive = true;
+  reconcileDimThemeWithPageConditions();
+
+  const handleLightsOutComparisonRelease = () => {
+    endLightsOutComparisonInFrame();
+    chrome.runtime.sendMessage({ type: X_DIMMER_RUNTIME_MESSAGE_TYPES.END_LIGHTS_OUT_COMPARISON_IN_TAB })
+      .catch((error) => console.warn('[X Dimmer] Failed to end the Lights Out comparison in other frames:', error));
+  };
+
+  endLightsOutComparisonInFrame = () => {
+    window.removeEventListener('keyup', handleLightsOutComparisonRelease, true);
+    window.removeEventListener('blur', handleLightsOutComparisonRelease);
+    clearTimeout(lightsOutComparisonFallbackTimerId);
+    lightsOutComparisonFallbackTimerId = null;
+    endLightsOutComparisonInFrame = null;
+    isLightsOutComparisonActive = false;
+    reconcileDimThemeWithPageConditions();
+  };
+  window.addEventListener('keyup', handleLightsOutComparisonRelease, true);
+  window.addEventListener('blur', handleLightsOutComparisonRelease);
+}
+
+
+/**
+ * Records the element the context menu was opened on, for fixing later:
+ * where it is, how it's styled, and which ancestor actually paints the
+ * background the user sees. Reports are kept in chrome.storage.local.
+ */
+async function reportUnthemedElement() {
+  const reportedElement = lastContextMenuTargetElement;
+  if (!reportedElement?.isConnected) {
+    console.warn('[X Dimmer] No element to report — right-click the element first');
+    return;
+  }
+
+  /* The visible background usually comes from an ancestor */
+  let paintingElement = reportedElement;
+  while (paintingElement.parentElement
+    && /rgba\(0, 0, 0, 0\)|transparent/.test(getComputedStyle(paintingElement).backgroundColor)) {
+    paintingElement = paintingElement.parentElement;
+  }
+
+  const reportedStyle = getComputedStyle(reportedElement);
+  const unthemedElementReport = {
+    reportedAt: new Date().toISOString(),
+    route: location.pathname,
+    paletteId: activeDimPalette.id,
+    isDimThemeActive: isDimThemeCurrentlyActive,
+    elementPath: describeElementPathForReport(reportedElement),
+    classNames: reportedElement.getAttribute('class') || '',
+    inlineStyle: reportedElement.getAttribute('style') || '',
+    computedColors: {
+      backgroundColor: reportedStyle.backgroundColor,
+      color: reportedStyle.color,
+      borderTopColor: reportedStyle.borderTopColor,
+    },
+    paintingElementPath: describeElementPathForReport(paintingElement),
+    paintingBackgroundColor: getComputedStyle(paintingElement).backgroundColor,
+  };
+
+  /* Brief outline so the user sees what was reported */
+  const previousOutline = paintingElement.style.outline;
+  paintingElement.style.outline = '2px dashed #1D9BF0';
+  setTimeout(() => { paintingElement.style.outline = previousOutline; }, 1500);
+
+  try {
+    const { xDimmerUnthemedElementReports } = await chrome.storage.local.get({ xDimmerUnthemedElementReports: [] });
+    await chrome.storage.local.set({
+      xDimmerUnthemedElementReports: [unthemedElementReport, ...xDimmerUnthemedElementReports]
+        .slice(0, MAX_STORED_UNTHEMED_ELEMENT_REPORTS),
+    });
+    console.log('[X Dimmer] Unthemed element reported:', unthemedElementReport);
+  } catch (error) {
+    console.error('[X Dimmer] Failed to store the element report:', error);
+  }
+}
+
+
+/**
+ * Runs the unthemed-surface diagnostics pass on the current view
+ * (see content-script-unthemed-surface-diagnostics.js) and wraps its
+ * result with what the page was showing at the time.
+ *
+ * @returns {Object} The diagnostics report
+ */
+function runUnthemedSurfaceDiagnostics() {
+  return {
+    generatedAt: new Date().toISOString(),
+    route: location.pathname,
+    paletteId: activeDimPalette.id,
+    isDimThemeActive: isDimThemeCurrentlyActive,
+    viewport: { width: window.innerWidth, height: window.innerHeight, scrollY: Math.round(window.scrollY) },
+    ...collectUnthemedSurfaceDiagnostics(activeLightsOutToDimColorMap, disabledSurfaceContainerSelector),
+  };
+}
+
+
+/**
+ * Remembers which element the context menu was opened on — the menu
+ * click itself arrives in the service worker without any element.
+ */
+document.addEventListener('contextmenu', (event) => {
+  lastContextMenuTargetElement = event.target instanceof Element ? event.target : null;
+}, true);
+
+
+/**
+ * Handles messages from the service worker and the popup.
+ * Only the diagnostics request is answered (synchronously, via sendResponse).
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message?.type) {
+    case X_DIMMER_TAB_MESSAGE_TYPES.RESCAN_PAGE:
+      forceFullRescanOfPage();
+      break;
+    case X_DIMMER_TAB_MESSAGE_TYPES.START_LIGHTS_OUT_COMPARISON:
+      startLightsOutComparison();
+      break;
+    case X_DIMMER_TAB_MESSAGE_TYPES.END_LIGHTS_OUT_COMPARISON:
+      endLightsOutComparisonInFrame?.();
+      break;
+    case X_DIMMER_TAB_MESSAGE_TYPES.TAB_OVERRIDE_CHANGED:
+      tabDimOverride = message.override;
+      reconcileDimThemeWithPageConditions();
+      break;
+    case X_DIMMER_TAB_MESSAGE_TYPES.REPORT_UNTHEMED_ELEMENT:
+      reportUnthemedElement();
+      break;
+    case X_DIMMER_TAB_MESSAGE_TYPES.START_ELEMENT_PICKER:
+      startElementPicker(activeDimPalette);
+      break;
+    case X_DIMMER_TAB_MESSAGE_TYPES.RUN_UNTHEMED_SURFACE_DIAGNOSTICS:
+      sendResponse(runUnthemedSurfaceDiagnostics());
+      break;
+  }
+});
+
+
 /* -----------------------------------------------------------------------
  * STORAGE & STATE MANAGEMENT
  * -----------------------------------------------------------------------
@@ -487,7 +1291,8 @@ function revertAllInlineStyleFixesToOriginal() {
 
 /**
  * Initializes the extension state on page load.
- * Reads the stored preference and injects/removes the theme accordingly.
+ * Reads the stored preferences, starts the X theme detector, and lets
+ * reconcileDimThemeWithPageConditions inject the theme if appropriate.
  * 
  * DEFAULT BEHAVIOR:
  * If no preference is stored (first install), we default to ENABLED (true).
@@ -497,21 +1302,70 @@ function revertAllInlineStyleFixesToOriginal() {
  * - Users who want to temporarily disable can easily toggle in the popup
  */
 async function initializeDimThemeStateOnPageLoad() {
+  /* Runs alongside the storage read — see requestTabDimOverride */
+  requestTabDimOverride();
+
   try {
     const storedPreferences = await chrome.storage.local.get({
       xDimmerEnabled: true,  /* Default to enabled on first install */
+      xDimmerActivePaletteId: DEFAULT_ACTIVE_PALETTE_ID,
+      xDimmerCustomPalettes: [],
+      xDimmerThemeDetectionMode: 'lights-out-only',
+      xDimmerComputedStyleScanEnabled: false,
+      xDimmerStylesheetRewriteEnabled: false,
+      xDimmerPageRules: [],
+      xDimmerCustomOverrideRules: [],
+      xDimmerLastDetectedXTheme: null,
     });
 
-    if (storedPreferences.xDimmerEnabled) {
-      await injectDimThemeIntoPage();
-    }
+    storedLastDetectedXTheme = storedPreferences.xDimmerLastDetectedXTheme;
+    customOverrideRules = storedPreferences.xDimmerCustomOverrideRules;
+    applyActivePaletteToPage(resolveActivePalette(
+      storedPreferences.xDimmerActivePaletteId,
+      storedPreferences.xDimmerCustomPalettes
+    ));
+
+    isDimModeEnabledByUser = storedPreferences.xDimmerEnabled;
+    themeDetectionMode = storedPreferences.xDimmerThemeDetectionMode;
+    isComputedStyleScanEnabled = storedPreferences.xDimmerComputedStyleScanEnabled;
+    isStylesheetRewriteEnabled = storedPreferences.xDimmerStylesheetRewriteEnabled;
+    pageRules = storedPreferences.xDimmerPageRules;
+    applyPageRulesForCurrentPath();
   } catch (error) {
     /* 
      * If storage access fails (rare, but possible during extension updates),
-     * default to injecting the theme since that's what users installed for.
+     * default to enabled since that's what users installed for.
      */
     console.error('[X Dimmer] Failed to read storage, defaulting to enabled:', error);
-    await injectDimThemeIntoPage();
+    isDimModeEnabledByUser = true;
+  }
+
+  startTrackingRouteChanges();
+
+  /* Reports the current theme immediately, which runs the first reconcile */
+  startWatchingXThemeChanges(isDimThemeOverridePainted, handleXThemeChanged);
+}
+
+
+/**
+ * Asks the service worker for this tab's override.
+ *
+ * WHY NOT AWAITED:
+ * Waking the service worker can take longer than the storage read, and
+ * the first paint must not wait for it. Tabs without an override (nearly
+ * all of them) lose nothing; an overridden tab is corrected on arrival.
+ */
+async function requestTabDimOverride() {
+  try {
+    const { override } = await chrome.runtime.sendMessage({
+      type: X_DIMMER_RUNTIME_MESSAGE_TYPES.GET_TAB_OVERRIDE,
+    });
+    if (override === tabDimOverride) return;
+
+    tabDimOverride = override;
+    reconcileDimThemeWithPageConditions();
+  } catch (error) {
+    console.warn('[X Dimmer] Failed to read this tab\'s override:', error);
   }
 }
 
@@ -523,29 +1377,82 @@ async function initializeDimThemeStateOnPageLoad() {
  * 
  * This is how we achieve instant, cross-tab synchronization without
  * needing the background service worker to send messages to each tab.
+ *
+ * Settings changed on another device (opt-in sync) arrive here too: the
+ * service worker copies them from chrome.storage.sync into local, so
+ * 'local' stays the only area this script has to read.
  */
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName !== 'local') return;
 
   if (changes.xDimmerEnabled) {
-    const isNowEnabled = changes.xDimmerEnabled.newValue;
+    isDimModeEnabledByUser = changes.xDimmerEnabled.newValue;
+    reconcileDimThemeWithPageConditions();
+  }
 
-    if (isNowEnabled && !isDimThemeCurrentlyActive) {
-      injectDimThemeIntoPage();
-    } else if (!isNowEnabled && isDimThemeCurrentlyActive) {
-      removeDimThemeFromPage();
-    }
+  if (changes.xDimmerThemeDetectionMode) {
+    themeDetectionMode = changes.xDimmerThemeDetectionMode.newValue;
+    reconcileDimThemeWithPageConditions();
+  }
+
+  if (changes.xDimmerActivePaletteId || changes.xDimmerCustomPalettes) {
+    refreshActivePaletteFromStorage();
+  }
+
+  if (changes.xDimmerComputedStyleScanEnabled) {
+    isComputedStyleScanEnabled = changes.xDimmerComputedStyleScanEnabled.newValue;
+    updateDynamicFixesStyleElement();
+    scanExistingElementsForLightsOutClasses();
+  }
+
+  if (changes.xDimmerPageRules) {
+    pageRules = changes.xDimmerPageRules.newValue || [];
+    applyPageRulesForCurrentPath();
+  }
+
+  if (changes.xDimmerCustomOverrideRules) {
+    customOverrideRules = changes.xDimmerCustomOverrideRules.newValue || [];
+    updatePageSpecificDimThemeState();
+  }
+
+  if (changes.xDimmerStylesheetRewriteEnabled) {
+    isStylesheetRewriteEnabled = changes.xDimmerStylesheetRewriteEnabled.newValue;
+    refreshStylesheetRewrites();
+    scanExistingElementsForLightsOutClasses();
   }
 });
 
 
+/**
+ * Re-reads the palette preferences and applies the resulting palette.
+ * Called when either the active palette ID or the custom palettes change —
+ * editing the active custom palette on the options page changes only the latter,
+ * so we always resolve against both stored values.
+ */
+async function refreshActivePaletteFromStorage() {
+  try {
+    const storedPreferences = await chrome.storage.local.get({
+      xDimmerActivePaletteId: DEFAULT_ACTIVE_PALETTE_ID,
+      xDimmerCustomPalettes: [],
+    });
+
+    applyActivePaletteToPage(resolveActivePalette(
+      storedPreferences.xDimmerActivePaletteId,
+      storedPreferences.xDimmerCustomPalettes
+    ));
+  } catch (error) {
+    console.error('[X Dimmer] Failed to read palette preferences:', error);
+  }
+}
+
+
 /* -----------------------------------------------------------------------
  * INITIALIZATION
  * -----------------------------------------------------------------------
  * Kick off the extension when the content script loads.
  * Since we run at document_start, the DOM may not be fully ready.
- * The injectDimThemeIntoPage function handles this gracefully by
- * appending to document.documentElement if <head> isn't ready yet.
+ * writeInjectedStyleElement handles this gracefully by appending to
+ * document.documentElement if <head> isn't ready yet.
  * -----------------------------------------------------------------------
  */
 initializeDimThemeStateOnPageLoad();
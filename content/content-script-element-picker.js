@@ -0,0 +1,450 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: ELEMENT PICKER
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Lets users fix a surface that is still black themselves, straight from
+ * the page, instead of waiting for a release that adds a new layer to the
+ * bundled stylesheet.
+ *
+ * HOW IT WORKS (started from the popup's "Pick element" button):
+ * 1. Elements under the cursor are outlined as the mouse moves
+ * 2. Clicking one stops the click from reaching X and opens a small chooser
+ * 3. The chooser offers selectors built from the nearest ancestor with a
+ *    data-testid, role or aria-label (plus a version scoped to the next
+ *    data-testid above it), each with the number of elements it matches,
+ *    and the palette slot to paint it with
+ * 4. Saving appends a { selector, paletteSlot, surfaceId, createdAt } rule
+ *    to "xDimmerCustomOverrideRules"; every X tab picks it up through
+ *    chrome.storage.onChanged and regenerates its page-specific stylesheet
+ *    (see buildCustomOverrideLayer in dim-theme-stylesheet-generator.js)
+ * Escape, or the chooser's Cancel button, leaves picking mode.
+ *
+ * WHY A SHADOW ROOT:
+ * The outline and the chooser live in a closed shadow root on <html>. Our
+ * own catch-all selectors ([role="dialog"], [style*=...]) and X's styles
+ * can't reach inside it, and the MutationObserver, which watches <body>,
+ * never sees it.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/** ID of the element hosting the picker's shadow root. */
+const ELEMENT_PICKER_HOST_ELEMENT_ID = 'x-dimmer-extension-element-picker';
+
+/** Attributes a picked selector can be built from, most stable first. */
+const ELEMENT_PICKER_ANCHOR_ATTRIBUTES = ['data-testid', 'role', 'aria-label'];
+
+/** How many selector candidates the chooser offers at most. */
+const MAX_ELEMENT_PICKER_SELECTOR_CANDIDATES = 4;
+
+/**
+ * Pointer events swallowed while picking, so the click that picks an
+ * element doesn't also open a post or follow a link on X.
+ */
+const ELEMENT_PICKER_BLOCKED_EVENT_TYPES = ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click'];
+
+/** Styles of the outline and the chooser (inside the shadow root). */
+const ELEMENT_PICKER_SHADOW_STYLES = `
+  .x-dimmer-picker-outline {
+    position: fixed; pointer-events: none; box-sizing: border-box;
+    border: 2px solid #1D9BF0; background: rgba(29, 155, 240, 0.15);
+    border-radius: 2px; transition: all 60ms linear;
+  }
+  .x-dimmer-picker-chooser {
+    position: fixed; right: 16px; bottom: 16px; width: 320px; pointer-events: auto;
+    padding: 14px; border-radius: 12px; background: #15202B; color: #E7E9EA;
+    border: 1px solid #38444D; box-shadow: 0 8px 28px rgba(0, 0, 0, 0.5);
+    font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  }
+  .x-dimmer-picker-title { margin: 0 0 8px; font-weight: 700; font-size: 14px; }
+  .x-dimmer-picker-hint { margin: 0 0 10px; color: #8B98A5; }
+  .x-dimmer-picker-candidate { display: flex; gap: 8px; align-items: flex-start; margin-bottom: 6px; cursor: pointer; }
+  .x-dimmer-picker-candidate code { word-break: break-all; color: #E7E9EA; }
+  .x-dimmer-picker-match-count { display: block; color: #8B98A5; font-size: 12px; }
+  .x-dimmer-picker-slot-row { display: flex; gap: 8px; align-items: center; margin: 10px 0 12px; }
+  .x-dimmer-picker-swatch { width: 18px; height: 18px; border-radius: 4px; border: 1px solid #38444D; }
+  .x-dimmer-picker-slot-row select { flex: 1; background: #192734; color: #E7E9EA; border: 1px solid #38444D; border-radius: 6px; padding: 4px; }
+  .x-dimmer-picker-actions { display: flex; gap: 8px; justify-content: flex-end; }
+  .x-dimmer-picker-actions button {
+    border: none; border-radius: 999px; padding: 6px 14px; font: inherit; font-weight: 700; cursor: pointer;
+    background: #38444D; color: #E7E9EA;
+  }
+  .x-dimmer-picker-actions .x-dimmer-picker-save { background: #1D9BF0; color: #FFFFFF; }
+  .x-dimmer-picker-actions button:disabled { opacity: 0.5; cursor: default; }
+`;
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/** Whether picking mode is on in this tab. */
+let isElementPickerActive = false;
+
+/** The palette the chooser previews slots with (set on start). */
+let elementPickerPalette = null;
+
+/** The element hosting the shadow root, and the nodes inside it. */
+let elementPickerHostElement = null;
+let elementPickerOutlineElement = null;
+let elementPickerChooserElement = null;
+
+/** The element the outline currently follows. */
+let outlinedPickerElement = null;
+
+/**
+ * The anchor element of the open chooser, or null while the user is still
+ * hovering. While it is set the outline stays on it.
+ */
+let pickedAnchorElement = null;
+
+
+/* -----------------------------------------------------------------------
+ * SELECTOR CANDIDATES
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Formats an attribute selector with a quoted, escaped value,
+ * e.g. formatAttributeSelector('aria-label', 'Home "timeline"').
+ *
+ * @param {string} attributeName - The attribute
+ * @param {string} attributeValue - Its exact value
+ * @returns {string} e.g. '[aria-label="Home \"timeline\""]'
+ */
+function formatAttributeSelector(attributeName, attributeValue) {
+  const escapedValue = attributeValue.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ');
+  return `[${attributeName}="${escapedValue}"]`;
+}
+
+
+/**
+ * Builds the selectors the chooser offers for a picked element.
+ *
+ * The anchor is the picked element itself or its nearest ancestor with one
+ * of ELEMENT_PICKER_ANCHOR_ATTRIBUTES — React Native Web's atomic classes
+ * change with every X build, so they are never used. Candidates run from
+ * narrowest to broadest:
+ *   1. the anchor's attributes scoped to the next data-testid above it
+ *   2. all the anchor's attributes combined
+ *   3. each attribute on its own
+ *
+ * @param {Element} pickedElement - The element the user clicked
+ * @returns {{ anchorElement: Element|null,
+ *   selectorCandidates: Array<{ selector: string, matchCount: number }> }}
+ */
+function buildSelectorCandidatesForElement(pickedElement) {
+  const anchorElement = pickedElement.closest(
+    ELEMENT_PICKER_ANCHOR_ATTRIBUTES.map((attributeName) => `[${attributeName}]`).join(', ')
+  );
+  if (!anchorElement || anchorElement === document.body) {
+    return { anchorElement: null, selectorCandidates: [] };
+  }
+
+  const attributeSelectors = ELEMENT_PICKER_ANCHOR_ATTRIBUTES
+    .filter((attributeName) => anchorElement.hasAttribute(attributeName))
+    .map((attributeName) => formatAttributeSelector(attributeName, anchorElement.getAttribute(attributeName)));
+  const combinedSelector = attributeSelectors.join('');
+
+  const scopeElement = anchorElement.parentElement?.closest('[data-testid]');
+  const scopedSelector = scopeElement
+    ? `${formatAttributeSelector('data-testid', scopeElement.getAttribute('data-testid'))} ${combinedSelector}`
+    : null;
+
+  const uniqueSelectors = [...new Set([scopedSelector, combinedSelector, ...attributeSelectors])]
+    .filter((selector) => selector && isValidCustomOverrideSelector(selector));
+
+  const selectorCandidates = uniqueSelectors
+    .slice(0, MAX_ELEMENT_PICKER_SELECTOR_CANDIDATES)
+    .map((selector) => ({ selector, matchCount: document.querySelectorAll(selector).length }));
+
+  return { anchorElement, selectorCandidates };
+}
+
+
+/**
+ * Guesses the slot to preselect: the one that replaces the Lights Out
+ * color the element paints now, or the primary background otherwise.
+ *
+ * @param {Element} anchorElement - The element the rule will target
+ * @returns {string} A key of CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES
+ */
+function guessPaletteSlotForElement(anchorElement) {
+  const rgbMatch = /rgba?\((\d+), (\d+), (\d+)/.exec(getComputedStyle(anchorElement).backgroundColor);
+  if (!rgbMatch) return 'primaryBackground';
+
+  const colorFamilyEntry = LIGHTS_OUT_COLOR_FAMILY.find((familyEntry) =>
+    convertHexColorToRgbTriplet(familyEntry.lightsOutHex) === `${rgbMatch[1]}, ${rgbMatch[2]}, ${rgbMatch[3]}`);
+  return colorFamilyEntry && CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES[colorFamilyEntry.paletteSlot]
+    ? colorFamilyEntry.paletteSlot
+    : 'primaryBackground';
+}
+
+
+/* -----------------------------------------------------------------------
+ * OUTLINE AND CHOOSER
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Moves the outline over an element (or hides it for null).
+ *
+ * @param {Element|null} element - The element to outline
+ */
+function outlinePickerElement(element) {
+  outlinedPickerElement = element;
+  if (!element) {
+    elementPickerOutlineElement.hidden = true;
+    return;
+  }
+
+  const elementRect = element.getBoundingClientRect();
+  Object.assign(elementPickerOutlineElement.style, {
+    top: `${elementRect.top}px`,
+    left: `${elementRect.left}px`,
+    width: `${elementRect.width}px`,
+    height: `${elementRect.height}px`,
+  });
+  elementPickerOutlineElement.hidden = false;
+}
+
+
+/**
+ * Opens the chooser for a picked element, replacing any open one.
+ *
+ * @param {Element} pickedElement - The element the user clicked
+ */
+function openElementPickerChooser(pickedElement) {
+  const { anchorElement, selectorCandidates } = buildSelectorCandidatesForElement(pickedElement);
+  pickedAnchorElement = anchorElement;
+  outlinePickerElement(anchorElement || pickedElement);
+
+  const chooserElement = document.createElement('div');
+  chooserElement.className = 'x-dimmer-picker-chooser';
+
+  const titleElement = document.createElement('p');
+  titleElement.className = 'x-dimmer-picker-title';
+  titleElement.textContent = 'New override rule';
+  chooserElement.appendChild(titleElement);
+
+  if (selectorCandidates.length === 0) {
+    const hintElement = document.createElement('p');
+    hintElement.className = 'x-dimmer-picker-hint';
+    hintElement.textContent = 'Nothing stable to target here — X gives this element no data-testid, '
+      + 'role or aria-label. Try a larger area around it.';
+    chooserElement.appendChild(hintElement);
+  }
+
+  /* Selector candidates, narrowest first and preselected */
+  selectorCandidates.forEach(({ selector, matchCount }, candidateIndex) => {
+    const candidateElement = document.createElement('label');
+    candidateElement.className = 'x-dimmer-picker-candidate';
+
+    const radioElement = document.createElement('input');
+    radioElement.type = 'radio';
+    radioElement.name = 'selector';
+    radioElement.value = selector;
+    radioElement.checked = candidateIndex === 0;
+
+    const textElement = document.createElement('span');
+    const codeElement = document.createElement('code');
+    codeElement.textContent = selector;
+    const matchCountElement = document.createElement('span');
+    matchCountElement.className = 'x-dimmer-picker-match-count';
+    matchCountElement.textContent = matchCount === 1 ? 'Matches 1 element' : `Matches ${matchCount} elements`;
+    textElement.append(codeElement, matchCountElement);
+
+    candidateElement.append(radioElement, textElement);
+    chooserElement.appendChild(candidateElement);
+  });
+
+  /* Palette slot, with a swatch of the active palette's color */
+  const slotRowElement = document.createElement('div');
+  slotRowElement.className = 'x-dimmer-picker-slot-row';
+  const swatchElement = document.createElement('span');
+  swatchElement.className = 'x-dimmer-picker-swatch';
+  const slotSelectElement = document.createElement('select');
+  slotSelectElement.setAttribute('aria-label', 'Palette color');
+  for (const { slot, label } of USER_EDITABLE_PALETTE_SLOTS) {
+    if (!CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES[slot]) continue;
+    const optionElement = document.createElement('option');
+    optionElement.value = slot;
+    optionElement.textContent = `${label} — ${CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES[slot]}`;
+    slotSelectElement.appendChild(optionElement);
+  }
+  slotSelectElement.value = anchorElement ? guessPaletteSlotForElement(anchorElement) : 'primaryBackground';
+  const updateSwatch = () => {
+    swatchElement.style.backgroundColor = elementPickerPalette.colors[slotSelectElement.value];
+  };
+  slotSelectElement.addEventListener('change', updateSwatch);
+  updateSwatch();
+  slotRowElement.append(swatchElement, slotSelectElement);
+  chooserElement.appendChild(slotRowElement);
+
+  /* Actions */
+  const actionsElement = document.createElement('div');
+  actionsElement.className = 'x-dimmer-picker-actions';
+  const cancelButtonElement = document.createElement('button');
+  cancelButtonElement.type = 'button';
+  cancelButtonElement.textContent = 'Cancel';
+  cancelButtonElement.addEventListener('click', stopElementPicker);
+  const saveButtonElement = document.createElement('button');
+  saveButtonElement.type = 'button';
+  saveButtonElement.className = 'x-dimmer-picker-save';
+  saveButtonElement.textContent = 'Save rule';
+  saveButtonElement.disabled = selectorCandidates.length === 0;
+  saveButtonElement.addEventListener('click', async () => {
+    const chosenRadioElement = chooserElement.querySelector('input[name="selector"]:checked');
+    if (!chosenRadioElement) return;
+
+    saveButtonElement.disabled = true;
+    await saveCustomOverrideRule({
+      selector: chosenRadioElement.value,
+      paletteSlot: slotSelectElement.value,
+      surfaceId: DIM_THEME_SURFACES.find((surface) => anchorElement.closest(surface.containerSelector))?.id || null,
+      createdAt: new Date().toISOString(),
+    });
+    stopElementPicker();
+  });
+  actionsElement.append(cancelButtonElement, saveButtonElement);
+  chooserElement.appendChild(actionsElement);
+
+  elementPickerChooserElement?.remove();
+  elementPickerChooserElement = chooserElement;
+  elementPickerOutlineElement.parentNode.appendChild(chooserElement);
+}
+
+
+/**
+ * Adds a rule to "xDimmerCustomOverrideRules". A rule for the same selector
+ * and the same CSS property is replaced, so re-picking changes the slot
+ * instead of stacking rules.
+ *
+ * @param {{ selector: string, paletteSlot: string, surfaceId: string|null, createdAt: string }} customOverrideRule
+ */
+async function saveCustomOverrideRule(customOverrideRule) {
+  const cssProperty = CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES[customOverrideRule.paletteSlot];
+
+  try {
+    const { xDimmerCustomOverrideRules } = await chrome.storage.local.get({ xDimmerCustomOverrideRules: [] });
+    const otherRules = xDimmerCustomOverrideRules.filter((storedRule) =>
+      !(storedRule.selector === customOverrideRule.selector
+        && CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES[storedRule.paletteSlot] === cssProperty));
+    await chrome.storage.local.set({ xDimmerCustomOverrideRules: [...otherRules, customOverrideRule] });
+    console.log('[X Dimmer] Custom override rule saved:', customOverrideRule);
+  } catch (error) {
+    console.error('[X Dimmer] Failed to save the custom override rule:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * EVENT HANDLERS
+ * All registered on window in the capture phase, so they run before any
+ * of X's own handlers. Events from inside our shadow root are retargeted
+ * to the host element and let through, so the chooser stays usable.
+ * -----------------------------------------------------------------------
+ */
+
+/** Outlines the element under the cursor while no chooser is open. */
+function handleElementPickerPointerMove(event) {
+  if (pickedAnchorElement || event.target === elementPickerHostElement) return;
+  if (event.target instanceof Element) outlinePickerElement(event.target);
+}
+
+
+/** Swallows page clicks; the click itself picks the element. */
+function handleElementPickerPointerEvent(event) {
+  if (event.target === elementPickerHostElement || !(event.target instanceof Element)) return;
+
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  if (event.type === 'click') openElementPickerChooser(event.target);
+}
+
+
+/** Leaves picking mode on Escape. */
+function handleElementPickerKeyDown(event) {
+  if (event.key !== 'Escape') return;
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  stopElementPicker();
+}
+
+
+/** Keeps the outline on its element as the page scrolls. */
+function handleElementPickerScroll() {
+  if (outlinedPickerElement) outlinePickerElement(outlinedPickerElement);
+}
+
+
+/* -----------------------------------------------------------------------
+ * STARTING AND STOPPING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Enters picking mode (no-op if already picking).
+ *
+ * @param {{ colors: Object<string, string> }} palette - The active palette, for the slot swatch
+ */
+function startElementPicker(palette) {
+  elementPickerPalette = palette;
+  if (isElementPickerActive) return;
+  isElementPickerActive = true;
+
+  elementPickerHostElement = document.createElement('div');
+  elementPickerHostElement.id = ELEMENT_PICKER_HOST_ELEMENT_ID;
+  elementPickerHostElement.style.cssText =
+    'all:initial;position:fixed;inset:0;z-index:2147483647;pointer-events:none;';
+
+  const shadowRoot = elementPickerHostElement.attachShadow({ mode: 'closed' });
+  const shadowStyleElement = document.createElement('style');
+  shadowStyleElement.textContent = ELEMENT_PICKER_SHADOW_STYLES;
+  elementPickerOutlineElement = document.createElement('div');
+  elementPickerOutlineElement.className = 'x-dimmer-picker-outline';
+  elementPickerOutlineElement.hidden = true;
+  shadowRoot.append(shadowStyleElement, elementPickerOutlineElement);
+  document.documentElement.appendChild(elementPickerHostElement);
+
+  window.addEventListener('pointermove', handleElementPickerPointerMove, true);
+  for (const eventType of ELEMENT_PICKER_BLOCKED_EVENT_TYPES) {
+    window.addEventListener(eventType, handleElementPickerPointerEvent, true);
+  }
+  window.addEventListener('keydown', handleElementPickerKeyDown, true);
+  window.addEventListener('scroll', handleElementPickerScroll, { capture: true, passive: true });
+
+  console.log('[X Dimmer] Element picker started — click an element, Escape to cancel');
+}
+
+
+/** Leaves picking mode and removes the outline and chooser. */
+function stopElementPicker() {
+  if (!isElementPickerActive) return;
+  isElementPickerActive = false;
+
+  window.removeEventListener('pointermove', handleElementPickerPointerMove, true);
+  for (const eventType of ELEMENT_PICKER_BLOCKED_EVENT_TYPES) {
+    window.removeEventListener(eventType, handleElementPickerPointerEvent, true);
+  }
+  window.removeEventListener('keydown', handleElementPickerKeyDown, true);
+  window.removeEventListener('scroll', handleElementPickerScroll, { capture: true });
+
+  elementPickerHostElement.remove();
+  elementPickerHostElement = null;
+  elementPickerOutlineElement = null;
+  elementPickerChooserElement = null;
+  outlinedPickerElement = null;
+  pickedAnchorElement = null;
+}
@@ -0,0 +1,227 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: EMBEDDED POSTS
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Dims the posts other sites embed from X. The embed widget runs in an
+ * iframe from platform.twitter.com or platform.x.com, and with
+ * "theme=dark" it is as pure black as Lights Out.
+ *
+ * WHY IT IS OPT-IN:
+ * Those origins are optional host permissions: this script only runs
+ * after the user allows them on the options page, and the service worker
+ * registers it then (see EMBEDDED POSTS in the service worker). Without
+ * them, the extension can't see any site besides X.
+ *
+ * HOW IT WORKS:
+ * 1. Only dark embeds are touched — the widget's theme is in its URL
+ * 2. Reads the master toggle and the active palette from
+ *    chrome.storage.local, like the injector
+ * 3. Writes the palette's colors and the embed stylesheet
+ *    (generateDimEmbedStylesheetText — a few layers for the widget's DOM
+ *    instead of X's) into one <style>
+ * 4. Fixes inline Lights Out colors with the injector's inline color fixes
+ *    (content-script-inline-color-fixes.js) and the same color maps, on
+ *    load and from a MutationObserver
+ * 5. Follows the toggle and palette changes live, and reverts everything
+ *    when Dim is switched off
+ *
+ * WHY SO MUCH LESS THAN THE INJECTOR:
+ * An embed is one post. There is no theme setting to detect, no routes,
+ * page rules or per-tab overrides (the tab belongs to another site), and
+ * few enough mutations that they are fixed right in the observer callback
+ * instead of through the idle-time queue.
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/** ID of the <style> element holding the palette colors and the embed stylesheet. */
+const EMBED_STYLE_ELEMENT_ID = 'x-dimmer-extension-embed-dim-theme';
+
+/** Whether the widget was asked for its dark theme (…/Tweet.html?…&theme=dark). */
+const IS_DARK_EMBED_DOCUMENT = new URLSearchParams(location.search).get('theme') === 'dark';
+
+/** What the MutationObserver watches: added elements and inline color changes. */
+const EMBED_MUTATION_OBSERVER_OPTIONS = {
+  childList: true,
+  attributes: true,
+  subtree: true,
+  attributeFilter: ['style', 'fill'],
+};
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/** Whether the embed is painted right now. */
+let isEmbedDimThemeActive = false;
+
+/** Lights Out → active palette maps, handed to fixInlineLightsOutColors. */
+let embedColorMaps = null;
+
+/** Reference to the MutationObserver instance for cleanup. */
+let embedMutationObserverInstance = null;
+
+
+/* -----------------------------------------------------------------------
+ * PAINTING AND REMOVAL
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Paints the embed with a palette, or repaints it with a new one.
+ * Inline fixes already made carry the previous palette's colors, so they
+ * are reverted to their recorded originals and remapped from those.
+ *
+ * @param {{ name: string, remapsTextColors: boolean, colors: Object<string, string> }} palette
+ *   The active palette
+ */
+function paintEmbedDimTheme(palette) {
+  const cssText = [
+    generatePaletteCustomPropertiesText(palette),
+    generateDimEmbedStylesheetText({ remapsTextColors: palette.remapsTextColors }),
+  ].join('\n\n');
+
+  let styleElement = document.getElementById(EMBED_STYLE_ELEMENT_ID);
+  if (!styleElement) {
+    styleElement = document.createElement('style');
+    styleElement.id = EMBED_STYLE_ELEMENT_ID;
+    /* Use documentElement if <head> isn't ready yet (document_start) */
+    (document.head || document.documentElement).appendChild(styleElement);
+  }
+  styleElement.textContent = cssText;
+
+  embedColorMaps = {
+    surfaceColorMap: buildLightsOutToPaletteColorMap(palette),
+    textColorMap: buildLightsOutToPaletteTextColorMap(palette),
+  };
+  revertInlineColorFixesUnder([document]);
+  fixEmbedInlineColorsUnder(document.documentElement);
+
+  if (!embedMutationObserverInstance) {
+    embedMutationObserverInstance = new MutationObserver(handleEmbedDomMutations);
+    embedMutationObserverInstance.observe(document.documentElement, EMBED_MUTATION_OBSERVER_OPTIONS);
+  }
+
+  isEmbedDimThemeActive = true;
+  console.log(`[X Dimmer] Embedded post dimmed with "${palette.name}"`);
+}
+
+
+/**
+ * Takes the theme back out of the embed: the <style> element, the
+ * observer, and every inline fix.
+ */
+function removeEmbedDimTheme() {
+  if (!isEmbedDimThemeActive) return;
+
+  document.getElementById(EMBED_STYLE_ELEMENT_ID)?.remove();
+  embedMutationObserverInstance?.disconnect();
+  embedMutationObserverInstance = null;
+  revertInlineColorFixesUnder([document]);
+
+  isEmbedDimThemeActive = false;
+  console.log('[X Dimmer] Embedded post restored');
+}
+
+
+/* -----------------------------------------------------------------------
+ * INLINE COLOR FIXES
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Fixes an element and every candidate element under it.
+ *
+ * @param {Element} rootElement - Where to look
+ */
+function fixEmbedInlineColorsUnder(rootElement) {
+  if (rootElement.matches(INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR)) {
+    fixInlineLightsOutColors(rootElement, embedColorMaps);
+  }
+  for (const element of rootElement.querySelectorAll(INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR)) {
+    fixInlineLightsOutColors(element, embedColorMaps);
+  }
+}
+
+
+/**
+ * Fixes what the widget just added or restyled. Our own writes come back
+ * here too, and stop there: a remapped value contains no Lights Out color.
+ *
+ * @param {MutationRecord[]} mutationsList - Array of mutation records
+ */
+function handleEmbedDomMutations(mutationsList) {
+  for (const mutation of mutationsList) {
+    if (mutation.type === 'attributes') {
+      fixInlineLightsOutColors(mutation.target, embedColorMaps);
+      continue;
+    }
+    for (const addedNode of mutation.addedNodes) {
+      if (addedNode.nodeType === Node.ELEMENT_NODE) {
+        fixEmbedInlineColorsUnder(addedNode);
+      }
+    }
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * STORAGE
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Reads the toggle and the palette and paints or restores the embed to
+ * match. Called on load and whenever one of them changes.
+ */
+async function refreshEmbedDimThemeFromStorage() {
+  try {
+    const storedPreferences = await chrome.storage.local.get({
+      xDimmerEnabled: true,
+      xDimmerActivePaletteId: DEFAULT_ACTIVE_PALETTE_ID,
+      xDimmerCustomPalettes: [],
+    });
+
+    if (!storedPreferences.xDimmerEnabled) {
+      removeEmbedDimTheme();
+      return;
+    }
+    paintEmbedDimTheme(resolveActivePalette(
+      storedPreferences.xDimmerActivePaletteId,
+      storedPreferences.xDimmerCustomPalettes
+    ));
+  } catch (error) {
+    console.error('[X Dimmer] Failed to read storage for an embedded post:', error);
+  }
+}
+
+
+/**
+ * Follows the popup's toggle and palette changes in every open embed,
+ * like the injector does in X tabs.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !IS_DARK_EMBED_DOCUMENT) return;
+
+  if (changes.xDimmerEnabled || changes.xDimmerActivePaletteId || changes.xDimmerCustomPalettes) {
+    refreshEmbedDimThemeFromStorage();
+  }
+});
+
+
+/* -----------------------------------------------------------------------
+ * INITIALIZATION
+ * -----------------------------------------------------------------------
+ */
+if (IS_DARK_EMBED_DOCUMENT) {
+  refreshEmbedDimThemeFromStorage();
+}
@@ -0,0 +1,183 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: INLINE COLOR FIXES
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Rewrites the Lights Out colors X sets in inline styles (and SVG fill
+ * attributes) with a palette's colors, and restores them again. The
+ * [style*=] catch-alls in the stylesheet can only override a whole
+ * property with one color; these fixes remap every color inside a value —
+ * gradients, box-shadow rings, per-side borders — and leave the rest alone.
+ *
+ * WHO USES IT:
+ * - content-script-dim-theme-injector.js on X itself, for everything its
+ *   MutationObserver and full scans find
+ * - content-script-embed-dim-theme.js in the embedded post widget on
+ *   other sites
+ * Each caller passes its own color maps (built with
+ * buildLightsOutToPaletteColorMap and buildLightsOutToPaletteTextColorMap
+ * in shared/dim-palette-definitions.js) and decides which elements to hand
+ * over; nothing here holds any state.
+ *
+ * This file is loaded before either of them and shares their global scope
+ * (see manifest.json and EMBEDDED POSTS in the service worker).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Every inline color we rewrite, and where each one's original value is
+ * recorded so it can be restored on disable.
+ *
+ * Fields:
+ *   styleProperty           — CSSStyleDeclaration property to read/write
+ *   attributeName           — or, for SVG presentation attributes, the attribute
+ *   originalValueDatasetKey — dataset key holding the pre-fix value
+ *                             (data-x-dimmer-original-… in the DOM)
+ *   usesTextColorMap        — map with the text colors instead of surfaces
+ *   opaqueColorsOnly        — leave semi-transparent colors alone
+ *
+ * WHY BOX SHADOWS ARE OPAQUE-ONLY:
+ * A semi-transparent black shadow is a real shadow and should stay black.
+ * An opaque rgb(0, 0, 0) "shadow" is X drawing a ring in the page color
+ * (e.g. around avatars), which has to follow the palette.
+ */
+const INLINE_COLOR_PROPERTY_FIXES = [
+  { styleProperty: 'backgroundColor',   originalValueDatasetKey: 'xDimmerOriginalBg' },
+  { styleProperty: 'backgroundImage',   originalValueDatasetKey: 'xDimmerOriginalBgImage' },
+  { styleProperty: 'borderTopColor',    originalValueDatasetKey: 'xDimmerOriginalBorderTop' },
+  { styleProperty: 'borderRightColor',  originalValueDatasetKey: 'xDimmerOriginalBorderRight' },
+  { styleProperty: 'borderBottomColor', originalValueDatasetKey: 'xDimmerOriginalBorderBottom' },
+  { styleProperty: 'borderLeftColor',   originalValueDatasetKey: 'xDimmerOriginalBorderLeft' },
+  { styleProperty: 'boxShadow',         originalValueDatasetKey: 'xDimmerOriginalBoxShadow', opaqueColorsOnly: true },
+  { styleProperty: 'fill',              originalValueDatasetKey: 'xDimmerOriginalFill' },
+  { attributeName: 'fill',              originalValueDatasetKey: 'xDimmerOriginalFillAttr' },
+  { styleProperty: 'color',             originalValueDatasetKey: 'xDimmerOriginalColor', usesTextColorMap: true },
+];
+
+/**
+ * Selector matching every element that carries at least one recorded
+ * original value — i.e. every element we have rewritten.
+ * Derived from INLINE_COLOR_PROPERTY_FIXES (dataset "xDimmerOriginalBg"
+ * ↔ attribute "data-x-dimmer-original-bg").
+ */
+const INLINE_COLOR_FIXED_ELEMENTS_SELECTOR = INLINE_COLOR_PROPERTY_FIXES
+  .map(({ originalValueDatasetKey }) =>
+    `[data-${originalValueDatasetKey.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}]`)
+  .join(', ');
+
+/**
+ * Elements that can carry an inline color we fix: the ones whose style
+ * attribute mentions a property of INLINE_COLOR_PROPERTY_FIXES, and SVG
+ * shapes with a fill attribute. Full scans and the inline style fix queue
+ * only ever look at these.
+ */
+const INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR =
+  '[style*="background"], [style*="color"], [style*="shadow"], [style*="fill"], svg [fill]';
+
+/** Media elements are never recolored — we never want to dim images/videos. */
+const INLINE_COLOR_SKIPPED_TAG_NAMES = ['img', 'video', 'canvas', 'picture', 'source'];
+
+
+/* -----------------------------------------------------------------------
+ * FIXING AND REVERTING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Replaces the Lights Out colors in one element's inline styles with the
+ * palette's equivalents: background color, gradient fades to black,
+ * per-side border colors, box-shadow rings, SVG fills and — when the text
+ * map isn't empty — text colors.
+ *
+ * HOW IT WORKS:
+ * 1. Read each inline property (or SVG fill attribute)
+ * 2. Replace every "Lights Out" color inside it using the maps
+ * 3. Store the original value in a data attribute so we can revert later
+ *
+ * WHY DATA ATTRIBUTES:
+ * We store original values in data-x-dimmer-original-* attributes (e.g.
+ * data-x-dimmer-original-bg for backgrounds) so that when the user disables
+ * the extension, we can restore the exact original colors.
+ * Without this, disabling would require a page reload.
+ *
+ * @param {HTMLElement|SVGElement} element - The DOM element to check and potentially fix
+ * @param {{ surfaceColorMap: Object<string, string>, textColorMap: Object<string, string> }} colorMaps
+ *   Lights Out → palette maps for surfaces and for text
+ */
+function fixInlineLightsOutColors(element, colorMaps) {
+  if (!element || !element.style) return;
+  if (INLINE_COLOR_SKIPPED_TAG_NAMES.includes(element.tagName?.toLowerCase())) return;
+
+  for (const propertyFix of INLINE_COLOR_PROPERTY_FIXES) {
+    remapInlineColorProperty(element, propertyFix, colorMaps);
+  }
+}
+
+
+/**
+ * Rewrites the Lights Out colors inside one inline property of an element.
+ *
+ * @param {HTMLElement|SVGElement} element - The element to fix
+ * @param {Object} propertyFix - One entry of INLINE_COLOR_PROPERTY_FIXES
+ * @param {{ surfaceColorMap: Object<string, string>, textColorMap: Object<string, string> }} colorMaps
+ *   See fixInlineLightsOutColors
+ */
+function remapInlineColorProperty(element, propertyFix, colorMaps) {
+  const { styleProperty, attributeName, originalValueDatasetKey } = propertyFix;
+
+  const currentValue = attributeName
+    ? element.getAttribute(attributeName)
+    : element.style[styleProperty];
+  if (!currentValue) return;
+
+  const colorMap = propertyFix.usesTextColorMap ? colorMaps.textColorMap : colorMaps.surfaceColorMap;
+  const remappedValue = remapLightsOutColorsInCssValue(currentValue, colorMap, propertyFix.opaqueColorsOnly);
+
+  /* Nothing to change — also stops us re-triggering our own observer when a
+   * palette color happens to equal a Lights Out color */
+  if (remappedValue === currentValue) return;
+
+  /* Store the original value for reverting */
+  if (!element.dataset[originalValueDatasetKey]) {
+    element.dataset[originalValueDatasetKey] = currentValue;
+  }
+
+  if (attributeName) {
+    element.setAttribute(attributeName, remappedValue);
+  } else {
+    element.style[styleProperty] = remappedValue;
+  }
+}
+
+
+/**
+ * Reverts every inline color fix under the given roots back to its
+ * original value, using the data-x-dimmer-original-* attributes recorded
+ * by remapInlineColorProperty, and forgets the recorded values.
+ *
+ * @param {Array<Document|Element|ShadowRoot>} scannedRoots - Where to look
+ */
+function revertInlineColorFixesUnder(scannedRoots) {
+  const fixedElements = scannedRoots
+    .flatMap((scannedRoot) => [...scannedRoot.querySelectorAll(INLINE_COLOR_FIXED_ELEMENTS_SELECTOR)]);
+  for (const element of fixedElements) {
+    for (const { styleProperty, attributeName, originalValueDatasetKey } of INLINE_COLOR_PROPERTY_FIXES) {
+      const originalValue = element.dataset[originalValueDatasetKey];
+      if (!originalValue) continue;
+
+      if (attributeName) {
+        element.setAttribute(attributeName, originalValue);
+      } else {
+        element.style[styleProperty] = originalValue;
+      }
+      delete element.dataset[originalValueDatasetKey];
+    }
+  }
+}
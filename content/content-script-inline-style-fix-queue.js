@@ -0,0 +1,358 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: INLINE STYLE FIX QUEUE
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Feeds the injector's inline color fixes with the elements the
+ * MutationObserver reports, without ever dropping a batch and without
+ * blocking the main thread while X renders.
+ *
+ * WHY A QUEUE:
+ * The observer used to reset a 100 ms timer on every callback and keep only
+ * the last mutation list, so during continuous scrolling every earlier list
+ * was lost — and the tweets in it kept their Lights Out inline colors. It
+ * then walked querySelectorAll('*') of every added node, although only
+ * elements with an inline color can need a fix.
+ *
+ * HOW IT WORKS:
+ * 1. enqueueInlineStyleMutations appends every mutation's work to the queue
+ *    — nothing is ever replaced: added elements as subtrees to search,
+ *    restyled elements on their own
+ * 2. An idle callback works through the queue in slices of at most
+ *    INLINE_STYLE_FIX_QUEUE_SLICE_BUDGET_MS, and asks for another one while
+ *    work is left
+ * 3. A subtree is only searched for the candidate selector (elements
+ *    with an inline color or an SVG fill), never walked element by element
+ * 4. Elements already fixed are remembered, with the inline style they
+ *    were left with, and skipped when X re-inserts them. A style change on
+ *    one queues it again — unless it is our own fix coming back through
+ *    the observer, i.e. the attribute still holds what the fix wrote
+ * 5. An element that already waits in the queue isn't queued twice, and
+ *    the consumed head of the queue is dropped while work keeps arriving
+ *
+ * WHY 4 AND 5 MATTER ON X PRO:
+ * An X Pro deck (pro.x.com) streams into every column at once, and
+ * re-renders the same cells and timestamps over and over: the same
+ * elements arrive many times before a slice gets to them, and the queue
+ * may not run dry for as long as the deck is open. Without coalescing,
+ * every re-inserted cell would be searched again and every restyle would
+ * add an item; without compaction, the consumed items — and the detached
+ * cells they hold — would pile up for the whole session.
+ *
+ * WHY IDLE CALLBACKS:
+ * requestIdleCallback runs in the gaps between frames, so a 10k-tweet
+ * session is fixed in small pieces instead of one long task while the user
+ * scrolls. The timeout makes sure the queue still moves when the page is
+ * never idle, and the CSS catch-alls cover most inline colors in the
+ * meantime anyway.
+ *
+ * The injector provides what each element needs (see
+ * startInlineStyleFixQueue); tools/inline-style-fix-benchmark.html drives
+ * the same file with a synthetic timeline.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Longest time (ms) one slice may spend on the queue. Half a 60 fps frame,
+ * so even a slice forced by the timeout can't make X drop a frame on its own.
+ */
+const INLINE_STYLE_FIX_QUEUE_SLICE_BUDGET_MS = 8;
+
+/**
+ * Longest time (ms) queued work waits for the browser to go idle before a
+ * slice is forced. Roughly the latency of the old 100 ms debounce plus its
+ * animation frame.
+ */
+const INLINE_STYLE_FIX_QUEUE_IDLE_TIMEOUT_MS = 200;
+
+/**
+ * Consumed items after which the head of the queue is dropped, even though
+ * work is left (see compactInlineStyleFixQueue).
+ */
+const INLINE_STYLE_FIX_QUEUE_COMPACTION_THRESHOLD = 1000;
+
+/**
+ * The attributes a fix writes (see INLINE_COLOR_PROPERTY_FIXES in
+ * content-script-inline-color-fixes.js). Their values are recorded after
+ * each fix, to tell our own writes from X's in the observer.
+ */
+const INLINE_STYLE_FIXED_ATTRIBUTE_NAMES = ['style', 'fill'];
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Work not done yet, oldest first: { element, includesSubtree }.
+ * Consumed from inlineStyleFixQueueHeadIndex, and emptied whenever it
+ * runs dry — or compacted once enough of it is consumed — so a long
+ * session never shifts a huge array.
+ */
+const pendingInlineStyleFixQueueItems = [];
+
+/** Index of the next item of pendingInlineStyleFixQueueItems to process. */
+let inlineStyleFixQueueHeadIndex = 0;
+
+/**
+ * Elements whose current inline style has been fixed, each with the
+ * values of INLINE_STYLE_FIXED_ATTRIBUTE_NAMES right after the fix. X's
+ * virtualized timeline removes and re-inserts the same cells while
+ * scrolling; those are skipped. A style change on a mounted element queues
+ * it again (see enqueueInlineStyleMutations) — React only restyles mounted
+ * elements.
+ */
+let processedInlineStyleElements = new WeakMap();
+
+/**
+ * Elements with an item waiting in the queue: added subtrees to search,
+ * and single elements to fix. A second item for either adds nothing.
+ */
+let queuedInlineStyleSubtreeRoots = new WeakSet();
+let queuedInlineStyleElements = new WeakSet();
+
+/** ID of the pending idle callback, or null if no slice is scheduled. */
+let inlineStyleFixQueueIdleCallbackId = null;
+
+/** The handlers passed to startInlineStyleFixQueue, or null while stopped. */
+let inlineStyleFixQueueHandlers = null;
+
+
+/* -----------------------------------------------------------------------
+ * QUEUE
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Starts accepting mutations.
+ *
+ * @param {Object} handlers
+ * @param {string} handlers.candidateElementsSelector - Elements that can need
+ *   a fix; added subtrees are searched for these only
+ * @param {function(Element): void} handlers.fixElement - Fixes one element
+ * @param {function(): void} [handlers.onSliceStarted] - Called before each
+ *   slice that has work to do
+ * @param {function(Element[]): void} [handlers.onSliceFinished] - Called after
+ *   each slice with the added subtrees it searched
+ */
+function startInlineStyleFixQueue(handlers) {
+  inlineStyleFixQueueHandlers = handlers;
+}
+
+
+/**
+ * Stops, and throws away the queued work and the processed elements —
+ * the injector reverts every fix when it stops.
+ */
+function stopInlineStyleFixQueue() {
+  inlineStyleFixQueueHandlers = null;
+  if (inlineStyleFixQueueIdleCallbackId !== null) {
+    cancelIdleCallback(inlineStyleFixQueueIdleCallbackId);
+    inlineStyleFixQueueIdleCallbackId = null;
+  }
+  pendingInlineStyleFixQueueItems.length = 0;
+  inlineStyleFixQueueHeadIndex = 0;
+  processedInlineStyleElements = new WeakMap();
+  queuedInlineStyleSubtreeRoots = new WeakSet();
+  queuedInlineStyleElements = new WeakSet();
+}
+
+
+/**
+ * Whether queued work is still waiting for a slice.
+ *
+ * @returns {boolean} True if the queue isn't empty
+ */
+function hasPendingInlineStyleFixes() {
+  return inlineStyleFixQueueHeadIndex < pendingInlineStyleFixQueueItems.length;
+}
+
+
+/**
+ * Appends the work of one MutationObserver callback to the queue.
+ * Cheap on purpose — it runs synchronously inside the observer.
+ *
+ * @param {MutationRecord[]} mutationsList - The callback's records
+ */
+function enqueueInlineStyleMutations(mutationsList) {
+  if (!inlineStyleFixQueueHandlers) return;
+
+  for (const mutation of mutationsList) {
+    if (mutation.type === 'childList') {
+      for (const addedNode of mutation.addedNodes) {
+        if (addedNode.nodeType === Node.ELEMENT_NODE) {
+          queueInlineStyleSubtreeRoot(addedNode);
+        }
+      }
+    } else if (mutation.type === 'attributes' && mutation.target.nodeType === Node.ELEMENT_NODE) {
+      /* Our own fix writing the attribute — nothing has changed since */
+      if (isInlineStyleAttributeAsFixed(mutation.target, mutation.attributeName)) continue;
+
+      /* Its inline style changed — whatever was fixed before is gone */
+      processedInlineStyleElements.delete(mutation.target);
+      queueInlineStyleElement(mutation.target);
+    }
+  }
+
+  scheduleInlineStyleFixQueueSlice();
+}
+
+
+/**
+ * Remembers an element as fixed, with its inline style as the fix left
+ * it. The queue does this for every element it fixes; the injector also
+ * calls it for the elements its full scans fix, so their writes aren't
+ * queued again either.
+ *
+ * @param {Element} element - An element that has just been fixed
+ */
+function recordInlineStyleElementFixed(element) {
+  if (!inlineStyleFixQueueHandlers) return;
+
+  processedInlineStyleElements.set(element, Object.fromEntries(INLINE_STYLE_FIXED_ATTRIBUTE_NAMES
+    .map((attributeName) => [attributeName, element.getAttribute(attributeName)])));
+}
+
+
+/**
+ * Whether an attribute of a fixed element still holds the value the fix
+ * left — then the mutation reporting it was the fix's own write (or X
+ * wrote that very value back), and there is nothing to do.
+ *
+ * @param {Element} element - The mutation's target
+ * @param {string} attributeName - The mutation's attribute
+ * @returns {boolean} True if the element needs no new fix for this change
+ */
+function isInlineStyleAttributeAsFixed(element, attributeName) {
+  const fixedAttributeValues = processedInlineStyleElements.get(element);
+  return fixedAttributeValues !== undefined
+    && Object.hasOwn(fixedAttributeValues, attributeName)
+    && element.getAttribute(attributeName) === fixedAttributeValues[attributeName];
+}
+
+
+/**
+ * Queues an added element, to search it and its subtree — unless it
+ * already waits to be searched.
+ *
+ * @param {Element} subtreeRoot - The added element
+ */
+function queueInlineStyleSubtreeRoot(subtreeRoot) {
+  if (queuedInlineStyleSubtreeRoots.has(subtreeRoot)) return;
+  queuedInlineStyleSubtreeRoots.add(subtreeRoot);
+  pendingInlineStyleFixQueueItems.push({ element: subtreeRoot, includesSubtree: true });
+}
+
+
+/**
+ * Queues one element to fix — unless it already waits to be fixed.
+ *
+ * @param {Element} element - A candidate, or a restyled element
+ */
+function queueInlineStyleElement(element) {
+  if (queuedInlineStyleElements.has(element)) return;
+  queuedInlineStyleElements.add(element);
+  pendingInlineStyleFixQueueItems.push({ element, includesSubtree: false });
+}
+
+
+/**
+ * Drops the consumed head of the queue once it has grown past
+ * INLINE_STYLE_FIX_QUEUE_COMPACTION_THRESHOLD. One copy of the remaining
+ * items now and then, instead of keeping every item ever queued while the
+ * queue never runs dry.
+ */
+function compactInlineStyleFixQueue() {
+  if (!hasPendingInlineStyleFixes()) {
+    pendingInlineStyleFixQueueItems.length = 0;
+    inlineStyleFixQueueHeadIndex = 0;
+  } else if (inlineStyleFixQueueHeadIndex >= INLINE_STYLE_FIX_QUEUE_COMPACTION_THRESHOLD) {
+    pendingInlineStyleFixQueueItems.splice(0, inlineStyleFixQueueHeadIndex);
+    inlineStyleFixQueueHeadIndex = 0;
+  }
+}
+
+
+/**
+ * Asks for an idle slice, unless one is already scheduled or nothing waits.
+ */
+function scheduleInlineStyleFixQueueSlice() {
+  if (inlineStyleFixQueueIdleCallbackId !== null || !hasPendingInlineStyleFixes()) return;
+
+  inlineStyleFixQueueIdleCallbackId = requestIdleCallback(processInlineStyleFixQueueSlice, {
+    timeout: INLINE_STYLE_FIX_QUEUE_IDLE_TIMEOUT_MS,
+  });
+}
+
+
+/**
+ * Works through the queue until the slice's budget runs out.
+ *
+ * A subtree item is expanded into one item per candidate element, appended
+ * to the queue, so the budget is checked between single elements — the
+ * querySelectorAll itself is native and never walks the whole subtree in
+ * JavaScript.
+ *
+ * @param {IdleDeadline} idleDeadline - From requestIdleCallback
+ */
+function processInlineStyleFixQueueSlice(idleDeadline) {
+  inlineStyleFixQueueIdleCallbackId = null;
+  const handlers = inlineStyleFixQueueHandlers;
+  if (!handlers || !hasPendingInlineStyleFixes()) return;
+
+  /* A forced slice reports no idle time left — it still gets the budget */
+  const sliceBudgetMs = idleDeadline.didTimeout
+    ? INLINE_STYLE_FIX_QUEUE_SLICE_BUDGET_MS
+    : Math.min(idleDeadline.timeRemaining(), INLINE_STYLE_FIX_QUEUE_SLICE_BUDGET_MS);
+  const sliceEndTime = performance.now() + sliceBudgetMs;
+  const searchedSubtreeRoots = [];
+
+  handlers.onSliceStarted?.();
+  /* The handler may have stopped the queue (e.g. a route change turned the theme off) */
+  if (inlineStyleFixQueueHandlers !== handlers) return;
+
+  /* At least one item per slice, however little idle time there is */
+  do {
+    const { element, includesSubtree } = pendingInlineStyleFixQueueItems[inlineStyleFixQueueHeadIndex++];
+    (includesSubtree ? queuedInlineStyleSubtreeRoots : queuedInlineStyleElements).delete(element);
+    if (!element.isConnected) continue;
+
+    if (includesSubtree) {
+      searchedSubtreeRoots.push(element);
+      /* Cells X re-inserted have been fixed already — don't queue them again */
+      if (element.matches(handlers.candidateElementsSelector) && !processedInlineStyleElements.has(element)) {
+        queueInlineStyleElement(element);
+      }
+      for (const candidateElement of element.querySelectorAll(handlers.candidateElementsSelector)) {
+        if (!processedInlineStyleElements.has(candidateElement)) {
+          queueInlineStyleElement(candidateElement);
+        }
+      }
+      continue;
+    }
+
+    if (processedInlineStyleElements.has(element)) continue;
+    handlers.fixElement(element);
+    recordInlineStyleElementFixed(element);
+  } while (hasPendingInlineStyleFixes() && performance.now() < sliceEndTime);
+
+  compactInlineStyleFixQueue();
+
+  handlers.onSliceFinished?.(searchedSubtreeRoots);
+
+  /* Unless onSliceFinished stopped the queue */
+  if (inlineStyleFixQueueHandlers === handlers) {
+    scheduleInlineStyleFixQueueSlice();
+  }
+}
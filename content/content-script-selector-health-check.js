@@ -0,0 +1,185 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: SELECTOR HEALTH CHECK
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Flags bundled rules that have gone stale. Many layers depend on specific
+ * data-testids (DMDrawer, GrokDrawer, SpacesBar, premiumCTA, sheetDialog…)
+ * and structural chains (#react-root > div > div). When X renames or drops
+ * one, the rule silently stops matching. This check records which bundled
+ * selectors have matched anything on the live page over a browser session;
+ * the ones that never did are listed, grouped by layer, in the options
+ * page's debug section.
+ *
+ * HOW IT WORKS:
+ * - Only selectors that haven't matched yet are tested, so the work shrinks
+ *   as the session goes on and stops once everything has matched
+ * - A check runs shortly after each route change, and at most every
+ *   SELECTOR_HEALTH_CHECK_THROTTLE_MS while the page is changing — menus,
+ *   dialogs and drawers only exist while they are open
+ * - Results from every X tab are merged into "xDimmerSelectorHealth":
+ *     { sessionStartedAt, checkedPageTypes: string[], matchedSelectors: string[] }
+ *   The service worker starts a new session on browser startup and on
+ *   extension updates; the options page can reset it too.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/** Minimum delay (ms) between two checks triggered by page changes. */
+const SELECTOR_HEALTH_CHECK_THROTTLE_MS = 5000;
+
+/** Page type label recorded for paths that match no X_PAGE_TYPES entry. */
+const UNKNOWN_PAGE_TYPE_LABEL = 'Other pages';
+
+/** Pseudo-classes that depend on the pointer or focus, not on the page. */
+const INTERACTION_PSEUDO_CLASS_PATTERN = ':(?:hover|active|focus(?:-visible|-within)?)';
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/** Bundled selectors not seen on the page yet (built on first check). */
+let selectorsAwaitingMatch = null;
+
+/** Selectors and page types this tab has seen in the current session. */
+const healthCheckMatchedSelectors = new Set();
+const healthCheckCheckedPageTypes = new Set();
+
+/** The session this tab's results belong to ("sessionStartedAt"). */
+let selectorHealthSessionStartedAt = null;
+
+/** Timer ID of the pending throttled check. */
+let selectorHealthCheckTimerId = null;
+
+
+/* -----------------------------------------------------------------------
+ * CHECKING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Turns a stylesheet selector into one that tests whether the structure it
+ * targets exists:
+ * - pseudo-elements (::placeholder, ::-webkit-scrollbar-thumb:hover) never
+ *   match elements, so they are dropped and their host element is tested
+ * - :hover / :focus states are dropped, or a hover rule would only count
+ *   while the pointer happens to be over the element
+ *
+ * @param {string} selector - A bundled selector
+ * @returns {string} The selector to test
+ */
+function normalizeSelectorForHealthCheck(selector) {
+  const normalizedSelector = selector
+    .replace(/::[\w-]+(?:\([^)]*\))?(?::[\w-]+)*/g, '')
+    .replace(new RegExp(`:not\\(${INTERACTION_PSEUDO_CLASS_PATTERN}\\)`, 'g'), '')
+    .replace(new RegExp(INTERACTION_PSEUDO_CLASS_PATTERN, 'g'), '');
+  return normalizedSelector || '*';
+}
+
+
+/**
+ * Tests every selector still awaiting a match against the current page,
+ * and stores the results if anything new was seen.
+ */
+function runSelectorHealthCheck() {
+  if (!selectorsAwaitingMatch) {
+    selectorsAwaitingMatch = new Set(listBundledSelectorsByLayer().flatMap((layer) => layer.selectors));
+  }
+
+  const pageType = findXPageTypeForPath(location.pathname)?.label || UNKNOWN_PAGE_TYPE_LABEL;
+  let hasNewResults = !healthCheckCheckedPageTypes.has(pageType);
+  healthCheckCheckedPageTypes.add(pageType);
+
+  for (const selector of selectorsAwaitingMatch) {
+    let isMatched;
+    try {
+      isMatched = document.querySelector(normalizeSelectorForHealthCheck(selector)) !== null;
+    } catch (error) {
+      /* A selector the browser rejects is as stale as one that never matches */
+      isMatched = false;
+    }
+    if (!isMatched) continue;
+
+    selectorsAwaitingMatch.delete(selector);
+    healthCheckMatchedSelectors.add(selector);
+    hasNewResults = true;
+  }
+
+  if (hasNewResults) persistSelectorHealthResults();
+}
+
+
+/**
+ * Runs a check after SELECTOR_HEALTH_CHECK_THROTTLE_MS unless one is
+ * already pending. Called on every mutation batch and route change.
+ */
+function scheduleSelectorHealthCheck() {
+  if (selectorHealthCheckTimerId !== null) return;
+  if (selectorsAwaitingMatch?.size === 0) return;
+
+  selectorHealthCheckTimerId = setTimeout(() => {
+    selectorHealthCheckTimerId = null;
+    runSelectorHealthCheck();
+  }, SELECTOR_HEALTH_CHECK_THROTTLE_MS);
+}
+
+
+/* -----------------------------------------------------------------------
+ * STORAGE
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Merges this tab's results into "xDimmerSelectorHealth".
+ *
+ * Every write carries this tab's whole result set, not just what is new,
+ * so a result lost to two tabs writing at once is restored by the next
+ * write from the same tab.
+ */
+async function persistSelectorHealthResults() {
+  try {
+    const { xDimmerSelectorHealth: storedHealth } = await chrome.storage.local.get({ xDimmerSelectorHealth: null });
+    const sessionStartedAt = storedHealth?.sessionStartedAt || new Date().toISOString();
+    selectorHealthSessionStartedAt = sessionStartedAt;
+
+    await chrome.storage.local.set({
+      xDimmerSelectorHealth: {
+        sessionStartedAt,
+        checkedPageTypes: [...new Set([...(storedHealth?.checkedPageTypes || []), ...healthCheckCheckedPageTypes])],
+        matchedSelectors: [...new Set([...(storedHealth?.matchedSelectors || []), ...healthCheckMatchedSelectors])],
+      },
+    });
+  } catch (error) {
+    console.error('[X Dimmer] Failed to store selector health results:', error);
+  }
+}
+
+
+/**
+ * Forgets this tab's results when a new session starts (browser startup,
+ * extension update, or "Start a new session" on the options page), so selectors have to match
+ * again to count for the new session.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.xDimmerSelectorHealth) return;
+
+  const sessionStartedAt = changes.xDimmerSelectorHealth.newValue?.sessionStartedAt || null;
+  if (sessionStartedAt === selectorHealthSessionStartedAt) return;
+
+  selectorHealthSessionStartedAt = sessionStartedAt;
+  selectorsAwaitingMatch = null;
+  healthCheckMatchedSelectors.clear();
+  healthCheckCheckedPageTypes.clear();
+  scheduleSelectorHealthCheck();
+});
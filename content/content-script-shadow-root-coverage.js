@@ -0,0 +1,155 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: SHADOW ROOT COVERAGE
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Carries the dim theme into X's open shadow roots — embedded media
+ * players, card previews and other web components. Neither the page's
+ * stylesheets nor a MutationObserver on <body> reach inside a shadow root,
+ * so without this they stay Lights Out black.
+ *
+ * HOW IT WORKS:
+ * 1. content-script-shadow-root-hook.js (main world) marks every open
+ *    shadow host with SHADOW_HOST_MARKER_ATTRIBUTE
+ * 2. The injector finds marked hosts — on injection, in added subtrees and
+ *    when the marker appears — and calls coverShadowRootsUnder
+ * 3. Each shadow root adopts one shared constructed stylesheet and is
+ *    observed by the injector's MutationObserver, like <body>
+ * 4. Roots whose host has left the document are dropped again
+ *    (pruneDetachedShadowRoots), so they can be garbage collected
+ *
+ * WHY AN UNGATED STYLESHEET:
+ * The base stylesheet is gated on <html> attributes, and "html *" doesn't
+ * match across a shadow boundary. The shadow root stylesheet is generated
+ * with the page state already applied (see
+ * generateDimThemeShadowRootStylesheetText), rewritten when that state
+ * changes, and taken out of every root when the theme is removed. The
+ * palette's custom properties are inherited from <html> through the host.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Set on open shadow hosts by content-script-shadow-root-hook.js (which
+ * keeps its own copy of the name — it runs in the page's world).
+ */
+const SHADOW_HOST_MARKER_ATTRIBUTE = 'data-x-dimmer-shadow-host';
+
+/** Selector matching every marked shadow host. */
+const SHADOW_HOST_SELECTOR = `[${SHADOW_HOST_MARKER_ATTRIBUTE}]`;
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/** The stylesheet every covered root adopts. */
+const shadowRootDimThemeStylesheet = new CSSStyleSheet();
+
+/** The text last written into it, to skip rewriting the same text. */
+let shadowRootDimThemeStylesheetText = '';
+
+/** Shadow roots currently carrying the stylesheet and being observed. */
+const coveredShadowRoots = new Set();
+
+
+/* -----------------------------------------------------------------------
+ * COVERAGE
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Replaces the text of the shared shadow root stylesheet. Every covered
+ * root picks the change up at once.
+ *
+ * @param {string} cssText - From generateDimThemeShadowRootStylesheetText
+ */
+function setShadowRootDimThemeStylesheetText(cssText) {
+  if (cssText === shadowRootDimThemeStylesheetText) return;
+  shadowRootDimThemeStylesheetText = cssText;
+  shadowRootDimThemeStylesheet.replaceSync(cssText);
+}
+
+
+/**
+ * Covers the shadow roots of every marked host in or under a node —
+ * nested roots included — and hands each new one to the caller, to observe
+ * it and fix what is already inside.
+ *
+ * @param {Element|Document|ShadowRoot} rootNode - Where to look
+ * @param {function(ShadowRoot): void} onShadowRootCovered - Called for each newly covered root
+ */
+function coverShadowRootsUnder(rootNode, onShadowRootCovered) {
+  const hostsToVisit = [];
+
+  if (rootNode.nodeType === Node.ELEMENT_NODE && rootNode.matches(SHADOW_HOST_SELECTOR)) {
+    hostsToVisit.push(rootNode);
+  }
+  hostsToVisit.push(...rootNode.querySelectorAll(SHADOW_HOST_SELECTOR));
+
+  while (hostsToVisit.length > 0) {
+    const shadowRoot = hostsToVisit.pop().shadowRoot;
+    if (!shadowRoot || coveredShadowRoots.has(shadowRoot)) continue;
+
+    if (!shadowRoot.adoptedStyleSheets.includes(shadowRootDimThemeStylesheet)) {
+      shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, shadowRootDimThemeStylesheet];
+    }
+    coveredShadowRoots.add(shadowRoot);
+    onShadowRootCovered(shadowRoot);
+
+    /* A web component's own shadow tree may hold more components */
+    hostsToVisit.push(...shadowRoot.querySelectorAll(SHADOW_HOST_SELECTOR));
+  }
+}
+
+
+/**
+ * Takes the stylesheet back out of one root.
+ *
+ * @param {ShadowRoot} shadowRoot - A covered root
+ */
+function uncoverShadowRoot(shadowRoot) {
+  shadowRoot.adoptedStyleSheets = shadowRoot.adoptedStyleSheets
+    .filter((adoptedStyleSheet) => adoptedStyleSheet !== shadowRootDimThemeStylesheet);
+  coveredShadowRoots.delete(shadowRoot);
+}
+
+
+/**
+ * Drops the roots whose host is no longer in the document. The caller
+ * has to stop observing them (a MutationObserver can only stop observing
+ * everything at once).
+ *
+ * @returns {boolean} True if at least one root was dropped
+ */
+function pruneDetachedShadowRoots() {
+  let prunedAnyShadowRoot = false;
+  for (const shadowRoot of coveredShadowRoots) {
+    if (!shadowRoot.host.isConnected) {
+      uncoverShadowRoot(shadowRoot);
+      prunedAnyShadowRoot = true;
+    }
+  }
+  return prunedAnyShadowRoot;
+}
+
+
+/**
+ * Takes the stylesheet out of every covered root and forgets them all.
+ * Called when the theme is removed from the page.
+ */
+function uncoverAllShadowRoots() {
+  for (const shadowRoot of [...coveredShadowRoots]) {
+    uncoverShadowRoot(shadowRoot);
+  }
+}
@@ -0,0 +1,46 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT (MAIN WORLD): SHADOW ROOT HOOK
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Marks every element X gives an open shadow root, so the injector can
+ * find shadow roots with a selector instead of walking the whole DOM.
+ *
+ * WHY THE MAIN WORLD:
+ * The other content scripts run in an isolated world, with their own copy
+ * of Element.prototype — X's calls to attachShadow never go through it.
+ * This file is declared with "world": "MAIN" in manifest.json, runs at
+ * document_start before any of X's scripts, and wraps the page's own
+ * attachShadow. It shares nothing with the isolated world but the DOM,
+ * which is why it talks to the injector through an attribute.
+ *
+ * WHY THE ATTRIBUTE IS SET LATER:
+ * Custom elements usually attach their shadow root in their constructor,
+ * and a custom element constructor must not add attributes — the browser
+ * throws if it does. The attribute is set in a microtask, after the
+ * constructor has returned.
+ *
+ * Closed shadow roots are left alone: they are closed so nobody outside
+ * can style them. Declarative shadow roots (<template shadowrootmode>)
+ * don't go through attachShadow either; X renders everything client-side.
+ * =============================================================================
+ */
+
+(() => {
+  /**
+   * Kept in sync by hand with SHADOW_HOST_MARKER_ATTRIBUTE in
+   * content-script-shadow-root-coverage.js — this world can't see it.
+   */
+  const SHADOW_HOST_MARKER_ATTRIBUTE = 'data-x-dimmer-shadow-host';
+
+  const originalAttachShadow = Element.prototype.attachShadow;
+
+  Element.prototype.attachShadow = function attachShadow(shadowRootInit) {
+    const shadowRoot = originalAttachShadow.call(this, shadowRootInit);
+    if (shadowRoot.mode === 'open') {
+      queueMicrotask(() => this.setAttribute(SHADOW_HOST_MARKER_ATTRIBUTE, ''));
+    }
+    return shadowRoot;
+  };
+})();
@@ -0,0 +1,196 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: STYLESHEET REWRITER
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Performance-oriented alternative to patching elements one by one: reads
+ * X's own stylesheets through the CSSOM, finds every rule that declares a
+ * Lights Out color, and generates a single counter-stylesheet that remaps
+ * those rules by selector.
+ *
+ * WHAT IT READS:
+ * - The <style> tags X injects (React Native Web's atomic class sheet)
+ * - <link> sheets, e.g. from abs.twimg.com, where the browser lets us read
+ *   them. A cross-origin sheet served without CORS throws on .cssRules —
+ *   we can't see its rules, so the caller falls back to today's behavior
+ *   (the full stylesheet with its [style*=] catch-alls).
+ *
+ * HOW THE COUNTER-RULES WIN:
+ * Each counter-rule reuses the original selector, so it has the same
+ * specificity. Our <style> is kept after X's in document order, and later
+ * rules win at equal specificity — no !important needed, and inline styles
+ * X sets deliberately keep winning. A rule that was !important stays so.
+ *
+ * DISABLED SURFACES:
+ * Page rules can leave a surface in Lights Out. Every counter-rule then
+ * carries the zero-specificity exclusion from
+ * buildDisabledSurfaceExclusionCondition, so X's own rule keeps painting
+ * inside that surface.
+ *
+ * KEEPING UP WITH X:
+ * React Native Web adds rules with insertRule(), which no MutationObserver
+ * can see. The injector calls refreshStylesheetRewrites on every mutation
+ * batch; a sheet is only re-read when its rule count has changed.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * CSS properties whose Lights Out colors are rewritten, with the same
+ * options as the inline-style fixes (see INLINE_COLOR_PROPERTY_FIXES).
+ * Shorthands don't appear here: the CSSOM expands them into longhands.
+ */
+const STYLESHEET_REWRITE_COLOR_PROPERTIES = {
+  'background-color': {},
+  'background-image': {},
+  'border-top-color': {},
+  'border-right-color': {},
+  'border-bottom-color': {},
+  'border-left-color': {},
+  'outline-color': {},
+  'box-shadow': { opaqueColorsOnly: true },
+  'fill': {},
+  'color': { usesTextColorMap: true },
+};
+
+/** Prefix shared by every <style> element X Dimmer adds — never rewritten. */
+const X_DIMMER_STYLE_ELEMENT_ID_PREFIX = 'x-dimmer-extension-';
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Per-sheet cache: the rule count when the sheet was last read, and the
+ * counter-rules generated from it. Replaced (not cleared) on palette change.
+ * @type {WeakMap<CSSStyleSheet, { ruleCount: number, surfaceExclusionCondition: string, counterRulesText: string }>}
+ */
+let counterRulesByStyleSheet = new WeakMap();
+
+
+/* -----------------------------------------------------------------------
+ * RULE REWRITING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Builds the counter-rule for one CSS rule, recursing into @media and
+ * @supports blocks. Other at-rules (@keyframes, @font-face) are skipped.
+ *
+ * @param {CSSRule} cssRule - A rule from one of X's sheets
+ * @param {Object<string, string>} colorMap - Lights Out surface/border map
+ * @param {Object<string, string>} textColorMap - Lights Out text map
+ * @param {string} surfaceExclusionCondition - Added to every selector ('' for none)
+ * @returns {string} The counter-rule text, or '' if nothing needs remapping
+ */
+function buildCounterRuleText(cssRule, colorMap, textColorMap, surfaceExclusionCondition) {
+  if (cssRule instanceof CSSStyleRule) {
+    const remappedDeclarations = [];
+
+    for (let propertyIndex = 0; propertyIndex < cssRule.style.length; propertyIndex++) {
+      const propertyName = cssRule.style[propertyIndex];
+      const propertyOptions = STYLESHEET_REWRITE_COLOR_PROPERTIES[propertyName];
+      if (!propertyOptions) continue;
+
+      const originalValue = cssRule.style.getPropertyValue(propertyName);
+      const remappedValue = remapLightsOutColorsInCssValue(
+        originalValue,
+        propertyOptions.usesTextColorMap ? textColorMap : colorMap,
+        propertyOptions.opaqueColorsOnly
+      );
+      if (remappedValue === originalValue) continue;
+
+      const importanceSuffix = cssRule.style.getPropertyPriority(propertyName) ? ' !important' : '';
+      remappedDeclarations.push(`${propertyName}: ${remappedValue}${importanceSuffix};`);
+    }
+
+    if (remappedDeclarations.length === 0) return '';
+
+    const counterRuleSelector = surfaceExclusionCondition
+      ? appendConditionToSelectorSubjects(cssRule.selectorText, surfaceExclusionCondition)
+      : cssRule.selectorText;
+    return `${counterRuleSelector} { ${remappedDeclarations.join(' ')} }`;
+  }
+
+  if (cssRule instanceof CSSMediaRule || cssRule instanceof CSSSupportsRule) {
+    const nestedRulesText = Array.from(cssRule.cssRules)
+      .map((nestedRule) => buildCounterRuleText(nestedRule, colorMap, textColorMap, surfaceExclusionCondition))
+      .filter(Boolean)
+      .join('\n');
+    if (!nestedRulesText) return '';
+
+    const atRuleKeyword = cssRule instanceof CSSMediaRule ? '@media' : '@supports';
+    return `${atRuleKeyword} ${cssRule.conditionText} {\n${nestedRulesText}\n}`;
+  }
+
+  return '';
+}
+
+
+/**
+ * Reads every stylesheet on the page and assembles the counter-stylesheet.
+ * Sheets whose rule count hasn't changed since the last call are served
+ * from the cache — unless the surface exclusion changed since, e.g. after
+ * a route change to a page with other page rules.
+ *
+ * @param {Object<string, string>} colorMap - Lights Out surface/border map
+ * @param {Object<string, string>} textColorMap - Lights Out text map
+ * @param {string} [surfaceExclusionCondition] - From
+ *   buildDisabledSurfaceExclusionCondition ('' or omitted: no surface is disabled)
+ * @returns {{ counterStylesheetText: string, hasUnreadableStyleSheet: boolean }}
+ *   hasUnreadableStyleSheet is true if any sheet couldn't be read
+ *   (cross-origin) — its rules are missing from the counter-stylesheet
+ */
+function collectStylesheetRewrites(colorMap, textColorMap, surfaceExclusionCondition = '') {
+  const counterRuleBlocks = [];
+  let hasUnreadableStyleSheet = false;
+
+  for (const styleSheet of document.styleSheets) {
+    if (styleSheet.ownerNode?.id?.startsWith(X_DIMMER_STYLE_ELEMENT_ID_PREFIX)) continue;
+
+    let sheetRules;
+    try {
+      sheetRules = styleSheet.cssRules;
+    } catch (error) {
+      /* SecurityError: cross-origin sheet without CORS */
+      hasUnreadableStyleSheet = true;
+      continue;
+    }
+
+    const cachedRewrite = counterRulesByStyleSheet.get(styleSheet);
+    if (cachedRewrite && cachedRewrite.ruleCount === sheetRules.length
+      && cachedRewrite.surfaceExclusionCondition === surfaceExclusionCondition) {
+      if (cachedRewrite.counterRulesText) counterRuleBlocks.push(cachedRewrite.counterRulesText);
+      continue;
+    }
+
+    const counterRulesText = Array.from(sheetRules)
+      .map((cssRule) => buildCounterRuleText(cssRule, colorMap, textColorMap, surfaceExclusionCondition))
+      .filter(Boolean)
+      .join('\n');
+    counterRulesByStyleSheet.set(styleSheet, { ruleCount: sheetRules.length, surfaceExclusionCondition, counterRulesText });
+    if (counterRulesText) counterRuleBlocks.push(counterRulesText);
+  }
+
+  return { counterStylesheetText: counterRuleBlocks.join('\n'), hasUnreadableStyleSheet };
+}
+
+
+/**
+ * Forgets every cached rewrite — call when the palette changes, since the
+ * cached counter-rules carry the old palette's colors.
+ */
+function resetStylesheetRewriteCache() {
+  counterRulesByStyleSheet = new WeakMap();
+}
@@ -0,0 +1,158 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: UNTHEMED-SURFACE DIAGNOSTICS
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Finds what theming missed. Walks the elements currently on screen and
+ * lists every one whose computed background or border is still a Lights
+ * Out color after all of X Dimmer's fixes have run — so a regression shows
+ * up right after X ships a UI change instead of by eyeballing the feed.
+ *
+ * WHAT A REPORT HOLDS:
+ *   { generatedAt, route, paletteId, isDimThemeActive, viewport,
+ *     examinedElementCount, isTruncated, unthemedElements: [{
+ *       selectorPath,   — e.g. 'div[data-testid="cellInnerDiv"] > div > div'
+ *       nearestTestId,  — the closest data-testid on the element or above it
+ *       colors,         — { backgroundColor?, borderColor? } still Lights Out
+ *       boundingBox,    — { x, y, width, height } in page coordinates
+ *     }] }
+ * The options page shows the count and exports the report as JSON.
+ *
+ * WHY ONLY VISIBLE ELEMENTS:
+ * getComputedStyle is the expensive part. Off-screen timeline cells are
+ * recycled by X as you scroll, so the visible view is both the cheap and the
+ * meaningful thing to check; scroll and run it again to check more.
+ *
+ * Only the painting element is listed: a transparent child over a black
+ * parent computes to "rgba(0, 0, 0, 0)" and is skipped, so one black panel
+ * is one entry, not one per descendant.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/** Upper bound on listed elements, to keep reports (and exports) small. */
+const MAX_DIAGNOSED_UNTHEMED_ELEMENTS = 300;
+
+/** Elements never worth examining: media and non-rendered tags. */
+const DIAGNOSTICS_SKIPPED_TAG_NAMES = new Set(['IMG', 'VIDEO', 'CANVAS', 'PICTURE', 'SCRIPT', 'STYLE', 'NOSCRIPT']);
+
+
+/* -----------------------------------------------------------------------
+ * ELEMENT DESCRIPTIONS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Builds a short CSS-like path for an element from its own and its
+ * ancestors' data-testid / role attributes, e.g.
+ * 'div[data-testid="primaryColumn"] > section > div[role="button"]'.
+ * Shared by the diagnostics report and the "Report unthemed element here"
+ * context menu item.
+ *
+ * @param {Element} element - The element to describe
+ * @returns {string} The path, innermost last (at most 6 levels)
+ */
+function describeElementPathForReport(element) {
+  const pathSegments = [];
+  for (let current = element; current && current !== document.body && pathSegments.length < 6;
+    current = current.parentElement) {
+    const testId = current.getAttribute('data-testid');
+    const role = current.getAttribute('role');
+    pathSegments.unshift(current.tagName.toLowerCase()
+      + (testId ? `[data-testid="${testId}"]` : role ? `[role="${role}"]` : ''));
+  }
+  return pathSegments.join(' > ');
+}
+
+
+/**
+ * Returns the border color an element still paints in Lights Out, if any.
+ * Only sides that are actually drawn (non-zero width, not "none") count.
+ *
+ * @param {CSSStyleDeclaration} computedStyle - The element's computed style
+ * @param {Object<string, string>} colorMap - Lights Out "r, g, b" → palette "r, g, b"
+ * @returns {string|null} The offending computed color, or null
+ */
+function findLightsOutBorderColor(computedStyle, colorMap) {
+  for (const side of ['Top', 'Right', 'Bottom', 'Left']) {
+    if (computedStyle[`border${side}Style`] === 'none' || parseFloat(computedStyle[`border${side}Width`]) === 0) continue;
+
+    const borderColor = computedStyle[`border${side}Color`];
+    if (isLightsOutSurfaceColor(borderColor, colorMap)) return borderColor;
+  }
+  return null;
+}
+
+
+/* -----------------------------------------------------------------------
+ * THE DIAGNOSTICS PASS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Walks the on-screen elements and reports those still painted in Lights Out.
+ *
+ * @param {Object<string, string>} colorMap - Lights Out "r, g, b" → palette
+ *   "r, g, b"; its keys are the Lights Out surface and border colors
+ * @param {string} excludedContainerSelector - Containers left undimmed on
+ *   purpose by page rules ('' for none) — nothing inside them is reported
+ * @returns {{ examinedElementCount: number, isTruncated: boolean,
+ *   unthemedElements: Array<Object> }} The per-element part of the report
+ */
+function collectUnthemedSurfaceDiagnostics(colorMap, excludedContainerSelector) {
+  const unthemedElements = [];
+  let examinedElementCount = 0;
+  let isTruncated = false;
+
+  for (const element of document.querySelectorAll('html, body, body *')) {
+    if (DIAGNOSTICS_SKIPPED_TAG_NAMES.has(element.tagName)) continue;
+    if (element.id?.startsWith(X_DIMMER_STYLE_ELEMENT_ID_PREFIX)) continue;
+
+    /* Layout first — getComputedStyle only for what is on screen */
+    const elementRect = element.getBoundingClientRect();
+    const isOnScreen = elementRect.width > 0 && elementRect.height > 0
+      && elementRect.bottom > 0 && elementRect.top < window.innerHeight
+      && elementRect.right > 0 && elementRect.left < window.innerWidth;
+    if (!isOnScreen) continue;
+    if (excludedContainerSelector && element.closest(excludedContainerSelector)) continue;
+
+    examinedElementCount++;
+    const computedStyle = getComputedStyle(element);
+    if (computedStyle.visibility === 'hidden') continue;
+
+    const colors = {};
+    if (isLightsOutSurfaceColor(computedStyle.backgroundColor, colorMap)) {
+      colors.backgroundColor = computedStyle.backgroundColor;
+    }
+    const borderColor = findLightsOutBorderColor(computedStyle, colorMap);
+    if (borderColor) colors.borderColor = borderColor;
+    if (!colors.backgroundColor && !colors.borderColor) continue;
+
+    if (unthemedElements.length === MAX_DIAGNOSED_UNTHEMED_ELEMENTS) {
+      isTruncated = true;
+      break;
+    }
+    unthemedElements.push({
+      selectorPath: describeElementPathForReport(element),
+      nearestTestId: element.closest('[data-testid]')?.getAttribute('data-testid') || null,
+      colors,
+      boundingBox: {
+        x: Math.round(elementRect.left + window.scrollX),
+        y: Math.round(elementRect.top + window.scrollY),
+        width: Math.round(elementRect.width),
+        height: Math.round(elementRect.height),
+      },
+    });
+  }
+
+  return { examinedElementCount, isTruncated, unthemedElements };
+}
@@ -0,0 +1,202 @@
+/*
+ * =============================================================================
+ * X DIMMER — CONTENT SCRIPT: X THEME DETECTOR
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Finds out which theme X is actually rendering ("Default" light, the old
+ * "Dim", or "Lights Out") and tells the injector whenever that changes.
+ * The dim override only makes sense on top of Lights Out: forcing navy
+ * surfaces onto the light "Default" theme leaves dark text on dark panels.
+ *
+ * DETECTION SOURCES (most to least reliable):
+ * 1. The "night_mode" cookie X writes for the display setting:
+ *      0 = Default (light), 1 = Dim, 2 = Lights Out
+ * 2. <meta name="theme-color">, which X keeps in step with the active theme
+ *    (#FFFFFF / #15202B / #000000). Our overrides never touch it.
+ * 3. The computed <body> background — only while our own override is NOT
+ *    painted on the page, otherwise we would just read back our own navy.
+ * 4. The OS color scheme (prefers-color-scheme). Logged-out X follows the
+ *    OS, so when nothing above is available yet, a dark OS means Lights Out.
+ *
+ * LIVE UPDATES:
+ * The detector re-checks when the theme-color meta changes, when cookies
+ * change (cookieStore, where available) and when the OS scheme flips.
+ *
+ * This file is loaded before content-script-dim-theme-injector.js and
+ * shares its global scope (see manifest.json).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/** X's "night_mode" cookie values → theme names used by the detector. */
+const X_NIGHT_MODE_COOKIE_TO_THEME = {
+  0: 'light',
+  1: 'dim',
+  2: 'lights-out',
+};
+
+/**
+ * Known page background colors (as "r, g, b") for each X theme.
+ * Used for both the theme-color meta and the computed <body> background.
+ */
+const X_THEME_BACKGROUND_RGB_TO_THEME = {
+  '255, 255, 255': 'light',
+  '21, 32, 43': 'dim',
+  '0, 0, 0': 'lights-out',
+};
+
+/** Media query for the OS-level dark mode preference. */
+const OS_DARK_COLOR_SCHEME_MEDIA_QUERY = '(prefers-color-scheme: dark)';
+
+
+/* -----------------------------------------------------------------------
+ * STATE VARIABLES
+ * -----------------------------------------------------------------------
+ */
+
+/** MutationObserver watching <head> for theme-color changes. */
+let xThemeMetaObserverInstance = null;
+
+/** The last theme reported to the change callback (to skip duplicates). */
+let lastReportedXTheme = null;
+
+
+/* -----------------------------------------------------------------------
+ * DETECTION
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Reads X's theme from the "night_mode" cookie.
+ *
+ * @returns {'light'|'dim'|'lights-out'|null} The theme, or null if unset
+ */
+function readXThemeFromNightModeCookie() {
+  const nightModeMatch = /(?:^|;\s*)night_mode=(\d)/.exec(document.cookie);
+  return nightModeMatch ? X_NIGHT_MODE_COOKIE_TO_THEME[nightModeMatch[1]] || null : null;
+}
+
+
+/**
+ * Reads X's theme from <meta name="theme-color">.
+ * The content is a hex color; we compare it as "r, g, b".
+ *
+ * @returns {'light'|'dim'|'lights-out'|null} The theme, or null if unknown
+ */
+function readXThemeFromThemeColorMeta() {
+  const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+  const themeColor = themeColorMeta?.getAttribute('content')?.trim();
+  if (!themeColor || !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(themeColor)) return null;
+
+  return X_THEME_BACKGROUND_RGB_TO_THEME[convertHexColorToRgbTriplet(themeColor)] || null;
+}
+
+
+/**
+ * Samples the computed <body> background.
+ * Only meaningful while our override isn't painted — the caller passes
+ * whether it is, and we refuse to guess if so.
+ *
+ * @param {boolean} isOverridePainted - Whether our dim <style> is in the page
+ * @returns {'light'|'dim'|'lights-out'|null} The theme, or null if unknown
+ */
+function readXThemeFromBodyBackground(isOverridePainted) {
+  if (isOverridePainted || !document.body) return null;
+
+  const bodyBackground = getComputedStyle(document.body).backgroundColor;
+  const rgbMatch = bodyBackground.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  if (!rgbMatch) return null;
+
+  return X_THEME_BACKGROUND_RGB_TO_THEME[`${rgbMatch[1]}, ${rgbMatch[2]}, ${rgbMatch[3]}`] || null;
+}
+
+
+/**
+ * Works out which theme X is rendering right now.
+ *
+ * @param {boolean} isOverridePainted - Whether our dim <style> is in the page
+ * @returns {'light'|'dim'|'lights-out'} The detected theme
+ */
+function detectXRenderedTheme(isOverridePainted) {
+  const detectedTheme = readXThemeFromNightModeCookie()
+    || readXThemeFromThemeColorMeta()
+    || readXThemeFromBodyBackground(isOverridePainted);
+  if (detectedTheme) return detectedTheme;
+
+  /* Nothing on the page yet (document_start) — X follows the OS here */
+  return window.matchMedia(OS_DARK_COLOR_SCHEME_MEDIA_QUERY).matches ? 'lights-out' : 'light';
+}
+
+
+/* -----------------------------------------------------------------------
+ * WATCHING FOR CHANGES
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Starts watching every detection source and calls back when the detected
+ * theme changes. Safe to call more than once; later calls are ignored.
+ *
+ * @param {function(): boolean} isOverridePaintedGetter - Reports whether our
+ *   dim <style> is currently in the page (read fresh on every check)
+ * @param {function(string): void} onXThemeChanged - Receives the new theme
+ */
+function startWatchingXThemeChanges(isOverridePaintedGetter, onXThemeChanged) {
+  if (xThemeMetaObserverInstance) return;
+
+  const recheckXTheme = () => {
+    const detectedTheme = detectXRenderedTheme(isOverridePaintedGetter());
+    if (detectedTheme === lastReportedXTheme) return;
+
+    lastReportedXTheme = detectedTheme;
+    onXThemeChanged(detectedTheme);
+  };
+
+  /* theme-color meta: X adds it after document_start and edits it in place
+   * when the display setting changes. Only <head> is watched — observing
+   * the whole document would wake us for every timeline mutation. */
+  xThemeMetaObserverInstance = new MutationObserver(recheckXTheme);
+  const observeHead = () => {
+    xThemeMetaObserverInstance.disconnect();
+    xThemeMetaObserverInstance.observe(document.head, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['content'],
+    });
+  };
+
+  if (document.head) {
+    observeHead();
+  } else {
+    /* At document_start <head> may not exist yet — wait for it */
+    const headWatcher = new MutationObserver(() => {
+      if (document.head) {
+        headWatcher.disconnect();
+        observeHead();
+        recheckXTheme();
+      }
+    });
+    headWatcher.observe(document.documentElement, { childList: true });
+  }
+
+  /* night_mode cookie — cookieStore isn't available everywhere */
+  if (window.cookieStore) {
+    window.cookieStore.addEventListener('change', (event) => {
+      const touchesNightMode = [...event.changed, ...event.deleted]
+        .some((cookie) => cookie.name === 'night_mode');
+      if (touchesNightMode) recheckXTheme();
+    });
+  }
+
+  /* OS dark/light switch */
+  window.matchMedia(OS_DARK_COLOR_SCHEME_MEDIA_QUERY).addEventListener('change', recheckXTheme);
+
+  recheckXTheme();
+}
@@ -0,0 +1,1030 @@
+/*
+ * =============================================================================
+ * X DIMMER — DIM THEME STYLESHEET GENERATOR
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Produces the dim theme stylesheets from the layered selector list below
+ * (DIM_THEME_STYLESHEET_LAYERS), and the :root block that gives them a
+ * palette's colors (see shared/dim-palette-definitions.js).
+ *
+ * The selector list used to be a static CSS file with hex colors written
+ * into every rule. Keeping the selectors here, with palette slot tokens in
+ * place of colors, means the stylesheet and the MutationObserver's color map
+ * are always generated from the same palette and can never disagree.
+ *
+ * DECLARATION VALUE TOKENS:
+ * Declaration values are plain CSS strings that may contain palette tokens,
+ * emitted as custom properties (see PALETTE CUSTOM PROPERTIES):
+ *   '{primaryBackground}'          → var(--x-dimmer-primary-background)
+ *   '{hoverSurface@0.7}'           → rgba(var(--x-dimmer-hover-surface-rgb), 0.7)
+ *   '2px solid {primaryBackground}' → 2px solid var(--x-dimmer-primary-background)
+ * Values without tokens (e.g. 'transparent', '16px') are emitted as-is.
+ *
+ * APPROACH (unchanged from the original stylesheet):
+ *   1. Targeting known structural elements with broad selectors
+ *   2. Using attribute selectors to catch inline-styled elements
+ *   3. Using !important to ensure our overrides take precedence
+ *
+ * KNOWN X/TWITTER STRUCTURE:
+ *   - body and #react-root are the outermost containers
+ *   - [data-testid="primaryColumn"] is the main feed/content area
+ *   - [data-testid="sidebarColumn"] is the right sidebar (trends, who to follow)
+ *   - [data-testid="DMDrawer"] is the DM drawer
+ *   - Various header, nav, and modal elements exist with data-testid attributes
+ *   - X heavily uses inline styles for layout but uses classes for theming
+ *
+ * CUSTOM OVERRIDE RULES:
+ * Rules the user picked from the page with the element picker (see
+ * content-script-element-picker.js) go into the page-specific stylesheet,
+ * after the bundled layers, so X surfaces we don't know about yet can be
+ * fixed without a release.
+ *
+ * IMPORTANT NOTES:
+ *   - Text colors are remapped by the TEXT COLORS layer, which each palette
+ *     can switch off with remapsTextColors: false to keep X's own text
+ *   - We DO NOT touch accent colors (X blue #1D9BF0 stays the same)
+ *   - We avoid touching images, videos, avatars, or media elements
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CATCH-ALL ATTRIBUTE SELECTOR BUILDERS
+ * -----------------------------------------------------------------------
+ * Layer 8 is not written by hand: it is derived from LIGHTS_OUT_COLOR_FAMILY
+ * so that every Lights Out color the MutationObserver knows about also has
+ * a CSS fallback selector.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Shortens a 6-digit hex color to 3 digits when possible ("#000000" → "#000").
+ * Used for [style*=] substring selectors: "#000" matches both "#000" and
+ * "#000000" in the style attribute, so the short form catches more.
+ *
+ * @param {string} hexColor - A 6-digit hex color with leading '#'
+ * @returns {string} The shortest lowercase hex form of the color
+ */
+function shortenHexColorForSubstringMatch(hexColor) {
+  const hexDigits = hexColor.replace('#', '').toLowerCase();
+  const isShortenable = hexDigits[0] === hexDigits[1]
+    && hexDigits[2] === hexDigits[3]
+    && hexDigits[4] === hexDigits[5];
+  return isShortenable
+    ? `#${hexDigits[0]}${hexDigits[2]}${hexDigits[4]}`
+    : `#${hexDigits}`;
+}
+
+
+/**
+ * Builds the [style*=] catch-all rules for every Lights Out color.
+ *
+ * IMPORTANT: X uses BOTH rgb() and rgba() formats for the same color.
+ * For example: background-color: rgba(0, 0, 0, 1.00)
+ * The rgba selectors match the opening portion "rgba(0, 0, 0" without the
+ * closing paren, so they catch any alpha value (1.00, 0.95, etc.).
+ *
+ * @returns {Array<Object>} Rules in the same shape as the hand-written layers
+ */
+function buildLightsOutInlineStyleCatchAllRules() {
+  const catchAllRules = [];
+
+  for (const familyEntry of LIGHTS_OUT_COLOR_FAMILY) {
+    const rgbTriplet = convertHexColorToRgbTriplet(familyEntry.lightsOutHex);
+    const shortHex = shortenHexColorForSubstringMatch(familyEntry.lightsOutHex);
+    const slotToken = `{${familyEntry.paletteSlot}}`;
+
+    if (familyEntry.role === 'surface') {
+      catchAllRules.push({
+        selectors: [
+          `*[style*="background-color: rgb(${rgbTriplet})"]`,
+          `*[style*="background-color: rgba(${rgbTriplet}"]`,
+          `*[style*="background-color:${shortHex}"]`,
+          `*[style*="background-color: ${shortHex}"]`,
+          `*[style*="background: rgb(${rgbTriplet})"]`,
+          `*[style*="background: rgba(${rgbTriplet}"]`,
+          `*[style*="background: ${shortHex}"]`,
+        ],
+        declarations: { 'background-color': slotToken },
+        isInlineStyleCatchAll: true,
+      });
+    } else if (familyEntry.role === 'border') {
+      for (const borderProperty of ['border-color', 'border-bottom-color', 'border-top-color']) {
+        catchAllRules.push({
+          selectors: [`*[style*="${borderProperty}: rgb(${rgbTriplet})"]`],
+          declarations: { [borderProperty]: slotToken },
+          isInlineStyleCatchAll: true,
+        });
+      }
+    }
+  }
+
+  return catchAllRules;
+}
+
+
+/**
+ * Builds the [style*=] rules that recolor inline Lights Out text colors.
+ *
+ * WHY ANCHORED SELECTORS:
+ * A plain [style*="color: rgb(…)"] would also match "background-color: rgb(…)".
+ * Anchoring to the start of the attribute, or to a preceding "; ", only
+ * matches a standalone color declaration.
+ *
+ * @returns {Array<Object>} Rules in the same shape as the hand-written layers
+ */
+function buildLightsOutInlineTextColorRules() {
+  return LIGHTS_OUT_COLOR_FAMILY
+    .filter((familyEntry) => familyEntry.role === 'text')
+    .map((familyEntry) => {
+      const rgbTriplet = convertHexColorToRgbTriplet(familyEntry.lightsOutHex);
+      return {
+        selectors: [
+          `*[style^="color: rgb(${rgbTriplet})"]`,
+          `*[style*="; color: rgb(${rgbTriplet})"]`,
+          `*[style^="color: rgba(${rgbTriplet}"]`,
+          `*[style*="; color: rgba(${rgbTriplet}"]`,
+        ],
+        declarations: { color: `{${familyEntry.paletteSlot}}` },
+        isInlineStyleCatchAll: true,
+      };
+    });
+}
+
+
+/* -----------------------------------------------------------------------
+ * THE LAYERED SELECTOR LIST
+ * -----------------------------------------------------------------------
+ * Each layer groups rules for one area of X's interface. Rules are
+ * emitted with !important unless they set `important: false`.
+ * A layer with `requiresPaletteTextRemap` only applies while the active
+ * palette remaps text colors. Rules marked `isInlineStyleCatchAll` are
+ * the [style*=] substring selectors; they can be switched off when the
+ * stylesheet rewriter covers X's sheets and inline colors are left to the
+ * MutationObserver. Both are decided per page through the <html>
+ * attributes below (see PAGE STATE ATTRIBUTES).
+ * A `surfaceId` (on a layer, or on a single rule) ties rules to one of the
+ * DIM_THEME_SURFACES in shared/dim-page-rules.js, so page rules can leave
+ * that part of X undimmed.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Images, videos and avatars are never tinted. Shared by X's layers and
+ * the embedded post layers (see EMBEDDED POST LAYERS).
+ */
+const MEDIA_PROTECTION_LAYER = {
+  title: 'MEDIA & IMAGE PROTECTION',
+  description: 'CRITICAL: images, videos, avatars and media must never be tinted.',
+  rules: [
+    {
+      selectors: [
+        'img', 'video', 'svg:not([class*="icon"])',
+        '[data-testid="tweetPhoto"]', '[data-testid="videoPlayer"]',
+        '[data-testid="UserAvatar-Container"] img',
+      ],
+      declarations: { 'background-color': 'transparent' },
+    },
+  ],
+};
+
+/**
+ * The layers of dim theme overrides, in cascade order.
+ * @type {Array<{ title: string, description: string, rules: Array<Object>,
+ *   requiresPaletteTextRemap?: boolean, surfaceId?: string }>}
+ */
+const DIM_THEME_STYLESHEET_LAYERS = [
+  {
+    title: 'ROOT AND BODY — THE FOUNDATION',
+    description: 'The outermost elements that set the overall page background. '
+      + 'X applies background-color on both html and body, plus the React root.',
+    rules: [
+      { selectors: ['html', 'body'], declarations: { 'background-color': '{primaryBackground}' } },
+      /* React root container — X wraps everything in #react-root > div structure */
+      {
+        selectors: ['#react-root', '#react-root > div', '#react-root > div > div'],
+        declarations: { 'background-color': '{primaryBackground}' },
+      },
+    ],
+  },
+  {
+    title: 'MAJOR STRUCTURAL CONTAINERS',
+    description: 'The primary layout regions: main column, sidebar, navigation and header.',
+    rules: [
+      /* Primary content column and sidebar ("What's happening", "Who to follow") */
+      {
+        selectors: ['[data-testid="primaryColumn"]', '[data-testid="sidebarColumn"]'],
+        declarations: { 'background-color': '{primaryBackground}' },
+      },
+      /* The main navigation/header bar at the top */
+      {
+        selectors: ['header[role="banner"]', 'header[role="banner"] > div', 'header[role="banner"] > div > div'],
+        declarations: { 'background-color': '{primaryBackground}' },
+      },
+      /* Navigation sidebar (left side) and the bottom navigation bar on mobile web */
+      {
+        selectors: ['nav[role="navigation"]', 'nav[aria-label="Primary"]', 'nav[aria-label="Bottom navigation"]'],
+        declarations: { 'background-color': '{primaryBackground}' },
+      },
+      /* DM drawer */
+      {
+        selectors: ['[data-testid="DMDrawer"]', '[data-testid="DMDrawer"] > div'],
+        declarations: { 'background-color': '{secondarySurface}' },
+        surfaceId: 'dm-drawer',
+      },
+    ],
+  },
+  {
+    title: 'BROAD ELEMENT OVERRIDES',
+    description: 'Reserved for broad div-level overrides. Intentionally empty: the '
+      + 'catch-all attribute selectors and the MutationObserver handle pure-black divs surgically.',
+    rules: [],
+  },
+  {
+    title: 'SECONDARY SURFACES (Cards, Menus, Modals)',
+    description: 'Elements that sit "above" the primary background use the secondary '
+      + 'dim color for visual hierarchy.',
+    rules: [
+      /* Tweet compose area / "What is happening?" box */
+      {
+        selectors: ['[data-testid="tweetTextarea_0_label"]', '[data-testid="toolBar"]'],
+        declarations: { 'background-color': '{primaryBackground}' },
+      },
+      /* Dropdown menus, popovers and dialogs */
+      {
+        selectors: [
+          '[data-testid="Dropdown"]', '[role="menu"]', '[role="menu"] > div',
+          '[role="dialog"]', '[role="dialog"] > div > div',
+        ],
+        declarations: { 'background-color': '{secondarySurface}' },
+      },
+      /* The modal backdrop (semi-transparent overlay) */
+      { selectors: ['[data-testid="mask"]'], declarations: { 'background-color': '{modalMask@0.4}' } },
+      /* Search bar, tooltips and hover cards */
+      {
+        selectors: [
+          '[data-testid="SearchBox_Search_Input"]', '[role="search"]',
+          '[role="tooltip"]', '[data-testid="HoverCard"]',
+        ],
+        declarations: { 'background-color': '{secondarySurface}' },
+      },
+      /* Who to follow / trends / sidebar cards */
+      {
+        selectors: ['[data-testid="sidebarColumn"] section', '[data-testid="sidebarColumn"] aside'],
+        declarations: { 'background-color': '{secondarySurface}' },
+      },
+      {
+        selectors: ['[data-testid="sidebarColumn"] section', '[data-testid="sidebarColumn"] aside'],
+        declarations: { 'border-radius': '16px' },
+        important: false,
+      },
+    ],
+  },
+  {
+    title: 'HOVER AND INTERACTION STATES',
+    description: 'Subtle highlights when hovering tweets, buttons and list items.',
+    rules: [
+      /* Tweet hover effect — subtle navy highlight */
+      {
+        selectors: ['[data-testid="tweet"]:hover', 'article[role="article"]:hover'],
+        declarations: { 'background-color': '{hoverSurface@0.7}' },
+      },
+      /* Clickable list items hover (settings, menus, etc.) */
+      {
+        selectors: ['[role="listitem"]:hover', '[role="option"]:hover'],
+        declarations: { 'background-color': '{hoverSurface}' },
+      },
+    ],
+  },
+  {
+    title: 'BORDERS — SLIGHTLY WARMER IN DIM MODE',
+    description: 'Lights Out uses very subtle gray borders; Dim used slightly more visible ones.',
+    rules: [
+      {
+        selectors: [
+          '[data-testid="primaryColumn"] > div > div',
+          '[data-testid="cellInnerDiv"] > div',
+          '[role="tab"]',
+        ],
+        declarations: { 'border-color': '{border}' },
+      },
+    ],
+  },
+  {
+    title: 'SCROLLBAR STYLING',
+    description: 'Custom scrollbar colors to match the theme (Chromium only).',
+    rules: [
+      { selectors: ['::-webkit-scrollbar'], declarations: { width: '8px' }, important: false },
+      { selectors: ['::-webkit-scrollbar-track'], declarations: { background: '{primaryBackground}' }, important: false },
+      {
+        selectors: ['::-webkit-scrollbar-thumb'],
+        declarations: {
+          'background-color': '{border}',
+          'border-radius': '4px',
+          border: '2px solid {primaryBackground}',
+        },
+        important: false,
+      },
+      {
+        selectors: ['::-webkit-scrollbar-thumb:hover'],
+        declarations: { 'background-color': '{secondaryText}' },
+        important: false,
+      },
+    ],
+  },
+  {
+    title: 'CATCH-ALL ATTRIBUTE SELECTORS',
+    description: 'Generated from LIGHTS_OUT_COLOR_FAMILY. Targets elements X styles with '
+      + 'inline Lights Out colors. The MutationObserver is the primary mechanism; these '
+      + 'rules are the fallback/complement.',
+    rules: buildLightsOutInlineStyleCatchAllRules(),
+  },
+  {
+    title: 'GROK / AI CHAT SIDEBAR AND SPECIAL VIEWS',
+    description: 'Special views (Spaces, Communities, etc.) with their own containers. '
+      + 'The Grok drawer is deliberately left alone for now.',
+    rules: [
+      /* Spaces audio rooms */
+      {
+        selectors: ['[data-testid="SpacesBar"]'],
+        declarations: { 'background-color': '{secondarySurface}' },
+        surfaceId: 'spaces',
+      },
+      /* Communities tab */
+      { selectors: ['[data-testid="communities_picker"]'], declarations: { 'background-color': '{primaryBackground}' } },
+    ],
+  },
+  MEDIA_PROTECTION_LAYER,
+  {
+    title: 'COMPOSE TWEET MODAL',
+    description: 'The compose tweet modal/drawer has its own background and styling.',
+    surfaceId: 'compose-modal',
+    rules: [
+      {
+        selectors: ['[data-testid="tweetButtonInline"]', '[data-testid="tweetTextarea_0"]', '[data-testid="toolBar"] > div'],
+        declarations: { 'background-color': 'transparent' },
+      },
+      /* The compose modal itself */
+      {
+        selectors: ['[aria-labelledby="modal-header"]', '[aria-labelledby="modal-header"] > div'],
+        declarations: { 'background-color': '{secondarySurface}' },
+      },
+    ],
+  },
+  {
+    title: 'NOTIFICATION & MESSAGING PANELS',
+    description: 'Notifications tab and DM conversations have distinct containers.',
+    surfaceId: 'notifications',
+    rules: [
+      { selectors: ['[data-testid="notification"]'], declarations: { 'background-color': '{primaryBackground}' } },
+      /* Conversation/DM messages and the DM compose area */
+      {
+        selectors: ['[data-testid="messageEntry"]', '[data-testid="conversation"]', '[data-testid="dmComposerTextInput"]'],
+        declarations: { 'background-color': '{secondarySurface}' },
+      },
+    ],
+  },
+  {
+    title: 'SETTINGS & ACCOUNT PAGES',
+    description: 'Settings pages have different layouts but the same dark backgrounds.',
+    surfaceId: 'settings',
+    rules: [
+      {
+        selectors: ['[data-testid="settingsScreen"]', '[data-testid="accountScreen"]'],
+        declarations: { 'background-color': '{primaryBackground}' },
+      },
+    ],
+  },
+  {
+    title: 'LOADING STATES & SKELETONS',
+    description: 'Shimmer/skeleton placeholders and bottom sheets.',
+    rules: [
+      {
+        selectors: ['[data-testid="sheetDialog"]', '[data-testid="sheetDialog"] > div'],
+        declarations: { 'background-color': '{secondarySurface}' },
+      },
+    ],
+  },
+  {
+    title: 'X PREMIUM / VERIFIED BADGE AREAS',
+    description: 'Premium subscription UI elements.',
+    surfaceId: 'premium',
+    rules: [
+      {
+        selectors: ['[data-testid="premiumCTA"]', '[data-testid="premiumSignup"]'],
+        declarations: { 'background-color': '{secondarySurface}', 'border-color': '{border}' },
+      },
+    ],
+  },
+  {
+    title: 'SMOOTH TRANSITION',
+    description: 'A short (150ms) transition so toggling on feels intentional, not jarring.',
+    rules: [
+      {
+        selectors: [
+          'body', '#react-root', '#react-root > div', 'header[role="banner"]',
+          '[data-testid="primaryColumn"]', '[data-testid="sidebarColumn"]',
+          '[role="dialog"]', 'nav[role="navigation"]',
+        ],
+        declarations: { transition: 'background-color 150ms ease-in-out' },
+        important: false,
+      },
+    ],
+  },
+  {
+    title: 'TEXT COLORS',
+    description: 'Recolors X\'s Lights Out text grays with the palette\'s text colors. '
+      + 'Only well-known text surfaces are targeted: X sets text colors through atomic '
+      + 'classes, and links, mentions and liked/reposted counts must keep their accent colors. '
+      + 'Skipped for palettes with remapsTextColors: false.',
+    requiresPaletteTextRemap: true,
+    rules: [
+      /* Tweet body text — links and mentions inside carry their own color class */
+      { selectors: ['[data-testid="tweetText"]'], declarations: { color: '{primaryText}' } },
+      /* Timestamps next to the author name */
+      {
+        selectors: ['[data-testid="User-Name"] a[href*="/status/"]', '[data-testid="User-Name"] time'],
+        declarations: { color: '{secondaryText}' },
+      },
+      /* Reply / repost / like counts. Once liked or reposted, X swaps the testid
+       * to "unlike" / "unretweet", so the accent-colored states never match;
+       * :not(:hover) leaves X's colored hover feedback alone. */
+      {
+        selectors: [
+          '[data-testid="reply"]:not(:hover)', '[data-testid="retweet"]:not(:hover)',
+          '[data-testid="like"]:not(:hover)', '[data-testid="reply"]:not(:hover) span',
+          '[data-testid="retweet"]:not(:hover) span', '[data-testid="like"]:not(:hover) span',
+        ],
+        declarations: { color: '{secondaryText}' },
+      },
+      ...buildLightsOutInlineTextColorRules(),
+    ],
+  },
+];
+
+
+/**
+ * Lists the hand-written selectors of every bundled layer, for the selector
+ * health check (content/content-script-selector-health-check.js). The
+ * [style*=] catch-alls are left out: they are generated from the color
+ * family and match whatever inline colors X happens to render, so "never
+ * matched" says nothing about them going stale.
+ *
+ * @returns {Array<{ layerTitle: string, selectors: string[] }>} Layers with
+ *   at least one selector, in cascade order
+ */
+function listBundledSelectorsByLayer() {
+  return DIM_THEME_STYLESHEET_LAYERS
+    .map((layer, layerIndex) => ({
+      layerTitle: `LAYER ${layerIndex + 1}: ${layer.title}`,
+      selectors: [...new Set(layer.rules
+        .filter((rule) => !rule.isInlineStyleCatchAll)
+        .flatMap((rule) => rule.selectors))],
+    }))
+    .filter((layerSelectors) => layerSelectors.selectors.length > 0);
+}
+
+
+/* -----------------------------------------------------------------------
+ * EMBEDDED POST LAYERS
+ * -----------------------------------------------------------------------
+ * The widget other sites embed posts with (platform.twitter.com/embed/…,
+ * platform.x.com/embed/…, shown in an iframe) is its own small React app,
+ * not X: none of X's containers exist in it, so the layers above would be
+ * almost all dead weight. With "theme=dark" it paints pure black.
+ *
+ * KNOWN EMBED STRUCTURE:
+ *   - html, body and #app are the outermost containers
+ *   - each post is an <article>; quoted posts and link cards sit inside it,
+ *     with inline border and background colors
+ *   - the post text keeps X's data-testid="tweetText"
+ *
+ * Only content-script-embed-dim-theme.js uses these layers, in the embed's
+ * own document and without the <html> gates: it only paints dark embeds,
+ * and takes its <style> out again when the theme is switched off.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * The layers of the embedded post stylesheet, in cascade order.
+ * Same shape as DIM_THEME_STYLESHEET_LAYERS.
+ */
+const DIM_EMBED_STYLESHEET_LAYERS = [
+  {
+    title: 'EMBED ROOT AND POST CARD',
+    description: 'The widget\'s page background and the post card on it.',
+    rules: [
+      {
+        selectors: ['html', 'body', '#app', '#app > div', 'article', '[role="article"]'],
+        declarations: { 'background-color': '{primaryBackground}' },
+      },
+      { selectors: ['article', '[role="article"]'], declarations: { 'border-color': '{border}' } },
+    ],
+  },
+  {
+    title: 'CATCH-ALL ATTRIBUTE SELECTORS',
+    description: 'Generated from LIGHTS_OUT_COLOR_FAMILY, like X\'s catch-all layer. The embed '
+      + 'draws quoted posts, link cards and the "Read replies" button with inline colors.',
+    rules: buildLightsOutInlineStyleCatchAllRules(),
+  },
+  MEDIA_PROTECTION_LAYER,
+  {
+    title: 'TEXT COLORS',
+    description: 'Post text, timestamps and inline text grays in the palette\'s text colors. '
+      + 'Skipped for palettes with remapsTextColors: false.',
+    requiresPaletteTextRemap: true,
+    rules: [
+      { selectors: ['[data-testid="tweetText"]'], declarations: { color: '{primaryText}' } },
+      { selectors: ['article time'], declarations: { color: '{secondaryText}' } },
+      ...buildLightsOutInlineTextColorRules(),
+    ],
+  },
+];
+
+
+/* -----------------------------------------------------------------------
+ * CUSTOM OVERRIDE RULES
+ * -----------------------------------------------------------------------
+ * Stored under "xDimmerCustomOverrideRules" as
+ *   { selector, paletteSlot, surfaceId, createdAt }
+ * selector    — built by the element picker from data-testid / role /
+ *               aria-label attributes, e.g. '[data-testid="cellInnerDiv"]'
+ * paletteSlot — one of USER_EDITABLE_PALETTE_SLOTS; the slot also decides
+ *               which property is painted (see below)
+ * surfaceId   — the DIM_THEME_SURFACES entry the element was picked in, if
+ *               any, so page rules that leave that surface undimmed apply
+ * -----------------------------------------------------------------------
+ */
+
+/** The CSS property a custom override rule paints for each pickable slot. */
+const CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES = {
+  primaryBackground: 'background-color',
+  secondarySurface:  'background-color',
+  elevatedSurface:   'background-color',
+  hoverSurface:      'background-color',
+  border:            'border-color',
+  primaryText:       'color',
+  secondaryText:     'color',
+};
+
+
+/**
+ * Checks that a stored selector is a single, valid selector list — and
+ * nothing that could close the rule and smuggle in other CSS.
+ *
+ * @param {string} selector - A custom override rule's selector
+ * @returns {boolean} True if the selector is safe to emit
+ */
+function isValidCustomOverrideSelector(selector) {
+  return typeof selector === 'string'
+    && selector.trim() !== ''
+    && !/[{};]/.test(selector.replace(/"(?:[^"\\]|\\.)*"/g, '""'))
+    && CSS.supports(`selector(${selector})`);
+}
+
+
+/**
+ * Turns the stored custom override rules into a layer shaped like the
+ * bundled ones. Rules with an unknown slot or an invalid selector are
+ * skipped rather than breaking the whole stylesheet.
+ *
+ * @param {Array<{ selector: string, paletteSlot: string, surfaceId?: string }>} customOverrideRules
+ * @returns {{ title: string, description: string, rules: Array<Object> }}
+ */
+function buildCustomOverrideLayer(customOverrideRules) {
+  return {
+    title: 'CUSTOM OVERRIDES (picked from the page)',
+    description: 'Rules the user created with the element picker, last so they win ties.',
+    rules: customOverrideRules
+      .filter((customRule) => CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES[customRule.paletteSlot]
+        && isValidCustomOverrideSelector(customRule.selector))
+      .map((customRule) => ({
+        selectors: [customRule.selector],
+        declarations: {
+          [CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES[customRule.paletteSlot]]: `{${customRule.paletteSlot}}`,
+        },
+        surfaceId: customRule.surfaceId || undefined,
+      })),
+  };
+}
+
+
+/* -----------------------------------------------------------------------
+ * PALETTE CUSTOM PROPERTIES
+ * -----------------------------------------------------------------------
+ * The generated rules never contain a color. Palette tokens become CSS
+ * custom properties set on :root, so one stylesheet serves every palette:
+ *   '{primaryBackground}'  → var(--x-dimmer-primary-background)
+ *   '{hoverSurface@0.7}'   → rgba(var(--x-dimmer-hover-surface-rgb), 0.7)
+ * Switching palettes only swaps the :root block
+ * (see generatePaletteCustomPropertiesText).
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Builds the custom property name that carries a palette slot.
+ *
+ * @param {string} slotName - e.g. "primaryBackground"
+ * @returns {string} e.g. "--x-dimmer-primary-background"
+ */
+function buildPaletteCustomPropertyName(slotName) {
+  return `--x-dimmer-${slotName.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+}
+
+
+/**
+ * Replaces palette tokens in a declaration value with custom properties.
+ * '{slot}' becomes var(--x-dimmer-slot); '{slot@alpha}' becomes rgba() over
+ * the slot's "r, g, b" twin property.
+ *
+ * @param {string} declarationValue - A CSS value that may contain tokens
+ * @returns {string} The CSS value with every token replaced
+ */
+function resolvePaletteTokensToCustomProperties(declarationValue) {
+  return declarationValue.replace(/\{(\w+)(?:@([\d.]+))?\}/g, (token, slotName, alpha) => {
+    const customPropertyName = buildPaletteCustomPropertyName(slotName);
+    return alpha
+      ? `rgba(var(${customPropertyName}-rgb), ${alpha})`
+      : `var(${customPropertyName})`;
+  });
+}
+
+
+/**
+ * Generates the :root block that gives the custom properties a palette's
+ * colors — each slot as hex, plus an "r, g, b" twin for the alpha tokens.
+ *
+ * @param {{ colors: Object<string, string> }} palette - The palette to paint with
+ * @param {string} [rootSelector] - ':root' in the packaged files; the content
+ *   script passes 'html:root' so its block outranks the packaged one
+ * @returns {string} CSS text
+ */
+function generatePaletteCustomPropertiesText(palette, rootSelector = ':root') {
+  const declarationLines = Object.entries(palette.colors).flatMap(([slotName, slotHex]) => [
+    `  ${buildPaletteCustomPropertyName(slotName)}: ${slotHex};`,
+    `  ${buildPaletteCustomPropertyName(slotName)}-rgb: ${convertHexColorToRgbTriplet(slotHex)};`,
+  ]);
+  return `${rootSelector} {\n${declarationLines.join('\n')}\n}`;
+}
+
+
+/* -----------------------------------------------------------------------
+ * PAGE STATE ATTRIBUTES
+ * -----------------------------------------------------------------------
+ * The packaged stylesheet is injected by Chrome before the page exists
+ * and can't be taken out again. Instead, every rule is gated on attributes
+ * the content script sets on <html>, so the parts that depend on the tab
+ * (page rules, X's theme, this tab's override…) can still be switched off.
+ * With no attribute set — the state at first paint — everything applies.
+ * -----------------------------------------------------------------------
+ */
+
+/** Attributes on <html> that switch parts of the stylesheet off. */
+const DIM_THEME_ROOT_ATTRIBUTES = {
+  /** Present: nothing is painted (theme off in this tab, or not Lights Out) */
+  paused: 'data-x-dimmer-paused',
+  /** Space-separated DIM_THEME_SURFACES ids left undimmed on this page */
+  disabledSurfaces: 'data-x-dimmer-disabled-surfaces',
+  /** Present: the active palette keeps X's own text colors */
+  keepsTextColors: 'data-x-dimmer-keeps-text-colors',
+  /** Present: the bundled [style*=] catch-alls are off (see the injector) */
+  omitsInlineStyleCatchAlls: 'data-x-dimmer-omits-catch-alls',
+};
+
+/**
+ * Custom property set, ungated, by the base stylesheet. The content script
+ * reads it to learn whether the stylesheet is already in the document.
+ */
+const DIM_THEME_BASE_STYLESHEET_MARKER_PROPERTY = '--x-dimmer-base-stylesheet';
+
+
+/**
+ * Splits a selector list at its top-level commas — not the ones inside
+ * :is()/:not() arguments, attribute selectors or quoted values.
+ *
+ * @param {string} selector - e.g. 'a, :is(b, c) > d'
+ * @returns {string[]} The complex selectors, trimmed, e.g. ['a', ':is(b, c) > d']
+ */
+function splitSelectorList(selector) {
+  const complexSelectors = [];
+  let quoteCharacter = null;
+  let nestingDepth = 0;
+  let complexSelectorStartIndex = 0;
+
+  for (let characterIndex = 0; characterIndex < selector.length; characterIndex++) {
+    const character = selector[characterIndex];
+    if (character === '\\') {
+      characterIndex++;
+    } else if (quoteCharacter) {
+      if (character === quoteCharacter) quoteCharacter = null;
+    } else if (character === '"' || character === '\'') {
+      quoteCharacter = character;
+    } else if (character === '(' || character === '[') {
+      nestingDepth++;
+    } else if (character === ')' || character === ']') {
+      nestingDepth--;
+    } else if (character === ',' && nestingDepth === 0) {
+      complexSelectors.push(selector.slice(complexSelectorStartIndex, characterIndex).trim());
+      complexSelectorStartIndex = characterIndex + 1;
+    }
+  }
+  complexSelectors.push(selector.slice(complexSelectorStartIndex).trim());
+  return complexSelectors;
+}
+
+
+/**
+ * Adds a condition to the subject of every selector in a list — before
+ * any pseudo-element ("::-webkit-scrollbar-thumb:hover"), which has to
+ * stay last. Each part of a list ("a, b") gets its own copy: appended to
+ * the whole string, the condition would only reach the last part.
+ *
+ * @param {string} selector - A selector or selector list
+ * @param {string} subjectCondition - e.g. ':where(html:not([data-x-dimmer-paused]) *)'
+ * @returns {string} The selector list with the condition on every subject
+ */
+function appendConditionToSelectorSubjects(selector, subjectCondition) {
+  return splitSelectorList(selector).map((complexSelector) => {
+    /* The first "::" outside an attribute value starts the pseudo-element */
+    let quoteCharacter = null;
+    for (let characterIndex = 0; characterIndex < complexSelector.length; characterIndex++) {
+      const character = complexSelector[characterIndex];
+      if (quoteCharacter) {
+        if (character === '\\') characterIndex++;
+        else if (character === quoteCharacter) quoteCharacter = null;
+      } else if (character === '"' || character === '\'') {
+        quoteCharacter = character;
+      } else if (character === ':' && complexSelector[characterIndex + 1] === ':') {
+        return `${complexSelector.slice(0, characterIndex)}${subjectCondition}${complexSelector.slice(characterIndex)}`;
+      }
+    }
+    return `${complexSelector}${subjectCondition}`;
+  }).join(', ');
+}
+
+
+/**
+ * Restricts a selector to documents whose <html> satisfies the given
+ * attribute conditions. The check is added to the selector's subject as a
+ * :where() — zero specificity, so the cascade is unchanged. Matching both
+ * html itself and its descendants keeps rules like "html, body" and
+ * "*[style*=…]" working on the root element.
+ *
+ * @param {string} selector - A bundled or custom selector (or list)
+ * @param {string} rootConditions - e.g. ':not([data-x-dimmer-paused])'
+ * @returns {string} The gated selector
+ */
+function gateSelectorOnRootAttributes(selector, rootConditions) {
+  return appendConditionToSelectorSubjects(selector,
+    `:where(html${rootConditions}, html${rootConditions} *)`);
+}
+
+
+/**
+ * Builds the <html> conditions a rule is gated on.
+ *
+ * @param {Object} rule - A layer rule
+ * @param {Object} layer - The layer it belongs to
+ * @param {{ gatesInlineStyleCatchAlls: boolean }} options - Whether catch-alls
+ *   follow the omits-catch-alls attribute (true in the base stylesheet)
+ * @returns {string} e.g. ':not([data-x-dimmer-paused]):not([data-x-dimmer-disabled-surfaces~="dm-drawer"])'
+ */
+function buildRootConditionsForRule(rule, layer, options) {
+  let rootConditions = `:not([${DIM_THEME_ROOT_ATTRIBUTES.paused}])`;
+
+  const surfaceId = rule.surfaceId || layer.surfaceId;
+  if (surfaceId) {
+    rootConditions += `:not([${DIM_THEME_ROOT_ATTRIBUTES.disabledSurfaces}~="${surfaceId}"])`;
+  }
+  if (layer.requiresPaletteTextRemap) {
+    rootConditions += `:not([${DIM_THEME_ROOT_ATTRIBUTES.keepsTextColors}])`;
+  }
+  if (rule.isInlineStyleCatchAll && options.gatesInlineStyleCatchAlls) {
+    rootConditions += `:not([${DIM_THEME_ROOT_ATTRIBUTES.omitsInlineStyleCatchAlls}])`;
+  }
+  return rootConditions;
+}
+
+
+/* -----------------------------------------------------------------------
+ * STYLESHEET TEXT GENERATION
+ * -----------------------------------------------------------------------
+ * Three stylesheets come out of the layers:
+ * 1. The BASE stylesheet — every bundled layer, the same for every palette
+ *    and every page. scripts/generate-dim-theme-stylesheets.js writes it to
+ *    content/generated/, and the service worker registers it so Chrome
+ *    paints it before X's first frame. The content script injects the same
+ *    text itself into documents that loaded without it.
+ * 2. The PAGE-SPECIFIC stylesheet — what depends on stored rules: the
+ *    user's custom overrides, and the catch-alls re-emitted with the
+ *    exclusions of the surfaces the page rules turn off. The content
+ *    script keeps it up to date in its own <style>.
+ * 3. The SHADOW ROOT stylesheet — the base and custom layers again, for
+ *    X's open shadow roots, where the <html> gates can't reach. The page
+ *    state is applied while generating instead (see
+ *    content-script-shadow-root-coverage.js).
+ * A fourth, the EMBED stylesheet, comes from DIM_EMBED_STYLESHEET_LAYERS
+ * instead, for embedded posts on other sites.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Builds the :not() suffix that keeps the [style*=] catch-alls out of
+ * disabled surfaces — otherwise they would still repaint inline black
+ * inside, say, a DM drawer the user wants left alone.
+ *
+ * @param {Set<string>} disabledSurfaceIds - Surfaces turned off on this page
+ * @returns {string} e.g. ':not([data-testid="DMDrawer"], [data-testid="DMDrawer"] *)',
+ *   or '' if no surface is disabled
+ */
+function buildDisabledSurfaceExclusionSuffix(disabledSurfaceIds) {
+  const containerSelectors = DIM_THEME_SURFACES
+    .filter((surface) => disabledSurfaceIds.has(surface.id))
+    .map((surface) => surface.containerSelector);
+  if (containerSelectors.length === 0) return '';
+
+  const containers = `:is(${containerSelectors.join(', ')})`;
+  return `:not(${containers}, ${containers} *)`;
+}
+
+
+/**
+ * The same exclusion as buildDisabledSurfaceExclusionSuffix, wrapped in
+ * :where() so it adds no specificity — for rules that are generated from
+ * X's own selectors at runtime (the stylesheet rewriter's counter-rules and
+ * the computed-style scanner's class overrides) and must keep the
+ * specificity they were built with. Add it with
+ * appendConditionToSelectorSubjects.
+ *
+ * @param {Set<string>} disabledSurfaceIds - Surfaces turned off on this page
+ * @returns {string} e.g. ':where(:not([data-testid="DMDrawer"], [data-testid="DMDrawer"] *))',
+ *   or '' if no surface is disabled
+ */
+function buildDisabledSurfaceExclusionCondition(disabledSurfaceIds) {
+  const exclusionSuffix = buildDisabledSurfaceExclusionSuffix(disabledSurfaceIds);
+  return exclusionSuffix ? `:where(${exclusionSuffix})` : '';
+}
+
+
+/**
+ * Turns layers into CSS text: one commented block per layer, every rule
+ * gated on the <html> attributes unless told otherwise.
+ *
+ * @param {Array<{ layerNumber: number, layer: Object, rules: Array<Object> }>} layerBlocks
+ *   The layers to emit, each with the rules kept from it
+ * @param {{ gatesInlineStyleCatchAlls: boolean, selectorSuffixForCatchAlls?: string,
+ *   gatesOnRootAttributes?: boolean }} options
+ *   gatesInlineStyleCatchAlls — see buildRootConditionsForRule
+ *   selectorSuffixForCatchAlls — appended to every catch-all selector
+ *   gatesOnRootAttributes — false to emit the selectors as they are
+ *     (shadow roots, where "html *" can't match)
+ * @returns {string[]} CSS blocks
+ */
+function emitLayerBlocks(layerBlocks, options) {
+  const cssBlocks = [];
+
+  for (const { layerNumber, layer, rules } of layerBlocks) {
+    if (rules.length === 0) continue;
+    cssBlocks.push(`/* LAYER ${layerNumber}: ${layer.title} */`);
+
+    for (const rule of rules) {
+      const importanceSuffix = rule.important === false ? '' : ' !important';
+      const declarationLines = Object.entries(rule.declarations).map(([property, value]) =>
+        `  ${property}: ${resolvePaletteTokensToCustomProperties(value)}${importanceSuffix};`
+      );
+      const rootConditions = buildRootConditionsForRule(rule, layer, options);
+      const ruleSelectors = rule.selectors.map((selector) => {
+        const suffixedSelector = rule.isInlineStyleCatchAll
+          ? `${selector}${options.selectorSuffixForCatchAlls || ''}`
+          : selector;
+        return options.gatesOnRootAttributes === false
+          ? suffixedSelector
+          : gateSelectorOnRootAttributes(suffixedSelector, rootConditions);
+      });
+      cssBlocks.push(`${ruleSelectors.join(',\n')} {\n${declarationLines.join('\n')}\n}`);
+    }
+  }
+
+  return cssBlocks;
+}
+
+
+/**
+ * Generates the base stylesheet: every bundled layer, palette colors as
+ * custom properties, every rule gated on the <html> attributes.
+ * The output depends on nothing stored, so it can be generated ahead of time.
+ *
+ * @returns {string} CSS text
+ */
+function generateDimThemeBaseStylesheetText() {
+  const layerBlocks = DIM_THEME_STYLESHEET_LAYERS.map((layer, layerIndex) => ({
+    layerNumber: layerIndex + 1,
+    layer,
+    rules: layer.rules,
+  }));
+
+  return [
+    `:root {\n  ${DIM_THEME_BASE_STYLESHEET_MARKER_PROPERTY}: present;\n}`,
+    ...emitLayerBlocks(layerBlocks, { gatesInlineStyleCatchAlls: true }),
+  ].join('\n\n');
+}
+
+
+/**
+ * Generates the page-specific stylesheet.
+ *
+ * @param {{ disabledSurfaceIds?: Set<string>, includesExcludedInlineStyleCatchAlls?: boolean,
+ *   customOverrideRules?: Array<Object> }} [options]
+ *   disabledSurfaceIds — surfaces the page rules turn off on this page
+ *   includesExcludedInlineStyleCatchAlls — re-emit the catch-alls with the
+ *     disabled surfaces excluded (the base ones are switched off meanwhile)
+ *   customOverrideRules — the stored "xDimmerCustomOverrideRules"
+ * @returns {string} CSS text ('' if there is nothing to emit)
+ */
+function generateDimThemePageSpecificStylesheetText(options = {}) {
+  const disabledSurfaceIds = options.disabledSurfaceIds || new Set();
+  const layerBlocks = [];
+
+  if (options.includesExcludedInlineStyleCatchAlls) {
+    DIM_THEME_STYLESHEET_LAYERS.forEach((layer, layerIndex) => {
+      layerBlocks.push({
+        layerNumber: layerIndex + 1,
+        layer,
+        rules: layer.rules.filter((rule) => rule.isInlineStyleCatchAll),
+      });
+    });
+  }
+
+  /* Rules picked inside a surface follow its page rules through their gate */
+  const customOverrideLayer = buildCustomOverrideLayer(options.customOverrideRules || []);
+  layerBlocks.push({
+    layerNumber: DIM_THEME_STYLESHEET_LAYERS.length + 1,
+    layer: customOverrideLayer,
+    rules: customOverrideLayer.rules,
+  });
+
+  return emitLayerBlocks(layerBlocks, {
+    gatesInlineStyleCatchAlls: false,
+    selectorSuffixForCatchAlls: buildDisabledSurfaceExclusionSuffix(disabledSurfaceIds),
+  }).join('\n\n');
+}
+
+
+/**
+ * Generates the shadow root stylesheet: what the base and page-specific
+ * stylesheets paint together, ungated, with the page state applied by
+ * leaving rules out.
+ *
+ * Catch-alls are kept whole — a shadow root can't see the surface
+ * containers around its host, so the exclusion suffix would never match.
+ *
+ * @param {{ disabledSurfaceIds?: Set<string>, remapsTextColors?: boolean,
+ *   customOverrideRules?: Array<Object> }} [options]
+ *   disabledSurfaceIds — surfaces the page rules turn off on this page
+ *   remapsTextColors — the active palette's remapsTextColors
+ *   customOverrideRules — the stored "xDimmerCustomOverrideRules"
+ * @returns {string} CSS text
+ */
+function generateDimThemeShadowRootStylesheetText(options = {}) {
+  const disabledSurfaceIds = options.disabledSurfaceIds || new Set();
+  const isRuleKept = (rule, layer) => {
+    const surfaceId = rule.surfaceId || layer.surfaceId;
+    if (surfaceId && disabledSurfaceIds.has(surfaceId)) return false;
+    return !layer.requiresPaletteTextRemap || Boolean(options.remapsTextColors);
+  };
+
+  const customOverrideLayer = buildCustomOverrideLayer(options.customOverrideRules || []);
+  const layerBlocks = [...DIM_THEME_STYLESHEET_LAYERS, customOverrideLayer].map((layer, layerIndex) => ({
+    layerNumber: layerIndex + 1,
+    layer,
+    rules: layer.rules.filter((rule) => isRuleKept(rule, layer)),
+  }));
+
+  return emitLayerBlocks(layerBlocks, {
+    gatesInlineStyleCatchAlls: false,
+    gatesOnRootAttributes: false,
+  }).join('\n\n');
+}
+
+
+/**
+ * Generates the embedded post stylesheet: DIM_EMBED_STYLESHEET_LAYERS,
+ * ungated, palette colors as custom properties.
+ *
+ * @param {{ remapsTextColors?: boolean }} [options]
+ *   remapsTextColors — the active palette's remapsTextColors
+ * @returns {string} CSS text
+ */
+function generateDimEmbedStylesheetText(options = {}) {
+  const layerBlocks = DIM_EMBED_STYLESHEET_LAYERS.map((layer, layerIndex) => ({
+    layerNumber: layerIndex + 1,
+    layer,
+    rules: !layer.requiresPaletteTextRemap || options.remapsTextColors ? layer.rules : [],
+  }));
+
+  return emitLayerBlocks(layerBlocks, {
+    gatesInlineStyleCatchAlls: false,
+    gatesOnRootAttributes: false,
+  }).join('\n\n');
+}
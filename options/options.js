@@ -0,0 +1,1392 @@
+/*
+ * =============================================================================
+ * X DIMMER — OPTIONS PAGE LOGIC
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Runs the full configuration page (options_ui, opened in a tab). The
+ * toolbar popup is only 340px wide, so it keeps the quick actions and
+ * links here for everything else.
+ *
+ * RESPONSIBILITIES:
+ * 1. General — whether Dim follows X's own theme, the opt-in fix
+ *    strategies (computed-style scan, stylesheet rewrite), and dimming
+ *    embedded posts on other sites (an optional host permission)
+ * 2. Palettes — the built-in preset gallery (previewed on hover) and the
+ *    palette editor: pick the active palette, save/delete custom palettes
+ * 3. Schedule — edit the activation schedule, show the next transition
+ * 4. Page rules — add "keep X's look" rules for page types or any path
+ *    pattern, and remove them
+ * 5. Custom selectors — list the element picker's override rules, add
+ *    rules by selector, remove them
+ * 6. Exclusions — surfaces left undimmed on every page
+ * 7. Diagnostics — run the unthemed-surface check on any open X tab and
+ *    export it, clear the right-click reports, show the selector health
+ * 8. Import / export — the versioned settings file, and opt-in sync
+ *
+ * SAME SCHEMA AS EVERYWHERE ELSE:
+ * Every control reads and writes the chrome.storage.local keys documented
+ * in background/service-worker-background.js. Content scripts and the
+ * service worker react through chrome.storage.onChanged, so a change made
+ * here behaves exactly like the same change made in the popup; and the
+ * page follows changes made elsewhere (popup, schedule, other devices)
+ * while it is open.
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * DOM REFERENCES
+ * -----------------------------------------------------------------------
+ */
+
+/** General */
+const themeDetectionModeSelectElement = document.getElementById('theme-detection-mode-select');
+const computedStyleScanCheckboxElement = document.getElementById('computed-style-scan-checkbox');
+const stylesheetRewriteCheckboxElement = document.getElementById('stylesheet-rewrite-checkbox');
+const embedPostsCheckboxElement = document.getElementById('embed-posts-checkbox');
+
+/** The "Dim" swatch, its text lines and its label in the color comparison */
+const palettePreviewSwatchElement = document.getElementById('palette-preview-swatch');
+const palettePreviewTextElement = document.getElementById('palette-preview-text');
+const palettePreviewSubtextElement = document.getElementById('palette-preview-subtext');
+const palettePreviewNameElement = document.getElementById('palette-preview-name');
+
+/** Container for the built-in preset chips */
+const presetGalleryElement = document.getElementById('preset-gallery');
+
+/** Palette editor controls */
+const paletteSelectElement = document.getElementById('palette-select');
+const paletteSlotGridElement = document.getElementById('palette-slot-grid');
+const paletteNameInputElement = document.getElementById('palette-name-input');
+const paletteSaveButtonElement = document.getElementById('palette-save-button');
+const paletteSaveAsNewButtonElement = document.getElementById('palette-save-as-new-button');
+const paletteDeleteButtonElement = document.getElementById('palette-delete-button');
+
+/** Schedule controls */
+const scheduleModeSelectElement = document.getElementById('schedule-mode-select');
+const scheduleFixedFieldsElement = document.getElementById('schedule-fixed-fields');
+const scheduleStartTimeInputElement = document.getElementById('schedule-start-time');
+const scheduleEndTimeInputElement = document.getElementById('schedule-end-time');
+const scheduleSunFieldsElement = document.getElementById('schedule-sun-fields');
+const scheduleLatitudeInputElement = document.getElementById('schedule-latitude');
+const scheduleLongitudeInputElement = document.getElementById('schedule-longitude');
+const scheduleActionFieldsElement = document.getElementById('schedule-action-fields');
+const scheduleActionSelectElement = document.getElementById('schedule-action-select');
+const schedulePaletteFieldsElement = document.getElementById('schedule-palette-fields');
+const scheduleNightPaletteSelectElement = document.getElementById('schedule-night-palette-select');
+const scheduleDayPaletteSelectElement = document.getElementById('schedule-day-palette-select');
+const scheduleNextTransitionTextElement = document.getElementById('schedule-next-transition-text');
+
+/** Page rules and exclusions controls */
+const pageRulePageSelectElement = document.getElementById('page-rule-page-select');
+const pageRulePathInputElement = document.getElementById('page-rule-path-input');
+const pageRuleSurfaceSelectElement = document.getElementById('page-rule-surface-select');
+const pageRuleAddButtonElement = document.getElementById('page-rule-add-button');
+const pageRuleErrorTextElement = document.getElementById('page-rule-error-text');
+const pageRulesListElement = document.getElementById('page-rules-list');
+const pageRulesSurfaceListElement = document.getElementById('page-rules-surface-list');
+
+/** Custom selectors controls */
+const customSelectorInputElement = document.getElementById('custom-selector-input');
+const customSelectorSlotSelectElement = document.getElementById('custom-selector-slot-select');
+const customSelectorAddButtonElement = document.getElementById('custom-selector-add-button');
+const customSelectorErrorTextElement = document.getElementById('custom-selector-error-text');
+const customRulesListElement = document.getElementById('custom-rules-list');
+
+/** Diagnostics controls */
+const diagnosticsTabSelectElement = document.getElementById('diagnostics-tab-select');
+const diagnosticsSummaryTextElement = document.getElementById('diagnostics-summary-text');
+const diagnosticsRerunButtonElement = document.getElementById('diagnostics-rerun-button');
+const diagnosticsExportButtonElement = document.getElementById('diagnostics-export-button');
+const elementReportsSummaryTextElement = document.getElementById('element-reports-summary-text');
+const elementReportsClearButtonElement = document.getElementById('element-reports-clear-button');
+
+/** Selector health controls */
+const selectorHealthSummaryTextElement = document.getElementById('selector-health-summary-text');
+const selectorHealthLayerListElement = document.getElementById('selector-health-layer-list');
+const selectorHealthResetButtonElement = document.getElementById('selector-health-reset-button');
+
+/** Import / export controls */
+const settingsExportButtonElement = document.getElementById('settings-export-button');
+const settingsImportButtonElement = document.getElementById('settings-import-button');
+const settingsImportFileInputElement = document.getElementById('settings-import-file-input');
+const settingsFileStatusTextElement = document.getElementById('settings-file-status-text');
+const settingsImportErrorListElement = document.getElementById('settings-import-error-list');
+const settingsSyncCheckboxElement = document.getElementById('settings-sync-checkbox');
+const settingsSyncStatusTextElement = document.getElementById('settings-sync-status-text');
+
+
+/* -----------------------------------------------------------------------
+ * PAGE STATE
+ * Copies of the stored values each section edits, kept in step with every
+ * write so the page never has to re-read storage mid-edit.
+ * -----------------------------------------------------------------------
+ */
+
+/** The stored "xDimmerActivePaletteId" */
+let optionsActivePaletteId = DEFAULT_ACTIVE_PALETTE_ID;
+
+/** The stored "xDimmerCustomPalettes" */
+let optionsCustomPalettes = [];
+
+/**
+ * The palette currently loaded in the editor. Edits are layered on top of
+ * it, and "Save as new" copies its non-editable slots (text colors, mask…).
+ */
+let optionsEditorBasePalette = DIM_CLASSIC_PALETTE;
+
+/**
+ * Lights Out text colors, used to preview palettes that keep X's own text
+ * (remapsTextColors: false) exactly as they will look on the page.
+ */
+const LIGHTS_OUT_PRIMARY_TEXT_COLOR = '#E7E9EA';
+const LIGHTS_OUT_SECONDARY_TEXT_COLOR = '#71767B';
+
+/** The stored "xDimmerPageRules" */
+let optionsPageRules = [];
+
+/** The stored "xDimmerCustomOverrideRules" */
+let optionsCustomOverrideRules = [];
+
+/** The last diagnostics report received from an X tab */
+let optionsDiagnosticsReport = null;
+
+/** Value of the page select's "Custom path…" option */
+const CUSTOM_PATH_PAGE_OPTION_VALUE = 'custom-path';
+
+/** The embed widget's origins (see EMBEDDED POSTS in the service worker) */
+const EMBED_HOST_PERMISSION_ORIGINS = chrome.runtime.getManifest().optional_host_permissions;
+
+
+/* -----------------------------------------------------------------------
+ * STATE INITIALIZATION
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Reads every stored setting and fills all sections. Also called after an
+ * import, which can change any of them.
+ */
+async function initializeOptionsPageFromStorage() {
+  try {
+    const storedPreferences = await chrome.storage.local.get({
+      ...buildExportedSettingsStorageDefaults(),
+      xDimmerUnthemedElementReports: [],
+      xDimmerSelectorHealth: null,
+      xDimmerSyncEnabled: false,
+      xDimmerSyncStatus: null,
+    });
+
+    themeDetectionModeSelectElement.value = storedPreferences.xDimmerThemeDetectionMode;
+    computedStyleScanCheckboxElement.checked = storedPreferences.xDimmerComputedStyleScanEnabled;
+    stylesheetRewriteCheckboxElement.checked = storedPreferences.xDimmerStylesheetRewriteEnabled;
+    renderEmbedPostsCheckbox();
+
+    optionsActivePaletteId = storedPreferences.xDimmerActivePaletteId;
+    optionsCustomPalettes = storedPreferences.xDimmerCustomPalettes;
+    renderPaletteEditor();
+    renderScheduleForm(completeStoredDimSchedule(storedPreferences.xDimmerSchedule));
+
+    optionsPageRules = storedPreferences.xDimmerPageRules;
+    renderPageRulesSection();
+    renderExclusionsSection();
+
+    optionsCustomOverrideRules = storedPreferences.xDimmerCustomOverrideRules;
+    renderCustomSelectorsSection();
+
+    renderElementReportsSummary(storedPreferences.xDimmerUnthemedElementReports);
+    renderSelectorHealthSection(storedPreferences.xDimmerSelectorHealth);
+    await renderDiagnosticsTabOptions();
+
+    settingsSyncCheckboxElement.checked = storedPreferences.xDimmerSyncEnabled;
+    renderSettingsSyncStatus(storedPreferences.xDimmerSyncStatus);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to read storage:', error);
+    renderPaletteEditor();
+    renderScheduleForm(DEFAULT_DIM_SCHEDULE);
+    renderPageRulesSection();
+    renderExclusionsSection();
+    renderCustomSelectorsSection();
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * GENERAL
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Handles the theme detection mode select. Content scripts re-evaluate
+ * through chrome.storage.onChanged.
+ */
+async function handleThemeDetectionModeChange() {
+  try {
+    await chrome.storage.local.set({
+      xDimmerThemeDetectionMode: themeDetectionModeSelectElement.value,
+    });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save theme detection mode:', error);
+  }
+}
+
+
+/**
+ * Handles the "Scan for class-based black surfaces" checkbox.
+ */
+async function handleComputedStyleScanChange() {
+  try {
+    await chrome.storage.local.set({
+      xDimmerComputedStyleScanEnabled: computedStyleScanCheckboxElement.checked,
+    });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save computed-style scan setting:', error);
+  }
+}
+
+
+/**
+ * Handles the "Rewrite X's stylesheets" checkbox.
+ */
+async function handleStylesheetRewriteChange() {
+  try {
+    await chrome.storage.local.set({
+      xDimmerStylesheetRewriteEnabled: stylesheetRewriteCheckboxElement.checked,
+    });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save stylesheet rewrite setting:', error);
+  }
+}
+
+
+/**
+ * Ticks the "Dim embedded posts" checkbox if the embed origins are
+ * granted. Not a stored setting: the permission itself is the opt-in.
+ */
+async function renderEmbedPostsCheckbox() {
+  try {
+    embedPostsCheckboxElement.checked = await chrome.permissions.contains({ origins: EMBED_HOST_PERMISSION_ORIGINS });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to read the embed permission:', error);
+  }
+}
+
+
+/**
+ * Handles the "Dim embedded posts on other sites" checkbox: asks Chrome
+ * for the embed origins (the user confirms in Chrome's own prompt), or
+ * gives them back. The service worker registers the embed content script
+ * through chrome.permissions.onAdded / onRemoved.
+ */
+async function handleEmbedPostsChange() {
+  try {
+    if (embedPostsCheckboxElement.checked) {
+      embedPostsCheckboxElement.checked = await chrome.permissions.request({ origins: EMBED_HOST_PERMISSION_ORIGINS });
+    } else {
+      await chrome.permissions.remove({ origins: EMBED_HOST_PERMISSION_ORIGINS });
+    }
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to change the embed permission:', error);
+    renderEmbedPostsCheckbox();
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * PALETTE EDITOR
+ * Lets users pick the active palette and create their own. Every write goes
+ * to chrome.storage.local, so — exactly like the toggle — the content
+ * scripts in all open X tabs repaint live via chrome.storage.onChanged.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Builds the palette editor: the color inputs (once), the select options,
+ * and the editor fields for the currently active palette.
+ */
+function renderPaletteEditor() {
+  if (paletteSlotGridElement.childElementCount === 0) {
+    for (const { slot, label } of USER_EDITABLE_PALETTE_SLOTS) {
+      const slotLabelElement = document.createElement('label');
+      slotLabelElement.className = 'x-dimmer-popup-palette-slot';
+
+      const colorInputElement = document.createElement('input');
+      colorInputElement.type = 'color';
+      colorInputElement.dataset.paletteSlot = slot;
+      colorInputElement.addEventListener('input', handlePaletteColorInput);
+
+      slotLabelElement.append(colorInputElement, label);
+      paletteSlotGridElement.appendChild(slotLabelElement);
+    }
+  }
+
+  renderPaletteSelectOptions();
+  renderPresetGallery();
+  loadPaletteIntoEditor(resolveActivePalette(optionsActivePaletteId, optionsCustomPalettes));
+}
+
+
+/**
+ * Builds one chip per built-in preset. Hover and keyboard focus preview the
+ * preset in the comparison swatch; leaving restores the editor's preview.
+ * Clicking a chip activates the preset on all open X tabs.
+ */
+function renderPresetGallery() {
+  presetGalleryElement.replaceChildren();
+
+  for (const presetPalette of BUILT_IN_PALETTES) {
+    const chipElement = document.createElement('button');
+    chipElement.type = 'button';
+    chipElement.className = 'x-dimmer-popup-preset-chip';
+    chipElement.setAttribute('aria-pressed', String(presetPalette.id === optionsActivePaletteId));
+
+    const dotsElement = document.createElement('span');
+    dotsElement.className = 'x-dimmer-popup-preset-chip-dots';
+    for (const slot of ['primaryBackground', 'secondarySurface', 'primaryText']) {
+      const dotElement = document.createElement('span');
+      dotElement.className = 'x-dimmer-popup-preset-chip-dot';
+      dotElement.style.backgroundColor = presetPalette.colors[slot];
+      dotsElement.appendChild(dotElement);
+    }
+    chipElement.append(dotsElement, presetPalette.name);
+
+    const showPresetPreview = () => previewPaletteInSwatch(presetPalette);
+    chipElement.addEventListener('mouseenter', showPresetPreview);
+    chipElement.addEventListener('focus', showPresetPreview);
+    chipElement.addEventListener('mouseleave', handlePaletteColorInput);
+    chipElement.addEventListener('blur', handlePaletteColorInput);
+    chipElement.addEventListener('click', () => handlePresetChipClick(presetPalette.id));
+
+    presetGalleryElement.appendChild(chipElement);
+  }
+}
+
+
+/**
+ * Activates a built-in preset.
+ *
+ * @param {string} presetPaletteId - ID of the preset that was clicked
+ */
+async function handlePresetChipClick(presetPaletteId) {
+  try {
+    await savePalettePreferences(presetPaletteId, optionsCustomPalettes);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to apply preset:', error);
+  }
+}
+
+
+/**
+ * Fills the palette <select> with the built-in palettes followed by the
+ * user's custom palettes, and selects the active one.
+ */
+function renderPaletteSelectOptions() {
+  paletteSelectElement.replaceChildren();
+
+  const paletteGroups = [
+    { label: 'Built-in', palettes: BUILT_IN_PALETTES },
+    { label: 'Custom', palettes: optionsCustomPalettes },
+  ];
+
+  for (const { label, palettes } of paletteGroups) {
+    if (palettes.length === 0) continue;
+
+    const optionGroupElement = document.createElement('optgroup');
+    optionGroupElement.label = label;
+    for (const palette of palettes) {
+      optionGroupElement.appendChild(new Option(palette.name, palette.id));
+    }
+    paletteSelectElement.appendChild(optionGroupElement);
+  }
+
+  paletteSelectElement.value = resolveActivePalette(optionsActivePaletteId, optionsCustomPalettes).id;
+}
+
+
+/**
+ * Loads a palette's colors and name into the editor fields and preview.
+ * Built-in palettes can't be overwritten or deleted, so for those only
+ * "Save as new" stays enabled.
+ *
+ * @param {{ id: string, name: string, colors: Object<string, string> }} palette
+ */
+function loadPaletteIntoEditor(palette) {
+  optionsEditorBasePalette = palette;
+
+  for (const colorInputElement of paletteSlotGridElement.querySelectorAll('input[type="color"]')) {
+    colorInputElement.value = palette.colors[colorInputElement.dataset.paletteSlot].toLowerCase();
+  }
+
+  const isCustomPalette = optionsCustomPalettes.some((customPalette) => customPalette.id === palette.id);
+  paletteNameInputElement.value = isCustomPalette ? palette.name : '';
+  paletteSaveButtonElement.disabled = !isCustomPalette;
+  paletteDeleteButtonElement.disabled = !isCustomPalette;
+
+  previewPaletteInSwatch(palette);
+}
+
+
+/**
+ * Paints the "Dim" comparison swatch with a palette's background and text.
+ * Palettes that don't remap text are previewed with X's own text colors,
+ * since that is what the page will actually show.
+ *
+ * @param {{ name: string, remapsTextColors?: boolean, colors: Object<string, string> }} palette
+ */
+function previewPaletteInSwatch(palette) {
+  palettePreviewSwatchElement.style.backgroundColor = palette.colors.primaryBackground;
+  palettePreviewTextElement.style.color = palette.remapsTextColors
+    ? palette.colors.primaryText
+    : LIGHTS_OUT_PRIMARY_TEXT_COLOR;
+  palettePreviewSubtextElement.style.color = palette.remapsTextColors
+    ? palette.colors.secondaryText
+    : LIGHTS_OUT_SECONDARY_TEXT_COLOR;
+  palettePreviewNameElement.textContent = palette.name;
+}
+
+
+/**
+ * Reads the editor's color inputs back into a palette colors object.
+ * Colors are normalized to the uppercase hex used by the built-in palettes.
+ *
+ * @returns {Object<string, string>} Palette slot → hex color
+ */
+function readPaletteColorsFromEditor() {
+  const paletteColors = {};
+  for (const colorInputElement of paletteSlotGridElement.querySelectorAll('input[type="color"]')) {
+    paletteColors[colorInputElement.dataset.paletteSlot] = colorInputElement.value.toUpperCase();
+  }
+  return paletteColors;
+}
+
+
+/**
+ * Writes the palette preferences to storage and mirrors them locally.
+ * The content scripts pick the change up through chrome.storage.onChanged.
+ *
+ * @param {string} activePaletteId - The palette to make active
+ * @param {Array<Object>} customPalettes - The full list of custom palettes
+ */
+async function savePalettePreferences(activePaletteId, customPalettes) {
+  await chrome.storage.local.set({
+    xDimmerActivePaletteId: activePaletteId,
+    xDimmerCustomPalettes: customPalettes,
+  });
+
+  optionsActivePaletteId = activePaletteId;
+  optionsCustomPalettes = customPalettes;
+  renderPaletteEditor();
+  renderSchedulePaletteOptions(readScheduleFromForm());
+}
+
+
+/**
+ * Handles picking a palette from the <select>.
+ * Switching palettes applies immediately to all open X tabs.
+ */
+async function handlePaletteSelectChange() {
+  try {
+    await savePalettePreferences(paletteSelectElement.value, optionsCustomPalettes);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to switch palette:', error);
+    paletteSelectElement.value = optionsActivePaletteId;
+  }
+}
+
+
+/**
+ * Handles a color input changing. Only the preview swatch updates here —
+ * nothing is written until the user saves, so dragging across the color
+ * picker doesn't repaint every X tab dozens of times per second.
+ * Also used to restore the editor's preview after a preset chip hover.
+ */
+function handlePaletteColorInput() {
+  previewPaletteInSwatch({
+    ...optionsEditorBasePalette,
+    name: paletteNameInputElement.value.trim() || optionsEditorBasePalette.name,
+    colors: { ...optionsEditorBasePalette.colors, ...readPaletteColorsFromEditor() },
+  });
+}
+
+
+/**
+ * Saves the editor's colors over the active custom palette.
+ */
+async function handlePaletteSave() {
+  const updatedCustomPalettes = optionsCustomPalettes.map((customPalette) => {
+    if (customPalette.id !== optionsActivePaletteId) return customPalette;
+    return {
+      ...customPalette,
+      name: paletteNameInputElement.value.trim() || customPalette.name,
+      remapsTextColors: true,
+      colors: { ...customPalette.colors, ...readPaletteColorsFromEditor() },
+    };
+  });
+
+  try {
+    await savePalettePreferences(optionsActivePaletteId, updatedCustomPalettes);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save palette:', error);
+  }
+}
+
+
+/**
+ * Saves the editor's colors as a brand-new custom palette and activates it.
+ * Slots the editor doesn't expose are copied from the palette it started
+ * from, so a copy of e.g. Nord keeps Nord's modal mask and active border.
+ * Text colors are part of the editor, so saved palettes always remap text.
+ */
+async function handlePaletteSaveAsNew() {
+  const newCustomPalette = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: paletteNameInputElement.value.trim() || `Custom palette ${optionsCustomPalettes.length + 1}`,
+    remapsTextColors: true,
+    colors: { ...optionsEditorBasePalette.colors, ...readPaletteColorsFromEditor() },
+  };
+
+  try {
+    await savePalettePreferences(newCustomPalette.id, [...optionsCustomPalettes, newCustomPalette]);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to create palette:', error);
+  }
+}
+
+
+/**
+ * Deletes the active custom palette and falls back to the default palette.
+ */
+async function handlePaletteDelete() {
+  const remainingCustomPalettes = optionsCustomPalettes.filter(
+    (customPalette) => customPalette.id !== optionsActivePaletteId
+  );
+
+  try {
+    await savePalettePreferences(DEFAULT_ACTIVE_PALETTE_ID, remainingCustomPalettes);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to delete palette:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * SCHEDULE
+ * Edits "xDimmerSchedule". The service worker watches that key, applies
+ * the current phase immediately and arms a chrome.alarms alarm for the
+ * next transition — this page never switches anything itself.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Fills the schedule form from a stored schedule.
+ *
+ * @param {Object} schedule - The stored "xDimmerSchedule"
+ */
+function renderScheduleForm(schedule) {
+  scheduleModeSelectElement.value = schedule.mode;
+  scheduleStartTimeInputElement.value = schedule.dimStartTime;
+  scheduleEndTimeInputElement.value = schedule.dimEndTime;
+  scheduleLatitudeInputElement.value = schedule.latitude ?? '';
+  scheduleLongitudeInputElement.value = schedule.longitude ?? '';
+  scheduleActionSelectElement.value = schedule.action;
+
+  renderSchedulePaletteOptions(schedule);
+  updateScheduleFieldVisibility(schedule);
+  updateScheduleNextTransitionText(schedule);
+}
+
+
+/**
+ * Fills the night/day palette selects with every built-in and custom
+ * palette, keeping the schedule's current choices selected.
+ *
+ * @param {Object} schedule - The schedule whose palette IDs to select
+ */
+function renderSchedulePaletteOptions(schedule) {
+  const allPalettes = [...BUILT_IN_PALETTES, ...optionsCustomPalettes];
+
+  for (const [selectElement, selectedPaletteId] of [
+    [scheduleNightPaletteSelectElement, schedule.nightPaletteId],
+    [scheduleDayPaletteSelectElement, schedule.dayPaletteId],
+  ]) {
+    selectElement.replaceChildren(...allPalettes.map((palette) => new Option(palette.name, palette.id)));
+    selectElement.value = resolveActivePalette(selectedPaletteId, optionsCustomPalettes).id;
+  }
+}
+
+
+/**
+ * Shows only the fields that matter for the selected mode and action.
+ *
+ * @param {Object} schedule - The schedule being edited
+ */
+function updateScheduleFieldVisibility(schedule) {
+  scheduleFixedFieldsElement.hidden = schedule.mode !== 'fixed';
+  scheduleSunFieldsElement.hidden = schedule.mode !== 'sun';
+  scheduleActionFieldsElement.hidden = schedule.mode === 'off';
+  schedulePaletteFieldsElement.hidden = schedule.action !== 'palette';
+}
+
+
+/**
+ * Reads the schedule form back into a schedule object.
+ * Empty or out-of-range coordinates are stored as null.
+ *
+ * @returns {Object} A schedule in the "xDimmerSchedule" shape
+ */
+function readScheduleFromForm() {
+  const parseCoordinate = (inputElement) => {
+    const coordinate = inputElement.value === '' ? NaN : Number(inputElement.value);
+    return Number.isFinite(coordinate) && inputElement.checkValidity() ? coordinate : null;
+  };
+
+  return {
+    mode: scheduleModeSelectElement.value,
+    action: scheduleActionSelectElement.value,
+    dimStartTime: scheduleStartTimeInputElement.value || DEFAULT_DIM_SCHEDULE.dimStartTime,
+    dimEndTime: scheduleEndTimeInputElement.value || DEFAULT_DIM_SCHEDULE.dimEndTime,
+    latitude: parseCoordinate(scheduleLatitudeInputElement),
+    longitude: parseCoordinate(scheduleLongitudeInputElement),
+    nightPaletteId: scheduleNightPaletteSelectElement.value,
+    dayPaletteId: scheduleDayPaletteSelectElement.value,
+  };
+}
+
+
+/**
+ * Shows the next scheduled transition under the schedule form.
+ *
+ * @param {Object} schedule - The schedule being edited
+ */
+function updateScheduleNextTransitionText(schedule) {
+  scheduleNextTransitionTextElement.textContent = describeNextDimScheduleTransition(schedule, optionsCustomPalettes);
+}
+
+
+/**
+ * Handles any schedule field changing: update the form and save.
+ * Saving triggers the service worker to apply and re-arm the schedule.
+ */
+async function handleScheduleFormChange() {
+  const schedule = readScheduleFromForm();
+  updateScheduleFieldVisibility(schedule);
+  updateScheduleNextTransitionText(schedule);
+
+  try {
+    await chrome.storage.local.set({ xDimmerSchedule: schedule });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save schedule:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * PAGE RULES AND EXCLUSIONS
+ * Rules are { pathPattern, surfaceId } pairs (see shared/dim-page-rules.js).
+ * "Page rules" lists the rules for particular pages; "Exclusions" edits
+ * the rules for every page ("*") surface by surface. Every change rewrites
+ * the whole "xDimmerPageRules" array; content scripts re-resolve it
+ * through chrome.storage.onChanged.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Whether a rule belongs to the Exclusions section rather than the list.
+ *
+ * @param {{ pathPattern: string, surfaceId: string }} pageRule - A stored rule
+ * @returns {boolean} True for "everywhere" rules of a single surface
+ */
+function isExclusionPageRule(pageRule) {
+  return pageRule.pathPattern === '*' && pageRule.surfaceId !== ALL_SURFACES_ID;
+}
+
+
+/**
+ * Describes a rule for the list, e.g. "Messages — whole theme".
+ *
+ * @param {{ pathPattern: string, surfaceId: string }} pageRule - A stored rule
+ * @returns {string} The label
+ */
+function describePageRule(pageRule) {
+  const pageType = X_PAGE_TYPES.find((candidate) => candidate.pathPattern === pageRule.pathPattern);
+  const pageLabel = pageRule.pathPattern === '*' ? 'Everywhere' : pageType?.label || pageRule.pathPattern;
+  const surfaceLabel = pageRule.surfaceId === ALL_SURFACES_ID
+    ? 'whole theme'
+    : DIM_THEME_SURFACES.find((surface) => surface.id === pageRule.surfaceId)?.label || pageRule.surfaceId;
+  return `${pageLabel} — ${surfaceLabel}`;
+}
+
+
+/**
+ * Fills the "add rule" selects (once) and lists the per-page rules, each
+ * with a remove button.
+ */
+function renderPageRulesSection() {
+  if (pageRulePageSelectElement.options.length === 0) {
+    pageRulePageSelectElement.append(
+      ...X_PAGE_TYPES.map((pageType) => new Option(`${pageType.label} (${pageType.pathPattern})`, pageType.pathPattern)),
+      new Option('Custom path…', CUSTOM_PATH_PAGE_OPTION_VALUE)
+    );
+    pageRuleSurfaceSelectElement.append(
+      new Option('Whole theme', ALL_SURFACES_ID),
+      ...DIM_THEME_SURFACES.map((surface) => new Option(surface.label, surface.id))
+    );
+  }
+
+  pageRulesListElement.replaceChildren();
+  optionsPageRules.forEach((pageRule, pageRuleIndex) => {
+    if (isExclusionPageRule(pageRule)) return;
+
+    const itemElement = document.createElement('li');
+    itemElement.className = 'x-dimmer-popup-page-rules-item';
+
+    const removeButtonElement = document.createElement('button');
+    removeButtonElement.type = 'button';
+    removeButtonElement.className = 'x-dimmer-popup-button x-dimmer-popup-button-danger';
+    removeButtonElement.textContent = 'Remove';
+    removeButtonElement.addEventListener('click', () => handlePageRuleRemove(pageRuleIndex));
+
+    itemElement.append(describePageRule(pageRule), removeButtonElement);
+    pageRulesListElement.appendChild(itemElement);
+  });
+}
+
+
+/**
+ * Renders one checkbox per surface for the "everywhere" rules.
+ */
+function renderExclusionsSection() {
+  pageRulesSurfaceListElement.replaceChildren();
+  for (const surface of DIM_THEME_SURFACES) {
+    const labelElement = document.createElement('label');
+    labelElement.className = 'x-dimmer-popup-checkbox-row';
+
+    const checkboxElement = document.createElement('input');
+    checkboxElement.type = 'checkbox';
+    checkboxElement.checked = optionsPageRules.some((pageRule) =>
+      pageRule.pathPattern === '*' && pageRule.surfaceId === surface.id);
+    checkboxElement.addEventListener('change', () =>
+      handleSurfaceRuleCheckboxChange(surface.id, checkboxElement.checked));
+
+    const textElement = document.createElement('span');
+    textElement.className = 'x-dimmer-popup-checkbox-text';
+    textElement.textContent = surface.label;
+
+    labelElement.append(checkboxElement, textElement);
+    pageRulesSurfaceListElement.appendChild(labelElement);
+  }
+}
+
+
+/**
+ * Stores the page rules and re-renders both sections.
+ *
+ * @param {Array<{ pathPattern: string, surfaceId: string }>} pageRules - The new list
+ */
+async function savePageRules(pageRules) {
+  optionsPageRules = pageRules;
+  renderPageRulesSection();
+  renderExclusionsSection();
+
+  try {
+    await chrome.storage.local.set({ xDimmerPageRules: pageRules });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save page rules:', error);
+  }
+}
+
+
+/**
+ * Shows the path input only for "Custom path…".
+ */
+function handlePageRulePageSelectChange() {
+  pageRulePathInputElement.hidden = pageRulePageSelectElement.value !== CUSTOM_PATH_PAGE_OPTION_VALUE;
+  pageRuleErrorTextElement.hidden = true;
+}
+
+
+/**
+ * Adds the rule described by the form, unless it is invalid or already
+ * stored. Custom paths get the same check as an imported settings file.
+ */
+function handlePageRuleAddClick() {
+  const pageRule = {
+    pathPattern: pageRulePageSelectElement.value === CUSTOM_PATH_PAGE_OPTION_VALUE
+      ? pageRulePathInputElement.value.trim()
+      : pageRulePageSelectElement.value,
+    surfaceId: pageRuleSurfaceSelectElement.value,
+  };
+
+  const errors = [];
+  validatePageRule(pageRule, 'Rule', errors);
+  if (errors.length === 0 && optionsPageRules.some((storedRule) =>
+    storedRule.pathPattern === pageRule.pathPattern && storedRule.surfaceId === pageRule.surfaceId)) {
+    errors.push('This rule already exists');
+  }
+
+  pageRuleErrorTextElement.textContent = errors.join(' · ');
+  pageRuleErrorTextElement.hidden = errors.length === 0;
+  if (errors.length > 0) return;
+
+  pageRulePathInputElement.value = '';
+  savePageRules([...optionsPageRules, pageRule]);
+}
+
+
+/**
+ * Adds or removes the "everywhere" rule for one surface.
+ *
+ * @param {string} surfaceId - ID from DIM_THEME_SURFACES
+ * @param {boolean} keepsXLook - Whether the surface should stay undimmed
+ */
+function handleSurfaceRuleCheckboxChange(surfaceId, keepsXLook) {
+  const otherRules = optionsPageRules.filter((pageRule) =>
+    !(pageRule.pathPattern === '*' && pageRule.surfaceId === surfaceId));
+
+  savePageRules(keepsXLook ? [...otherRules, { pathPattern: '*', surfaceId }] : otherRules);
+}
+
+
+/**
+ * Removes one stored rule.
+ *
+ * @param {number} pageRuleIndex - Index into optionsPageRules
+ */
+function handlePageRuleRemove(pageRuleIndex) {
+  savePageRules(optionsPageRules.filter((pageRule, index) => index !== pageRuleIndex));
+}
+
+
+/* -----------------------------------------------------------------------
+ * CUSTOM SELECTORS
+ * The stored "xDimmerCustomOverrideRules" — usually created on the page
+ * by the element picker (content/content-script-element-picker.js), which
+ * the popup starts; they can also be typed in here.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Fills the palette color select (once) and lists the stored rules.
+ */
+function renderCustomSelectorsSection() {
+  if (customSelectorSlotSelectElement.options.length === 0) {
+    customSelectorSlotSelectElement.append(...Object.keys(CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES).map((paletteSlot) =>
+      new Option(USER_EDITABLE_PALETTE_SLOTS.find(({ slot }) => slot === paletteSlot)?.label || paletteSlot, paletteSlot)));
+  }
+
+  customRulesListElement.replaceChildren();
+  optionsCustomOverrideRules.forEach((customRule, customRuleIndex) => {
+    const itemElement = document.createElement('li');
+    itemElement.className = 'x-dimmer-popup-page-rules-item';
+
+    const selectorElement = document.createElement('span');
+    selectorElement.className = 'x-dimmer-popup-custom-rules-selector';
+    selectorElement.textContent = customRule.selector;
+
+    const slotElement = document.createElement('span');
+    slotElement.className = 'x-dimmer-popup-custom-rules-slot';
+    slotElement.textContent = USER_EDITABLE_PALETTE_SLOTS
+      .find(({ slot }) => slot === customRule.paletteSlot)?.label || customRule.paletteSlot;
+
+    const removeButtonElement = document.createElement('button');
+    removeButtonElement.type = 'button';
+    removeButtonElement.className = 'x-dimmer-popup-button x-dimmer-popup-button-danger';
+    removeButtonElement.textContent = 'Remove';
+    removeButtonElement.addEventListener('click', () => handleCustomRuleRemove(customRuleIndex));
+
+    itemElement.append(selectorElement, slotElement, removeButtonElement);
+    customRulesListElement.appendChild(itemElement);
+  });
+}
+
+
+/**
+ * Stores the custom rules and re-renders the list. Content scripts rebuild
+ * their stylesheet through chrome.storage.onChanged.
+ *
+ * @param {Array<Object>} customOverrideRules - The new list
+ */
+async function saveCustomOverrideRules(customOverrideRules) {
+  optionsCustomOverrideRules = customOverrideRules;
+  renderCustomSelectorsSection();
+
+  try {
+    await chrome.storage.local.set({ xDimmerCustomOverrideRules: customOverrideRules });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save custom rules:', error);
+  }
+}
+
+
+/**
+ * Adds the typed selector as a rule — the same shape the element picker
+ * saves, checked like an imported one.
+ */
+function handleCustomSelectorAddClick() {
+  const customRule = {
+    selector: customSelectorInputElement.value.trim(),
+    paletteSlot: customSelectorSlotSelectElement.value,
+    surfaceId: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const errors = [];
+  validateCustomOverrideRule(customRule, 'Selector', errors);
+  if (errors.length === 0 && optionsCustomOverrideRules.some((storedRule) =>
+    storedRule.selector === customRule.selector && storedRule.paletteSlot === customRule.paletteSlot)) {
+    errors.push('This selector already has that color');
+  }
+
+  customSelectorErrorTextElement.textContent = errors.join(' · ');
+  customSelectorErrorTextElement.hidden = errors.length === 0;
+  if (errors.length > 0) return;
+
+  customSelectorInputElement.value = '';
+  saveCustomOverrideRules([...optionsCustomOverrideRules, customRule]);
+}
+
+
+/**
+ * Removes one custom rule.
+ *
+ * @param {number} customRuleIndex - Index into optionsCustomOverrideRules
+ */
+function handleCustomRuleRemove(customRuleIndex) {
+  saveCustomOverrideRules(optionsCustomOverrideRules.filter((customRule, index) => index !== customRuleIndex));
+}
+
+
+/* -----------------------------------------------------------------------
+ * DIAGNOSTICS
+ * A chosen X tab walks its visible DOM and answers with a report
+ * (content/content-script-unthemed-surface-diagnostics.js). Reports are
+ * not stored — they describe one view at one moment.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Lists the open X tabs in the tab select, keeping the current choice if
+ * that tab is still open. Tab URLs and titles are readable for X tabs
+ * without the "tabs" permission, thanks to our host permissions.
+ */
+async function renderDiagnosticsTabOptions() {
+  const previouslySelectedTabId = diagnosticsTabSelectElement.value;
+
+  let xTabs = [];
+  try {
+    xTabs = await chrome.tabs.query({ url: chrome.runtime.getManifest().content_scripts[0].matches });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to list X tabs:', error);
+  }
+
+  diagnosticsTabSelectElement.replaceChildren(...xTabs.map((xTab) =>
+    new Option(`${xTab.title || 'X'} — ${new URL(xTab.url).pathname}`, String(xTab.id))));
+  if (xTabs.some((xTab) => String(xTab.id) === previouslySelectedTabId)) {
+    diagnosticsTabSelectElement.value = previouslySelectedTabId;
+  }
+
+  diagnosticsTabSelectElement.disabled = xTabs.length === 0;
+  diagnosticsRerunButtonElement.disabled = xTabs.length === 0;
+  if (xTabs.length === 0) {
+    diagnosticsSummaryTextElement.textContent = 'Open x.com in a tab to check it for surfaces still in Lights Out.';
+  } else if (!optionsDiagnosticsReport) {
+    diagnosticsSummaryTextElement.textContent = 'Choose an X tab and check what is on its screen.';
+  }
+}
+
+
+/**
+ * Asks the chosen X tab for a diagnostics report and shows its count.
+ */
+async function runDiagnosticsOnSelectedTab() {
+  const selectedTabId = Number(diagnosticsTabSelectElement.value);
+  if (!selectedTabId) return;
+
+  diagnosticsSummaryTextElement.textContent = 'Checking the tab…';
+  diagnosticsSummaryTextElement.classList.remove('x-dimmer-diagnostics-clean');
+  diagnosticsExportButtonElement.disabled = true;
+
+  try {
+    /* Frame 0 only — every frame answers otherwise, and the first answer wins */
+    optionsDiagnosticsReport = await chrome.tabs.sendMessage(selectedTabId, {
+      type: X_DIMMER_TAB_MESSAGE_TYPES.RUN_UNTHEMED_SURFACE_DIAGNOSTICS,
+    }, { frameId: 0 });
+  } catch (error) {
+    /* No content script yet, e.g. the tab was open before an update */
+    console.error('[X Dimmer Options] Failed to run diagnostics:', error);
+    optionsDiagnosticsReport = null;
+    diagnosticsSummaryTextElement.textContent = 'Reload that tab to run diagnostics';
+    return;
+  }
+
+  const unthemedCount = optionsDiagnosticsReport.unthemedElements.length;
+  if (!optionsDiagnosticsReport.isDimThemeActive) {
+    diagnosticsSummaryTextElement.textContent = 'Dim is not applied on that page right now';
+  } else if (unthemedCount === 0) {
+    diagnosticsSummaryTextElement.textContent = 'No Lights Out surfaces left on screen';
+    diagnosticsSummaryTextElement.classList.add('x-dimmer-diagnostics-clean');
+  } else {
+    diagnosticsSummaryTextElement.textContent = unthemedCount === 1
+      ? '1 surface on screen is still Lights Out'
+      : `${unthemedCount}${optionsDiagnosticsReport.isTruncated ? '+' : ''} surfaces on screen are still Lights Out`;
+  }
+  diagnosticsExportButtonElement.disabled = false;
+}
+
+
+/**
+ * Downloads the last report as a JSON file, together with the elements
+ * reported through the "Report unthemed element here" context menu item.
+ */
+async function handleDiagnosticsExportClick() {
+  if (!optionsDiagnosticsReport) return;
+
+  let unthemedElementReports = [];
+  try {
+    ({ xDimmerUnthemedElementReports: unthemedElementReports } =
+      await chrome.storage.local.get({ xDimmerUnthemedElementReports: [] }));
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to read element reports:', error);
+  }
+
+  const exportedReport = {
+    extensionVersion: chrome.runtime.getManifest().version,
+    ...optionsDiagnosticsReport,
+    contextMenuReports: unthemedElementReports,
+  };
+  const reportBlob = new Blob([JSON.stringify(exportedReport, null, 2)], { type: 'application/json' });
+  const reportUrl = URL.createObjectURL(reportBlob);
+  const downloadLinkElement = document.createElement('a');
+  downloadLinkElement.href = reportUrl;
+  downloadLinkElement.download = `x-dimmer-diagnostics-${optionsDiagnosticsReport.generatedAt.replace(/[:.]/g, '-')}.json`;
+  downloadLinkElement.click();
+
+  /* Revoked on the next tick: the download needs the URL when it starts */
+  setTimeout(() => URL.revokeObjectURL(reportUrl), 0);
+}
+
+
+/**
+ * Shows how many elements were reported with the context menu item.
+ *
+ * @param {Array<Object>} unthemedElementReports - The stored "xDimmerUnthemedElementReports"
+ */
+function renderElementReportsSummary(unthemedElementReports) {
+  const reportCount = (unthemedElementReports || []).length;
+  elementReportsSummaryTextElement.textContent = reportCount === 0
+    ? 'No elements reported with "Report unthemed element here" yet.'
+    : `${reportCount === 1 ? '1 element' : `${reportCount} elements`} reported with "Report unthemed element here" — included in the export.`;
+  elementReportsClearButtonElement.hidden = reportCount === 0;
+}
+
+
+/**
+ * Forgets the right-click reports.
+ */
+async function handleElementReportsClearClick() {
+  try {
+    await chrome.storage.local.set({ xDimmerUnthemedElementReports: [] });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to clear element reports:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * SETTINGS FILE
+ * The document format and its validation live in
+ * shared/dim-settings-transfer.js; this page only moves files around.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Shows the outcome of an export or import.
+ *
+ * @param {string} statusText - One-line summary
+ * @param {string[]} [importErrors] - Problems found in an imported file
+ */
+function showSettingsFileStatus(statusText, importErrors = []) {
+  settingsFileStatusTextElement.textContent = statusText;
+  settingsFileStatusTextElement.classList.toggle('x-dimmer-settings-file-failed', importErrors.length > 0);
+  settingsFileStatusTextElement.hidden = false;
+
+  settingsImportErrorListElement.replaceChildren(...importErrors.map((importError) => {
+    const errorItemElement = document.createElement('li');
+    errorItemElement.textContent = importError;
+    return errorItemElement;
+  }));
+}
+
+
+/**
+ * Downloads every exported setting as one JSON document.
+ */
+async function handleSettingsExportClick() {
+  try {
+    const storedValues = await chrome.storage.local.get(buildExportedSettingsStorageDefaults());
+    const exportDocument = buildSettingsExportDocument(storedValues, chrome.runtime.getManifest().version);
+
+    const exportBlob = new Blob([JSON.stringify(exportDocument, null, 2)], { type: 'application/json' });
+    const exportUrl = URL.createObjectURL(exportBlob);
+    const downloadLinkElement = document.createElement('a');
+    downloadLinkElement.href = exportUrl;
+    downloadLinkElement.download = `x-dimmer-settings-${exportDocument.exportedAt.slice(0, 10)}.json`;
+    downloadLinkElement.click();
+    setTimeout(() => URL.revokeObjectURL(exportUrl), 0);
+
+    showSettingsFileStatus('Settings exported');
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to export settings:', error);
+    showSettingsFileStatus('Export failed', [error.message]);
+  }
+}
+
+
+/**
+ * Validates the chosen file and, only if it is valid in full, writes it
+ * to storage. Content scripts and the service worker pick the new values
+ * up through chrome.storage.onChanged; this page re-reads its own state.
+ */
+async function handleSettingsImportFileChange() {
+  const [importedFile] = settingsImportFileInputElement.files;
+  settingsImportFileInputElement.value = '';
+  if (!importedFile) return;
+
+  const { errors, storageValues } = parseSettingsImportDocument(await importedFile.text());
+  if (errors.length > 0) {
+    showSettingsFileStatus(
+      `"${importedFile.name}" was not imported — ${errors.length === 1 ? '1 problem' : `${errors.length} problems`}:`,
+      errors
+    );
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set(storageValues);
+    await initializeOptionsPageFromStorage();
+    const importedCount = Object.keys(storageValues).length;
+    showSettingsFileStatus(`Imported ${importedCount === 1 ? '1 setting' : `${importedCount} settings`} from "${importedFile.name}"`);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to import settings:', error);
+    showSettingsFileStatus('Import failed', [error.message]);
+  }
+}
+
+
+/**
+ * Shows whether sync is on and how the last sync attempt went.
+ * Failures don't affect anything else — settings keep working from this
+ * device's storage.
+ *
+ * @param {{ state: 'ok'|'error', message?: string, at: string }|null} syncStatus - "xDimmerSyncStatus"
+ */
+function renderSettingsSyncStatus(syncStatus) {
+  const isSyncFailing = settingsSyncCheckboxElement.checked && syncStatus?.state === 'error';
+  settingsSyncStatusTextElement.classList.toggle('x-dimmer-settings-sync-failed', isSyncFailing);
+
+  if (!settingsSyncCheckboxElement.checked) {
+    settingsSyncStatusTextElement.textContent = 'Settings stay on this device';
+  } else if (isSyncFailing) {
+    settingsSyncStatusTextElement.textContent = `Not synced — using this device's settings (${syncStatus.message})`;
+  } else if (syncStatus) {
+    settingsSyncStatusTextElement.textContent = `Last synced ${new Date(syncStatus.at).toLocaleString()}`;
+  } else {
+    settingsSyncStatusTextElement.textContent = 'Waiting for the first sync…';
+  }
+}
+
+
+/**
+ * Handles the "Sync settings across devices" checkbox. The service worker
+ * does the syncing; when it is switched on, the newer of this device's and
+ * the synced value wins for each setting.
+ */
+async function handleSettingsSyncChange() {
+  try {
+    await chrome.storage.local.set({ xDimmerSyncEnabled: settingsSyncCheckboxElement.checked });
+    const { xDimmerSyncStatus } = await chrome.storage.local.get({ xDimmerSyncStatus: null });
+    renderSettingsSyncStatus(xDimmerSyncStatus);
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to save the sync setting:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * SELECTOR HEALTH
+ * The bundled layers come from dim-theme-stylesheet-generator.js, loaded
+ * here as a plain script; the matches come from "xDimmerSelectorHealth".
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Renders one block per bundled layer with its matched count and the
+ * selectors that never matched this session.
+ *
+ * @param {{ sessionStartedAt: string, checkedPageTypes: string[], matchedSelectors: string[] }|null} selectorHealth
+ *   The stored "xDimmerSelectorHealth", or null if no X page was checked yet
+ */
+function renderSelectorHealthSection(selectorHealth) {
+  const matchedSelectors = new Set(selectorHealth?.matchedSelectors || []);
+  const checkedPageTypes = selectorHealth?.checkedPageTypes || [];
+
+  selectorHealthSummaryTextElement.textContent = checkedPageTypes.length === 0
+    ? 'No X page checked yet this session.'
+    : `Since ${new Date(selectorHealth.sessionStartedAt).toLocaleString()}, on: ${checkedPageTypes.join(', ')}. `
+      + 'Selectors listed below never matched — open the matching part of X before calling them stale.';
+
+  selectorHealthLayerListElement.replaceChildren();
+  for (const { layerTitle, selectors } of listBundledSelectorsByLayer()) {
+    const unmatchedSelectors = selectors.filter((selector) => !matchedSelectors.has(selector));
+
+    const layerElement = document.createElement('div');
+    const titleElement = document.createElement('div');
+    titleElement.className = 'x-dimmer-popup-selector-health-layer-title';
+    const countElement = document.createElement('span');
+    countElement.className = 'x-dimmer-popup-selector-health-layer-count';
+    countElement.classList.toggle('x-dimmer-selector-health-stale', unmatchedSelectors.length > 0);
+    countElement.textContent = `${selectors.length - unmatchedSelectors.length}/${selectors.length}`;
+    titleElement.append(layerTitle, countElement);
+    layerElement.appendChild(titleElement);
+
+    for (const selector of unmatchedSelectors) {
+      const selectorElement = document.createElement('div');
+      selectorElement.className = 'x-dimmer-popup-selector-health-unmatched';
+      selectorElement.textContent = selector;
+      layerElement.appendChild(selectorElement);
+    }
+
+    selectorHealthLayerListElement.appendChild(layerElement);
+  }
+}
+
+
+/**
+ * Starts a new session; X tabs clear their results when they see the new
+ * sessionStartedAt and record matches afresh.
+ */
+async function handleSelectorHealthResetClick() {
+  try {
+    await chrome.storage.local.set({
+      xDimmerSelectorHealth: { sessionStartedAt: new Date().toISOString(), checkedPageTypes: [], matchedSelectors: [] },
+    });
+  } catch (error) {
+    console.error('[X Dimmer Options] Failed to reset selector health:', error);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * CHANGES MADE ELSEWHERE
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Keeps the page in step with changes made while it is open — by the
+ * popup, a scheduled transition, the element picker, an X tab or, through
+ * the service worker, another device. Writes made by this page come back
+ * here too; re-rendering them is harmless.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes.xDimmerActivePaletteId || changes.xDimmerCustomPalettes) {
+    optionsActivePaletteId = changes.xDimmerActivePaletteId?.newValue ?? optionsActivePaletteId;
+    optionsCustomPalettes = changes.xDimmerCustomPalettes?.newValue ?? optionsCustomPalettes;
+    renderPaletteEditor();
+    renderSchedulePaletteOptions(readScheduleFromForm());
+  }
+
+  if (changes.xDimmerSchedule && document.activeElement?.closest('#schedule') === null) {
+    renderScheduleForm(completeStoredDimSchedule(changes.xDimmerSchedule.newValue));
+  }
+
+  if (changes.xDimmerPageRules) {
+    optionsPageRules = changes.xDimmerPageRules.newValue || [];
+    renderPageRulesSection();
+    renderExclusionsSection();
+  }
+
+  if (changes.xDimmerCustomOverrideRules) {
+    optionsCustomOverrideRules = changes.xDimmerCustomOverrideRules.newValue || [];
+    renderCustomSelectorsSection();
+  }
+
+  if (changes.xDimmerUnthemedElementReports) {
+    renderElementReportsSummary(changes.xDimmerUnthemedElementReports.newValue);
+  }
+
+  if (changes.xDimmerSelectorHealth) {
+    renderSelectorHealthSection(changes.xDimmerSelectorHealth.newValue);
+  }
+
+  if (changes.xDimmerSyncEnabled) {
+    settingsSyncCheckboxElement.checked = changes.xDimmerSyncEnabled.newValue;
+  }
+
+  if (changes.xDimmerSyncStatus) {
+    renderSettingsSyncStatus(changes.xDimmerSyncStatus.newValue);
+  }
+});
+
+
+/**
+ * The embed origins can also be revoked at chrome://extensions.
+ */
+chrome.permissions.onAdded.addListener(renderEmbedPostsCheckbox);
+chrome.permissions.onRemoved.addListener(renderEmbedPostsCheckbox);
+
+
+/* -----------------------------------------------------------------------
+ * EVENT LISTENERS
+ * -----------------------------------------------------------------------
+ */
+
+/* General */
+themeDetectionModeSelectElement.addEventListener('change', handleThemeDetectionModeChange);
+computedStyleScanCheckboxElement.addEventListener('change', handleComputedStyleScanChange);
+stylesheetRewriteCheckboxElement.addEventListener('change', handleStylesheetRewriteChange);
+embedPostsCheckboxElement.addEventListener('change', handleEmbedPostsChange);
+
+/* Palette editor */
+paletteSelectElement.addEventListener('change', handlePaletteSelectChange);
+paletteSaveButtonElement.addEventListener('click', handlePaletteSave);
+paletteSaveAsNewButtonElement.addEventListener('click', handlePaletteSaveAsNew);
+paletteDeleteButtonElement.addEventListener('click', handlePaletteDelete);
+
+/* Schedule — every field saves on change */
+for (const scheduleFieldElement of [
+  scheduleModeSelectElement, scheduleStartTimeInputElement, scheduleEndTimeInputElement,
+  scheduleLatitudeInputElement, scheduleLongitudeInputElement, scheduleActionSelectElement,
+  scheduleNightPaletteSelectElement, scheduleDayPaletteSelectElement,
+]) {
+  scheduleFieldElement.addEventListener('change', handleScheduleFormChange);
+}
+
+/* Page rules */
+pageRulePageSelectElement.addEventListener('change', handlePageRulePageSelectChange);
+pageRuleAddButtonElement.addEventListener('click', handlePageRuleAddClick);
+
+/* Custom selectors */
+customSelectorAddButtonElement.addEventListener('click', handleCustomSelectorAddClick);
+
+/* Diagnostics — the tab list is refreshed whenever the user goes to pick one */
+diagnosticsTabSelectElement.addEventListener('focus', renderDiagnosticsTabOptions);
+diagnosticsRerunButtonElement.addEventListener('click', runDiagnosticsOnSelectedTab);
+diagnosticsExportButtonElement.addEventListener('click', handleDiagnosticsExportClick);
+elementReportsClearButtonElement.addEventListener('click', handleElementReportsClearClick);
+selectorHealthResetButtonElement.addEventListener('click', handleSelectorHealthResetClick);
+
+/* Import / export — this page is a tab, so the file dialog can't close it */
+settingsExportButtonElement.addEventListener('click', handleSettingsExportClick);
+settingsImportButtonElement.addEventListener('click', () => settingsImportFileInputElement.click());
+settingsImportFileInputElement.addEventListener('change', handleSettingsImportFileChange);
+settingsSyncCheckboxElement.addEventListener('change', handleSettingsSyncChange);
+
+
+/* -----------------------------------------------------------------------
+ * INITIALIZATION
+ * -----------------------------------------------------------------------
+ */
+document.addEventListener('DOMContentLoaded', initializeOptionsPageFromStorage);
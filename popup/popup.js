@@ -5,13 +5,22 @@
  *
  * PURPOSE:
  * Handles all user interactions in the X Dimmer popup UI.
- * The popup is the primary interface for users to control the extension.
+ * The popup is the quick way to control the extension; the full
+ * configuration lives on the options page (options/options.js).
  *
  * RESPONSIBILITIES:
  * 1. Read the current dim mode state from chrome.storage.local on popup open
  * 2. Update the toggle switch and status text to reflect current state
  * 3. Handle toggle switch clicks — write new state to chrome.storage.local
  * 4. Visually update the popup UI to reflect ON/OFF state (add/remove classes)
+ * 5. Override the global toggle for the active X tab only ("This tab")
+ * 6. Quick actions — switch the active palette, toggle "disable on this
+ *    page type" for the active X tab, start the element picker on it
+ * 7. Status lines — the next scheduled transition, and the unthemed-surface
+ *    count on the active X tab (read-only)
+ * 8. Open the options page (options/options.html), which holds all other
+ *    settings: palettes, schedule, page rules, custom selectors,
+ *    exclusions, diagnostics and import/export
  *
  * HOW TOGGLE PROPAGATION WORKS:
  * When the user clicks the toggle in this popup:
@@ -33,6 +42,10 @@
  * - Requires the "tabs" permission which some users find invasive
  * Using chrome.storage.onChanged is permission-free (we already need "storage")
  * and automatically reaches all listeners everywhere.
+ *
+ * The one exception is the "This tab" override: it concerns a single tab,
+ * so it goes to the service worker as a message (see
+ * shared/dim-tab-messages.js), which stores it and tells that tab.
  * =============================================================================
  */
 
@@ -49,9 +62,65 @@ const dimmerToggleCheckboxElement = document.getElementById('dimmer-toggle-check
 /** The status text ("Active" / "Inactive") next to the toggle */
 const dimmerStatusTextElement = document.getElementById('dimmer-status-text');
 
+/** The "This tab" override row and its select */
+const tabOverrideRowElement = document.getElementById('tab-override-row');
+const tabOverrideSelectElement = document.getElementById('tab-override-select');
+
 /** The main popup container (for adding disabled/enabled classes) */
 const popupContainerElement = document.querySelector('.x-dimmer-popup-container');
 
+/** Quick actions */
+const paletteSelectElement = document.getElementById('palette-select');
+const pageTypeRuleButtonElement = document.getElementById('page-type-rule-button');
+const elementPickerButtonElement = document.getElementById('element-picker-button');
+
+/** Status lines */
+const statusSectionElement = document.getElementById('status-section');
+const scheduleNextTransitionTextElement = document.getElementById('schedule-next-transition-text');
+const diagnosticsSummaryTextElement = document.getElementById('diagnostics-summary-text');
+
+/** The footer link to the options page */
+const openOptionsButtonElement = document.getElementById('open-options-button');
+
+
+/* -----------------------------------------------------------------------
+ * X HOSTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * The hosts the content scripts run on ("x.com", "pro.x.com", …), from
+ * the match patterns in manifest.json — so a new X host only has to be
+ * added there. Only tabs on these hosts get the per-tab and page actions.
+ */
+const X_PAGE_HOSTNAMES = chrome.runtime.getManifest().content_scripts[0].matches
+  .map((matchPattern) => new URL(matchPattern.replace(/\*$/, '')).hostname);
+
+
+/* -----------------------------------------------------------------------
+ * POPUP STATE
+ * Copies of the stored values the quick actions edit.
+ * -----------------------------------------------------------------------
+ */
+
+/** The stored "xDimmerActivePaletteId" */
+let popupActivePaletteId = DEFAULT_ACTIVE_PALETTE_ID;
+
+/** The stored "xDimmerCustomPalettes" */
+let popupCustomPalettes = [];
+
+/** The stored "xDimmerSchedule", completed with its defaults */
+let popupSchedule = DEFAULT_DIM_SCHEDULE;
+
+/** The stored "xDimmerPageRules" */
+let popupPageRules = [];
+
+/** The X page type of the active tab, or null when it isn't an X page */
+let popupActiveTabPageType = null;
+
+/** The ID of the active tab if it is an X tab, otherwise null */
+let popupActiveXTabId = null;
+
 
 /* -----------------------------------------------------------------------
  * STATE INITIALIZATION
@@ -75,8 +144,26 @@ async function initializePopupStateFromStorage() {
   try {
     const storedPreferences = await chrome.storage.local.get({
       xDimmerEnabled: true,  /* Default to enabled */
+      xDimmerActivePaletteId: DEFAULT_ACTIVE_PALETTE_ID,
+      xDimmerCustomPalettes: [],
+      xDimmerPageRules: [],
+      xDimmerSchedule: DEFAULT_DIM_SCHEDULE,
     });
 
+    popupActivePaletteId = storedPreferences.xDimmerActivePaletteId;
+    popupCustomPalettes = storedPreferences.xDimmerCustomPalettes;
+    renderPaletteSelectOptions();
+
+    popupSchedule = completeStoredDimSchedule(storedPreferences.xDimmerSchedule);
+    renderScheduleNextTransitionText();
+
+    popupPageRules = storedPreferences.xDimmerPageRules;
+    await findActiveXTab();
+    renderPageTypeRuleButton();
+    elementPickerButtonElement.hidden = popupActiveXTabId === null;
+    await renderTabOverrideRow();
+    runDiagnosticsOnActiveXTab();
+
     const isEnabled = storedPreferences.xDimmerEnabled;
 
     /* Update the toggle checkbox to match stored state */
@@ -94,6 +181,7 @@ async function initializePopupStateFromStorage() {
     console.error('[X Dimmer Popup] Failed to read storage:', error);
     dimmerToggleCheckboxElement.checked = true;
     updatePopupVisualStateToReflectToggle(true);
+    renderPaletteSelectOptions();
   }
 }
 
@@ -138,6 +226,306 @@ async function handleDimmerToggleChange() {
 }
 
 
+/* -----------------------------------------------------------------------
+ * THIS TAB OVERRIDE
+ * Lets the active X tab ignore the toggle above. The service worker owns
+ * the per-tab state (see shared/dim-tab-messages.js); the popup only asks
+ * for it and sends changes.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Shows the "This tab" row with the active tab's override, or hides it
+ * when the active tab isn't an X tab.
+ */
+async function renderTabOverrideRow() {
+  tabOverrideRowElement.hidden = popupActiveXTabId === null;
+  if (popupActiveXTabId === null) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: X_DIMMER_RUNTIME_MESSAGE_TYPES.GET_TAB_OVERRIDE,
+      tabId: popupActiveXTabId,
+    });
+    tabOverrideSelectElement.value = response?.override || '';
+  } catch (error) {
+    console.error('[X Dimmer Popup] Failed to read the tab override:', error);
+    tabOverrideRowElement.hidden = true;
+  }
+}
+
+
+/**
+ * Sends the chosen override for the active tab to the service worker,
+ * which stores it, updates that tab's badge and tells the tab to repaint.
+ * "Same as all tabs" ('') clears the override.
+ */
+async function handleTabOverrideChange() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: X_DIMMER_RUNTIME_MESSAGE_TYPES.SET_TAB_OVERRIDE,
+      tabId: popupActiveXTabId,
+      override: tabOverrideSelectElement.value || null,
+    });
+    /* Not stored — show the override the tab really has */
+    if (!response?.ok) await renderTabOverrideRow();
+  } catch (error) {
+    console.error('[X Dimmer Popup] Failed to set the tab override:', error);
+    await renderTabOverrideRow();
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * QUICK ACTIONS
+ * Small edits of the same storage keys the options page edits in full.
+ * Content scripts pick every write up through chrome.storage.onChanged.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Looks up the active tab and, if it is an X tab, records its ID and page
+ * type in popupActiveXTabId / popupActiveTabPageType. The URL is readable
+ * without the "tabs" permission — through our host permissions on X, and
+ * through "activeTab" on any other site once the popup is open — so the
+ * host has to be checked against X_PAGE_HOSTNAMES: the content scripts
+ * never run anywhere else.
+ */
+async function findActiveXTab() {
+  popupActiveXTabId = null;
+  popupActiveTabPageType = null;
+
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab?.url?.startsWith('https://')) return;
+
+    const activeTabUrl = new URL(activeTab.url);
+    if (!X_PAGE_HOSTNAMES.includes(activeTabUrl.hostname)) return;
+
+    popupActiveXTabId = activeTab.id;
+    popupActiveTabPageType = findXPageTypeForPath(activeTabUrl.pathname);
+  } catch (error) {
+    console.error('[X Dimmer Popup] Failed to read the active tab:', error);
+  }
+}
+
+
+/**
+ * Fills the palette <select> with the built-in palettes followed by the
+ * user's custom palettes, and selects the active one.
+ */
+function renderPaletteSelectOptions() {
+  paletteSelectElement.replaceChildren();
+
+  const paletteGroups = [
+    { label: 'Built-in', palettes: BUILT_IN_PALETTES },
+    { label: 'Custom', palettes: popupCustomPalettes },
+  ];
+
+  for (const { label, palettes } of paletteGroups) {
+    if (palettes.length === 0) continue;
+
+    const optionGroupElement = document.createElement('optgroup');
+    optionGroupElement.label = label;
+    for (const palette of palettes) {
+      optionGroupElement.appendChild(new Option(palette.name, palette.id));
+    }
+    paletteSelectElement.appendChild(optionGroupElement);
+  }
+
+  paletteSelectElement.value = resolveActivePalette(popupActivePaletteId, popupCustomPalettes).id;
+}
+
+
+/**
+ * Handles picking a palette from the <select>.
+ * Switching palettes applies immediately to all open X tabs.
+ */
+async function handlePaletteSelectChange() {
+  try {
+    await chrome.storage.local.set({ xDimmerActivePaletteId: paletteSelectElement.value });
+    popupActivePaletteId = paletteSelectElement.value;
+  } catch (error) {
+    console.error('[X Dimmer Popup] Failed to switch palette:', error);
+    paletteSelectElement.value = popupActivePaletteId;
+  }
+}
+
+
+/**
+ * Labels the "disable on this page type" button for the active X tab's
+ * page type, or hides it on other tabs.
+ */
+function renderPageTypeRuleButton() {
+  pageTypeRuleButtonElement.hidden = !popupActiveTabPageType;
+  if (!popupActiveTabPageType) return;
+
+  const hasPageTypeRule = popupPageRules.some((pageRule) =>
+    pageRule.pathPattern === popupActiveTabPageType.pathPattern && pageRule.surfaceId === ALL_SURFACES_ID);
+  pageTypeRuleButtonElement.textContent = hasPageTypeRule
+    ? `Enable on ${popupActiveTabPageType.label} pages`
+    : `Disable on ${popupActiveTabPageType.label} pages`;
+}
+
+
+/**
+ * Toggles the "whole theme off" rule for the active tab's page type.
+ */
+async function handlePageTypeRuleButtonClick() {
+  if (!popupActiveTabPageType) return;
+
+  const isPageTypeRule = (pageRule) =>
+    pageRule.pathPattern === popupActiveTabPageType.pathPattern && pageRule.surfaceId === ALL_SURFACES_ID;
+  popupPageRules = popupPageRules.some(isPageTypeRule)
+    ? popupPageRules.filter((pageRule) => !isPageTypeRule(pageRule))
+    : [...popupPageRules, { pathPattern: popupActiveTabPageType.pathPattern, surfaceId: ALL_SURFACES_ID }];
+  renderPageTypeRuleButton();
+
+  try {
+    await chrome.storage.local.set({ xDimmerPageRules: popupPageRules });
+  } catch (error) {
+    console.error('[X Dimmer Popup] Failed to save page rules:', error);
+  }
+}
+
+
+/**
+ * Asks the active X tab to enter picking mode, then closes the popup —
+ * it would otherwise sit on top of the page the user has to click in.
+ * The rules it creates are listed on the options page.
+ */
+async function handleElementPickerButtonClick() {
+  if (popupActiveXTabId === null) return;
+
+  try {
+    /* Frame 0 only — every frame of the tab runs the content script */
+    await chrome.tabs.sendMessage(popupActiveXTabId, {
+      type: X_DIMMER_TAB_MESSAGE_TYPES.START_ELEMENT_PICKER,
+    }, { frameId: 0 });
+    window.close();
+  } catch (error) {
+    /* No content script yet, e.g. the tab was open before an update */
+    console.error('[X Dimmer Popup] Failed to start the element picker:', error);
+    elementPickerButtonElement.textContent = 'Reload the page to pick elements';
+    elementPickerButtonElement.disabled = true;
+  }
+}
+
+
+/**
+ * Opens the options page in a tab (or focuses it if it is already open)
+ * and closes the popup.
+ */
+async function handleOpenOptionsClick() {
+  try {
+    await chrome.runtime.openOptionsPage();
+    window.close();
+  } catch (error) {
+    console.error('[X Dimmer Popup] Failed to open the options page:', error);
+  }
+}
+
+
+/**
+ * Keeps the popup in step with changes made elsewhere while it is open —
+ * most importantly a scheduled transition flipping the toggle.
+ * Only 'local' matters: the service worker copies synced changes from
+ * other devices into local, so they arrive here like any other change.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes.xDimmerEnabled) {
+    dimmerToggleCheckboxElement.checked = changes.xDimmerEnabled.newValue;
+    updatePopupVisualStateToReflectToggle(changes.xDimmerEnabled.newValue);
+  }
+
+  if (changes.xDimmerActivePaletteId || changes.xDimmerCustomPalettes) {
+    popupActivePaletteId = changes.xDimmerActivePaletteId?.newValue ?? popupActivePaletteId;
+    popupCustomPalettes = changes.xDimmerCustomPalettes?.newValue ?? popupCustomPalettes;
+    renderPaletteSelectOptions();
+    renderScheduleNextTransitionText();
+  }
+
+  if (changes.xDimmerSchedule) {
+    popupSchedule = completeStoredDimSchedule(changes.xDimmerSchedule.newValue);
+    renderScheduleNextTransitionText();
+  }
+
+  if (changes.xDimmerPageRules) {
+    popupPageRules = changes.xDimmerPageRules.newValue || [];
+    renderPageTypeRuleButton();
+  }
+});
+
+
+/* -----------------------------------------------------------------------
+ * STATUS LINES
+ * Read-only: nothing here is a setting. The schedule is edited on the
+ * options page, which also keeps the full diagnostics report and its
+ * export.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Shows when the schedule next changes something, or nothing while it is off.
+ */
+function renderScheduleNextTransitionText() {
+  scheduleNextTransitionTextElement.textContent = describeNextDimScheduleTransition(popupSchedule, popupCustomPalettes);
+  updateStatusSectionVisibility();
+}
+
+
+/**
+ * Asks the active X tab for an unthemed-surface diagnostics report
+ * (content/content-script-unthemed-surface-diagnostics.js) and shows its
+ * count. Nothing is shown on other tabs.
+ */
+async function runDiagnosticsOnActiveXTab() {
+  diagnosticsSummaryTextElement.hidden = popupActiveXTabId === null;
+  updateStatusSectionVisibility();
+  if (popupActiveXTabId === null) return;
+
+  diagnosticsSummaryTextElement.textContent = 'Checking this page…';
+  diagnosticsSummaryTextElement.classList.remove('x-dimmer-diagnostics-clean');
+
+  let diagnosticsReport;
+  try {
+    /* Frame 0 only — every frame answers otherwise, and the first answer wins */
+    diagnosticsReport = await chrome.tabs.sendMessage(popupActiveXTabId, {
+      type: X_DIMMER_TAB_MESSAGE_TYPES.RUN_UNTHEMED_SURFACE_DIAGNOSTICS,
+    }, { frameId: 0 });
+  } catch (error) {
+    /* No content script yet, e.g. the tab was open before an update */
+    console.error('[X Dimmer Popup] Failed to run diagnostics:', error);
+    diagnosticsSummaryTextElement.textContent = 'Reload the page to check it for Lights Out surfaces';
+    return;
+  }
+
+  const unthemedCount = diagnosticsReport.unthemedElements.length;
+  if (!diagnosticsReport.isDimThemeActive) {
+    diagnosticsSummaryTextElement.textContent = 'Dim is not applied on this page right now';
+  } else if (unthemedCount === 0) {
+    diagnosticsSummaryTextElement.textContent = 'No Lights Out surfaces left on screen';
+    diagnosticsSummaryTextElement.classList.add('x-dimmer-diagnostics-clean');
+  } else {
+    diagnosticsSummaryTextElement.textContent = unthemedCount === 1
+      ? '1 surface on screen is still Lights Out'
+      : `${unthemedCount}${diagnosticsReport.isTruncated ? '+' : ''} surfaces on screen are still Lights Out`;
+  }
+}
+
+
+/**
+ * Hides the status section while neither line has anything to show, so
+ * it doesn't leave an empty gap above the footer.
+ */
+function updateStatusSectionVisibility() {
+  statusSectionElement.hidden = scheduleNextTransitionTextElement.textContent === ''
+    && diagnosticsSummaryTextElement.hidden;
+}
+
+
 /* -----------------------------------------------------------------------
  * UI STATE UPDATES
  * Visual feedback functions that update the popup appearance.
@@ -174,12 +562,19 @@ function updatePopupVisualStateToReflectToggle(isEnabled) {
 
 /* -----------------------------------------------------------------------
  * EVENT LISTENERS
- * Wire up the toggle switch to our handler.
+ * Wire up the toggle switch and the quick actions to their handlers.
  * -----------------------------------------------------------------------
  */
 
 /* Listen for toggle switch changes */
 dimmerToggleCheckboxElement.addEventListener('change', handleDimmerToggleChange);
+tabOverrideSelectElement.addEventListener('change', handleTabOverrideChange);
+
+/* Quick actions */
+paletteSelectElement.addEventListener('change', handlePaletteSelectChange);
+pageTypeRuleButtonElement.addEventListener('click', handlePageTypeRuleButtonClick);
+elementPickerButtonElement.addEventListener('click', handleElementPickerButtonClick);
+openOptionsButtonElement.addEventListener('click', handleOpenOptionsClick);
 
 
 /* -----------------------------------------------------------------------
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/*
+ * =============================================================================
+ * X DIMMER — PACKAGED STYLESHEET GENERATOR SCRIPT
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Writes the stylesheets the service worker registers with
+ * chrome.scripting.registerContentScripts, so Chrome paints them before
+ * X's first frame. Registered content-script CSS has to be a file in the
+ * extension package — it can't be generated at runtime — so the output of
+ * content/dim-theme-stylesheet-generator.js is saved ahead of time:
+ *   content/generated/dim-theme-base.css        — every bundled layer, colors
+ *                                                 as custom properties
+ *   content/generated/dim-palette-<id>.css      — one :root block per
+ *                                                 built-in palette
+ *
+ * WHEN TO RUN:
+ * After any change to the layers in dim-theme-stylesheet-generator.js or to
+ * a built-in palette in shared/dim-palette-definitions.js. The content
+ * script generates the same base text at runtime for documents that loaded
+ * without it, so a stale file shows up as a difference between the two.
+ *
+ * DEPENDENCIES:
+ * Node.js only. The shared files are plain browser scripts, so they are
+ * run in one vm context, the way Chrome runs them in a content script.
+ *
+ * RUN:
+ * node scripts/generate-dim-theme-stylesheets.js
+ * =============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_ROOT_DIRECTORY = path.join(__dirname, '..');
+const GENERATED_STYLESHEETS_DIRECTORY = path.join(EXTENSION_ROOT_DIRECTORY, 'content', 'generated');
+
+/** The scripts the generator needs, in manifest.json order. */
+const GENERATOR_SOURCE_FILES = [
+  'shared/dim-palette-definitions.js',
+  'shared/dim-page-rules.js',
+  'content/dim-theme-stylesheet-generator.js',
+];
+
+/** Comment at the top of every generated file. */
+const GENERATED_FILE_HEADER = '/* GENERATED by scripts/generate-dim-theme-stylesheets.js — do not edit by hand. */';
+
+
+/**
+ * Runs the shared scripts in a fresh context and returns it, so their
+ * top-level constants and functions can be evaluated by name.
+ *
+ * @returns {vm.Context} The context the scripts ran in
+ */
+function loadGeneratorContext() {
+  const generatorContext = vm.createContext({ console });
+  for (const sourceFile of GENERATOR_SOURCE_FILES) {
+    const sourcePath = path.join(EXTENSION_ROOT_DIRECTORY, sourceFile);
+    vm.runInContext(fs.readFileSync(sourcePath, 'utf8'), generatorContext, { filename: sourcePath });
+  }
+  return generatorContext;
+}
+
+
+/**
+ * Writes one generated file and reports it.
+ *
+ * @param {string} fileName - File name inside content/generated/
+ * @param {string} cssText - The generated CSS
+ */
+function writeGeneratedStylesheet(fileName, cssText) {
+  const outputPath = path.join(GENERATED_STYLESHEETS_DIRECTORY, fileName);
+  fs.writeFileSync(outputPath, `${GENERATED_FILE_HEADER}\n\n${cssText}\n`);
+  console.log(`  ✓ ${path.relative(EXTENSION_ROOT_DIRECTORY, outputPath)} (${cssText.length} characters)`);
+}
+
+
+function main() {
+  console.log('X Dimmer — Generating packaged stylesheets');
+
+  const generatorContext = loadGeneratorContext();
+  fs.mkdirSync(GENERATED_STYLESHEETS_DIRECTORY, { recursive: true });
+
+  writeGeneratedStylesheet(
+    'dim-theme-base.css',
+    vm.runInContext('generateDimThemeBaseStylesheetText()', generatorContext)
+  );
+
+  const builtInPalettes = vm.runInContext('BUILT_IN_PALETTES', generatorContext);
+  for (const palette of builtInPalettes) {
+    writeGeneratedStylesheet(
+      `dim-palette-${palette.id}.css`,
+      vm.runInContext('generatePaletteCustomPropertiesText', generatorContext)(palette)
+    );
+  }
+}
+
+main();
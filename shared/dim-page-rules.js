@@ -0,0 +1,139 @@
+/*
+ * =============================================================================
+ * X DIMMER — PAGE RULES (PER-ROUTE AND PER-SURFACE)
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Lets users keep X's native look on some pages or parts of the interface
+ * while Dim stays on everywhere else — e.g. Dim on the timeline, but not
+ * in DMs, in Spaces or on /settings.
+ *
+ * RULE SHAPE (stored as an array under "xDimmerPageRules"):
+ *   { pathPattern: '/messages/*', surfaceId: 'all' }
+ * Each rule means "don't dim <surfaceId> on pages matching <pathPattern>".
+ *   pathPattern — '*' for every page, or a path where
+ *                   ':name' matches exactly one segment ('/:user/status/*')
+ *                   a trailing '/*' matches the path itself and anything below
+ *   surfaceId   — 'all' turns the whole theme off on matching pages;
+ *                 any id from DIM_THEME_SURFACES turns off just that surface
+ *
+ * WHO USES IT:
+ * - The content scripts, to decide what to paint on the current path
+ * - The popup, for the "disable on this page type" quick action, and the
+ *   options page, for the rule lists (labels come from here so all sides agree)
+ * Both load this file as a plain script.
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * SURFACES
+ * -----------------------------------------------------------------------
+ * Surfaces correspond to layer groups in the generated stylesheet (see
+ * surfaceId in content/dim-theme-stylesheet-generator.js).
+ * containerSelector is the element that wraps the surface on the page; the
+ * inline-style fixes and the [style*=] catch-alls skip everything inside
+ * the container of a disabled surface.
+ * -----------------------------------------------------------------------
+ */
+
+/** The surface ID that stands for the whole theme. */
+const ALL_SURFACES_ID = 'all';
+
+/** Surfaces that can be left undimmed on their own. */
+const DIM_THEME_SURFACES = [
+  { id: 'dm-drawer',     label: 'DM drawer',       containerSelector: '[data-testid="DMDrawer"]' },
+  { id: 'compose-modal', label: 'Compose modal',   containerSelector: '[aria-labelledby="modal-header"]' },
+  { id: 'notifications', label: 'Notifications & messages',
+    containerSelector: '[data-testid="notification"], [data-testid="conversation"]' },
+  { id: 'settings',      label: 'Settings',        containerSelector: '[data-testid="settingsScreen"], [data-testid="accountScreen"]' },
+  { id: 'premium',       label: 'Premium',         containerSelector: '[data-testid="premiumCTA"], [data-testid="premiumSignup"]' },
+  { id: 'spaces',        label: 'Spaces bar',      containerSelector: '[data-testid="SpacesBar"]' },
+];
+
+
+/* -----------------------------------------------------------------------
+ * PAGE TYPES
+ * -----------------------------------------------------------------------
+ * Known X page types, most specific first. The popup matches the active
+ * tab's path against them to offer "disable on this page type".
+ * -----------------------------------------------------------------------
+ */
+
+/** Page types offered by the popup's quick action, checked in order. */
+const X_PAGE_TYPES = [
+  { pathPattern: '/home',               label: 'Home timeline' },
+  { pathPattern: '/messages/*',         label: 'Messages' },
+  { pathPattern: '/i/spaces/*',         label: 'Spaces' },
+  { pathPattern: '/i/bookmarks',        label: 'Bookmarks' },
+  { pathPattern: '/i/grok/*',           label: 'Grok' },
+  { pathPattern: '/i/decks/*',          label: 'X Pro decks' },
+  { pathPattern: '/notifications/*',    label: 'Notifications' },
+  { pathPattern: '/settings/*',         label: 'Settings' },
+  { pathPattern: '/explore/*',          label: 'Explore' },
+  { pathPattern: '/search',             label: 'Search results' },
+  { pathPattern: '/compose/*',          label: 'Compose' },
+  { pathPattern: '/i/*',                label: 'Other X pages' },
+  { pathPattern: '/:user/status/*',     label: 'Posts and replies' },
+  { pathPattern: '/:user/lists/*',      label: 'Lists' },
+  { pathPattern: '/:user/*',            label: 'Profiles' },
+];
+
+
+/* -----------------------------------------------------------------------
+ * MATCHING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Checks whether a URL path matches a rule's path pattern.
+ *
+ * @param {string} pathname - e.g. "/messages/123-456"
+ * @param {string} pathPattern - e.g. "/messages/*", "/:user/status/*" or "*"
+ * @returns {boolean} True if the pattern matches the whole path
+ */
+function doesPathMatchPattern(pathname, pathPattern) {
+  if (pathPattern === '*') return true;
+
+  const normalizedPath = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  const matchesDescendants = pathPattern.endsWith('/*');
+  const patternBody = matchesDescendants ? pathPattern.slice(0, -2) : pathPattern;
+
+  const patternSource = patternBody
+    .split('/')
+    .map((segment) => (segment.startsWith(':')
+      ? '[^/]+'
+      : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+
+  return new RegExp(`^${patternSource}${matchesDescendants ? '(?:/.*)?' : ''}$`, 'i').test(normalizedPath);
+}
+
+
+/**
+ * Collects the surfaces that the page rules turn off on a path.
+ *
+ * @param {Array<{ pathPattern: string, surfaceId: string }>} pageRules - Stored rules
+ * @param {string} pathname - The current URL path
+ * @returns {Set<string>} Disabled surface IDs ('all' if the whole theme is off)
+ */
+function resolveDisabledSurfacesForPath(pageRules, pathname) {
+  const disabledSurfaceIds = new Set();
+  for (const pageRule of pageRules || []) {
+    if (doesPathMatchPattern(pathname, pageRule.pathPattern)) {
+      disabledSurfaceIds.add(pageRule.surfaceId);
+    }
+  }
+  return disabledSurfaceIds;
+}
+
+
+/**
+ * Finds the X page type a path belongs to.
+ *
+ * @param {string} pathname - The URL path
+ * @returns {{ pathPattern: string, label: string }|null} The first matching type
+ */
+function findXPageTypeForPath(pathname) {
+  return X_PAGE_TYPES.find((pageType) => doesPathMatchPattern(pathname, pageType.pathPattern)) || null;
+}
@@ -0,0 +1,382 @@
+/*
+ * =============================================================================
+ * X DIMMER — DIM PALETTE DEFINITIONS (SINGLE SOURCE OF TRUTH)
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Defines every color X Dimmer paints onto X/Twitter, in one place.
+ * Both halves of the theming pipeline are generated from these definitions:
+ *   1. The dim theme stylesheets, whose colors are custom properties set
+ *      from a palette (see content/dim-theme-stylesheet-generator.js)
+ *   2. The RGB lookup map the MutationObserver uses to rewrite inline styles
+ *      (activeLightsOutToDimColorMap / activeLightsOutToTextColorMap in
+ *      content-script-dim-theme-injector.js)
+ *
+ * WHY A SINGLE SOURCE:
+ * The colors used to be hard-coded twice — as hex literals in the CSS file
+ * and as "r, g, b" strings in the content script — and the two copies had
+ * already drifted apart. Changing a color now means editing one palette slot.
+ *
+ * HOW IT IS LOADED:
+ * This is a plain script (no ES modules — content scripts can't import them).
+ * It is listed before the other content scripts in manifest.json, so its
+ * top-level constants and functions are visible to them as shared globals.
+ *
+ * PALETTE SLOTS (every palette defines all of them):
+ *   primaryBackground  — page background (the signature dim navy)
+ *   secondarySurface   — cards, menus, modals, the DM drawer
+ *   elevatedSurface    — surfaces sitting above secondary ones
+ *   hoverSurface       — hover/active highlights
+ *   border             — dividers and outlines
+ *   activeBorder       — focused / active outlines
+ *   modalMask          — the tint behind modal dialogs (used with alpha)
+ *   primaryText        — main text color
+ *   secondaryText      — muted text (timestamps, handles, counts)
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * THE DIM PALETTE
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * The original "Dim" palette that X shipped until February 2026.
+ * All values are uppercase 6-digit hex strings so they can be converted
+ * to any format the CSS or the MutationObserver needs.
+ *
+ * remapsTextColors: true — X's Lights Out secondary gray (#71767B) reads
+ * noticeably worse on navy than the original Dim gray (#8B98A5), so classic
+ * Dim restores it. Primary text keeps X's #E7E9EA. A palette that sets this
+ * to false leaves all of X's text colors untouched.
+ */
+const DIM_CLASSIC_PALETTE = {
+  id: 'dim-classic',
+  name: 'Dim (classic)',
+  remapsTextColors: true,
+  colors: {
+    primaryBackground: '#15202B',
+    secondarySurface:  '#192734',
+    elevatedSurface:   '#22303C',
+    hoverSurface:      '#1E2732',
+    border:            '#38444D',
+    activeBorder:      '#3D5466',
+    modalMask:         '#5B7083',
+    primaryText:       '#E7E9EA',
+    secondaryText:     '#8B98A5',
+  },
+};
+
+
+/* -----------------------------------------------------------------------
+ * THE LIGHTS OUT COLOR FAMILY
+ * -----------------------------------------------------------------------
+ * Every color X's "Lights Out" theme uses for surfaces and borders,
+ * each tagged with the palette slot that replaces it. Several Lights Out
+ * values are near-duplicates (X is not perfectly consistent), so more
+ * than one entry can point to the same slot.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Lights Out colors and the palette slot each one maps to.
+ *
+ * role:
+ *   'surface' — a background color; the stylesheet generator emits
+ *               background catch-all selectors for it
+ *   'border'  — a border color; the generator emits border catch-alls
+ *   'text'    — a text color; only remapped for palettes that set
+ *               remapsTextColors (see the generator's text color layer
+ *               and buildLightsOutToPaletteTextColorMap)
+ */
+const LIGHTS_OUT_COLOR_FAMILY = [
+  { lightsOutHex: '#000000', paletteSlot: 'primaryBackground', role: 'surface' },
+  { lightsOutHex: '#16181C', paletteSlot: 'secondarySurface',  role: 'surface' },
+  { lightsOutHex: '#15181C', paletteSlot: 'secondarySurface',  role: 'surface' },  // slight variant of secondary
+  { lightsOutHex: '#202327', paletteSlot: 'elevatedSurface',   role: 'surface' },
+  { lightsOutHex: '#1D1F23', paletteSlot: 'hoverSurface',      role: 'surface' },
+  { lightsOutHex: '#272C30', paletteSlot: 'elevatedSurface',   role: 'surface' },  // another hover variant
+  { lightsOutHex: '#2F3336', paletteSlot: 'border',            role: 'border' },
+  { lightsOutHex: '#333639', paletteSlot: 'activeBorder',      role: 'border' },
+  { lightsOutHex: '#E7E9EA', paletteSlot: 'primaryText',       role: 'text' },
+  { lightsOutHex: '#71767B', paletteSlot: 'secondaryText',     role: 'text' },
+];
+
+
+/* -----------------------------------------------------------------------
+ * COLOR FORMAT HELPERS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Converts a hex color ("#15202B" or "#000") to the "r, g, b" triplet
+ * format that Chrome uses when it serializes inline rgb()/rgba() styles.
+ *
+ * @param {string} hexColor - A 3- or 6-digit hex color, with leading '#'
+ * @returns {string} The color as "r, g, b" (e.g. "21, 32, 43")
+ */
+function convertHexColorToRgbTriplet(hexColor) {
+  let hexDigits = hexColor.replace('#', '');
+  if (hexDigits.length === 3) {
+    hexDigits = hexDigits.split('').map((digit) => digit + digit).join('');
+  }
+
+  const red = parseInt(hexDigits.slice(0, 2), 16);
+  const green = parseInt(hexDigits.slice(2, 4), 16);
+  const blue = parseInt(hexDigits.slice(4, 6), 16);
+  return `${red}, ${green}, ${blue}`;
+}
+
+
+/**
+ * Builds the Lights Out → palette lookup map used by the MutationObserver.
+ * Keys and values are both "r, g, b" triplets, matching the format the
+ * content script extracts from element.style.backgroundColor.
+ * Text colors are left out: the map is applied to backgrounds, and a gray
+ * background must never be turned into a text color.
+ *
+ * @param {{ colors: Object<string, string> }} palette - The palette to map onto
+ * @returns {Object<string, string>} Map of Lights Out RGB → palette RGB
+ */
+function buildLightsOutToPaletteColorMap(palette) {
+  const colorMap = {};
+  for (const familyEntry of LIGHTS_OUT_COLOR_FAMILY) {
+    if (familyEntry.role === 'text') continue;
+
+    const replacementHex = palette.colors[familyEntry.paletteSlot];
+    colorMap[convertHexColorToRgbTriplet(familyEntry.lightsOutHex)] =
+      convertHexColorToRgbTriplet(replacementHex);
+  }
+  return colorMap;
+}
+
+
+/**
+ * Builds the Lights Out → palette lookup map for inline text colors.
+ * Same format as buildLightsOutToPaletteColorMap, but only the 'text' role,
+ * and empty for palettes that keep X's own text colors.
+ *
+ * @param {{ remapsTextColors?: boolean, colors: Object<string, string> }} palette
+ * @returns {Object<string, string>} Map of Lights Out text RGB → palette RGB
+ */
+function buildLightsOutToPaletteTextColorMap(palette) {
+  const textColorMap = {};
+  if (!palette.remapsTextColors) return textColorMap;
+
+  for (const familyEntry of LIGHTS_OUT_COLOR_FAMILY) {
+    if (familyEntry.role !== 'text') continue;
+
+    textColorMap[convertHexColorToRgbTriplet(familyEntry.lightsOutHex)] =
+      convertHexColorToRgbTriplet(palette.colors[familyEntry.paletteSlot]);
+  }
+  return textColorMap;
+}
+
+
+/**
+ * Matches one color inside a CSS value: rgb()/rgba() or a 3/6-digit hex.
+ * Global, so a gradient or multi-shadow value has every color rewritten.
+ */
+const CSS_COLOR_TOKEN_PATTERN =
+  /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)|#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/gi;
+
+/**
+ * Replaces every Lights Out color inside a CSS value with its palette
+ * equivalent, leaving everything else (gradient stops, shadow offsets,
+ * non-matching colors) untouched.
+ * 
+ * IMPORTANT: X uses BOTH rgb() and rgba() formats for colors.
+ * For example: rgba(0, 0, 0, 1.00) — this is pure black in rgba form.
+ * We only need the R, G, B values to look up the color in our map — the
+ * alpha is preserved separately. Hex colors (SVG fill attributes) are
+ * looked up by their RGB value and written back as hex.
+ * 
+ * Shared by the inline-style fixes, the computed-style class scanner and
+ * anything else that rewrites X's color values.
+ * 
+ * @param {string} cssValue - e.g. "linear-gradient(rgba(0, 0, 0, 0) 0%, rgb(0, 0, 0) 100%)"
+ * @param {Object<string, string>} colorMap - Lights Out "r, g, b" → palette "r, g, b"
+ * @param {boolean} [opaqueColorsOnly] - Skip colors with alpha below 1
+ * @returns {string} The value with matching colors replaced
+ */
+function remapLightsOutColorsInCssValue(cssValue, colorMap, opaqueColorsOnly) {
+  return cssValue.replace(CSS_COLOR_TOKEN_PATTERN, (colorToken, red, green, blue, alpha) => {
+    const isHexToken = colorToken.startsWith('#');
+    const rgbKey = isHexToken ? convertHexColorToRgbTriplet(colorToken) : `${red}, ${green}, ${blue}`;
+    const paletteReplacement = colorMap[rgbKey];
+    if (!paletteReplacement) return colorToken;
+
+    const isSemiTransparent = alpha !== undefined && parseFloat(alpha) < 1;
+    if (opaqueColorsOnly && isSemiTransparent) return colorToken;
+
+    if (isHexToken) {
+      return '#' + paletteReplacement.split(', ')
+        .map((channel) => Number(channel).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+    }
+
+    /* If the original was rgba, preserve the alpha channel so we don't
+     * break any transparency that X intentionally applied (e.g., semi-
+     * transparent headers with backdrop blur, or the transparent end of a
+     * fade gradient). If it's a solid rgba with alpha 1.0, using rgb() is
+     * fine and equivalent. */
+    return isSemiTransparent
+      ? `rgba(${paletteReplacement}, ${alpha})`
+      : `rgb(${paletteReplacement})`;
+  });
+}
+
+
+/* -----------------------------------------------------------------------
+ * BUILT-IN PRESETS
+ * -----------------------------------------------------------------------
+ * Named themes shown in the options page's preset gallery. They feed exactly the
+ * same pipeline as classic Dim: every slot is mapped from the same Lights
+ * Out color family, so a preset is nothing more than a different palette.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Dim with stronger separation: lighter borders and brighter text,
+ * most notably lifting X's dim-unfriendly #71767B secondary gray.
+ */
+const DIM_HIGH_CONTRAST_PALETTE = {
+  id: 'dim-high-contrast',
+  name: 'Dim high-contrast',
+  remapsTextColors: true,
+  colors: {
+    primaryBackground: '#15202B',
+    secondarySurface:  '#1C2938',
+    elevatedSurface:   '#263647',
+    hoverSurface:      '#22303C',
+    border:            '#5C6E7E',
+    activeBorder:      '#8B98A5',
+    modalMask:         '#5B7083',
+    primaryText:       '#FFFFFF',
+    secondaryText:     '#B1BCC7',
+  },
+};
+
+/** A warm brown-charcoal with parchment text. */
+const SEPIA_DARK_PALETTE = {
+  id: 'sepia-dark',
+  name: 'Sepia dark',
+  remapsTextColors: true,
+  colors: {
+    primaryBackground: '#1E1A16',
+    secondarySurface:  '#27221C',
+    elevatedSurface:   '#302921',
+    hoverSurface:      '#2B251F',
+    border:            '#4A3F33',
+    activeBorder:      '#6B5B48',
+    modalMask:         '#6B5B48',
+    primaryText:       '#EDE3D3',
+    secondaryText:     '#A89984',
+  },
+};
+
+/** Ethan Schoonover's Solarized, dark variant (base03 → base1). */
+const SOLARIZED_DARK_PALETTE = {
+  id: 'solarized-dark',
+  name: 'Solarized dark',
+  remapsTextColors: true,
+  colors: {
+    primaryBackground: '#002B36',
+    secondarySurface:  '#073642',
+    elevatedSurface:   '#0D3F4C',
+    hoverSurface:      '#0A3A46',
+    border:            '#2A525C',
+    activeBorder:      '#586E75',
+    modalMask:         '#586E75',
+    primaryText:       '#EEE8D5',
+    secondaryText:     '#93A1A1',
+  },
+};
+
+/** Arctic Ice Studio's Nord: Polar Night surfaces, Snow Storm text. */
+const NORD_PALETTE = {
+  id: 'nord',
+  name: 'Nord',
+  remapsTextColors: true,
+  colors: {
+    primaryBackground: '#2E3440',
+    secondarySurface:  '#3B4252',
+    elevatedSurface:   '#434C5E',
+    hoverSurface:      '#363D4A',
+    border:            '#4C566A',
+    activeBorder:      '#616E88',
+    modalMask:         '#4C566A',
+    primaryText:       '#ECEFF4',
+    secondaryText:     '#A3ABB9',
+  },
+};
+
+
+/* -----------------------------------------------------------------------
+ * BUILT-IN AND USER-DEFINED PALETTES
+ * -----------------------------------------------------------------------
+ * Users can create their own palettes in the options page's palette editor.
+ * Custom palettes are stored in chrome.storage.local under
+ * "xDimmerCustomPalettes". They carry a full set of colors copied from
+ * the palette they were derived from; any slot missing (e.g. from an
+ * older save) is inherited from the classic Dim palette.
+ * -----------------------------------------------------------------------
+ */
+
+/** Palettes that ship with the extension (read-only in the editor). */
+const BUILT_IN_PALETTES = [
+  DIM_CLASSIC_PALETTE,
+  DIM_HIGH_CONTRAST_PALETTE,
+  SEPIA_DARK_PALETTE,
+  SOLARIZED_DARK_PALETTE,
+  NORD_PALETTE,
+];
+
+/** The palette used when nothing (or something unknown) is selected. */
+const DEFAULT_ACTIVE_PALETTE_ID = DIM_CLASSIC_PALETTE.id;
+
+/**
+ * The palette slots the options page's color editor lets users change,
+ * in the order they are shown.
+ */
+const USER_EDITABLE_PALETTE_SLOTS = [
+  { slot: 'primaryBackground', label: 'Primary' },
+  { slot: 'secondarySurface',  label: 'Secondary' },
+  { slot: 'elevatedSurface',   label: 'Elevated' },
+  { slot: 'hoverSurface',      label: 'Hover' },
+  { slot: 'border',            label: 'Border' },
+  { slot: 'primaryText',       label: 'Text' },
+  { slot: 'secondaryText',     label: 'Muted' },
+];
+
+
+/**
+ * Resolves the palette that should be painted onto the page.
+ *
+ * Looks the ID up among the built-in palettes first, then among the user's
+ * custom palettes. Custom palettes are merged over the classic Dim colors so
+ * that slots the editor doesn't expose (modal mask, text, …) are always set.
+ * Unknown IDs (e.g. a deleted custom palette) fall back to classic Dim.
+ *
+ * @param {string} activePaletteId - The stored "xDimmerActivePaletteId"
+ * @param {Array<{ id: string, name: string, colors: Object<string, string> }>} customPalettes
+ *   The stored "xDimmerCustomPalettes"
+ * @returns {{ id: string, name: string, remapsTextColors: boolean, colors: Object<string, string> }}
+ *   A complete palette
+ */
+function resolveActivePalette(activePaletteId, customPalettes) {
+  const builtInPalette = BUILT_IN_PALETTES.find((palette) => palette.id === activePaletteId);
+  if (builtInPalette) return builtInPalette;
+
+  const customPalette = (customPalettes || []).find((palette) => palette.id === activePaletteId);
+  if (!customPalette) return DIM_CLASSIC_PALETTE;
+
+  return {
+    id: customPalette.id,
+    name: customPalette.name,
+    remapsTextColors: Boolean(customPalette.remapsTextColors),
+    colors: { ...DIM_CLASSIC_PALETTE.colors, ...customPalette.colors },
+  };
+}
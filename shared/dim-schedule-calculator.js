@@ -0,0 +1,343 @@
+/*
+ * =============================================================================
+ * X DIMMER — DIM SCHEDULE CALCULATOR
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Pure time math for scheduled activation. Given the user's schedule and a
+ * moment in time, works out whether it is currently the "night" phase
+ * (Dim on / night palette) or the "day" phase (Dim off / day palette), and
+ * when the next transition happens.
+ *
+ * WHO USES IT:
+ * - The background service worker, to set chrome.alarms for each transition
+ *   and apply the phase when an alarm fires
+ * - The options page and the popup, to show the next scheduled transition
+ * All load this file as a plain script (importScripts / <script>).
+ *
+ * SCHEDULE MODES:
+ *   'off'   — no scheduling; the toggle and palette are fully manual
+ *   'fixed' — night runs from dimStartTime to dimEndTime (local "HH:MM"),
+ *             wrapping past midnight when the start is later than the end
+ *   'sun'   — night runs from sunset to sunrise, computed locally from a
+ *             manually entered latitude/longitude (no network needed)
+ *
+ * SCHEDULE ACTIONS:
+ *   'toggle'  — night sets xDimmerEnabled to true, day sets it to false
+ *   'palette' — night activates nightPaletteId, day activates dayPaletteId;
+ *               xDimmerEnabled is left alone
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * DEFAULTS
+ * -----------------------------------------------------------------------
+ */
+
+/** The schedule stored under "xDimmerSchedule" until the user changes it. */
+const DEFAULT_DIM_SCHEDULE = {
+  mode: 'off',
+  action: 'toggle',
+  dimStartTime: '19:00',
+  dimEndTime: '07:00',
+  latitude: null,
+  longitude: null,
+  dayPaletteId: 'dim-classic',
+  nightPaletteId: 'dim-classic',
+};
+
+/**
+ * The stored schedule with DEFAULT_DIM_SCHEDULE filling in whatever it
+ * lacks. A schedule saved before a field existed (the day/night palettes
+ * came after the times) has no value for it, and every reader of
+ * "xDimmerSchedule" goes through this instead of the raw stored object.
+ *
+ * @param {Object|undefined} storedSchedule - The stored "xDimmerSchedule", if any
+ * @returns {Object} A schedule with every DEFAULT_DIM_SCHEDULE field
+ */
+function completeStoredDimSchedule(storedSchedule) {
+  return { ...DEFAULT_DIM_SCHEDULE, ...storedSchedule };
+}
+
+/** Milliseconds in one day — used to look at yesterday/today/tomorrow. */
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+
+/* -----------------------------------------------------------------------
+ * SUNRISE / SUNSET
+ * -----------------------------------------------------------------------
+ * The sunrise equation as published in the Nautical Almanac Office's
+ * "Almanac for Computers" (1990). Accurate to within a couple of minutes
+ * between the polar circles, which is plenty for switching a color theme.
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * The sun's zenith angle at sunrise/sunset, in degrees.
+ * 90° plus 50 arc-minutes for atmospheric refraction and the sun's radius.
+ */
+const OFFICIAL_SUNRISE_SUNSET_ZENITH_DEGREES = 90.833;
+
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+/**
+ * Normalizes a value into the range [0, limit).
+ *
+ * @param {number} value - Any number
+ * @param {number} limit - The exclusive upper bound (e.g. 360 or 24)
+ * @returns {number} The wrapped value
+ */
+function wrapIntoRange(value, limit) {
+  return ((value % limit) + limit) % limit;
+}
+
+
+/**
+ * Computes the sunrise or sunset time for one UTC calendar day.
+ *
+ * @param {number} utcDayStartMs - Epoch ms of 00:00 UTC on the day
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @param {'sunrise'|'sunset'} sunEvent - Which event to compute
+ * @returns {{ at: number|null, polarCondition: 'polar-night'|'midnight-sun'|null }}
+ *   `at` is the epoch ms of the event, or null when the sun never crosses
+ *   the horizon that day (in which case polarCondition says which way)
+ */
+function calculateSunEventForUtcDay(utcDayStartMs, latitude, longitude, sunEvent) {
+  const utcDate = new Date(utcDayStartMs);
+  const yearStartMs = Date.UTC(utcDate.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((utcDayStartMs - yearStartMs) / MILLISECONDS_PER_DAY) + 1;
+
+  /* Approximate time of the event, in days */
+  const longitudeHours = longitude / 15;
+  const approximateTime = dayOfYear + ((sunEvent === 'sunrise' ? 6 : 18) - longitudeHours) / 24;
+
+  /* Sun's mean anomaly and true longitude */
+  const meanAnomaly = 0.9856 * approximateTime - 3.289;
+  const trueLongitude = wrapIntoRange(
+    meanAnomaly
+      + 1.916 * Math.sin(meanAnomaly * DEGREES_TO_RADIANS)
+      + 0.020 * Math.sin(2 * meanAnomaly * DEGREES_TO_RADIANS)
+      + 282.634,
+    360
+  );
+
+  /* Right ascension, moved into the same quadrant as the true longitude */
+  let rightAscension = wrapIntoRange(
+    Math.atan(0.91764 * Math.tan(trueLongitude * DEGREES_TO_RADIANS)) / DEGREES_TO_RADIANS,
+    360
+  );
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  /* Sun's declination and local hour angle */
+  const sinDeclination = 0.39782 * Math.sin(trueLongitude * DEGREES_TO_RADIANS);
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosLocalHourAngle =
+    (Math.cos(OFFICIAL_SUNRISE_SUNSET_ZENITH_DEGREES * DEGREES_TO_RADIANS)
+      - sinDeclination * Math.sin(latitude * DEGREES_TO_RADIANS))
+    / (cosDeclination * Math.cos(latitude * DEGREES_TO_RADIANS));
+
+  if (cosLocalHourAngle > 1) return { at: null, polarCondition: 'polar-night' };
+  if (cosLocalHourAngle < -1) return { at: null, polarCondition: 'midnight-sun' };
+
+  const hourAngleDegrees = Math.acos(cosLocalHourAngle) / DEGREES_TO_RADIANS;
+  const localHourAngle = (sunEvent === 'sunrise' ? 360 - hourAngleDegrees : hourAngleDegrees) / 15;
+
+  /* Local mean time of the event, converted to UTC hours */
+  const localMeanTime = localHourAngle + rightAscension - 0.06571 * approximateTime - 6.622;
+  const utcHours = wrapIntoRange(localMeanTime - longitudeHours, 24);
+
+  return { at: utcDayStartMs + utcHours * 60 * 60 * 1000, polarCondition: null };
+}
+
+
+/* -----------------------------------------------------------------------
+ * SCHEDULE EVENTS AND PHASES
+ * -----------------------------------------------------------------------
+ * Both modes are reduced to the same thing: a sorted list of transition
+ * events ({ at, phase }) around "now". The current phase is the phase of
+ * the last event before now; the next transition is the first after it.
+ * Looking at yesterday, today and tomorrow covers every wrap-around case
+ * (night spanning midnight, UTC offsets moving events across dates).
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Parses a local "HH:MM" time into minutes after midnight.
+ *
+ * @param {string} timeText - e.g. "19:30"
+ * @returns {number|null} Minutes after midnight, or null if malformed
+ */
+function parseScheduleTimeToMinutes(timeText) {
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(timeText || '');
+  if (!timeMatch) return null;
+
+  const hours = Number(timeMatch[1]);
+  const minutes = Number(timeMatch[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+
+/**
+ * Lists the fixed-time transitions for the local days around a moment.
+ *
+ * @param {Object} schedule - The stored schedule
+ * @param {number} nowMs - The moment to look around (epoch ms)
+ * @returns {Array<{ at: number, phase: 'night'|'day' }>}
+ */
+function listFixedScheduleEvents(schedule, nowMs) {
+  const startMinutes = parseScheduleTimeToMinutes(schedule.dimStartTime);
+  const endMinutes = parseScheduleTimeToMinutes(schedule.dimEndTime);
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) return [];
+
+  const scheduleEvents = [];
+  for (const dayOffset of [-1, 0, 1]) {
+    const localDay = new Date(nowMs);
+    localDay.setDate(localDay.getDate() + dayOffset);
+
+    /* setHours (rather than adding ms) keeps the times right across DST changes */
+    scheduleEvents.push(
+      { at: new Date(localDay).setHours(0, startMinutes, 0, 0), phase: 'night' },
+      { at: new Date(localDay).setHours(0, endMinutes, 0, 0), phase: 'day' }
+    );
+  }
+  return scheduleEvents;
+}
+
+
+/**
+ * Lists the sunset/sunrise transitions for the UTC days around a moment.
+ *
+ * @param {Object} schedule - The stored schedule (needs latitude/longitude)
+ * @param {number} nowMs - The moment to look around (epoch ms)
+ * @returns {{ scheduleEvents: Array<{ at: number, phase: 'night'|'day' }>,
+ *   polarCondition: 'polar-night'|'midnight-sun'|null }}
+ */
+function listSunScheduleEvents(schedule, nowMs) {
+  const scheduleEvents = [];
+  let polarCondition = null;
+
+  const todayUtcStartMs = Math.floor(nowMs / MILLISECONDS_PER_DAY) * MILLISECONDS_PER_DAY;
+  for (const dayOffset of [-1, 0, 1]) {
+    const utcDayStartMs = todayUtcStartMs + dayOffset * MILLISECONDS_PER_DAY;
+
+    for (const [sunEvent, phase] of [['sunset', 'night'], ['sunrise', 'day']]) {
+      const sunEventResult = calculateSunEventForUtcDay(
+        utcDayStartMs, schedule.latitude, schedule.longitude, sunEvent
+      );
+      if (sunEventResult.at !== null) {
+        scheduleEvents.push({ at: sunEventResult.at, phase });
+      } else if (dayOffset === 0) {
+        polarCondition = sunEventResult.polarCondition;
+      }
+    }
+  }
+  return { scheduleEvents, polarCondition };
+}
+
+
+/**
+ * Checks whether a schedule has everything its mode needs.
+ *
+ * @param {Object} schedule - The stored schedule
+ * @returns {boolean} True if the schedule can be evaluated
+ */
+function isDimScheduleActive(schedule) {
+  if (!schedule || schedule.mode === 'off') return false;
+
+  if (schedule.mode === 'sun') {
+    return Number.isFinite(schedule.latitude) && Math.abs(schedule.latitude) <= 90
+      && Number.isFinite(schedule.longitude) && Math.abs(schedule.longitude) <= 180;
+  }
+
+  return schedule.mode === 'fixed';
+}
+
+
+/**
+ * Works out the schedule's current phase and its next transition.
+ *
+ * @param {Object} schedule - The stored schedule
+ * @param {number} nowMs - The moment to evaluate (epoch ms)
+ * @returns {{ currentPhase: 'night'|'day', nextTransition: { at: number, phase: 'night'|'day' }|null }|null}
+ *   null if the schedule is off or incomplete. nextTransition is null when
+ *   nothing changes in the next day (polar night / midnight sun) — callers
+ *   should simply re-evaluate later.
+ */
+function computeDimSchedulePhaseAt(schedule, nowMs) {
+  if (!isDimScheduleActive(schedule)) return null;
+
+  let scheduleEvents;
+  let polarCondition = null;
+  if (schedule.mode === 'sun') {
+    ({ scheduleEvents, polarCondition } = listSunScheduleEvents(schedule, nowMs));
+  } else {
+    scheduleEvents = listFixedScheduleEvents(schedule, nowMs);
+  }
+
+  scheduleEvents.sort((eventA, eventB) => eventA.at - eventB.at);
+  const pastEvents = scheduleEvents.filter((scheduleEvent) => scheduleEvent.at <= nowMs);
+  const nextTransition = scheduleEvents.find((scheduleEvent) => scheduleEvent.at > nowMs) || null;
+
+  let currentPhase;
+  if (pastEvents.length > 0) {
+    currentPhase = pastEvents[pastEvents.length - 1].phase;
+  } else if (polarCondition) {
+    currentPhase = polarCondition === 'polar-night' ? 'night' : 'day';
+  } else if (nextTransition) {
+    currentPhase = nextTransition.phase === 'night' ? 'day' : 'night';
+  } else {
+    return null;
+  }
+
+  return { currentPhase, nextTransition };
+}
+
+
+/* -----------------------------------------------------------------------
+ * DESCRIBING THE NEXT TRANSITION
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Describes the next scheduled transition in plain words,
+ * e.g. "Next: Dim turns off at 07:00 tomorrow". Shown under the schedule
+ * form on the options page and as a status line in the popup.
+ * Palette names come from resolveActivePalette, so dim-palette-definitions.js
+ * must be loaded too.
+ *
+ * @param {Object} schedule - A complete schedule (see completeStoredDimSchedule)
+ * @param {Object[]} customPalettes - The stored "xDimmerCustomPalettes"
+ * @returns {string} The description, or '' while the schedule is off
+ */
+function describeNextDimScheduleTransition(schedule, customPalettes) {
+  if (schedule.mode === 'off') return '';
+
+  if (!isDimScheduleActive(schedule)) {
+    return 'Enter a latitude and longitude to use sunset and sunrise.';
+  }
+
+  const schedulePhase = computeDimSchedulePhaseAt(schedule, Date.now());
+  if (!schedulePhase || !schedulePhase.nextTransition) {
+    return 'No transition in the next day at this location.';
+  }
+
+  const { at, phase } = schedulePhase.nextTransition;
+  const transitionDate = new Date(at);
+  const isToday = transitionDate.toDateString() === new Date().toDateString();
+  const timeText = transitionDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const whenText = isToday ? `at ${timeText}` : `at ${timeText} tomorrow`;
+
+  let whatText;
+  if (schedule.action === 'palette') {
+    const paletteId = phase === 'night' ? schedule.nightPaletteId : schedule.dayPaletteId;
+    whatText = `switches to ${resolveActivePalette(paletteId, customPalettes).name}`;
+  } else {
+    whatText = phase === 'night' ? 'Dim turns on' : 'Dim turns off';
+  }
+
+  return `Next: ${whatText} ${whenText}`;
+}
@@ -0,0 +1,306 @@
+/*
+ * =============================================================================
+ * X DIMMER — SETTINGS IMPORT / EXPORT
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Turns the user's setup into one versioned JSON document that can be
+ * shared (e.g. one setup for a whole team), and checks such a document
+ * before anything from it reaches chrome.storage.local.
+ *
+ * DOCUMENT SHAPE (version 1):
+ *   {
+ *     "format": "x-dimmer-settings",
+ *     "version": 1,
+ *     "exportedAt": "2026-10-18T09:30:00.000Z",
+ *     "extensionVersion": "1.4.0",
+ *     "settings": {
+ *       "enabled": true,                       → xDimmerEnabled
+ *       "activePaletteId": "dim-classic",      → xDimmerActivePaletteId
+ *       "customPalettes": [...],               → xDimmerCustomPalettes
+ *       "schedule": {...},                     → xDimmerSchedule
+ *       "themeDetectionMode": "lights-out-only", → xDimmerThemeDetectionMode
+ *       "computedStyleScanEnabled": false,     → xDimmerComputedStyleScanEnabled
+ *       "stylesheetRewriteEnabled": false,     → xDimmerStylesheetRewriteEnabled
+ *       "pageRules": [...],                    → xDimmerPageRules
+ *       "customOverrideRules": [...]           → xDimmerCustomOverrideRules
+ *     }
+ *   }
+ * Settings missing from an imported document are left as they are.
+ * Diagnostics data (element reports, selector health) is never exported.
+ *
+ * WHY ALL-OR-NOTHING:
+ * An import is validated in full first. If anything is wrong, the errors
+ * are reported — each with the path of the offending value — and nothing
+ * is written, so a bad file can never leave storage half-imported.
+ *
+ * Loaded as a plain script by the options page, after the palette, schedule and
+ * page-rule definitions and content/dim-theme-stylesheet-generator.js
+ * (for the custom override rule checks).
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * FORMAT
+ * -----------------------------------------------------------------------
+ */
+
+/** The "format" marker every export carries. */
+const X_DIMMER_SETTINGS_EXPORT_FORMAT = 'x-dimmer-settings';
+
+/** The document version this build writes (and the newest it reads). */
+const X_DIMMER_SETTINGS_EXPORT_VERSION = 1;
+
+/**
+ * Every exported setting: its name in the document, its storage key, its
+ * default, and the validator for its value. Validators push human-readable
+ * messages to `errors`, prefixed with the JSON path they were given.
+ * `completeValue`, where present, fills in the fields an object stored (or
+ * exported) before they existed lacks — on export and before validating an
+ * import.
+ */
+const EXPORTED_SETTINGS = [
+  { name: 'enabled',                  storageKey: 'xDimmerEnabled',                  defaultValue: true,
+    validate: (value, path, errors) => expectType(value, 'boolean', path, errors) },
+  { name: 'activePaletteId',          storageKey: 'xDimmerActivePaletteId',          defaultValue: DEFAULT_ACTIVE_PALETTE_ID,
+    validate: (value, path, errors) => expectType(value, 'string', path, errors) },
+  { name: 'customPalettes',           storageKey: 'xDimmerCustomPalettes',           defaultValue: [],
+    validate: (value, path, errors) => validateArrayItems(value, path, errors, validateCustomPalette) },
+  { name: 'schedule',                 storageKey: 'xDimmerSchedule',                 defaultValue: DEFAULT_DIM_SCHEDULE,
+    validate: validateSchedule, completeValue: completeStoredDimSchedule },
+  { name: 'themeDetectionMode',       storageKey: 'xDimmerThemeDetectionMode',       defaultValue: 'lights-out-only',
+    validate: (value, path, errors) => expectOneOf(value, ['lights-out-only', 'always'], path, errors) },
+  { name: 'computedStyleScanEnabled', storageKey: 'xDimmerComputedStyleScanEnabled', defaultValue: false,
+    validate: (value, path, errors) => expectType(value, 'boolean', path, errors) },
+  { name: 'stylesheetRewriteEnabled', storageKey: 'xDimmerStylesheetRewriteEnabled', defaultValue: false,
+    validate: (value, path, errors) => expectType(value, 'boolean', path, errors) },
+  { name: 'pageRules',                storageKey: 'xDimmerPageRules',                defaultValue: [],
+    validate: (value, path, errors) => validateArrayItems(value, path, errors, validatePageRule) },
+  { name: 'customOverrideRules',      storageKey: 'xDimmerCustomOverrideRules',      defaultValue: [],
+    validate: (value, path, errors) => validateArrayItems(value, path, errors, validateCustomOverrideRule) },
+];
+
+
+/* -----------------------------------------------------------------------
+ * VALUE CHECKS
+ * Each returns true if the value is valid, and otherwise pushes an error.
+ * -----------------------------------------------------------------------
+ */
+
+/** Describes a JSON value for error messages ("an array", "null", …). */
+function describeJsonValueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+}
+
+/** Checks a value's JSON type ("boolean", "string", "object"…). */
+function expectType(value, expectedType, path, errors) {
+  if (typeof value === expectedType && value !== null && !Array.isArray(value)) return true;
+  errors.push(`${path}: expected a ${expectedType}, found ${describeJsonValueType(value)}`);
+  return false;
+}
+
+/** Checks a value against a fixed list of allowed values. */
+function expectOneOf(value, allowedValues, path, errors) {
+  if (allowedValues.includes(value)) return true;
+  errors.push(`${path}: expected one of ${allowedValues.map((allowed) => JSON.stringify(allowed)).join(', ')}, `
+    + `found ${JSON.stringify(value)}`);
+  return false;
+}
+
+/** Checks for a 6-digit hex color, the format palettes are stored in. */
+function expectHexColor(value, path, errors) {
+  if (typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value)) return true;
+  errors.push(`${path}: expected a color like "#15202B", found ${JSON.stringify(value)}`);
+  return false;
+}
+
+/** Checks for a number within [minimum, maximum]. */
+function expectNumberInRange(value, minimum, maximum, path, errors) {
+  if (typeof value === 'number' && value >= minimum && value <= maximum) return true;
+  errors.push(`${path}: expected a number from ${minimum} to ${maximum}, found ${JSON.stringify(value)}`);
+  return false;
+}
+
+/** Checks for keys the schema doesn't know, which usually mean a typo. */
+function expectOnlyKnownKeys(objectValue, knownKeys, path, errors) {
+  for (const key of Object.keys(objectValue)) {
+    if (!knownKeys.includes(key)) errors.push(`${path}.${key}: unknown setting`);
+  }
+}
+
+/** Checks for an array and validates each item with validateItem. */
+function validateArrayItems(value, path, errors, validateItem) {
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected an array, found ${describeJsonValueType(value)}`);
+    return false;
+  }
+  value.forEach((item, itemIndex) => validateItem(item, `${path}[${itemIndex}]`, errors));
+  return true;
+}
+
+
+/* -----------------------------------------------------------------------
+ * SETTING VALIDATORS
+ * -----------------------------------------------------------------------
+ */
+
+/** Validates one entry of "customPalettes" ({ id, name, remapsTextColors, colors }). */
+function validateCustomPalette(palette, path, errors) {
+  if (!expectType(palette, 'object', path, errors)) return;
+  expectOnlyKnownKeys(palette, ['id', 'name', 'remapsTextColors', 'colors'], path, errors);
+
+  if (expectType(palette.id, 'string', `${path}.id`, errors)
+    && BUILT_IN_PALETTES.some((builtInPalette) => builtInPalette.id === palette.id)) {
+    errors.push(`${path}.id: "${palette.id}" is the ID of a built-in palette`);
+  }
+  expectType(palette.name, 'string', `${path}.name`, errors);
+  if (palette.remapsTextColors !== undefined) {
+    expectType(palette.remapsTextColors, 'boolean', `${path}.remapsTextColors`, errors);
+  }
+
+  if (!expectType(palette.colors, 'object', `${path}.colors`, errors)) return;
+  const knownSlots = Object.keys(DIM_CLASSIC_PALETTE.colors);
+  for (const [slotName, slotColor] of Object.entries(palette.colors)) {
+    if (!knownSlots.includes(slotName)) {
+      errors.push(`${path}.colors.${slotName}: unknown palette slot`);
+    } else {
+      expectHexColor(slotColor, `${path}.colors.${slotName}`, errors);
+    }
+  }
+}
+
+/** Validates "schedule" (see DEFAULT_DIM_SCHEDULE in dim-schedule-calculator.js). */
+function validateSchedule(schedule, path, errors) {
+  if (!expectType(schedule, 'object', path, errors)) return;
+  expectOnlyKnownKeys(schedule, Object.keys(DEFAULT_DIM_SCHEDULE), path, errors);
+
+  expectOneOf(schedule.mode, ['off', 'fixed', 'sun'], `${path}.mode`, errors);
+  expectOneOf(schedule.action, ['toggle', 'palette'], `${path}.action`, errors);
+  for (const timeKey of ['dimStartTime', 'dimEndTime']) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule[timeKey])) {
+      errors.push(`${path}.${timeKey}: expected a time like "19:00", found ${JSON.stringify(schedule[timeKey])}`);
+    }
+  }
+  if (schedule.latitude !== null) expectNumberInRange(schedule.latitude, -90, 90, `${path}.latitude`, errors);
+  if (schedule.longitude !== null) expectNumberInRange(schedule.longitude, -180, 180, `${path}.longitude`, errors);
+  if (schedule.mode === 'sun' && (schedule.latitude === null || schedule.longitude === null)) {
+    errors.push(`${path}: a sunset/sunrise schedule needs a latitude and a longitude`);
+  }
+  expectType(schedule.dayPaletteId, 'string', `${path}.dayPaletteId`, errors);
+  expectType(schedule.nightPaletteId, 'string', `${path}.nightPaletteId`, errors);
+}
+
+/** Validates one entry of "pageRules" (see shared/dim-page-rules.js). */
+function validatePageRule(pageRule, path, errors) {
+  if (!expectType(pageRule, 'object', path, errors)) return;
+  expectOnlyKnownKeys(pageRule, ['pathPattern', 'surfaceId'], path, errors);
+
+  if (expectType(pageRule.pathPattern, 'string', `${path}.pathPattern`, errors)
+    && pageRule.pathPattern !== '*' && !pageRule.pathPattern.startsWith('/')) {
+    errors.push(`${path}.pathPattern: expected "*" or a path starting with "/", found "${pageRule.pathPattern}"`);
+  }
+  expectOneOf(pageRule.surfaceId, [ALL_SURFACES_ID, ...DIM_THEME_SURFACES.map((surface) => surface.id)],
+    `${path}.surfaceId`, errors);
+}
+
+/** Validates one entry of "customOverrideRules" (see buildCustomOverrideLayer). */
+function validateCustomOverrideRule(customRule, path, errors) {
+  if (!expectType(customRule, 'object', path, errors)) return;
+  expectOnlyKnownKeys(customRule, ['selector', 'paletteSlot', 'surfaceId', 'createdAt'], path, errors);
+
+  if (!isValidCustomOverrideSelector(customRule.selector)) {
+    errors.push(`${path}.selector: not a valid CSS selector: ${JSON.stringify(customRule.selector)}`);
+  }
+  expectOneOf(customRule.paletteSlot, Object.keys(CUSTOM_OVERRIDE_SLOT_CSS_PROPERTIES), `${path}.paletteSlot`, errors);
+  if (customRule.surfaceId !== undefined && customRule.surfaceId !== null) {
+    expectOneOf(customRule.surfaceId, DIM_THEME_SURFACES.map((surface) => surface.id), `${path}.surfaceId`, errors);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * EXPORT AND IMPORT
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * The storage.get() argument that reads every exported setting with its default.
+ *
+ * @returns {Object<string, *>} Storage key → default value
+ */
+function buildExportedSettingsStorageDefaults() {
+  return Object.fromEntries(EXPORTED_SETTINGS.map(({ storageKey, defaultValue }) => [storageKey, defaultValue]));
+}
+
+
+/**
+ * Builds the export document from stored values.
+ *
+ * @param {Object<string, *>} storedValues - Result of chrome.storage.local.get(buildExportedSettingsStorageDefaults())
+ * @param {string} extensionVersion - The running extension's version
+ * @returns {Object} The document, ready for JSON.stringify
+ */
+function buildSettingsExportDocument(storedValues, extensionVersion) {
+  return {
+    format: X_DIMMER_SETTINGS_EXPORT_FORMAT,
+    version: X_DIMMER_SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion,
+    settings: Object.fromEntries(EXPORTED_SETTINGS.map(({ name, storageKey, completeValue }) => [
+      name,
+      completeValue ? completeValue(storedValues[storageKey]) : storedValues[storageKey],
+    ])),
+  };
+}
+
+
+/**
+ * Parses and validates an imported file.
+ *
+ * @param {string} fileText - The file's contents
+ * @returns {{ errors: string[], storageValues: Object<string, *> }}
+ *   errors — one message per problem (empty if the file is valid);
+ *   storageValues — what to write to chrome.storage.local (empty on error)
+ */
+function parseSettingsImportDocument(fileText) {
+  let importedDocument;
+  try {
+    importedDocument = JSON.parse(fileText);
+  } catch (error) {
+    return { errors: [`The file is not valid JSON (${error.message})`], storageValues: {} };
+  }
+
+  const errors = [];
+  if (importedDocument?.format !== X_DIMMER_SETTINGS_EXPORT_FORMAT) {
+    errors.push(`format: expected "${X_DIMMER_SETTINGS_EXPORT_FORMAT}" — this is not an X Dimmer settings file`);
+    return { errors, storageValues: {} };
+  }
+  if (!Number.isInteger(importedDocument.version) || importedDocument.version < 1) {
+    errors.push(`version: expected a whole number, found ${JSON.stringify(importedDocument.version)}`);
+  } else if (importedDocument.version > X_DIMMER_SETTINGS_EXPORT_VERSION) {
+    errors.push(`version: the file was made by a newer X Dimmer (format version ${importedDocument.version}); `
+      + `update the extension to import it`);
+  }
+  if (!expectType(importedDocument.settings, 'object', 'settings', errors)) {
+    return { errors, storageValues: {} };
+  }
+
+  expectOnlyKnownKeys(importedDocument.settings, EXPORTED_SETTINGS.map(({ name }) => name), 'settings', errors);
+
+  const storageValues = {};
+  for (const { name, storageKey, validate, completeValue } of EXPORTED_SETTINGS) {
+    if (!(name in importedDocument.settings)) continue;
+
+    let importedValue = importedDocument.settings[name];
+    if (completeValue && describeJsonValueType(importedValue) === 'an object') {
+      importedValue = completeValue(importedValue);
+    }
+    validate(importedValue, `settings.${name}`, errors);
+    storageValues[storageKey] = importedValue;
+  }
+
+  return errors.length > 0 ? { errors, storageValues: {} } : { errors, storageValues };
+}
@@ -0,0 +1,114 @@
+/*
+ * =============================================================================
+ * X DIMMER — STORAGE SCHEMA MIGRATIONS
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Brings settings stored by an older version up to the shape this version
+ * reads. Each step turns schema version N - 1 into N; the version the
+ * stored data is at lives in "xDimmerSchemaVersion" (missing = the
+ * baseline, X_DIMMER_BASELINE_STORAGE_SCHEMA_VERSION).
+ *
+ * THE BASELINE:
+ * Schema 1 is the shape the first release stores, so the list starts out
+ * empty — there is nothing older to migrate from. A field added later that
+ * has a sensible default doesn't need a step either: readers fill it in
+ * (see completeStoredDimSchedule in dim-schedule-calculator.js). Steps are
+ * for stored shapes that must really change — a renamed key, a restructured
+ * value.
+ *
+ * HOW A STEP LOOKS:
+ *   { toSchemaVersion, description, migrate(storedValues) → changedValues }
+ * `storedValues` is a copy of everything in chrome.storage.local, already
+ * carried through the earlier steps. A step returns only the keys it
+ * changes (or {} if there is nothing to do) and must not depend on running
+ * exactly once — an install that never had the old shape runs it too.
+ *
+ * ADDING A STEP:
+ * Append it with the next toSchemaVersion (2 for the first). Never edit or
+ * reorder a step that has shipped: stores out there are at every version
+ * in between.
+ *
+ * WHO RUNS THEM:
+ * The background service worker, on extension updates (see STORAGE
+ * MIGRATIONS in service-worker-background.js). It keeps a backup of the
+ * previous state and writes nothing if any step throws. This file is pure —
+ * no chrome.* calls — so the steps can be run on plain objects.
+ *
+ * Loaded as a plain script by the service worker (importScripts), after
+ * dim-palette-definitions.js and dim-schedule-calculator.js.
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * MIGRATION STEPS
+ * -----------------------------------------------------------------------
+ */
+
+/** The schema of the first release, which stores are at without any step. */
+const X_DIMMER_BASELINE_STORAGE_SCHEMA_VERSION = 1;
+
+/** The steps after the baseline, oldest first — none yet. */
+const X_DIMMER_STORAGE_MIGRATIONS = [];
+
+
+/**
+ * The schema version a list of steps ends at: that of its last step, or
+ * the baseline for an empty list.
+ *
+ * @param {Object[]} migrations - Steps, oldest first
+ * @returns {number} The schema version after the last step
+ */
+function getLatestStorageSchemaVersion(migrations) {
+  return migrations.length > 0
+    ? migrations[migrations.length - 1].toSchemaVersion
+    : X_DIMMER_BASELINE_STORAGE_SCHEMA_VERSION;
+}
+
+/** The schema version this build writes. */
+const X_DIMMER_STORAGE_SCHEMA_VERSION = getLatestStorageSchemaVersion(X_DIMMER_STORAGE_MIGRATIONS);
+
+
+/* -----------------------------------------------------------------------
+ * RUNNING THE STEPS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Runs every step above `fromSchemaVersion`, in order, on a copy of the
+ * stored values. The input is never modified, so a step that throws leaves
+ * nothing half-migrated.
+ *
+ * @param {Object<string, *>} storedValues - Everything in chrome.storage.local
+ * @param {number} fromSchemaVersion - The stored "xDimmerSchemaVersion"
+ * @param {Object[]} [migrations] - The steps (default: X_DIMMER_STORAGE_MIGRATIONS)
+ * @returns {{ changedValues: Object<string, *>, appliedSchemaVersions: number[] }}
+ *   The keys to write (values after the last step), and the steps that ran
+ * @throws {Error} If a step throws — the message names the step, `cause` is the original error
+ */
+function migrateStoredValues(storedValues, fromSchemaVersion, migrations = X_DIMMER_STORAGE_MIGRATIONS) {
+  let migratedValues = structuredClone(storedValues);
+  const changedValues = {};
+  const appliedSchemaVersions = [];
+
+  for (const migration of migrations) {
+    if (migration.toSchemaVersion <= fromSchemaVersion) continue;
+
+    let stepChangedValues;
+    try {
+      stepChangedValues = migration.migrate(structuredClone(migratedValues));
+    } catch (error) {
+      throw new Error(
+        `Migration to schema ${migration.toSchemaVersion} ("${migration.description}") failed: ${error.message}`,
+        { cause: error }
+      );
+    }
+
+    migratedValues = { ...migratedValues, ...stepChangedValues };
+    Object.assign(changedValues, stepChangedValues);
+    appliedSchemaVersions.push(migration.toSchemaVersion);
+  }
+
+  return { changedValues, appliedSchemaVersions };
+}
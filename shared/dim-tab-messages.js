@@ -0,0 +1,65 @@
+/*
+ * =============================================================================
+ * X DIMMER — TAB MESSAGE TYPES
+ * =============================================================================
+ *
+ * PURPOSE:
+ * The message types the service worker sends to the content script of one
+ * particular tab with chrome.tabs.sendMessage — and the ones the content
+ * scripts and the popup send back to the service worker.
+ *
+ * WHY MESSAGES HERE, WHEN SETTINGS USE STORAGE:
+ * Settings are global, so they go through chrome.storage.onChanged and reach
+ * every tab at once (see popup.js). Keyboard commands, context-menu items,
+ * the popup's element picker and the options page's diagnostics act on ONE tab — the one the user is
+ * looking at or right-clicked in — which storage can't express.
+ *
+ * PER-TAB OVERRIDES:
+ * A tab can override the global "xDimmerEnabled" toggle:
+ *   'on'  — Dim in this tab whatever the global toggle says
+ *   'off' — original Lights Out in this tab
+ *   null  — follow the global toggle (the default)
+ * The service worker owns the overrides (chrome.storage.session, keyed by
+ * tab ID) so they survive reloads and navigation within the tab, and are
+ * dropped when the tab closes.
+ *
+ * Loaded as a plain script by the service worker (importScripts), the
+ * content scripts (manifest.json) and the popup (<script>).
+ * =============================================================================
+ */
+
+/** Messages sent TO a tab's content script. Every message is { type, ...fields }. */
+const X_DIMMER_TAB_MESSAGE_TYPES = {
+  /** Rescan the page from scratch (keyboard command) */
+  RESCAN_PAGE: 'x-dimmer/rescan-page',
+
+  /** Show the original Lights Out look until the shortcut's keys are released */
+  START_LIGHTS_OUT_COMPARISON: 'x-dimmer/start-lights-out-comparison',
+
+  /** The shortcut was released in one of the tab's frames — end the comparison in every frame */
+  END_LIGHTS_OUT_COMPARISON: 'x-dimmer/end-lights-out-comparison',
+
+  /** { override: 'on'|'off'|null } — this tab's override changed */
+  TAB_OVERRIDE_CHANGED: 'x-dimmer/tab-override-changed',
+
+  /** Record the element the context menu was opened on (context menu) */
+  REPORT_UNTHEMED_ELEMENT: 'x-dimmer/report-unthemed-element',
+
+  /** Enter element picking mode to create a custom override rule (popup) */
+  START_ELEMENT_PICKER: 'x-dimmer/start-element-picker',
+
+  /** { } → diagnostics report — list surfaces still in Lights Out (options page) */
+  RUN_UNTHEMED_SURFACE_DIAGNOSTICS: 'x-dimmer/run-unthemed-surface-diagnostics',
+};
+
+/** Messages sent TO the service worker with chrome.runtime.sendMessage. */
+const X_DIMMER_RUNTIME_MESSAGE_TYPES = {
+  /** { tabId? } → { override } — tabId defaults to the sender's tab */
+  GET_TAB_OVERRIDE: 'x-dimmer/get-tab-override',
+
+  /** { tabId, override: 'on'|'off'|null } — set from the popup */
+  SET_TAB_OVERRIDE: 'x-dimmer/set-tab-override',
+
+  /** { } — a frame saw the shortcut released; relayed to all of the sender's frames as END_LIGHTS_OUT_COMPARISON */
+  END_LIGHTS_OUT_COMPARISON_IN_TAB: 'x-dimmer/end-lights-out-comparison-in-tab',
+};
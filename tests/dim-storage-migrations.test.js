@@ -0,0 +1,181 @@
+/*
+ * =============================================================================
+ * X DIMMER — TESTS: STORAGE SCHEMA MIGRATIONS
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Checks the step list in shared/dim-storage-migrations.js and how
+ * migrateStoredValues runs steps: in order, only above the stored schema
+ * version, on a copy of its input, and not at all past a step that throws.
+ *
+ * No step has shipped yet (the list starts at the baseline schema), so the
+ * runner is exercised with a list of example steps made up for these
+ * tests. They are passed in as the `migrations` argument; the module's own
+ * list is never modified.
+ *
+ * HOW IT LOADS THE CODE:
+ * The shared files are plain browser scripts, so they are run in one vm
+ * context in service worker order, like scripts/generate-dim-theme-stylesheets.js
+ * does. Values coming out of that context are cloned back into this one
+ * before deepStrictEqual, which also compares prototypes.
+ *
+ * RUN:
+ * node --test tests/
+ * =============================================================================
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const EXTENSION_ROOT_DIRECTORY = path.join(__dirname, '..');
+
+/** The scripts the migrations need, in the service worker's importScripts order. */
+const MIGRATION_SOURCE_FILES = [
+  'shared/dim-palette-definitions.js',
+  'shared/dim-schedule-calculator.js',
+  'shared/dim-storage-migrations.js',
+];
+
+const migrationContext = vm.createContext({ console, structuredClone });
+for (const sourceFile of MIGRATION_SOURCE_FILES) {
+  const sourcePath = path.join(EXTENSION_ROOT_DIRECTORY, sourceFile);
+  vm.runInContext(fs.readFileSync(sourcePath, 'utf8'), migrationContext, { filename: sourcePath });
+}
+
+const evaluateInMigrationContext = (expression) => vm.runInContext(expression, migrationContext);
+const X_DIMMER_STORAGE_MIGRATIONS = evaluateInMigrationContext('X_DIMMER_STORAGE_MIGRATIONS');
+const migrateStoredValues = evaluateInMigrationContext('migrateStoredValues');
+
+
+/* -----------------------------------------------------------------------
+ * EXAMPLE STEPS AND STORE
+ * -----------------------------------------------------------------------
+ */
+
+/** Two steps past the baseline, of the kind a later release might add. */
+const EXAMPLE_MIGRATIONS = [
+  {
+    toSchemaVersion: 2,
+    description: 'Store page rule paths without a trailing slash',
+    migrate(storedValues) {
+      if (!Array.isArray(storedValues.xDimmerPageRules)) return {};
+      return {
+        xDimmerPageRules: storedValues.xDimmerPageRules.map((pageRule) => ({
+          ...pageRule,
+          pathPattern: pageRule.pathPattern.length > 1 ? pageRule.pathPattern.replace(/\/$/, '') : pageRule.pathPattern,
+        })),
+      };
+    },
+  },
+  {
+    toSchemaVersion: 3,
+    description: 'Store the number of page rules',
+    /* Reads step 2's output: a rule it has normalized counts once */
+    migrate(storedValues) {
+      const pathPatterns = new Set((storedValues.xDimmerPageRules || []).map(({ pathPattern }) => pathPattern));
+      return { xDimmerPageRuleCount: pathPatterns.size };
+    },
+  },
+];
+
+/** A store at the baseline schema, as the first release writes it. */
+const BASELINE_STORED_VALUES = {
+  xDimmerEnabled: true,
+  xDimmerSchemaVersion: 1,
+  xDimmerActivePaletteId: 'dim-classic',
+  xDimmerPageRules: [
+    { pathPattern: '/messages/', surfaceId: 'all' },
+    { pathPattern: '/messages', surfaceId: 'all' },
+    { pathPattern: '*', surfaceId: 'dm-drawer' },
+  ],
+};
+
+
+/* -----------------------------------------------------------------------
+ * THE SHIPPED STEP LIST
+ * -----------------------------------------------------------------------
+ */
+
+test('the shipped steps start after the baseline schema and count up by one', () => {
+  const baselineSchemaVersion = evaluateInMigrationContext('X_DIMMER_BASELINE_STORAGE_SCHEMA_VERSION');
+
+  X_DIMMER_STORAGE_MIGRATIONS.forEach((migration, migrationIndex) => {
+    assert.equal(migration.toSchemaVersion, baselineSchemaVersion + migrationIndex + 1);
+    assert.equal(typeof migration.description, 'string');
+  });
+  assert.equal(evaluateInMigrationContext('X_DIMMER_STORAGE_SCHEMA_VERSION'),
+    baselineSchemaVersion + X_DIMMER_STORAGE_MIGRATIONS.length);
+});
+
+test('a store at the current schema is left as it is', () => {
+  const currentSchemaVersion = evaluateInMigrationContext('X_DIMMER_STORAGE_SCHEMA_VERSION');
+
+  assert.deepStrictEqual(structuredClone(migrateStoredValues(BASELINE_STORED_VALUES, currentSchemaVersion)), {
+    changedValues: {},
+    appliedSchemaVersions: [],
+  });
+});
+
+
+/* -----------------------------------------------------------------------
+ * migrateStoredValues
+ * -----------------------------------------------------------------------
+ */
+
+test('migrateStoredValues runs every step above the baseline, each on the previous one\'s output', () => {
+  const { changedValues, appliedSchemaVersions } =
+    structuredClone(migrateStoredValues(BASELINE_STORED_VALUES, 1, EXAMPLE_MIGRATIONS));
+
+  assert.deepStrictEqual(appliedSchemaVersions, [2, 3]);
+  assert.deepStrictEqual(changedValues, {
+    xDimmerPageRules: [
+      { pathPattern: '/messages', surfaceId: 'all' },
+      { pathPattern: '/messages', surfaceId: 'all' },
+      { pathPattern: '*', surfaceId: 'dm-drawer' },
+    ],
+    xDimmerPageRuleCount: 2,
+  });
+});
+
+test('migrateStoredValues only runs the steps above the stored schema version', () => {
+  const { changedValues, appliedSchemaVersions } =
+    structuredClone(migrateStoredValues(BASELINE_STORED_VALUES, 2, EXAMPLE_MIGRATIONS));
+
+  assert.deepStrictEqual(appliedSchemaVersions, [3]);
+  assert.deepStrictEqual(changedValues, { xDimmerPageRuleCount: 3 });
+});
+
+test('migrateStoredValues copies its input instead of modifying it', () => {
+  const storedValues = structuredClone(BASELINE_STORED_VALUES);
+
+  migrateStoredValues(storedValues, 1, EXAMPLE_MIGRATIONS);
+
+  assert.deepStrictEqual(storedValues, BASELINE_STORED_VALUES);
+});
+
+test('migrateStoredValues leaves the stored values untouched when a step throws', () => {
+  /* A step that modifies what it is given before failing, after the example ones */
+  const failingMigrations = [
+    ...EXAMPLE_MIGRATIONS,
+    {
+      toSchemaVersion: 4,
+      description: 'Fail halfway through',
+      migrate(storedValues) {
+        storedValues.xDimmerEnabled = false;
+        storedValues.xDimmerPageRules.length = 0;
+        throw new Error('unreadable page rule');
+      },
+    },
+  ];
+  const storedValues = structuredClone(BASELINE_STORED_VALUES);
+
+  assert.throws(() => migrateStoredValues(storedValues, 1, failingMigrations), (error) => {
+    assert.match(error.message, /^Migration to schema 4 \("Fail halfway through"\) failed: unreadable page rule$/);
+    assert.equal(error.cause.message, 'unreadable page rule');
+    return true;
+  });
+  assert.deepStrictEqual(storedValues, BASELINE_STORED_VALUES);
+});
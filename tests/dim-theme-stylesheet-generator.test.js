@@ -0,0 +1,65 @@
+/*
+ * =============================================================================
+ * X DIMMER — TESTS: ROOT ATTRIBUTE GATE
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Checks that gateSelectorOnRootAttributes in
+ * content/dim-theme-stylesheet-generator.js gates every part of a selector
+ * list — a custom rule "a, b" must not keep painting "a" while the theme is
+ * paused — and keeps pseudo-elements last.
+ *
+ * HOW IT LOADS THE CODE:
+ * The generator's scripts run in one vm context, in manifest.json order,
+ * like scripts/generate-dim-theme-stylesheets.js does.
+ *
+ * RUN:
+ * node --test tests/
+ * =============================================================================
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const EXTENSION_ROOT_DIRECTORY = path.join(__dirname, '..');
+
+/** The scripts the generator needs, in manifest.json order. */
+const GENERATOR_SOURCE_FILES = [
+  'shared/dim-palette-definitions.js',
+  'shared/dim-page-rules.js',
+  'content/dim-theme-stylesheet-generator.js',
+];
+
+const generatorContext = vm.createContext({ console });
+for (const sourceFile of GENERATOR_SOURCE_FILES) {
+  const sourcePath = path.join(EXTENSION_ROOT_DIRECTORY, sourceFile);
+  vm.runInContext(fs.readFileSync(sourcePath, 'utf8'), generatorContext, { filename: sourcePath });
+}
+const gateSelectorOnRootAttributes = vm.runInContext('gateSelectorOnRootAttributes', generatorContext);
+
+const ROOT_CONDITIONS = ':not([data-x-dimmer-paused])';
+const GATE = `:where(html${ROOT_CONDITIONS}, html${ROOT_CONDITIONS} *)`;
+
+
+test('a single selector gets the gate on its subject', () => {
+  assert.equal(gateSelectorOnRootAttributes('[data-testid="cellInnerDiv"] > div', ROOT_CONDITIONS),
+    `[data-testid="cellInnerDiv"] > div${GATE}`);
+});
+
+test('the gate goes before a pseudo-element', () => {
+  assert.equal(gateSelectorOnRootAttributes('::-webkit-scrollbar-thumb:hover', ROOT_CONDITIONS),
+    `${GATE}::-webkit-scrollbar-thumb:hover`);
+});
+
+test('every part of a selector list is gated', () => {
+  assert.equal(gateSelectorOnRootAttributes('aside,  [role="dialog"] > div::before', ROOT_CONDITIONS),
+    `aside${GATE}, [role="dialog"] > div${GATE}::before`);
+});
+
+test('commas inside arguments, attribute values and escapes don\'t split the list', () => {
+  assert.equal(gateSelectorOnRootAttributes(':is(nav, header) [aria-label="Home, timeline"], .a\\,b', ROOT_CONDITIONS),
+    `:is(nav, header) [aria-label="Home, timeline"]${GATE}, .a\\,b${GATE}`);
+});
@@ -0,0 +1,156 @@
+/*
+ * =============================================================================
+ * X DIMMER — TESTS: DISABLED SURFACES IN THE RUNTIME-GENERATED RULES
+ * =============================================================================
+ *
+ * PURPOSE:
+ * A page rule that leaves a surface (say the DM drawer) in Lights Out has
+ * to reach every rule generated from X's own selectors at runtime, not
+ * just the bundled layers: the stylesheet rewriter's counter-rules
+ * (content/content-script-stylesheet-rewriter.js) and the computed-style
+ * scanner's class overrides (content/content-script-computed-style-scanner.js).
+ *
+ * HOW IT LOADS THE CODE:
+ * The scripts run in one vm context in manifest.json order, like
+ * dim-theme-stylesheet-generator.test.js does. There is no CSSOM in Node,
+ * so the context gets stand-ins for the rule classes, CSS.escape and
+ * document.styleSheets.
+ *
+ * RUN:
+ * node --test tests/
+ * =============================================================================
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const EXTENSION_ROOT_DIRECTORY = path.join(__dirname, '..');
+
+/** The scripts both generators need, in manifest.json order. */
+const RUNTIME_GENERATOR_SOURCE_FILES = [
+  'shared/dim-palette-definitions.js',
+  'shared/dim-page-rules.js',
+  'content/dim-theme-stylesheet-generator.js',
+  'content/content-script-computed-style-scanner.js',
+  'content/content-script-stylesheet-rewriter.js',
+];
+
+
+/* -----------------------------------------------------------------------
+ * CSSOM STAND-INS
+ * -----------------------------------------------------------------------
+ */
+
+/** A CSSStyleRule with a declaration block that reads like the real one. */
+class FakeCSSStyleRule {
+  constructor(selectorText, declarations) {
+    this.selectorText = selectorText;
+    const propertyNames = Object.keys(declarations);
+    this.style = {
+      ...propertyNames,
+      length: propertyNames.length,
+      getPropertyValue: (propertyName) => declarations[propertyName] || '',
+      getPropertyPriority: () => '',
+    };
+  }
+}
+
+/** A CSSMediaRule around nested rules. */
+class FakeCSSMediaRule {
+  constructor(conditionText, cssRules) {
+    this.conditionText = conditionText;
+    this.cssRules = cssRules;
+  }
+}
+
+/** Never matched — only there for the instanceof check. */
+class FakeCSSSupportsRule {}
+
+/** document.styleSheets, replaced by each test. */
+const fakeDocument = { styleSheets: [] };
+
+const generatorContext = vm.createContext({
+  console,
+  document: fakeDocument,
+  CSS: { escape: (identifier) => identifier },
+  CSSStyleRule: FakeCSSStyleRule,
+  CSSMediaRule: FakeCSSMediaRule,
+  CSSSupportsRule: FakeCSSSupportsRule,
+});
+for (const sourceFile of RUNTIME_GENERATOR_SOURCE_FILES) {
+  const sourcePath = path.join(EXTENSION_ROOT_DIRECTORY, sourceFile);
+  vm.runInContext(fs.readFileSync(sourcePath, 'utf8'), generatorContext, { filename: sourcePath });
+}
+
+const evaluateInGenerator = (expression) => vm.runInContext(expression, generatorContext);
+const buildDisabledSurfaceExclusionCondition = evaluateInGenerator('buildDisabledSurfaceExclusionCondition');
+const buildLightsOutClassOverrideRulesText = evaluateInGenerator('buildLightsOutClassOverrideRulesText');
+const collectStylesheetRewrites = evaluateInGenerator('collectStylesheetRewrites');
+
+const DM_DRAWER_EXCLUSION = ':where(:not(:is([data-testid="DMDrawer"]), :is([data-testid="DMDrawer"]) *))';
+
+
+/* -----------------------------------------------------------------------
+ * TESTS
+ * -----------------------------------------------------------------------
+ */
+
+test('the exclusion condition lists only the disabled surfaces, and nothing for none', () => {
+  assert.equal(buildDisabledSurfaceExclusionCondition(new Set(['dm-drawer', 'all'])), DM_DRAWER_EXCLUSION);
+  assert.equal(buildDisabledSurfaceExclusionCondition(new Set()), '');
+});
+
+test('every class override leaves a disabled surface alone', (testContext) => {
+  evaluateInGenerator(`
+    lightsOutBackgroundColorByClassName.set('r-kemksi', 'rgb(0, 0, 0)');
+    lightsOutBackgroundColorByClassName.set('r-1shrkeu', 'rgba(22, 24, 28, 0.85)');
+  `);
+  testContext.after(() => evaluateInGenerator('resetComputedStyleScanCache()'));
+
+  assert.equal(buildLightsOutClassOverrideRulesText(DM_DRAWER_EXCLUSION), [
+    `.r-kemksi.r-kemksi${DM_DRAWER_EXCLUSION} { background-color: var(--x-dimmer-primary-background); }`,
+    `.r-1shrkeu.r-1shrkeu${DM_DRAWER_EXCLUSION} { background-color: rgba(var(--x-dimmer-secondary-surface-rgb), 0.85); }`,
+  ].join('\n'));
+  assert.equal(buildLightsOutClassOverrideRulesText(''),
+    evaluateInGenerator('buildLightsOutClassOverrideRulesText()'));
+});
+
+test('every counter-rule leaves a disabled surface alone, in lists, pseudo-elements and @media', (testContext) => {
+  const xStyleSheet = {
+    ownerNode: { id: 'react-native-stylesheet' },
+    cssRules: [
+      new FakeCSSStyleRule('.r-kemksi', { 'background-color': 'rgb(0, 0, 0)' }),
+      new FakeCSSStyleRule('.r-1a, .r-1b::before', { 'border-bottom-color': 'rgb(47, 51, 54)' }),
+      new FakeCSSStyleRule('.r-unrelated', { 'background-color': 'rgb(29, 155, 240)' }),
+      new FakeCSSMediaRule('(min-width: 500px)', [
+        new FakeCSSStyleRule('.r-wide', { 'background-color': 'rgb(0, 0, 0)' }),
+      ]),
+    ],
+  };
+  fakeDocument.styleSheets = [xStyleSheet];
+  testContext.after(() => {
+    fakeDocument.styleSheets = [];
+    evaluateInGenerator('resetStylesheetRewriteCache()');
+  });
+
+  const colorMap = evaluateInGenerator('buildLightsOutToPaletteColorMap(DIM_CLASSIC_PALETTE)');
+  const textColorMap = evaluateInGenerator('buildLightsOutToPaletteTextColorMap(DIM_CLASSIC_PALETTE)');
+
+  /* Dim classic: primaryBackground #15202B, border #38444D */
+  const { counterStylesheetText, hasUnreadableStyleSheet } =
+    collectStylesheetRewrites(colorMap, textColorMap, DM_DRAWER_EXCLUSION);
+
+  assert.equal(hasUnreadableStyleSheet, false);
+  assert.equal(counterStylesheetText, [
+    `.r-kemksi${DM_DRAWER_EXCLUSION} { background-color: rgb(21, 32, 43); }`,
+    `.r-1a${DM_DRAWER_EXCLUSION}, .r-1b${DM_DRAWER_EXCLUSION}::before { border-bottom-color: rgb(56, 68, 77); }`,
+    `@media (min-width: 500px) {\n.r-wide${DM_DRAWER_EXCLUSION} { background-color: rgb(21, 32, 43); }\n}`,
+  ].join('\n'));
+
+  /* A route change to a page without the rule: the cached sheet is rebuilt */
+  assert.equal(collectStylesheetRewrites(colorMap, textColorMap, '').counterStylesheetText.split('\n')[0],
+    '.r-kemksi { background-color: rgb(21, 32, 43); }');
+});
@@ -0,0 +1,248 @@
+/*
+ * =============================================================================
+ * X DIMMER — TESTS: INLINE STYLE FIX QUEUE
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Counts the calls of fixElement the queue in
+ * content/content-script-inline-style-fix-queue.js makes for what X does to
+ * a timeline: new cells, re-inserted cells, restyled cells — and the
+ * mutations the fixes themselves cause, which must not be fixed again.
+ *
+ * HOW IT LOADS THE CODE:
+ * The queue is a plain content script, run in a vm context like
+ * dim-storage-migrations.test.js does. There is no DOM in Node, so the
+ * context gets a few stand-ins: elements with attributes and children,
+ * a MutationObserver that records attribute writes the way the real one
+ * would report them, and an idle callback the test runs by hand.
+ *
+ * RUN:
+ * node --test tests/
+ * =============================================================================
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const EXTENSION_ROOT_DIRECTORY = path.join(__dirname, '..');
+
+/** Stand-in for INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR: elements with a style attribute. */
+const CANDIDATE_ELEMENTS_SELECTOR = '[style]';
+
+
+/* -----------------------------------------------------------------------
+ * DOM STAND-INS
+ * -----------------------------------------------------------------------
+ */
+
+/** Mutation records not yet delivered, in the order they happened. */
+const pendingMutationRecords = [];
+
+/**
+ * Just enough of an Element for the queue: attributes, children,
+ * isConnected, and matches / querySelectorAll for CANDIDATE_ELEMENTS_SELECTOR.
+ */
+class FakeElement {
+  constructor(attributes = {}, children = []) {
+    this.nodeType = 1;
+    this.isConnected = false;
+    this.attributes = new Map(Object.entries(attributes));
+    this.children = children;
+  }
+
+  getAttribute(attributeName) {
+    return this.attributes.has(attributeName) ? this.attributes.get(attributeName) : null;
+  }
+
+  setAttribute(attributeName, value) {
+    this.attributes.set(attributeName, value);
+    if (this.isConnected) {
+      pendingMutationRecords.push({ type: 'attributes', target: this, attributeName, addedNodes: [] });
+    }
+  }
+
+  matches(selector) {
+    assert.equal(selector, CANDIDATE_ELEMENTS_SELECTOR);
+    return this.attributes.has('style');
+  }
+
+  querySelectorAll(selector) {
+    return this.children.flatMap((child) => [
+      ...(child.matches(selector) ? [child] : []),
+      ...child.querySelectorAll(selector),
+    ]);
+  }
+
+  /** Attaches the element and its subtree, as appendChild would, and records it. */
+  insert() {
+    const connect = (element) => {
+      element.isConnected = true;
+      element.children.forEach(connect);
+    };
+    connect(this);
+    pendingMutationRecords.push({ type: 'childList', target: null, addedNodes: [this] });
+  }
+
+  /** Detaches the element and its subtree, as remove() would. */
+  remove() {
+    const disconnect = (element) => {
+      element.isConnected = false;
+      element.children.forEach(disconnect);
+    };
+    disconnect(this);
+  }
+}
+
+/** The idle callback the queue asked for, or null. */
+let pendingIdleCallback = null;
+
+const queueContext = vm.createContext({
+  console,
+  performance,
+  Node: { ELEMENT_NODE: 1 },
+  requestIdleCallback(callback) {
+    pendingIdleCallback = callback;
+    return 1;
+  },
+  cancelIdleCallback() {
+    pendingIdleCallback = null;
+  },
+});
+const queueSourcePath = path.join(EXTENSION_ROOT_DIRECTORY, 'content/content-script-inline-style-fix-queue.js');
+vm.runInContext(fs.readFileSync(queueSourcePath, 'utf8'), queueContext, { filename: queueSourcePath });
+
+const startInlineStyleFixQueue = vm.runInContext('startInlineStyleFixQueue', queueContext);
+const stopInlineStyleFixQueue = vm.runInContext('stopInlineStyleFixQueue', queueContext);
+const enqueueInlineStyleMutations = vm.runInContext('enqueueInlineStyleMutations', queueContext);
+const hasPendingInlineStyleFixes = vm.runInContext('hasPendingInlineStyleFixes', queueContext);
+
+
+/* -----------------------------------------------------------------------
+ * HELPERS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Starts the queue with a fixElement that rewrites the element's style
+ * the way the real fixes do, and counts its calls per element.
+ *
+ * @param {import('node:test').TestContext} testContext - Stops the queue after the test
+ * @returns {Map<FakeElement, number>} fixElement calls per element
+ */
+function startCountingQueue(testContext) {
+  const fixElementCallCounts = new Map();
+  startInlineStyleFixQueue({
+    candidateElementsSelector: CANDIDATE_ELEMENTS_SELECTOR,
+    fixElement(element) {
+      fixElementCallCounts.set(element, (fixElementCallCounts.get(element) || 0) + 1);
+      const styleValue = element.getAttribute('style');
+      if (styleValue.includes('rgb(0, 0, 0)')) {
+        element.setAttribute('style', styleValue.replaceAll('rgb(0, 0, 0)', 'rgb(21, 32, 43)'));
+      }
+    },
+  });
+  testContext.after(() => {
+    stopInlineStyleFixQueue();
+    pendingMutationRecords.length = 0;
+    pendingIdleCallback = null;
+  });
+  return fixElementCallCounts;
+}
+
+/**
+ * Delivers the recorded mutations and runs idle slices until the queue
+ * is empty and the fixes have caused no new mutations.
+ */
+function runQueueUntilQuiet() {
+  for (let round = 0; round < 100; round++) {
+    if (pendingMutationRecords.length > 0) {
+      enqueueInlineStyleMutations(pendingMutationRecords.splice(0));
+    }
+    if (!pendingIdleCallback) break;
+
+    const idleCallback = pendingIdleCallback;
+    pendingIdleCallback = null;
+    idleCallback({ didTimeout: true, timeRemaining: () => 0 });
+  }
+  assert.equal(pendingMutationRecords.length, 0, 'no mutations left undelivered');
+  assert.equal(hasPendingInlineStyleFixes(), false, 'the queue ran dry');
+}
+
+/**
+ * One timeline cell: an unstyled wrapper around a black cell border and
+ * a black avatar ring.
+ *
+ * @returns {{ cellElement: FakeElement, styledElements: FakeElement[] }}
+ */
+function createTimelineCell() {
+  const borderElement = new FakeElement({ style: 'border-bottom-color: rgb(0, 0, 0);' });
+  const avatarElement = new FakeElement({ style: 'box-shadow: rgb(0, 0, 0) 0px 0px 0px 2px;' });
+  const cellElement = new FakeElement({}, [borderElement, new FakeElement({}, [avatarElement])]);
+  return { cellElement, styledElements: [borderElement, avatarElement] };
+}
+
+
+/* -----------------------------------------------------------------------
+ * TESTS
+ * -----------------------------------------------------------------------
+ */
+
+test('each new element is fixed once, although the fix itself causes a style mutation', (testContext) => {
+  const fixElementCallCounts = startCountingQueue(testContext);
+  const { cellElement, styledElements } = createTimelineCell();
+
+  cellElement.insert();
+  runQueueUntilQuiet();
+
+  assert.deepStrictEqual(styledElements.map((element) => fixElementCallCounts.get(element)), [1, 1]);
+  assert.ok(styledElements.every((element) => !element.getAttribute('style').includes('rgb(0, 0, 0)')));
+});
+
+test('a cell inserted several times before a slice, and re-inserted later, is fixed once', (testContext) => {
+  const fixElementCallCounts = startCountingQueue(testContext);
+  const { cellElement, styledElements } = createTimelineCell();
+
+  cellElement.insert();
+  cellElement.insert();
+  cellElement.insert();
+  runQueueUntilQuiet();
+
+  cellElement.remove();
+  cellElement.insert();
+  runQueueUntilQuiet();
+
+  assert.deepStrictEqual(styledElements.map((element) => fixElementCallCounts.get(element)), [1, 1]);
+});
+
+test('an element X restyles after it was fixed is fixed again', (testContext) => {
+  const fixElementCallCounts = startCountingQueue(testContext);
+  const { cellElement, styledElements: [borderElement, avatarElement] } = createTimelineCell();
+
+  cellElement.insert();
+  runQueueUntilQuiet();
+
+  borderElement.setAttribute('style', 'border-bottom-color: rgb(0, 0, 0); background-color: rgb(0, 0, 0);');
+  runQueueUntilQuiet();
+
+  assert.equal(fixElementCallCounts.get(borderElement), 2);
+  assert.equal(fixElementCallCounts.get(avatarElement), 1);
+  assert.equal(borderElement.getAttribute('style'), 'border-bottom-color: rgb(21, 32, 43); background-color: rgb(21, 32, 43);');
+});
+
+test('X writing the original Lights Out style back is fixed again', (testContext) => {
+  const fixElementCallCounts = startCountingQueue(testContext);
+  const { cellElement, styledElements: [borderElement] } = createTimelineCell();
+
+  cellElement.insert();
+  runQueueUntilQuiet();
+
+  /* React re-renders the cell with its original inline style */
+  borderElement.setAttribute('style', 'border-bottom-color: rgb(0, 0, 0);');
+  runQueueUntilQuiet();
+
+  assert.equal(fixElementCallCounts.get(borderElement), 2);
+  assert.equal(borderElement.getAttribute('style'), 'border-bottom-color: rgb(21, 32, 43);');
+});
@@ -0,0 +1,232 @@
+/*
+ * =============================================================================
+ * X DIMMER — TESTS: STORAGE MIGRATIONS IN THE SERVICE WORKER
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Runs runStorageMigrations from background/service-worker-background.js
+ * against an in-memory chrome.storage.local: the backup it takes, what it
+ * writes after the steps ran, that it writes nothing past a throwing step,
+ * and that a failed write is rolled back for the keys it was writing only.
+ *
+ * HOW IT LOADS THE CODE:
+ * Each test runs the whole service worker in a fresh vm context, with
+ * importScripts reading the shared files from disk. Every chrome.* API but
+ * storage.local and runtime.getManifest is a stub that accepts any call.
+ * The steps are example steps like in dim-storage-migrations.test.js,
+ * passed in as the `migrations` argument.
+ *
+ * RUN:
+ * node --test tests/
+ * =============================================================================
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const EXTENSION_ROOT_DIRECTORY = path.join(__dirname, '..');
+const SERVICE_WORKER_SOURCE_PATH = path.join(EXTENSION_ROOT_DIRECTORY, 'background/service-worker-background.js');
+const EXTENSION_MANIFEST = JSON.parse(fs.readFileSync(path.join(EXTENSION_ROOT_DIRECTORY, 'manifest.json'), 'utf8'));
+
+
+/* -----------------------------------------------------------------------
+ * CHROME API STAND-INS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * An API namespace that accepts anything: every property is another such
+ * namespace and every call resolves to undefined (chrome.action.setBadgeText,
+ * chrome.runtime.onInstalled.addListener…).
+ *
+ * @returns {Function} The stub
+ */
+function createChromeApiStub() {
+  return new Proxy(function chromeApiStub() {}, {
+    get(target, propertyName) {
+      if (propertyName === 'then') return undefined;
+      if (!(propertyName in target)) target[propertyName] = createChromeApiStub();
+      return target[propertyName];
+    },
+    apply: () => Promise.resolve(),
+  });
+}
+
+/**
+ * chrome.storage.local, in memory. Values are cloned on the way in and out,
+ * like the real one serializes them.
+ */
+class FakeStorageArea {
+  /**
+   * @param {Object<string, *>} initialValues - What is stored to begin with
+   */
+  constructor(initialValues) {
+    this.values = structuredClone(initialValues);
+    /** Called with each set() call's items before it is applied; may throw to fail the call. */
+    this.beforeSet = () => {};
+  }
+
+  async get(keys) {
+    if (keys === null) return structuredClone(this.values);
+    const defaults = typeof keys === 'string' || Array.isArray(keys)
+      ? Object.fromEntries([keys].flat().map((key) => [key, undefined]))
+      : keys;
+    return structuredClone(Object.fromEntries(Object.entries(defaults)
+      .map(([key, defaultValue]) => [key, key in this.values ? this.values[key] : defaultValue])
+      .filter(([, value]) => value !== undefined)));
+  }
+
+  async set(items) {
+    this.beforeSet(items);
+    Object.assign(this.values, structuredClone(items));
+  }
+
+  async remove(keys) {
+    for (const key of [keys].flat()) delete this.values[key];
+  }
+}
+
+/**
+ * Runs the service worker in a fresh context on top of a storage area.
+ *
+ * @param {FakeStorageArea} storageArea - Becomes chrome.storage.local
+ * @returns {{ runStorageMigrations: Function, loggedErrors: string[] }}
+ *   loggedErrors — the first argument of every console.error call
+ */
+function loadServiceWorker(storageArea) {
+  const chromeStub = createChromeApiStub();
+  chromeStub.storage.local = storageArea;
+  chromeStub.runtime.getManifest = () => EXTENSION_MANIFEST;
+
+  const loggedErrors = [];
+  const serviceWorkerContext = vm.createContext({
+    chrome: chromeStub,
+    console: { log() {}, warn() {}, error: (message) => loggedErrors.push(message) },
+    structuredClone,
+    setTimeout,
+    clearTimeout,
+    importScripts(...scriptPaths) {
+      for (const scriptPath of scriptPaths) {
+        const sourcePath = path.join(path.dirname(SERVICE_WORKER_SOURCE_PATH), scriptPath);
+        vm.runInContext(fs.readFileSync(sourcePath, 'utf8'), serviceWorkerContext, { filename: sourcePath });
+      }
+    },
+  });
+  vm.runInContext(fs.readFileSync(SERVICE_WORKER_SOURCE_PATH, 'utf8'), serviceWorkerContext,
+    { filename: SERVICE_WORKER_SOURCE_PATH });
+
+  return {
+    runStorageMigrations: vm.runInContext('runStorageMigrations', serviceWorkerContext),
+    loggedErrors,
+  };
+}
+
+
+/* -----------------------------------------------------------------------
+ * EXAMPLE STEPS AND STORE
+ * -----------------------------------------------------------------------
+ */
+
+/** A step that reshapes a stored setting and one that adds a key. */
+const EXAMPLE_MIGRATIONS = [
+  {
+    toSchemaVersion: 2,
+    description: 'Store page rule paths without a trailing slash',
+    migrate: (storedValues) => ({
+      xDimmerPageRules: storedValues.xDimmerPageRules.map((pageRule) => ({
+        ...pageRule,
+        pathPattern: pageRule.pathPattern.replace(/(.)\/$/, '$1'),
+      })),
+    }),
+  },
+  {
+    toSchemaVersion: 3,
+    description: 'Store the number of page rules',
+    migrate: (storedValues) => ({ xDimmerPageRuleCount: storedValues.xDimmerPageRules.length }),
+  },
+];
+
+/** A store at the baseline schema. */
+const BASELINE_STORED_VALUES = {
+  xDimmerEnabled: true,
+  xDimmerSchemaVersion: 1,
+  xDimmerInstalledVersion: '1.0.0',
+  xDimmerPageRules: [{ pathPattern: '/messages/', surfaceId: 'all' }],
+};
+
+
+/* -----------------------------------------------------------------------
+ * TESTS
+ * -----------------------------------------------------------------------
+ */
+
+test('the steps\' changes and the new schema version are written, next to a backup', async () => {
+  const storageArea = new FakeStorageArea(BASELINE_STORED_VALUES);
+  const { runStorageMigrations, loggedErrors } = loadServiceWorker(storageArea);
+
+  await runStorageMigrations('1.0.0', EXAMPLE_MIGRATIONS);
+
+  const { xDimmerMigrationBackup, ...migratedValues } = storageArea.values;
+  assert.deepStrictEqual(migratedValues, {
+    ...BASELINE_STORED_VALUES,
+    xDimmerSchemaVersion: 3,
+    xDimmerPageRules: [{ pathPattern: '/messages', surfaceId: 'all' }],
+    xDimmerPageRuleCount: 1,
+  });
+  assert.equal(xDimmerMigrationBackup.schemaVersion, 1);
+  assert.equal(xDimmerMigrationBackup.extensionVersion, '1.0.0');
+  assert.deepStrictEqual(xDimmerMigrationBackup.storedValues, BASELINE_STORED_VALUES);
+  assert.deepStrictEqual(loggedErrors, []);
+});
+
+test('nothing is written for a store already at the steps\' last schema version', async () => {
+  const storageArea = new FakeStorageArea({ ...BASELINE_STORED_VALUES, xDimmerSchemaVersion: 3 });
+  const { runStorageMigrations } = loadServiceWorker(storageArea);
+  storageArea.beforeSet = () => assert.fail('nothing should be written');
+
+  await runStorageMigrations('1.0.0', EXAMPLE_MIGRATIONS);
+  await runStorageMigrations('1.0.0');
+});
+
+test('a throwing step leaves every stored value as it was', async () => {
+  const storageArea = new FakeStorageArea(BASELINE_STORED_VALUES);
+  const { runStorageMigrations, loggedErrors } = loadServiceWorker(storageArea);
+  const failingMigrations = [...EXAMPLE_MIGRATIONS, {
+    toSchemaVersion: 4,
+    description: 'Fail',
+    migrate() {
+      throw new Error('unreadable page rule');
+    },
+  }];
+
+  await runStorageMigrations('1.0.0', failingMigrations);
+
+  const { xDimmerMigrationBackup, ...storedValues } = storageArea.values;
+  assert.deepStrictEqual(storedValues, BASELINE_STORED_VALUES);
+  assert.ok(xDimmerMigrationBackup);
+  assert.deepStrictEqual(loggedErrors, ['[X Dimmer] Storage migration failed — settings left as they were:']);
+});
+
+test('a failed write rolls back the keys it was writing and nothing else', async () => {
+  const storageArea = new FakeStorageArea(BASELINE_STORED_VALUES);
+  const { runStorageMigrations, loggedErrors } = loadServiceWorker(storageArea);
+  storageArea.beforeSet = (items) => {
+    if (items.xDimmerSchemaVersion !== 3) return;
+
+    /* The write lands halfway, and meanwhile the user switches Dim off */
+    storageArea.values.xDimmerPageRules = structuredClone(items.xDimmerPageRules);
+    storageArea.values.xDimmerPageRuleCount = items.xDimmerPageRuleCount;
+    storageArea.values.xDimmerEnabled = false;
+    throw new Error('QUOTA_BYTES quota exceeded');
+  };
+
+  await runStorageMigrations('1.0.0', EXAMPLE_MIGRATIONS);
+
+  const { xDimmerMigrationBackup, ...storedValues } = storageArea.values;
+  assert.deepStrictEqual(storedValues, { ...BASELINE_STORED_VALUES, xDimmerEnabled: false });
+  assert.deepStrictEqual(xDimmerMigrationBackup.storedValues, BASELINE_STORED_VALUES);
+  assert.deepStrictEqual(loggedErrors, ['[X Dimmer] Failed to write migrated settings — restoring the backup:']);
+});
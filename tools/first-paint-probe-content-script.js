@@ -0,0 +1,110 @@
+/*
+ * =============================================================================
+ * X DIMMER — FIRST PAINT PROBE: CONTENT SCRIPT
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Measures which background color X's first frame is painted with.
+ * tools/first-paint-probe.html registers this script (document_start, X
+ * pages only) for the length of a run and unregisters it afterwards; it
+ * is never part of the shipped content scripts.
+ *
+ * WHAT IS SAMPLED:
+ * - "document_start" — the moment this script runs, before any DOM
+ * - "first frame" — the first requestAnimationFrame callback. It runs just
+ *   before the first frame is painted, so the colors read there are the
+ *   ones that frame shows
+ * - the "first-paint" / "first-contentful-paint" times reported by the
+ *   Paint Timing API, to show how late the first frame came
+ * Each sample reads the computed html and body backgrounds; the visible
+ * page color is the first of the two that isn't transparent (CSS
+ * background propagation).
+ *
+ * Shares the isolated world with the manifest's content scripts, so every
+ * top-level name here is prefixed to stay clear of theirs.
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Message type of the result sent back to the probe page. Kept in sync by
+ * hand with FIRST_PAINT_PROBE_RESULT_MESSAGE_TYPE in first-paint-probe.js:
+ * loading shared/dim-tab-messages.js again here would redeclare its
+ * constants in the shared isolated world.
+ */
+const FIRST_PAINT_PROBE_RESULT_MESSAGE_TYPE_FOR_CONTENT = 'x-dimmer/first-paint-probe-result';
+
+/** How long (ms) after "load" to wait for the paint timing entries. */
+const FIRST_PAINT_PROBE_REPORT_DELAY_MS = 500;
+
+
+/* -----------------------------------------------------------------------
+ * SAMPLING
+ * -----------------------------------------------------------------------
+ */
+
+/** Samples taken so far, in order. */
+const firstPaintProbeSamples = [];
+
+/** Paint Timing entries by name ("first-paint", "first-contentful-paint"). */
+const firstPaintProbePaintTimes = {};
+
+/** Whether the X Dimmer base stylesheet was in the page at document_start. */
+const isBaseStylesheetPresentAtFirstPaintProbeStart = getComputedStyle(document.documentElement)
+  .getPropertyValue('--x-dimmer-base-stylesheet').trim() !== '';
+
+
+/**
+ * Records the html and body backgrounds right now.
+ *
+ * @param {string} sampleLabel - When the sample was taken
+ */
+function takeFirstPaintProbeSample(sampleLabel) {
+  const htmlBackground = getComputedStyle(document.documentElement).backgroundColor;
+  const bodyBackground = document.body ? getComputedStyle(document.body).backgroundColor : null;
+  const isTransparent = (color) => !color || color === 'rgba(0, 0, 0, 0)' || color === 'transparent';
+
+  firstPaintProbeSamples.push({
+    sampleLabel,
+    atMs: Math.round(performance.now()),
+    htmlBackground,
+    bodyBackground,
+    visibleBackground: [htmlBackground, bodyBackground].find((color) => !isTransparent(color)) || 'canvas (white)',
+  });
+}
+
+
+/**
+ * Sends everything measured to the probe page.
+ */
+function reportFirstPaintProbeResult() {
+  chrome.runtime.sendMessage({
+    type: FIRST_PAINT_PROBE_RESULT_MESSAGE_TYPE_FOR_CONTENT,
+    url: location.href,
+    isBaseStylesheetPresentAtStart: isBaseStylesheetPresentAtFirstPaintProbeStart,
+    paintTimes: firstPaintProbePaintTimes,
+    samples: firstPaintProbeSamples,
+  }).catch(() => {
+    /* The probe page was closed mid-run — nobody is listening */
+  });
+}
+
+
+takeFirstPaintProbeSample('document_start');
+requestAnimationFrame(() => takeFirstPaintProbeSample('first frame'));
+
+new PerformanceObserver((entryList) => {
+  for (const paintEntry of entryList.getEntries()) {
+    firstPaintProbePaintTimes[paintEntry.name] = Math.round(paintEntry.startTime);
+  }
+}).observe({ type: 'paint', buffered: true });
+
+window.addEventListener('load', () => {
+  takeFirstPaintProbeSample('load');
+  setTimeout(reportFirstPaintProbeResult, FIRST_PAINT_PROBE_REPORT_DELAY_MS);
+}, { once: true });
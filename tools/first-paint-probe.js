@@ -0,0 +1,304 @@
+/*
+ * =============================================================================
+ * X DIMMER — FIRST PAINT PROBE PAGE LOGIC
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Drives tools/first-paint-probe.html: loads an X page a few times in a
+ * new tab, collects what first-paint-probe-content-script.js measured in
+ * each load, and lists the color of every first frame.
+ *
+ * HOW A RUN WORKS:
+ * 1. The probe content script is registered (document_start, X pages,
+ *    not persisted across sessions)
+ * 2. For each mode — with the packaged stylesheet, and optionally without
+ *    it — the page is opened in a foreground tab, the probe's result is
+ *    awaited, and the tab is closed
+ * 3. The "without" mode unregisters the service worker's stylesheet
+ *    registration for its loads and registers the same one again after
+ * 4. The probe content script is unregistered, whatever happened
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/** Message type of the probe's result (see first-paint-probe-content-script.js). */
+const FIRST_PAINT_PROBE_RESULT_MESSAGE_TYPE = 'x-dimmer/first-paint-probe-result';
+
+/** ID under which the probe content script is registered during a run. */
+const FIRST_PAINT_PROBE_CONTENT_SCRIPT_ID = 'x-dimmer-first-paint-probe';
+
+/**
+ * ID of the service worker's stylesheet registration
+ * (DIM_THEME_STYLESHEET_CONTENT_SCRIPT_ID in service-worker-background.js).
+ */
+const PACKAGED_STYLESHEET_CONTENT_SCRIPT_ID = 'x-dimmer-dim-theme-stylesheet';
+
+/** Pages the probe runs on — the same as the extension's content scripts. */
+const FIRST_PAINT_PROBE_URL_PATTERNS = chrome.runtime.getManifest().content_scripts[0].matches;
+
+/** How long (ms) to wait for one load's result before giving up on it. */
+const FIRST_PAINT_PROBE_LOAD_TIMEOUT_MS = 30000;
+
+/** Lights Out's page color, as getComputedStyle reports it. */
+const LIGHTS_OUT_BLACK_COMPUTED_COLOR = 'rgb(0, 0, 0)';
+
+
+/* -----------------------------------------------------------------------
+ * DOM REFERENCES
+ * -----------------------------------------------------------------------
+ */
+
+const probeUrlInputElement = document.getElementById('probe-url-input');
+const probeRunCountInputElement = document.getElementById('probe-run-count-input');
+const probeStartButtonElement = document.getElementById('probe-start-button');
+const probeCompareCheckboxElement = document.getElementById('probe-compare-checkbox');
+const probeStatusTextElement = document.getElementById('probe-status-text');
+const probeSummaryTextElement = document.getElementById('probe-summary-text');
+const probeResultsBodyElement = document.getElementById('probe-results-body');
+
+
+/* -----------------------------------------------------------------------
+ * LOADING AND MEASURING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Opens the page in a new foreground tab, waits for the probe's result
+ * from that tab, and closes it.
+ *
+ * @param {string} pageUrl - The X page to load
+ * @returns {Promise<Object>} The probe's result message
+ * @throws {Error} If no result arrives within FIRST_PAINT_PROBE_LOAD_TIMEOUT_MS
+ */
+async function loadPageAndAwaitProbeResult(pageUrl) {
+  let probeTabId = null;
+  let resolveProbeResult;
+  let timeoutId = null;
+
+  const probeResultPromise = new Promise((resolve) => { resolveProbeResult = resolve; });
+  const handleProbeMessage = (message, sender) => {
+    if (message?.type === FIRST_PAINT_PROBE_RESULT_MESSAGE_TYPE && sender.tab?.id === probeTabId) {
+      resolveProbeResult(message);
+    }
+  };
+  chrome.runtime.onMessage.addListener(handleProbeMessage);
+
+  try {
+    /* Background tabs don't render frames, so the tab has to be active */
+    const probeTab = await chrome.tabs.create({ url: pageUrl, active: true });
+    probeTabId = probeTab.id;
+
+    return await Promise.race([
+      probeResultPromise,
+      new Promise((resolve, reject) => {
+        timeoutId = setTimeout(
+          () => reject(new Error(`No result within ${FIRST_PAINT_PROBE_LOAD_TIMEOUT_MS / 1000} s`)),
+          FIRST_PAINT_PROBE_LOAD_TIMEOUT_MS
+        );
+      }),
+    ]);
+  } finally {
+    clearTimeout(timeoutId);
+    chrome.runtime.onMessage.removeListener(handleProbeMessage);
+    if (probeTabId !== null) {
+      chrome.tabs.remove(probeTabId).catch(() => { /* Already closed by the user */ });
+    }
+  }
+}
+
+
+/**
+ * Unregisters the service worker's packaged stylesheet, if registered.
+ *
+ * @returns {Promise<Object|null>} The registration that was removed, to
+ *   put back with restorePackagedStylesheetRegistration
+ */
+async function takeAwayPackagedStylesheetRegistration() {
+  const [registeredContentScript] = await chrome.scripting.getRegisteredContentScripts({
+    ids: [PACKAGED_STYLESHEET_CONTENT_SCRIPT_ID],
+  });
+  if (!registeredContentScript) return null;
+
+  await chrome.scripting.unregisterContentScripts({ ids: [PACKAGED_STYLESHEET_CONTENT_SCRIPT_ID] });
+  return registeredContentScript;
+}
+
+
+/**
+ * Registers a removed stylesheet registration again — unless the service
+ * worker has already done so because a setting changed meanwhile.
+ *
+ * @param {Object|null} removedContentScript - From takeAwayPackagedStylesheetRegistration
+ */
+async function restorePackagedStylesheetRegistration(removedContentScript) {
+  if (!removedContentScript) return;
+
+  const [registeredContentScript] = await chrome.scripting.getRegisteredContentScripts({
+    ids: [PACKAGED_STYLESHEET_CONTENT_SCRIPT_ID],
+  });
+  if (!registeredContentScript) {
+    await chrome.scripting.registerContentScripts([removedContentScript]);
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * RESULTS
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Classifies a first frame's visible background.
+ *
+ * @param {string} visibleBackground - The probe's "first frame" color
+ * @returns {{ label: string, isFlash: boolean }}
+ */
+function describeFirstFrameBackground(visibleBackground) {
+  if (visibleBackground === LIGHTS_OUT_BLACK_COMPUTED_COLOR) {
+    return { label: 'Lights Out black — flash', isFlash: true };
+  }
+  if (!visibleBackground.startsWith('rgb')) {
+    return { label: 'No background yet (white canvas)', isFlash: true };
+  }
+  return { label: 'No flash', isFlash: false };
+}
+
+
+/**
+ * Appends one load's row to the results table.
+ *
+ * @param {string} modeLabel - Which mode the load ran in
+ * @param {number} loadNumber - 1-based load number within the mode
+ * @param {Object|null} probeResult - The probe's result, or null if it failed
+ * @param {Error} [loadError] - Why there is no result
+ * @returns {boolean} Whether the load flashed
+ */
+function renderProbeResultRow(modeLabel, loadNumber, probeResult, loadError) {
+  const rowElement = document.createElement('tr');
+  const appendCell = (text) => {
+    const cellElement = document.createElement('td');
+    cellElement.textContent = text;
+    rowElement.appendChild(cellElement);
+    return cellElement;
+  };
+
+  appendCell(modeLabel);
+  appendCell(String(loadNumber));
+
+  if (!probeResult) {
+    appendCell('—');
+    appendCell('—');
+    appendCell('—');
+    appendCell(loadError?.message || 'Failed');
+    probeResultsBodyElement.appendChild(rowElement);
+    return false;
+  }
+
+  const firstFrameSample = probeResult.samples.find((sample) => sample.sampleLabel === 'first frame')
+    || probeResult.samples[probeResult.samples.length - 1];
+  const firstFrameDescription = describeFirstFrameBackground(firstFrameSample.visibleBackground);
+
+  appendCell(probeResult.isBaseStylesheetPresentAtStart ? 'Yes' : 'No');
+  appendCell(probeResult.paintTimes['first-paint'] !== undefined ? `${probeResult.paintTimes['first-paint']} ms` : '—');
+
+  const colorCellElement = appendCell('');
+  const swatchElement = document.createElement('span');
+  swatchElement.className = 'x-dimmer-first-paint-probe-swatch';
+  swatchElement.style.backgroundColor = firstFrameSample.visibleBackground.startsWith('rgb')
+    ? firstFrameSample.visibleBackground
+    : '#FFFFFF';
+  colorCellElement.append(swatchElement, firstFrameSample.visibleBackground);
+
+  const resultCellElement = appendCell(firstFrameDescription.label);
+  if (firstFrameDescription.isFlash) {
+    resultCellElement.classList.add('x-dimmer-first-paint-probe-flash');
+  }
+
+  probeResultsBodyElement.appendChild(rowElement);
+  return firstFrameDescription.isFlash;
+}
+
+
+/* -----------------------------------------------------------------------
+ * RUNNING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Runs every load of every selected mode and fills the results table.
+ */
+async function runFirstPaintProbe() {
+  const pageUrl = probeUrlInputElement.value.trim();
+  const loadCount = Math.min(20, Math.max(1, Number.parseInt(probeRunCountInputElement.value, 10) || 1));
+  const probeModes = [{ label: 'Packaged stylesheet', withoutPackagedStylesheet: false }];
+  if (probeCompareCheckboxElement.checked) {
+    probeModes.push({ label: 'Content script only', withoutPackagedStylesheet: true });
+  }
+
+  probeStartButtonElement.disabled = true;
+  probeResultsBodyElement.replaceChildren();
+  const summaryParts = [];
+
+  try {
+    /* A run interrupted by closing this page may have left it registered */
+    const [staleProbe] = await chrome.scripting.getRegisteredContentScripts({ ids: [FIRST_PAINT_PROBE_CONTENT_SCRIPT_ID] });
+    if (staleProbe) {
+      await chrome.scripting.unregisterContentScripts({ ids: [FIRST_PAINT_PROBE_CONTENT_SCRIPT_ID] });
+    }
+    await chrome.scripting.registerContentScripts([{
+      id: FIRST_PAINT_PROBE_CONTENT_SCRIPT_ID,
+      js: ['tools/first-paint-probe-content-script.js'],
+      matches: FIRST_PAINT_PROBE_URL_PATTERNS,
+      runAt: 'document_start',
+      persistAcrossSessions: false,
+    }]);
+
+    for (const probeMode of probeModes) {
+      const removedContentScript = probeMode.withoutPackagedStylesheet
+        ? await takeAwayPackagedStylesheetRegistration()
+        : null;
+      let flashCount = 0;
+      let measuredCount = 0;
+
+      try {
+        for (let loadNumber = 1; loadNumber <= loadCount; loadNumber++) {
+          probeStatusTextElement.textContent = `${probeMode.label}: load ${loadNumber} of ${loadCount}…`;
+          try {
+            const probeResult = await loadPageAndAwaitProbeResult(pageUrl);
+            measuredCount++;
+            if (renderProbeResultRow(probeMode.label, loadNumber, probeResult)) flashCount++;
+          } catch (error) {
+            renderProbeResultRow(probeMode.label, loadNumber, null, error);
+          }
+        }
+      } finally {
+        await restorePackagedStylesheetRegistration(removedContentScript);
+      }
+
+      summaryParts.push(`${probeMode.label}: ${flashCount} of ${measuredCount} loads flashed`);
+    }
+
+    probeStatusTextElement.textContent = 'Done.';
+  } catch (error) {
+    console.error('[X Dimmer First Paint Probe] Run failed:', error);
+    probeStatusTextElement.textContent = `The probe failed: ${error.message}`;
+  } finally {
+    await chrome.scripting.unregisterContentScripts({ ids: [FIRST_PAINT_PROBE_CONTENT_SCRIPT_ID] })
+      .catch(() => { /* Registration never happened */ });
+    probeStartButtonElement.disabled = false;
+    probeSummaryTextElement.textContent = summaryParts.length > 0 ? `${summaryParts.join(' · ')}.` : 'No runs yet.';
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * EVENT LISTENERS
+ * -----------------------------------------------------------------------
+ */
+
+probeStartButtonElement.addEventListener('click', runFirstPaintProbe);
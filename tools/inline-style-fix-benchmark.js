@@ -0,0 +1,549 @@
+/*
+ * =============================================================================
+ * X DIMMER — INLINE STYLE FIX BENCHMARK PAGE LOGIC
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Drives tools/inline-style-fix-benchmark.html: renders a synthetic
+ * timeline into an off-screen stage and measures two MutationObserver
+ * pipelines on it, one after the other, each on a fresh timeline.
+ *
+ * THE PIPELINES:
+ * - "Idle-time queue" — content/content-script-inline-style-fix-queue.js,
+ *   the file the injector uses, loaded by the page unchanged
+ * - "Debounced rescan" — the pipeline it replaced, copied below as it was:
+ *   a 100 ms timer reset on every callback, then one animation frame
+ *   processing only the last mutation list, with querySelectorAll('*')
+ *   of every added node
+ * Both fix elements with the same function (fixSyntheticTimelineElement),
+ * a cut-down version of fixInlineLightsOutColors, and look for the same
+ * INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR (both from
+ * content/content-script-inline-color-fixes.js), so only the pipelines differ.
+ *
+ * HOW A RUN WORKS:
+ * 1. A pipeline starts watching an empty stage
+ * 2. The timeline is rendered a few tweets per animation frame, like X
+ *    while the user scrolls — or, with more than one column, an X Pro
+ *    deck: every column gets new tweets on top each frame and re-renders
+ *    the cell that was on top before
+ * 3. Once the last tweet is in, the run waits for the pipeline to go quiet
+ * 4. The stage is searched for inline Lights Out colors nobody fixed
+ * =============================================================================
+ */
+
+
+/* -----------------------------------------------------------------------
+ * CONFIGURATION CONSTANTS
+ * -----------------------------------------------------------------------
+ */
+
+/** The old pipeline's debounce interval (was MUTATION_OBSERVER_DEBOUNCE_MS). */
+const LEGACY_MUTATION_OBSERVER_DEBOUNCE_MS = 100;
+
+/** How often (ms) to check whether a pipeline has gone quiet. */
+const PIPELINE_QUIET_POLL_INTERVAL_MS = 50;
+
+/** How long (ms) to wait for a pipeline to go quiet before giving up. */
+const PIPELINE_QUIET_TIMEOUT_MS = 60000;
+
+/** Pause (ms) between pipelines, so the first one's garbage is collected. */
+const PAUSE_BETWEEN_PIPELINES_MS = 1000;
+
+/** Lights Out → Dim classic, the map the injector starts with. */
+const BENCHMARK_COLOR_MAP = buildLightsOutToPaletteColorMap(DIM_CLASSIC_PALETTE);
+
+/**
+ * One tweet of the synthetic timeline. Modeled on X's markup: mostly
+ * unstyled wrappers, and a few elements with inline Lights Out colors —
+ * the cell border, the avatar ring, a quoted tweet card and an icon fill.
+ */
+const SYNTHETIC_TWEET_MARKUP = `
+  <article data-testid="tweet" style="border-bottom-width: 1px; border-bottom-style: solid; border-bottom-color: rgb(47, 51, 54); display: flex; padding: 12px 16px;">
+    <div>
+      <div style="width: 40px; height: 40px; border-radius: 9999px; background-color: rgb(0, 0, 0);">
+        <div><div></div></div>
+      </div>
+    </div>
+    <div style="flex: 1; padding-left: 12px;">
+      <div><span><span>Display name</span></span> <span>@handle</span> <span>·</span> <time>2h</time></div>
+      <div data-testid="tweetText"><span>Synthetic tweet text for the inline style fix benchmark.</span></div>
+      <div style="margin-top: 12px; border-radius: 16px; background-color: rgb(22, 24, 28);">
+        <div><div><span>Quoted tweet</span></div></div>
+      </div>
+      <div role="group" style="display: flex; justify-content: space-between; margin-top: 12px;">
+        <div><div><span>12</span></div></div>
+        <div><div><span>34</span></div></div>
+        <div><div><span>56</span></div></div>
+        <div><svg viewBox="0 0 24 24" width="18" height="18"><path fill="#2F3336" d="M4 4h16v16H4z"></path></svg></div>
+      </div>
+    </div>
+  </article>`;
+
+
+/* -----------------------------------------------------------------------
+ * DOM REFERENCES
+ * -----------------------------------------------------------------------
+ */
+
+const benchmarkTweetCountInputElement = document.getElementById('benchmark-tweet-count-input');
+const benchmarkTweetsPerFrameInputElement = document.getElementById('benchmark-tweets-per-frame-input');
+const benchmarkColumnCountInputElement = document.getElementById('benchmark-column-count-input');
+const benchmarkStartButtonElement = document.getElementById('benchmark-start-button');
+const benchmarkStatusTextElement = document.getElementById('benchmark-status-text');
+const benchmarkResultsBodyElement = document.getElementById('benchmark-results-body');
+const benchmarkStageElement = document.getElementById('benchmark-stage');
+
+
+/* -----------------------------------------------------------------------
+ * SYNTHETIC TIMELINE
+ * -----------------------------------------------------------------------
+ */
+
+/** Parsed once, cloned for every tweet. */
+const syntheticTweetTemplateElement = document.createElement('template');
+syntheticTweetTemplateElement.innerHTML = SYNTHETIC_TWEET_MARKUP.trim();
+
+
+/**
+ * Renders the timeline into a container, a batch of tweets per frame.
+ *
+ * @param {HTMLElement} timelineElement - Where the tweets go
+ * @param {number} tweetCount - How many tweets in total
+ * @param {number} tweetsPerFrame - How many tweets each frame adds
+ * @returns {Promise<void>} Resolves once the last tweet is in
+ */
+function renderSyntheticTimeline(timelineElement, tweetCount, tweetsPerFrame) {
+  return new Promise((resolve) => {
+    let renderedTweetCount = 0;
+
+    const renderNextBatch = () => {
+      const batchFragment = document.createDocumentFragment();
+      const batchEnd = Math.min(tweetCount, renderedTweetCount + tweetsPerFrame);
+      for (; renderedTweetCount < batchEnd; renderedTweetCount++) {
+        batchFragment.appendChild(syntheticTweetTemplateElement.content.firstElementChild.cloneNode(true));
+      }
+      timelineElement.appendChild(batchFragment);
+
+      if (renderedTweetCount < tweetCount) {
+        requestAnimationFrame(renderNextBatch);
+      } else {
+        resolve();
+      }
+    };
+
+    requestAnimationFrame(renderNextBatch);
+  });
+}
+
+
+/**
+ * Renders an X Pro deck into a container: side-by-side columns that all
+ * stream at once. Each frame, every column gets a batch of new tweets on
+ * top, and the cell that was on top is removed and inserted again, the
+ * way X Pro re-renders it as the new ones arrive — the same element keeps
+ * coming back to the pipeline.
+ *
+ * @param {HTMLElement} deckElement - Where the columns go
+ * @param {number} tweetCount - How many tweets in total, over all columns
+ * @param {number} tweetsPerFrame - How many tweets each column gets per frame
+ * @param {number} columnCount - How many columns
+ * @returns {Promise<void>} Resolves once the last tweet is in
+ */
+function renderSyntheticDeck(deckElement, tweetCount, tweetsPerFrame, columnCount) {
+  deckElement.classList.add('x-dimmer-inline-style-fix-benchmark-deck');
+  const columnElements = Array.from({ length: columnCount }, () => {
+    const columnElement = document.createElement('div');
+    columnElement.className = 'x-dimmer-inline-style-fix-benchmark-column';
+    deckElement.appendChild(columnElement);
+    return columnElement;
+  });
+
+  return new Promise((resolve) => {
+    let renderedTweetCount = 0;
+
+    const renderNextBatch = () => {
+      for (const columnElement of columnElements) {
+        const batchFragment = document.createDocumentFragment();
+        const batchEnd = Math.min(tweetCount, renderedTweetCount + tweetsPerFrame);
+        for (; renderedTweetCount < batchEnd; renderedTweetCount++) {
+          batchFragment.appendChild(syntheticTweetTemplateElement.content.firstElementChild.cloneNode(true));
+        }
+
+        const previousTopTweetElement = columnElement.firstElementChild;
+        columnElement.prepend(batchFragment);
+        if (previousTopTweetElement) {
+          /* Moving a node before its own next sibling removes and re-inserts it in place */
+          columnElement.insertBefore(previousTopTweetElement, previousTopTweetElement.nextSibling);
+        }
+      }
+
+      if (renderedTweetCount < tweetCount) {
+        requestAnimationFrame(renderNextBatch);
+      } else {
+        resolve();
+      }
+    };
+
+    requestAnimationFrame(renderNextBatch);
+  });
+}
+
+
+/**
+ * Counts every element with an inline Lights Out color in the timeline —
+ * the fixes a pipeline still owes it.
+ *
+ * @param {HTMLElement} timelineElement - The rendered timeline
+ * @returns {number} How many elements still need a fix
+ */
+function countUnfixedTimelineElements(timelineElement) {
+  let unfixedCount = 0;
+  for (const element of timelineElement.querySelectorAll(INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR)) {
+    const inlineValues = [element.style.backgroundColor, element.style.borderBottomColor, element.getAttribute('fill')];
+    if (inlineValues.some((value) => value && remapLightsOutColorsInCssValue(value, BENCHMARK_COLOR_MAP) !== value)) {
+      unfixedCount++;
+    }
+  }
+  return unfixedCount;
+}
+
+
+/* -----------------------------------------------------------------------
+ * MEASUREMENT
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Counters of one run, reset by startPipelineMeasurement.
+ * A "work block" is one uninterrupted stretch of pipeline work on the main
+ * thread: a debounced batch, or a queue slice.
+ */
+let pipelineMeasurement = null;
+
+
+/** Starts a fresh set of counters. */
+function startPipelineMeasurement() {
+  pipelineMeasurement = {
+    examinedElementCount: 0,
+    reexaminedElementCount: 0,
+    examinedElements: new WeakSet(),
+    fixedElementCount: 0,
+    workBlockCount: 0,
+    longestWorkBlockMs: 0,
+    totalWorkMs: 0,
+    workBlockStartTime: null,
+  };
+}
+
+
+/** Marks the start of a work block. */
+function beginWorkBlock() {
+  pipelineMeasurement.workBlockStartTime = performance.now();
+}
+
+
+/** Marks the end of the current work block. */
+function endWorkBlock() {
+  const workBlockMs = performance.now() - pipelineMeasurement.workBlockStartTime;
+  pipelineMeasurement.workBlockCount++;
+  pipelineMeasurement.totalWorkMs += workBlockMs;
+  pipelineMeasurement.longestWorkBlockMs = Math.max(pipelineMeasurement.longestWorkBlockMs, workBlockMs);
+}
+
+
+/**
+ * Remaps the inline Lights Out colors of one element — fixInlineLightsOutColors,
+ * cut down to the properties the synthetic tweets use — and counts the work.
+ *
+ * @param {Element} element - The element to fix
+ */
+function fixSyntheticTimelineElement(element) {
+  pipelineMeasurement.examinedElementCount++;
+  if (pipelineMeasurement.examinedElements.has(element)) {
+    pipelineMeasurement.reexaminedElementCount++;
+  }
+  pipelineMeasurement.examinedElements.add(element);
+  if (!element.style) return;
+
+  let wasFixed = false;
+  for (const styleProperty of ['backgroundColor', 'borderBottomColor']) {
+    const currentValue = element.style[styleProperty];
+    if (!currentValue) continue;
+    const remappedValue = remapLightsOutColorsInCssValue(currentValue, BENCHMARK_COLOR_MAP);
+    if (remappedValue !== currentValue) {
+      element.style[styleProperty] = remappedValue;
+      wasFixed = true;
+    }
+  }
+
+  const fillValue = element.getAttribute('fill');
+  if (fillValue) {
+    const remappedFill = remapLightsOutColorsInCssValue(fillValue, BENCHMARK_COLOR_MAP);
+    if (remappedFill !== fillValue) {
+      element.setAttribute('fill', remappedFill);
+      wasFixed = true;
+    }
+  }
+
+  if (wasFixed) pipelineMeasurement.fixedElementCount++;
+}
+
+
+/* -----------------------------------------------------------------------
+ * PIPELINES
+ * Each one starts watching a timeline and returns
+ * { isBusy(): boolean, stop(): void }.
+ * -----------------------------------------------------------------------
+ */
+
+/** Observer options shared by both pipelines, as in the injector. */
+const BENCHMARK_OBSERVER_OPTIONS = {
+  childList: true,
+  attributes: true,
+  subtree: true,
+  attributeFilter: ['style', 'fill'],
+};
+
+
+/**
+ * The idle-time queue, exactly as the injector drives it.
+ *
+ * @param {HTMLElement} timelineElement - The timeline to watch
+ * @returns {{ isBusy: function(): boolean, stop: function(): void }}
+ */
+function startIdleQueuePipeline(timelineElement) {
+  startInlineStyleFixQueue({
+    candidateElementsSelector: INLINE_COLOR_CANDIDATE_ELEMENTS_SELECTOR,
+    fixElement: fixSyntheticTimelineElement,
+    onSliceStarted: beginWorkBlock,
+    onSliceFinished: endWorkBlock,
+  });
+
+  const mutationObserver = new MutationObserver(enqueueInlineStyleMutations);
+  mutationObserver.observe(timelineElement, BENCHMARK_OBSERVER_OPTIONS);
+
+  return {
+    isBusy: hasPendingInlineStyleFixes,
+    stop() {
+      mutationObserver.disconnect();
+      stopInlineStyleFixQueue();
+    },
+  };
+}
+
+
+/**
+ * The debounced rescan the queue replaced, copied from the injector's
+ * handleDomMutationsBatched and processMutationsForInlineStyleFixes
+ * (inline fixes only).
+ *
+ * @param {HTMLElement} timelineElement - The timeline to watch
+ * @returns {{ isBusy: function(): boolean, stop: function(): void }}
+ */
+function startDebouncedRescanPipeline(timelineElement) {
+  let debounceTimerId = null;
+  let isBatchPending = false;
+
+  const processMutations = (mutationsList) => {
+    const elementsToCheck = new Set();
+
+    for (const mutation of mutationsList) {
+      if (mutation.type === 'childList') {
+        for (const addedNode of mutation.addedNodes) {
+          if (addedNode.nodeType === Node.ELEMENT_NODE) {
+            elementsToCheck.add(addedNode);
+            for (const descendant of addedNode.querySelectorAll('*')) {
+              elementsToCheck.add(descendant);
+            }
+          }
+        }
+      } else if (mutation.type === 'attributes' && mutation.target.nodeType === Node.ELEMENT_NODE) {
+        elementsToCheck.add(mutation.target);
+      }
+    }
+
+    for (const element of elementsToCheck) {
+      fixSyntheticTimelineElement(element);
+    }
+  };
+
+  const mutationObserver = new MutationObserver((mutationsList) => {
+    if (debounceTimerId) {
+      clearTimeout(debounceTimerId);
+    }
+    isBatchPending = true;
+
+    const batchTimerId = setTimeout(() => {
+      requestAnimationFrame(() => {
+        beginWorkBlock();
+        processMutations(mutationsList);
+        endWorkBlock();
+        /* Busy until the latest callback's batch has run */
+        if (debounceTimerId === batchTimerId) {
+          debounceTimerId = null;
+          isBatchPending = false;
+        }
+      });
+    }, LEGACY_MUTATION_OBSERVER_DEBOUNCE_MS);
+    debounceTimerId = batchTimerId;
+  });
+  mutationObserver.observe(timelineElement, BENCHMARK_OBSERVER_OPTIONS);
+
+  return {
+    isBusy: () => isBatchPending,
+    stop() {
+      mutationObserver.disconnect();
+      clearTimeout(debounceTimerId);
+    },
+  };
+}
+
+
+/** The pipelines, in the order they run. */
+const BENCHMARKED_PIPELINES = [
+  { label: 'Idle-time queue', start: startIdleQueuePipeline },
+  { label: 'Debounced rescan (before)', start: startDebouncedRescanPipeline },
+];
+
+
+/* -----------------------------------------------------------------------
+ * RUNNING
+ * -----------------------------------------------------------------------
+ */
+
+/**
+ * Resolves once the pipeline has been idle for two polls in a row —
+ * its own fixes trigger mutations, so one quiet poll isn't enough.
+ *
+ * @param {{ isBusy: function(): boolean }} pipeline - The running pipeline
+ * @returns {Promise<boolean>} False if it never went quiet
+ */
+async function waitForPipelineToGoQuiet(pipeline) {
+  const giveUpTime = performance.now() + PIPELINE_QUIET_TIMEOUT_MS;
+  let quietPollCount = 0;
+
+  while (quietPollCount < 2) {
+    if (performance.now() > giveUpTime) return false;
+    await new Promise((resolve) => setTimeout(resolve, PIPELINE_QUIET_POLL_INTERVAL_MS));
+    quietPollCount = pipeline.isBusy() ? 0 : quietPollCount + 1;
+  }
+  return true;
+}
+
+
+/**
+ * Runs one pipeline on a fresh timeline.
+ *
+ * @param {{ label: string, start: Function }} pipelineDefinition
+ * @param {number} tweetCount - Tweets to render
+ * @param {number} tweetsPerFrame - Tweets per animation frame (per column)
+ * @param {number} columnCount - 1 for X's timeline, more for an X Pro deck
+ * @returns {Promise<Object>} The run's measurements
+ */
+async function runPipelineBenchmark(pipelineDefinition, tweetCount, tweetsPerFrame, columnCount) {
+  const timelineElement = document.createElement('div');
+  benchmarkStageElement.appendChild(timelineElement);
+
+  let longTaskCount = 0;
+  const longTaskObserver = new PerformanceObserver((entryList) => {
+    longTaskCount += entryList.getEntries().length;
+  });
+  longTaskObserver.observe({ type: 'longtask' });
+
+  startPipelineMeasurement();
+  const pipeline = pipelineDefinition.start(timelineElement);
+
+  try {
+    if (columnCount > 1) {
+      await renderSyntheticDeck(timelineElement, tweetCount, tweetsPerFrame, columnCount);
+    } else {
+      await renderSyntheticTimeline(timelineElement, tweetCount, tweetsPerFrame);
+    }
+    const renderEndTime = performance.now();
+    const wentQuiet = await waitForPipelineToGoQuiet(pipeline);
+
+    return {
+      ...pipelineMeasurement,
+      unfixedElementCount: countUnfixedTimelineElements(timelineElement),
+      longTaskCount,
+      doneAfterRenderMs: wentQuiet ? performance.now() - renderEndTime : null,
+    };
+  } finally {
+    pipeline.stop();
+    longTaskObserver.disconnect();
+    timelineElement.remove();
+  }
+}
+
+
+/**
+ * Appends one pipeline's row to the results table.
+ *
+ * @param {string} pipelineLabel - Which pipeline ran
+ * @param {Object} runResult - From runPipelineBenchmark
+ */
+function renderBenchmarkResultRow(pipelineLabel, runResult) {
+  const rowElement = document.createElement('tr');
+  const appendCell = (text) => {
+    const cellElement = document.createElement('td');
+    cellElement.textContent = text;
+    rowElement.appendChild(cellElement);
+    return cellElement;
+  };
+  const formatMs = (milliseconds) => `${milliseconds.toFixed(1)} ms`;
+
+  appendCell(pipelineLabel);
+  appendCell(runResult.fixedElementCount.toLocaleString());
+  const missedCellElement = appendCell(runResult.unfixedElementCount.toLocaleString());
+  if (runResult.unfixedElementCount > 0) {
+    missedCellElement.classList.add('x-dimmer-inline-style-fix-benchmark-missed');
+  }
+  appendCell(runResult.examinedElementCount.toLocaleString());
+  appendCell(runResult.reexaminedElementCount.toLocaleString());
+  appendCell(runResult.workBlockCount.toLocaleString());
+  appendCell(formatMs(runResult.longestWorkBlockMs));
+  appendCell(formatMs(runResult.totalWorkMs));
+  appendCell(runResult.longTaskCount.toLocaleString());
+  appendCell(runResult.doneAfterRenderMs === null ? 'Never went quiet' : formatMs(runResult.doneAfterRenderMs));
+
+  benchmarkResultsBodyElement.appendChild(rowElement);
+}
+
+
+/**
+ * Runs every pipeline and fills the results table.
+ */
+async function runInlineStyleFixBenchmark() {
+  const tweetCount = Math.min(20000, Math.max(100, Number.parseInt(benchmarkTweetCountInputElement.value, 10) || 10000));
+  const tweetsPerFrame = Math.min(1000, Math.max(1, Number.parseInt(benchmarkTweetsPerFrameInputElement.value, 10) || 20));
+  const columnCount = Math.min(12, Math.max(1, Number.parseInt(benchmarkColumnCountInputElement.value, 10) || 1));
+
+  benchmarkStartButtonElement.disabled = true;
+  benchmarkResultsBodyElement.replaceChildren();
+
+  try {
+    for (const pipelineDefinition of BENCHMARKED_PIPELINES) {
+      benchmarkStatusTextElement.textContent = columnCount > 1
+        ? `${pipelineDefinition.label}: rendering ${tweetCount.toLocaleString()} tweets into ${columnCount} columns, ${tweetsPerFrame} per column per frame…`
+        : `${pipelineDefinition.label}: rendering ${tweetCount.toLocaleString()} tweets, ${tweetsPerFrame} per frame…`;
+      const runResult = await runPipelineBenchmark(pipelineDefinition, tweetCount, tweetsPerFrame, columnCount);
+      renderBenchmarkResultRow(pipelineDefinition.label, runResult);
+
+      await new Promise((resolve) => setTimeout(resolve, PAUSE_BETWEEN_PIPELINES_MS));
+    }
+    benchmarkStatusTextElement.textContent = 'Done.';
+  } catch (error) {
+    console.error('[X Dimmer Inline Style Fix Benchmark] Run failed:', error);
+    benchmarkStatusTextElement.textContent = `The benchmark failed: ${error.message}`;
+  } finally {
+    benchmarkStartButtonElement.disabled = false;
+  }
+}
+
+
+/* -----------------------------------------------------------------------
+ * EVENT LISTENERS
+ * -----------------------------------------------------------------------
+ */
+
+benchmarkStartButtonElement.addEventListener('click', runInlineStyleFixBenchmark);